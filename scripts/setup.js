@@ -304,7 +304,7 @@ HEALTH_CHECK_INTERVAL_MS=30000
 # Context Settings
 MAX_CONVERSATION_MESSAGES=50
 MAX_FILE_CONTEXT=10
-MAX_CONTEXT_SIZE_MB=5
+CONTEXT_COMPACTION_THRESHOLD=0.8
 CONTEXT_COMPRESSION_ENABLED=true
 
 # Storage
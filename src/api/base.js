@@ -1,4 +1,8 @@
 const { logger } = require('../utils/logger');
+const { replayResponse } = require('./stream');
+const { modelRegistry } = require('./models');
+const { modelDiscovery } = require('./discovery');
+const { parseRateLimit } = require('./ratelimit');
 
 /**
  * Base API Provider (Abstract Class)
@@ -30,22 +34,39 @@ class BaseAPIProvider {
      * @abstract
      * @param {string} message - User message
      * @param {Object} context - Conversation context
+     * @param {Object} options - { tools, signal, images, systemPrompt, responseSchema }; images are [{ data (base64), mimeType, name }]
+     *   systemPrompt is sent in the API's native system field (Claude system,
+     *   OpenAI system/developer message, Gemini systemInstruction, Ollama system message)
+     *   responseSchema asks for JSON matching a JSON Schema where the API supports it (OpenAI
+     *   response_format, Gemini responseSchema, Ollama format); other providers ignore it
      * @returns {Promise<Object>} AI response
      */
-    async sendMessage(_message, _context) {
+    async sendMessage(_message, _context, _options) {
         throw new Error('Method sendMessage() must be implemented');
     }
 
     /**
      * Stream a message response
-     * @abstract
+     * Providers without native streaming inherit this fallback, which sends the request
+     * normally and replays the response as unified stream events (see ./stream.js).
      * @param {string} message - User message
+     * @param {Function} onEvent - Callback for each stream event
      * @param {Object} context - Conversation context
-     * @param {Function} onChunk - Callback for each chunk
-     * @returns {Promise<void>}
+     * @param {Object} options - { tools, signal, ... } as for sendMessage()
+     * @returns {Promise<Object>} Final response, same shape as sendMessage()
      */
-    async streamMessage(_message, _context, _onChunk) {
-        throw new Error('Method streamMessage() must be implemented');
+    async streamMessage(message, onEvent, context = {}, options = {}) {
+        const response = await this.sendMessage(message, context, options);
+
+        if (!response.success) {
+            const error = new Error(response.error?.message || 'Provider returned failure response');
+            error.status = response.error?.statusCode;
+            error.rateLimit = response.error?.rateLimit;
+            throw error;
+        }
+
+        replayResponse(response, onEvent);
+        return response;
     }
 
     /**
@@ -94,6 +115,90 @@ class BaseAPIProvider {
         };
     }
 
+    /**
+     * Get current model
+     * @returns {string} Model name
+     */
+    getModel() {
+        return this.model;
+    }
+
+    /**
+     * Get registry info for the current model
+     * @returns {Object} { contextWindow, maxOutputTokens, tools, vision, streaming, pricing }
+     */
+    getModelInfo() {
+        return modelRegistry.resolve(this.model);
+    }
+
+    /**
+     * Output token budget for a request, capped by the current model's limit
+     * @returns {number} Max tokens
+     */
+    getMaxOutputTokens() {
+        return modelRegistry.getMaxOutputTokens(this.model, this.maxTokens);
+    }
+
+    /**
+     * Get available models
+     * @returns {string[]} Model names
+     */
+    getAvailableModels() {
+        return this.availableModels || [];
+    }
+
+    /**
+     * List chat models from the provider's API, cached on disk (see ./discovery.js)
+     * Falls back to the last cached list, then to the static list, when the API cannot be reached.
+     * @param {Object} options - { refresh } skips the cache
+     * @returns {Promise<string[]>} Model names
+     */
+    async listModels(options = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const models = await modelDiscovery.list(this, options);
+        if (models.length > 0) {
+            this.availableModels = models;
+        }
+        return models;
+    }
+
+    /**
+     * Fetch chat-capable models from the provider's model-listing endpoint
+     * Providers without one keep their static list.
+     * @returns {Promise<Array<Object>|null>} [{ id, contextWindow?, maxOutputTokens?, vision? }], or null
+     */
+    async fetchModels() {
+        return null;
+    }
+
+    /**
+     * Change model
+     * @param {string} model - Model name from getAvailableModels()
+     */
+    setModel(model) {
+        const available = this.getAvailableModels();
+        if (available.length > 0 && !available.includes(model)) {
+            throw new Error(`Invalid ${this.name} model: ${model}. Available: ${available.join(', ')}`);
+        }
+        this.model = model;
+    }
+
+    /**
+     * Provider that answers with another model, leaving this one unchanged
+     * The copy shares this provider's client and settings, so concurrent requests
+     * can use different models of the same provider.
+     * @param {string} model - Model name from getAvailableModels()
+     * @returns {BaseAPIProvider} Provider using the model
+     */
+    withModel(model) {
+        const provider = Object.create(this);
+        provider.setModel(model);
+        return provider;
+    }
+
     /**
      * Validate API key format
      * @abstract
@@ -114,6 +219,7 @@ class BaseAPIProvider {
             provider: this.name,
             model: metadata.model || 'unknown',
             content,
+            toolCalls: metadata.toolCalls || null,
             usage: metadata.usage || {
                 promptTokens: 0,
                 completionTokens: 0,
@@ -129,6 +235,7 @@ class BaseAPIProvider {
 
     /**
      * Format error response
+     * error.rateLimit (or the error's rate-limit headers) is kept so the orchestrator can honor Retry-After
      * @protected
      */
     formatError(error, statusCode = 500) {
@@ -139,6 +246,7 @@ class BaseAPIProvider {
                 message: error.message,
                 code: error.code || 'UNKNOWN_ERROR',
                 statusCode,
+                rateLimit: parseRateLimit(error),
             },
             metadata: {
                 requestId: this.generateRequestId(),
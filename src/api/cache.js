@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { configManager } = require('../core/config');
+const { logger } = require('../utils/logger');
+
+/**
+ * Reduce a history message to the parts providers send
+ * Tool call IDs are generated per response by some providers, so only names and arguments count.
+ */
+function normalizeMessage(msg) {
+    const metadata = msg.metadata || {};
+    const normalized = { role: msg.role, content: msg.content || '' };
+
+    if (metadata.type === 'tool_result') {
+        normalized.toolResult = metadata.toolName;
+    }
+    if (metadata.toolCalls) {
+        normalized.toolCalls = metadata.toolCalls.map(call => ({ name: call.name, arguments: call.arguments }));
+    }
+    return normalized;
+}
+
+/**
+ * Response Cache
+ * Content-addressed cache of model responses stored in SQLite. The key covers
+ * everything that shapes a response: provider, model, temperature, system prompt,
+ * the normalized message list, images and tools.
+ */
+class ResponseCache {
+    /**
+     * @param {Database} database - Storage with the response_cache table
+     */
+    constructor(database) {
+        this.database = database;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Check whether a request may use the cache
+     * @param {Object} options - Request options; bypassCache skips the cache for this request
+     */
+    isEnabled(options = {}) {
+        return Boolean(this.database)
+            && configManager.get('performance.cacheEnabled') === true
+            && !options.bypassCache;
+    }
+
+    /**
+     * Build the cache key for a request to a provider
+     */
+    buildKey(provider, message, context = {}, options = {}) {
+        const payload = {
+            provider: provider.name,
+            model: provider.model || provider.getModel?.(),
+            temperature: provider.temperature ?? null,
+            systemPrompt: options.systemPrompt || null,
+            messages: (context.messages || []).map(normalizeMessage),
+            message: message || '',
+            images: (options.images || []).map(image => this.hash(image.data || '')),
+            tools: (options.tools || []).map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.parameters,
+            })),
+        };
+
+        return this.hash(JSON.stringify(payload));
+    }
+
+    /**
+     * @private
+     */
+    hash(text) {
+        return crypto.createHash('sha256').update(text).digest('hex');
+    }
+
+    /**
+     * Look up a response
+     * @returns {Promise<Object|null>} Response marked metadata.cached, or null
+     */
+    async get(key) {
+        try {
+            const response = await this.database.getCachedResponse(key);
+            if (!response) {
+                this.misses++;
+                return null;
+            }
+
+            this.hits++;
+            logger.debug('Response cache hit', { key: key.slice(0, 12), provider: response.provider });
+            return { ...response, metadata: { ...response.metadata, cached: true } };
+        } catch (error) {
+            logger.warn('Response cache lookup failed', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Store a successful response and evict entries past the TTL or size limit
+     */
+    async set(key, response) {
+        const performance = configManager.get('performance');
+
+        try {
+            await this.database.setCachedResponse({
+                key,
+                provider: response.provider,
+                model: response.model,
+                response,
+                ttlSeconds: performance.cacheTTLSeconds,
+            });
+            const evicted = await this.database.evictCache(performance.maxCacheSizeMB * 1024 * 1024);
+            if (evicted > 0) {
+                logger.debug('Response cache evicted entries', { evicted });
+            }
+        } catch (error) {
+            logger.warn('Failed to cache response', { error: error.message });
+        }
+    }
+
+    /**
+     * Remove all cached responses
+     * @returns {Promise<number>} Entries removed
+     */
+    async clear() {
+        this.hits = 0;
+        this.misses = 0;
+        return this.database.clearCache();
+    }
+
+    /**
+     * Stored entries plus this session's hit rate
+     */
+    async getStats() {
+        const stored = await this.database.getCacheStats();
+        const performance = configManager.get('performance');
+
+        return {
+            enabled: performance.cacheEnabled === true,
+            entries: stored.entries,
+            sizeBytes: stored.size_bytes,
+            maxSizeBytes: performance.maxCacheSizeMB * 1024 * 1024,
+            ttlSeconds: performance.cacheTTLSeconds,
+            totalHits: stored.hits,
+            expired: stored.expired,
+            sessionHits: this.hits,
+            sessionMisses: this.misses,
+        };
+    }
+}
+
+module.exports = { ResponseCache, normalizeMessage };
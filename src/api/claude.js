@@ -1,5 +1,9 @@
 const Anthropic = require('@anthropic-ai/sdk');
+const axios = require('axios');
 const { BaseAPIProvider } = require('./base');
+const { StreamAccumulator } = require('./stream');
+const { parseRateLimit } = require('./ratelimit');
+const { modelRegistry } = require('./models');
 const { logger } = require('../utils/logger');
 
 /**
@@ -15,23 +19,7 @@ class ClaudeProvider extends BaseAPIProvider {
         this.client = null;
 
         // Available Claude models
-        this.availableModels = [
-            // Opus Series (En Yeni & En Güçlü)
-            'claude-opus-4.6',
-            'claude-opus-4.1',
-            'claude-opus-4',
-
-            // Sonnet Series (Dengeli / Genel Amaçlı)
-            'claude-sonnet-4.5',
-            'claude-sonnet-4',
-            'claude-sonnet-3.7',
-            'claude-sonnet-3.5',
-
-            // Haiku Series (Önceki Nesiller / Daha Ucuz)
-            'claude-haiku-4.5',
-            'claude-haiku-3.5',
-            'claude-haiku-3',
-        ];
+        this.availableModels = modelRegistry.list('claude', 'chat');
     }
 
     /**
@@ -41,6 +29,8 @@ class ClaudeProvider extends BaseAPIProvider {
         try {
             this.client = new Anthropic({
                 apiKey: this.apiKey,
+                // 429s must reach the RateLimitScheduler; the orchestrator does the retrying
+                maxRetries: 0,
             });
             this.initialized = true;
             this.healthy = true;
@@ -56,7 +46,7 @@ class ClaudeProvider extends BaseAPIProvider {
     /**
      * Send message to Claude
      */
-    async sendMessage(message, context = {}) {
+    async sendMessage(message, context = {}, options = {}) {
         if (!this.initialized) {
             await this.initialize();
         }
@@ -71,21 +61,22 @@ class ClaudeProvider extends BaseAPIProvider {
                 messageLength: message.length,
             });
 
-            // Build messages array
-            const messages = this.buildContextMessages(message, context);
-
             // Send to Claude API
-            const response = await this.client.messages.create({
-                model: this.model,
-                max_tokens: this.maxTokens,
-                temperature: this.temperature,
-                messages,
-            });
+            const response = await this.client.messages.create(
+                this.buildRequest(message, context, options),
+                { signal: options.signal },
+            );
 
             const latency = Date.now() - startTime;
 
-            // Extract content
-            const content = response.content[0]?.text || '';
+            // Extract text and tool_use blocks
+            const content = response.content
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+            const toolCalls = response.content
+                .filter(block => block.type === 'tool_use')
+                .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }));
 
             // Extract token usage
             const usage = {
@@ -106,44 +97,36 @@ class ClaudeProvider extends BaseAPIProvider {
                 usage,
                 requestId,
                 latency,
+                toolCalls: toolCalls.length > 0 ? toolCalls : null,
             });
         } catch (error) {
             const latency = Date.now() - startTime;
 
-            // Simplify error messages for users
-            let userMessage = error.message;
-            if (userMessage.includes('429') || userMessage.includes('quota') || userMessage.includes('rate limit')) {
-                userMessage = '⏱️ Claude API rate limit reached. Please wait and try again.';
-            } else if (userMessage.includes('401') || userMessage.includes('authentication')) {
-                userMessage = '🔑 Invalid Claude API key. Please check your configuration.';
-            } else if (userMessage.includes('timeout') || userMessage.includes('ETIMEDOUT')) {
-                userMessage = '🌐 Cannot connect to Claude API. Check your internet connection.';
-            } else {
-                userMessage = `❌ Claude API error: ${userMessage.split('\n')[0].substring(0, 100)}`;
-            }
+            const friendlyError = this.friendlyError(error);
 
             logger.error('Claude API error', {
                 requestId,
-                error: userMessage.substring(0, 100),
+                error: friendlyError.message.substring(0, 100),
                 latency,
             });
 
             // Map Claude errors to standard format
-            const statusCode = error.status || 500;
-            const friendlyError = new Error(userMessage);
-            return this.formatError(friendlyError, statusCode);
+            return this.formatError(friendlyError, friendlyError.status);
         }
     }
 
     /**
-     * Stream message response
+     * Stream message response as unified events (see ./stream.js)
      */
-    async streamMessage(message, onChunk, context = {}) {
+    async streamMessage(message, onEvent, context = {}, options = {}) {
         if (!this.initialized) {
             await this.initialize();
         }
 
+        const startTime = Date.now();
         const requestId = this.generateRequestId();
+        const stream = new StreamAccumulator(onEvent);
+        let stopReason = null;
 
         try {
             logger.debug('Streaming message to Claude', {
@@ -151,36 +134,207 @@ class ClaudeProvider extends BaseAPIProvider {
                 model: this.model,
             });
 
-            // Build messages array
-            const messages = this.buildContextMessages(message, context);
+            const events = await this.client.messages.create(
+                { ...this.buildRequest(message, context, options), stream: true },
+                { signal: options.signal },
+            );
 
-            // Stream from Claude API
-            const stream = await this.client.messages.create({
-                model: this.model,
-                max_tokens: this.maxTokens,
-                temperature: this.temperature,
-                messages,
-                stream: true,
-            });
-
-            // Process chunks
-            for await (const event of stream) {
-                if (event.type === 'content_block_delta') {
-                    const text = event.delta?.text;
-                    if (text && onChunk) {
-                        onChunk(text);
-                    }
+            for await (const event of events) {
+                switch (event.type) {
+                    case 'message_start':
+                        stream.setUsage({ promptTokens: event.message?.usage?.input_tokens });
+                        break;
+                    case 'content_block_start':
+                        if (event.content_block?.type === 'tool_use') {
+                            stream.toolCallStart(event.index, {
+                                id: event.content_block.id,
+                                name: event.content_block.name,
+                            });
+                        } else if (event.content_block?.type === 'text') {
+                            stream.text(event.content_block.text);
+                        }
+                        break;
+                    case 'content_block_delta':
+                        if (event.delta?.type === 'input_json_delta') {
+                            stream.toolCallDelta(event.index, event.delta.partial_json);
+                        } else if (event.delta?.type === 'text_delta') {
+                            stream.text(event.delta.text);
+                        }
+                        break;
+                    case 'content_block_stop':
+                        stream.toolCallEnd(event.index);
+                        break;
+                    case 'message_delta':
+                        if (event.usage) {
+                            stream.setUsage({ completionTokens: event.usage.output_tokens });
+                        }
+                        stopReason = event.delta?.stop_reason || stopReason;
+                        break;
+                    default:
+                        break;
                 }
             }
 
-            logger.info('Claude streaming completed', { requestId });
+            const result = stream.done(stopReason);
+            const latency = Date.now() - startTime;
+
+            logger.info('Claude streaming completed', { requestId, latency, tokens: result.usage.totalTokens });
+
+            return this.formatResponse(result.content, {
+                model: this.model,
+                usage: result.usage,
+                requestId,
+                latency,
+                toolCalls: result.toolCalls,
+            });
         } catch (error) {
             logger.error('Claude streaming error', {
                 requestId,
                 error: error.message,
             });
-            throw error;
+            if (options.signal?.aborted) {
+                throw error;
+            }
+            throw this.friendlyError(error);
+        }
+    }
+
+    /**
+     * Simplify an SDK error for users, keeping its status and rate-limit headers
+     */
+    friendlyError(error) {
+        let userMessage = error.message;
+        if (userMessage.includes('429') || userMessage.includes('quota') || userMessage.includes('rate limit')) {
+            userMessage = '⏱️ Claude API rate limit reached. Please wait and try again.';
+        } else if (userMessage.includes('401') || userMessage.includes('authentication')) {
+            userMessage = '🔑 Invalid Claude API key. Please check your configuration.';
+        } else if (userMessage.includes('timeout') || userMessage.includes('ETIMEDOUT')) {
+            userMessage = '🌐 Cannot connect to Claude API. Check your internet connection.';
+        } else {
+            userMessage = `❌ Claude API error: ${userMessage.split('\n')[0].substring(0, 100)}`;
         }
+
+        const friendlyError = new Error(userMessage);
+        friendlyError.status = error.status || 500;
+        friendlyError.rateLimit = parseRateLimit(error);
+        return friendlyError;
+    }
+
+    /**
+     * Build the Messages API request body
+     */
+    buildRequest(message, context = {}, options = {}) {
+        const { system, messages } = this.buildClaudeMessages(message, context, options.images);
+        const request = {
+            model: this.model,
+            max_tokens: this.getMaxOutputTokens(),
+            temperature: this.temperature,
+            messages,
+        };
+
+        // The caller's system prompt comes first, then system notes from the history
+        const systemPrompt = [options.systemPrompt, system].filter(Boolean).join('\n\n');
+        if (systemPrompt) {
+            request.system = systemPrompt;
+        }
+        if (options.tools && options.tools.length > 0) {
+            request.tools = this.buildClaudeTools(options.tools);
+        }
+        return request;
+    }
+
+    /**
+     * Convert conversation history to Claude messages
+     * Assistant tool calls become tool_use blocks and tool results become tool_result blocks
+     * in the following user turn; other system messages move to the system parameter.
+     * Images are attached to the new user message as base64 image blocks.
+     * @returns {Object} { system, messages }
+     */
+    buildClaudeMessages(message, context = {}, images = []) {
+        const system = [];
+        const messages = [];
+
+        // Claude requires alternating roles, so consecutive blocks of one role are merged
+        const push = (role, blocks) => {
+            const last = messages[messages.length - 1];
+            if (last && last.role === role) {
+                last.content.push(...blocks);
+            } else {
+                messages.push({ role, content: blocks });
+            }
+        };
+
+        for (const msg of context.messages || []) {
+            const metadata = msg.metadata || {};
+
+            if (msg.role === 'system' && metadata.type === 'tool_result') {
+                push('user', [{
+                    type: 'tool_result',
+                    tool_use_id: metadata.toolCallId,
+                    content: msg.content || '',
+                }]);
+            } else if (msg.role === 'system') {
+                if (msg.content) system.push(msg.content);
+            } else if (msg.role === 'assistant') {
+                const blocks = msg.content ? [{ type: 'text', text: msg.content }] : [];
+                for (const call of metadata.toolCalls || []) {
+                    blocks.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} });
+                }
+                if (blocks.length > 0) push('assistant', blocks);
+            } else if (msg.content) {
+                push('user', [{ type: 'text', text: msg.content }]);
+            }
+        }
+
+        if (message) {
+            push('user', [
+                ...(images || []).map(image => ({
+                    type: 'image',
+                    source: { type: 'base64', media_type: image.mimeType || 'image/png', data: image.data },
+                })),
+                { type: 'text', text: message },
+            ]);
+        }
+
+        // A truncated history may start mid tool exchange; the first turn must be a plain user turn
+        while (messages.length > 0) {
+            const [first] = messages;
+            if (first.role === 'user') {
+                first.content = first.content.filter(block => block.type !== 'tool_result');
+                if (first.content.length > 0) break;
+            }
+            messages.shift();
+        }
+
+        return { system: system.join('\n\n'), messages };
+    }
+
+    /**
+     * Convert tool definitions to Claude's tool format
+     */
+    buildClaudeTools(tools) {
+        return tools.map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            input_schema: tool.parameters,
+        }));
+    }
+
+    /**
+     * Models from GET /v1/models (the SDK version in use has no models API)
+     * Every listed Claude model is a chat model with vision.
+     */
+    async fetchModels() {
+        const response = await axios.get('https://api.anthropic.com/v1/models', {
+            headers: { 'x-api-key': this.apiKey, 'anthropic-version': '2023-06-01' },
+            params: { limit: 1000 },
+        });
+        return (response.data.data || []).map(model => ({
+            id: model.id,
+            contextWindow: model.max_input_tokens,
+            maxOutputTokens: model.max_tokens,
+            vision: true,
+        }));
     }
 
     /**
@@ -197,22 +351,9 @@ class ClaudeProvider extends BaseAPIProvider {
     getCapabilities() {
         return {
             streaming: true,
-            maxTokens: this.maxTokens,
-            supportedModels: [
-                // Opus Series
-                'claude-opus-4.6',
-                'claude-opus-4.1',
-                'claude-opus-4',
-                // Sonnet Series
-                'claude-sonnet-4.5',
-                'claude-sonnet-4',
-                'claude-sonnet-3.7',
-                'claude-sonnet-3.5',
-                // Haiku Series
-                'claude-haiku-4.5',
-                'claude-haiku-3.5',
-                'claude-haiku-3',
-            ],
+            maxTokens: this.getMaxOutputTokens(),
+            contextWindow: this.getModelInfo().contextWindow,
+            supportedModels: this.availableModels,
             features: ['chat', 'code-generation', 'function-calling'],
         };
     }
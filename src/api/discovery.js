@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const { configManager } = require('../core/config');
+const { modelRegistry, DEFAULT_MODEL } = require('./models');
+const { logger } = require('../utils/logger');
+
+// Model names that are not chat models: embeddings, speech, image/video generation, moderation, legacy completions
+const NON_CHAT_MODEL = /embed|tts|whisper|transcribe|audio|realtime|moderation|dall-e|imagen|image-generation|gpt-image|veo|aqa|davinci|babbage|search-api/i;
+
+/**
+ * Check a model name against the known non-chat model families
+ */
+function isChatModelName(id) {
+    return !NON_CHAT_MODEL.test(id);
+}
+
+/**
+ * Model Discovery
+ * Lists each provider's models from its API (provider.fetchModels()) and keeps the result
+ * in a JSON file for modelDiscovery.ttlSeconds. When the API cannot be reached the last
+ * cached list is used, however old, and then the provider's static list. With neither,
+ * the API error is thrown.
+ *
+ * Discovered models the registry does not know are registered with the limits the API
+ * reports, else those of their registry family (modelRegistry.findFamily), else the
+ * provider's configured model and max tokens, and marked discovered.
+ */
+class ModelDiscovery {
+    /**
+     * Chat model names for a provider
+     * @param {BaseAPIProvider} provider - Provider implementing fetchModels()
+     * @param {Object} options - { refresh } ignores a fresh cache entry
+     * @returns {Promise<string[]>}
+     */
+    async list(provider, options = {}) {
+        const settings = configManager.get('modelDiscovery');
+        if (!settings.enabled) {
+            return provider.getAvailableModels();
+        }
+
+        const cache = this.readCache(settings.cacheFile);
+        const cached = cache[provider.name];
+        const fresh = cached && Date.now() - cached.fetchedAt < settings.ttlSeconds * 1000;
+
+        if (fresh && !options.refresh) {
+            return this.register(provider, cached.models);
+        }
+
+        let fetchError = null;
+        try {
+            const models = await provider.fetchModels();
+            if (models) {
+                cache[provider.name] = { fetchedAt: Date.now(), models };
+                this.writeCache(settings.cacheFile, cache);
+                logger.debug('Models discovered', { provider: provider.name, count: models.length });
+                return this.register(provider, models);
+            }
+        } catch (error) {
+            fetchError = error;
+            logger.warn('Model discovery failed, using the last known list', {
+                provider: provider.name,
+                error: error.message,
+            });
+        }
+
+        if (cached) {
+            return this.register(provider, cached.models);
+        }
+
+        // Nothing to fall back to (e.g. Ollama before its first listing): report why
+        const staticModels = provider.getAvailableModels();
+        if (staticModels.length === 0 && fetchError) {
+            throw fetchError;
+        }
+        return staticModels;
+    }
+
+    /**
+     * Register a provider's last fetched models without calling its API
+     * Used at startup so capabilities learned by discovery (e.g. Ollama vision models) are known.
+     */
+    registerCached(provider) {
+        const settings = configManager.get('modelDiscovery');
+        const cached = settings?.enabled && this.readCache(settings.cacheFile)[provider.name];
+        if (cached) {
+            this.register(provider, cached.models);
+        }
+    }
+
+    /**
+     * Add unknown discovered models to the registry
+     * @param {Array<Object>} models - [{ id, contextWindow?, maxOutputTokens?, vision? }]
+     * @returns {string[]} Model names
+     */
+    register(provider, models) {
+        for (const { id, ...info } of models) {
+            if (!modelRegistry.has(id)) {
+                const reported = Object.fromEntries(Object.entries(info).filter(([, value]) => value !== undefined));
+                modelRegistry.register(id, {
+                    ...this.inheritedInfo(provider, id),
+                    ...reported,
+                    provider: provider.name,
+                    discovered: true,
+                });
+            }
+        }
+        return models.map(model => model.id);
+    }
+
+    /**
+     * Limits and capabilities for a discovered model whose API reports none
+     * @private
+     */
+    inheritedInfo(provider, id) {
+        const family = modelRegistry.findFamily(id, provider.name);
+        if (family) {
+            const { contextWindow, maxOutputTokens, tools, vision, streaming, pricing } = family;
+            return { contextWindow, maxOutputTokens, tools, vision, streaming, pricing };
+        }
+
+        const current = modelRegistry.get(provider.getModel());
+        return {
+            contextWindow: current?.contextWindow || DEFAULT_MODEL.contextWindow,
+            maxOutputTokens: provider.maxTokens || current?.maxOutputTokens || DEFAULT_MODEL.maxOutputTokens,
+        };
+    }
+
+    /**
+     * Read the cache file; a missing or corrupt file is an empty cache
+     * @private
+     */
+    readCache(filePath) {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch {
+            return {};
+        }
+    }
+
+    /**
+     * @private
+     */
+    writeCache(filePath, cache) {
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, JSON.stringify(cache, null, 2));
+        } catch (error) {
+            logger.warn('Failed to save model list cache', { path: filePath, error: error.message });
+        }
+    }
+}
+
+const modelDiscovery = new ModelDiscovery();
+
+module.exports = { ModelDiscovery, modelDiscovery, isChatModelName };
@@ -1,7 +1,39 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const axios = require('axios');
 const { BaseAPIProvider } = require('./base');
+const { StreamAccumulator } = require('./stream');
+const { parseRateLimit } = require('./ratelimit');
+const { modelRegistry } = require('./models');
+const { isChatModelName } = require('./discovery');
 const { logger } = require('../utils/logger');
 
+/**
+ * Convert a JSON Schema to Gemini's OpenAPI-style schema
+ * Gemini rejects keywords it does not know (additionalProperties, $schema, ...) and
+ * expresses a nullable type as nullable: true instead of a list of types.
+ */
+function toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const converted = {};
+    for (const key of ['type', 'format', 'description', 'enum', 'required', 'minItems', 'maxItems', 'minimum', 'maximum']) {
+        if (schema[key] !== undefined) converted[key] = schema[key];
+    }
+
+    if (Array.isArray(schema.type)) {
+        converted.type = schema.type.find(type => type !== 'null');
+        if (schema.type.includes('null')) converted.nullable = true;
+    }
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(Object.entries(schema.properties)
+            .map(([name, property]) => [name, toGeminiSchema(property)]));
+    }
+    if (schema.items) {
+        converted.items = toGeminiSchema(schema.items);
+    }
+    return converted;
+}
+
 /**
  * Gemini API Provider
  */
@@ -16,31 +48,7 @@ class GeminiProvider extends BaseAPIProvider {
         this.generativeModel = null;
 
         // Available Gemini models
-        this.availableModels = [
-            // Gemini 3.1 Series (New Release)
-            'gemini-3.1-pro',           // Son sürüm güçlü model
-            'gemini-3.1-flash',         // Son sürüm hızlı model
-            'gemini-3.1-pro-image',     // Son sürüm görsel yetenekli
-
-            // Gemini 3 Series (Latest)
-            'gemini-3-flash',           // Hız + Akışkan multimodal
-            'gemini-3-pro',             // En güçlü genel model
-            'gemini-3-pro-image',       // Görsel + metin
-            'gemini-3-deep-think',      // İleri analiz / premium
-
-            // Gemini 2.5 Series
-            'gemini-2.5-pro',           // Üretim ve güçlü genel kullanım
-            'gemini-2.5-flash',         // Hızlı & ekonomik
-            'gemini-2.5-flash-tts',     // Metin → ses
-
-            // Legacy Models (Önceki Nesil)
-            'gemini-2.0-flash-exp',     // Experimental
-            'gemini-2.0-flash',         // Stable
-            'gemini-2.0-flash-lite',    // Lightweight
-            'gemini-1.5-pro',           // Previous generation pro
-            'gemini-1.5-flash',         // Previous generation flash
-            'gemini-1.0-pro',           // Legacy
-        ];
+        this.availableModels = modelRegistry.list('gemini', 'chat');
     }
 
     /**
@@ -85,55 +93,13 @@ class GeminiProvider extends BaseAPIProvider {
                 tools: options.tools ? options.tools.length : 0
             });
 
-            // Build chat history
-            const history = this.buildGeminiHistory(context);
-
-            // Prepare tools if provided
-            let toolsConfig;
-            if (options.tools && options.tools.length > 0) {
-                toolsConfig = [{
-                    functionDeclarations: options.tools.map(tool => ({
-                        name: tool.name,
-                        description: tool.description,
-                        parameters: tool.parameters
-                    }))
-                }];
-                // DEBUG LOG
-
-            }
-
-            // Create chat session
-            const chatObj = {
-                history,
-                generationConfig: {
-                    maxOutputTokens: this.maxTokens,
-                    temperature: this.temperature,
-                },
-            };
-
-            if (toolsConfig) {
-                chatObj.tools = toolsConfig;
-            }
-
-            const chat = this.generativeModel.startChat(chatObj);
-
-            // Prepare message content (Text + Images)
-            let messageContent = message;
-
-            if (options.images && options.images.length > 0) {
-                messageContent = [message];
-                for (const image of options.images) {
-                    messageContent.push({
-                        inlineData: {
-                            data: image.data, // Base64 string
-                            mimeType: image.mimeType || 'image/png'
-                        }
-                    });
-                }
-            }
+            const chat = this.startChat(context, options);
 
             // Send message
-            const result = await chat.sendMessage(messageContent);
+            const result = await chat.sendMessage(
+                this.buildMessageContent(message, options.images),
+                { signal: options.signal }
+            );
             const response = await result.response;
 
             // Check for function calls
@@ -172,43 +138,16 @@ class GeminiProvider extends BaseAPIProvider {
         } catch (error) {
             const latency = Date.now() - startTime;
 
-            // Parse and simplify error messages for users
-            let userMessage = error.message;
-            let logMessage = error.message;
-
-            // Rate limit / Quota errors
-            if (userMessage.includes('429') || userMessage.includes('quota') || userMessage.includes('rate limit')) {
-                userMessage = '⏱️ Gemini API rate limit reached. Please wait a few seconds and try again.';
-                logMessage = 'Rate limit exceeded';
-            }
-            // API Key errors
-            else if (userMessage.includes('API_KEY_INVALID') || userMessage.includes('API key not valid') || userMessage.includes('401')) {
-                userMessage = '🔑 Invalid Gemini API key. Please check your configuration.';
-                logMessage = 'Invalid API key';
-            }
-            // Network/timeout errors
-            else if (userMessage.includes('timeout') || userMessage.includes('ETIMEDOUT') || userMessage.includes('ECONNREFUSED')) {
-                userMessage = '🌐 Cannot connect to Gemini API. Please check your internet connection.';
-                logMessage = 'Connection timeout';
-            }
-            // Generic errors - show only first line
-            else {
-                userMessage = `❌ Gemini API error: ${userMessage.split('\n')[0].substring(0, 100)}`;
-            }
+            const friendlyError = this.friendlyError(error);
 
             // Log simplified version
             logger.error('Gemini API error', {
                 requestId,
-                error: logMessage,
+                error: friendlyError.message.substring(0, 100),
                 latency,
             });
 
-            // Create user-friendly error
-            const friendlyError = new Error(userMessage);
-            friendlyError.code = error.code || 'GEMINI_ERROR';
-
-            const statusCode = this.mapErrorToStatusCode(error);
-            return this.formatError(friendlyError, statusCode);
+            return this.formatError(friendlyError, friendlyError.status);
         }
     }
 
@@ -232,52 +171,193 @@ class GeminiProvider extends BaseAPIProvider {
     }
 
     /**
-     * Stream message response
+     * Stream message response as unified events (see ./stream.js)
      */
-    async streamMessage(message, onChunk, context = {}) {
+    async streamMessage(message, onEvent, context = {}, options = {}) {
         if (!this.initialized) {
             await this.initialize();
         }
 
+        const startTime = Date.now();
         const requestId = this.generateRequestId();
+        const stream = new StreamAccumulator(onEvent);
+        let finishReason = null;
 
         try {
             logger.debug('Streaming message to Gemini', {
                 requestId,
                 model: this.model,
+                tools: options.tools ? options.tools.length : 0
             });
 
-            // Build chat history
-            const history = this.buildGeminiHistory(context);
+            const chat = this.startChat(context, options);
+            const result = await chat.sendMessageStream(
+                this.buildMessageContent(message, options.images),
+                { signal: options.signal }
+            );
 
-            // Create chat session
-            const chat = this.generativeModel.startChat({
-                history,
-                generationConfig: {
-                    maxOutputTokens: this.maxTokens,
-                    temperature: this.temperature,
-                },
-            });
+            // Gemini sends each function call complete within a single chunk
+            let callIndex = 0;
+            for await (const chunk of result.stream) {
+                const candidate = chunk.candidates && chunk.candidates[0];
+
+                for (const part of (candidate && candidate.content && candidate.content.parts) || []) {
+                    if (part.text) {
+                        stream.text(part.text);
+                    } else if (part.functionCall) {
+                        stream.completeToolCall(callIndex, {
+                            name: part.functionCall.name,
+                            arguments: part.functionCall.args
+                        });
+                        callIndex += 1;
+                    }
+                }
 
-            // Send message with streaming
-            const result = await chat.sendMessageStream(message);
+                if (candidate && candidate.finishReason) {
+                    finishReason = candidate.finishReason;
+                }
 
-            // Process chunks
-            for await (const chunk of result.stream) {
-                const text = chunk.text();
-                if (text && onChunk) {
-                    onChunk(text);
+                if (chunk.usageMetadata) {
+                    stream.setUsage({
+                        promptTokens: chunk.usageMetadata.promptTokenCount || 0,
+                        completionTokens: chunk.usageMetadata.candidatesTokenCount || 0,
+                        totalTokens: chunk.usageMetadata.totalTokenCount || 0,
+                    });
                 }
             }
 
-            logger.info('Gemini streaming completed', { requestId });
+            const streamed = stream.done(finishReason);
+            const latency = Date.now() - startTime;
+
+            logger.info('Gemini streaming completed', { requestId, latency, tokens: streamed.usage.totalTokens });
+
+            return this.formatResponse(streamed.content, {
+                model: this.model,
+                usage: streamed.usage,
+                requestId,
+                latency,
+                toolCalls: streamed.toolCalls,
+            });
         } catch (error) {
             logger.error('Gemini streaming error', {
                 requestId,
                 error: error.message,
             });
-            throw error;
+            if (options.signal?.aborted) {
+                throw error;
+            }
+            throw this.friendlyError(error);
+        }
+    }
+
+    /**
+     * Simplify an SDK error for users, keeping its status and rate-limit details
+     */
+    friendlyError(error) {
+        let userMessage = error.message;
+
+        // Rate limit / Quota errors
+        if (userMessage.includes('429') || userMessage.includes('quota') || userMessage.includes('rate limit')) {
+            userMessage = '⏱️ Gemini API rate limit reached. Please wait a few seconds and try again.';
+        }
+        // API Key errors
+        else if (userMessage.includes('API_KEY_INVALID') || userMessage.includes('API key not valid') || userMessage.includes('401')) {
+            userMessage = '🔑 Invalid Gemini API key. Please check your configuration.';
+        }
+        // Network/timeout errors
+        else if (userMessage.includes('timeout') || userMessage.includes('ETIMEDOUT') || userMessage.includes('ECONNREFUSED')) {
+            userMessage = '🌐 Cannot connect to Gemini API. Please check your internet connection.';
+        }
+        // Generic errors - show only first line
+        else {
+            userMessage = `❌ Gemini API error: ${userMessage.split('\n')[0].substring(0, 100)}`;
+        }
+
+        const friendlyError = new Error(userMessage);
+        friendlyError.code = error.code || 'GEMINI_ERROR';
+        friendlyError.status = this.mapErrorToStatusCode(error);
+        friendlyError.rateLimit = parseRateLimit(error);
+        return friendlyError;
+    }
+
+    /**
+     * Start a chat session with history, generation config and tools
+     */
+    startChat(context = {}, options = {}) {
+        const chatObj = {
+            history: this.buildGeminiHistory(context),
+            generationConfig: {
+                maxOutputTokens: this.getMaxOutputTokens(),
+                temperature: this.temperature,
+            },
+        };
+
+        if (options.systemPrompt) {
+            // ChatSession sends this as-is, so it must already be a Content object
+            chatObj.systemInstruction = { role: 'system', parts: [{ text: options.systemPrompt }] };
+        }
+
+        if (options.responseSchema) {
+            chatObj.generationConfig.responseMimeType = 'application/json';
+            chatObj.generationConfig.responseSchema = toGeminiSchema(options.responseSchema);
         }
+
+        if (options.tools && options.tools.length > 0) {
+            chatObj.tools = [{
+                functionDeclarations: options.tools.map(tool => ({
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: tool.parameters
+                }))
+            }];
+        }
+
+        return this.generativeModel.startChat(chatObj);
+    }
+
+    /**
+     * Prepare message content (Text + Images)
+     */
+    buildMessageContent(message, images) {
+        if (!images || images.length === 0) {
+            return message;
+        }
+
+        const messageContent = [message];
+        for (const image of images) {
+            messageContent.push({
+                inlineData: {
+                    data: image.data, // Base64 string
+                    mimeType: image.mimeType || 'image/png'
+                }
+            });
+        }
+        return messageContent;
+    }
+
+    /**
+     * Models from GET /v1beta/models that support generateContent, with their token limits
+     */
+    async fetchModels() {
+        const models = [];
+        let pageToken;
+
+        do {
+            const response = await axios.get('https://generativelanguage.googleapis.com/v1beta/models', {
+                headers: { 'x-goog-api-key': this.apiKey },
+                params: { pageSize: 1000, pageToken },
+            });
+
+            for (const model of response.data.models || []) {
+                const id = model.name.replace(/^models\//, '');
+                if (model.supportedGenerationMethods?.includes('generateContent') && isChatModelName(id)) {
+                    models.push({ id, contextWindow: model.inputTokenLimit, maxOutputTokens: model.outputTokenLimit });
+                }
+            }
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+
+        return models;
     }
 
     /**
@@ -294,7 +374,8 @@ class GeminiProvider extends BaseAPIProvider {
     getCapabilities() {
         return {
             streaming: true,
-            maxTokens: this.maxTokens,
+            maxTokens: this.getMaxOutputTokens(),
+            contextWindow: this.getModelInfo().contextWindow,
             supportedModels: this.availableModels,
             features: ['chat', 'code-generation', 'multimodal'],
         };
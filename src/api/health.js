@@ -0,0 +1,239 @@
+const { logger } = require('../utils/logger');
+const { isRateLimitError } = require('./ratelimit');
+
+const BREAKER_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open',
+};
+
+// Median latency above this lowers a provider's score proportionally
+const LATENCY_BUDGET_MS = 15000;
+const MAX_SAMPLES = 200;
+
+/**
+ * Nearest-rank percentile of a list of numbers
+ */
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length) - 1;
+    return sorted[Math.max(0, Math.min(rank, sorted.length - 1))];
+}
+
+/**
+ * Provider Health
+ * Per-provider circuit breaker and health score built from recent API call results.
+ *
+ * closed    - Requests flow normally; consecutive failures are counted
+ * open      - failureThreshold consecutive failures; the provider is skipped until cooldownMs passes
+ * half_open - Cooldown over; one trial request decides between closed and open, others skip the provider until it settles
+ */
+class ProviderHealth {
+    /**
+     * @param {Object} options - { failureThreshold, cooldownMs, windowMinutes }
+     */
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || 5;
+        this.cooldownMs = options.cooldownMs || 60000;
+        this.windowMinutes = options.windowMinutes || 15;
+        this.providers = new Map();
+    }
+
+    /**
+     * Get (or create) the state kept for a provider
+     */
+    _state(provider) {
+        if (!this.providers.has(provider)) {
+            this.providers.set(provider, {
+                state: BREAKER_STATES.CLOSED,
+                consecutiveFailures: 0,
+                openedAt: null,
+                trialInFlight: false,
+                samples: [], // { success, latencyMs, at }
+            });
+        }
+        return this.providers.get(provider);
+    }
+
+    /**
+     * Seed breaker state and samples from the api_logs table
+     * Rate-limited calls are left out, as they are when recorded live.
+     * @param {Database} database
+     * @param {string[]} providers
+     */
+    async load(database, providers) {
+        for (const provider of providers) {
+            try {
+                const rows = await database.getRecentAPICalls(provider, this.windowMinutes, MAX_SAMPLES);
+                const state = this._state(provider);
+
+                // Rows are newest first; replay oldest first
+                const counted = rows.reverse()
+                    .filter(row => row.success || !isRateLimitError({ status: row.status_code, message: row.error_message }));
+                state.samples = counted.map(row => ({
+                    success: Boolean(row.success),
+                    latencyMs: row.latency_ms || 0,
+                    at: new Date(`${row.created_at.replace(' ', 'T')}Z`).getTime(),
+                }));
+
+                const lastSuccess = state.samples.map(sample => sample.success).lastIndexOf(true);
+                state.consecutiveFailures = state.samples.length - 1 - lastSuccess;
+
+                if (state.consecutiveFailures >= this.failureThreshold) {
+                    state.state = BREAKER_STATES.OPEN;
+                    state.openedAt = state.samples[state.samples.length - 1].at;
+                }
+            } catch (error) {
+                logger.warn('Failed to load provider health', { provider, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Whether a request may be sent to the provider now
+     * An open breaker whose cooldown has passed moves to half-open and allows one trial;
+     * while that trial is in flight no other request is let through.
+     */
+    canAttempt(provider) {
+        const state = this._state(provider);
+
+        if (state.state === BREAKER_STATES.OPEN && Date.now() - state.openedAt >= this.cooldownMs) {
+            state.state = BREAKER_STATES.HALF_OPEN;
+            logger.info('Circuit breaker half-open', { provider });
+        }
+
+        if (state.state === BREAKER_STATES.HALF_OPEN) {
+            return !state.trialInFlight;
+        }
+        return state.state !== BREAKER_STATES.OPEN;
+    }
+
+    /**
+     * Whether the provider is on its half-open trial request (no retries)
+     */
+    isHalfOpen(provider) {
+        return this._state(provider).state === BREAKER_STATES.HALF_OPEN;
+    }
+
+    /**
+     * Claim the half-open trial for a request
+     * @returns {boolean} True when this request is the trial; endTrial() must follow once it settles
+     */
+    startTrial(provider) {
+        const state = this._state(provider);
+        if (state.state !== BREAKER_STATES.HALF_OPEN || state.trialInFlight) {
+            return false;
+        }
+        state.trialInFlight = true;
+        return true;
+    }
+
+    /**
+     * Release the trial; a trial that recorded no result (cancelled, rate limited) leaves the breaker half-open
+     */
+    endTrial(provider) {
+        this._state(provider).trialInFlight = false;
+    }
+
+    /**
+     * Record a successful call
+     */
+    recordSuccess(provider, latencyMs = 0) {
+        const state = this._state(provider);
+        this._addSample(provider, true, latencyMs);
+
+        if (state.state !== BREAKER_STATES.CLOSED) {
+            logger.info('Circuit breaker closed', { provider });
+        }
+        state.state = BREAKER_STATES.CLOSED;
+        state.consecutiveFailures = 0;
+        state.openedAt = null;
+    }
+
+    /**
+     * Record a failed call, opening the breaker when the threshold is reached
+     */
+    recordFailure(provider, latencyMs = 0) {
+        const state = this._state(provider);
+        this._addSample(provider, false, latencyMs);
+        state.consecutiveFailures += 1;
+
+        const shouldOpen = state.state === BREAKER_STATES.HALF_OPEN
+            || (state.state === BREAKER_STATES.CLOSED && state.consecutiveFailures >= this.failureThreshold);
+
+        if (shouldOpen) {
+            state.state = BREAKER_STATES.OPEN;
+            state.openedAt = Date.now();
+            logger.warn('Circuit breaker opened', {
+                provider,
+                consecutiveFailures: state.consecutiveFailures,
+                cooldownMs: this.cooldownMs,
+            });
+        }
+    }
+
+    /**
+     * Keep samples within the time window and size limit
+     */
+    _addSample(provider, success, latencyMs) {
+        const state = this._state(provider);
+        const now = Date.now();
+        const cutoff = now - this.windowMinutes * 60 * 1000;
+        state.samples.push({ success, latencyMs: latencyMs || 0, at: now });
+        state.samples = state.samples.filter(sample => sample.at >= cutoff).slice(-MAX_SAMPLES);
+    }
+
+    /**
+     * Health statistics for a provider
+     * @returns {Object} { state, samples, errorRate, p50, p95, consecutiveFailures, retryInMs, score }
+     */
+    getStats(provider) {
+        const state = this._state(provider);
+        const cutoff = Date.now() - this.windowMinutes * 60 * 1000;
+        const samples = state.samples.filter(sample => sample.at >= cutoff);
+        const failures = samples.filter(sample => !sample.success).length;
+        // Failed calls often end at a timeout, so only successful calls count towards latency
+        const latencies = samples.filter(sample => sample.success).map(sample => sample.latencyMs);
+
+        const errorRate = samples.length > 0 ? failures / samples.length : 0;
+        const p50 = percentile(latencies, 50);
+        const p95 = percentile(latencies, 95);
+        const latencyFactor = p50 ? LATENCY_BUDGET_MS / Math.max(LATENCY_BUDGET_MS, p50) : 1;
+
+        return {
+            state: state.state,
+            samples: samples.length,
+            errorRate,
+            p50,
+            p95,
+            consecutiveFailures: state.consecutiveFailures,
+            retryInMs: state.state === BREAKER_STATES.OPEN
+                ? Math.max(0, this.cooldownMs - (Date.now() - state.openedAt))
+                : 0,
+            score: (1 - errorRate) * latencyFactor,
+        };
+    }
+
+    /**
+     * Order providers by health: open breakers last, then by score in steps of 0.1
+     * so small differences keep the configured order
+     * @param {string[]} providerOrder - Configured order
+     */
+    order(providerOrder) {
+        const ranked = providerOrder.map((provider, index) => {
+            const stats = this.getStats(provider);
+            return {
+                provider,
+                index,
+                open: stats.state === BREAKER_STATES.OPEN,
+                bucket: Math.round(stats.score * 10),
+            };
+        });
+
+        ranked.sort((a, b) => (a.open - b.open) || (b.bucket - a.bucket) || (a.index - b.index));
+        return ranked.map(entry => entry.provider);
+    }
+}
+
+module.exports = { ProviderHealth, BREAKER_STATES };
@@ -0,0 +1,246 @@
+const { logger } = require('../utils/logger');
+
+/**
+ * Build a registry entry
+ * @param {string} provider - Provider that serves the model
+ * @param {number} contextWindow - Input + output tokens the model accepts
+ * @param {number} maxOutputTokens - Largest completion the model can produce
+ * @param {Object|null} pricing - { input, output } in USD per million tokens, null if unknown
+ * @param {Object} capabilities - Overrides for { chat, tools, vision, streaming }
+ */
+const entry = (provider, contextWindow, maxOutputTokens, pricing, capabilities = {}) => ({
+    provider,
+    contextWindow,
+    maxOutputTokens,
+    chat: true,
+    tools: true,
+    vision: false,
+    streaming: true,
+    ...capabilities,
+    pricing,
+});
+
+const VISION = { vision: true };
+const NO_TOOLS = { tools: false };
+const NOT_CHAT = { chat: false, tools: false, streaming: false };
+
+/**
+ * Built-in models, in the order /model lists them
+ */
+const BUILTIN_MODELS = {
+    // Gemini 3.1 Series
+    'gemini-3.1-pro': entry('gemini', 1048576, 65536, { input: 2, output: 12 }, VISION),
+    'gemini-3.1-flash': entry('gemini', 1048576, 65536, { input: 0.5, output: 3 }, VISION),
+    'gemini-3.1-pro-image': entry('gemini', 65536, 32768, { input: 2, output: 12 }, { ...VISION, ...NO_TOOLS }),
+    // Gemini 3 Series
+    'gemini-3-flash': entry('gemini', 1048576, 65536, { input: 0.5, output: 3 }, VISION),
+    'gemini-3-pro': entry('gemini', 1048576, 65536, { input: 2, output: 12 }, VISION),
+    'gemini-3-pro-image': entry('gemini', 65536, 32768, { input: 2, output: 12 }, { ...VISION, ...NO_TOOLS }),
+    'gemini-3-deep-think': entry('gemini', 1048576, 65536, { input: 2, output: 12 }, VISION),
+    // Gemini 2.5 Series
+    'gemini-2.5-pro': entry('gemini', 1048576, 65536, { input: 1.25, output: 10 }, VISION),
+    'gemini-2.5-flash': entry('gemini', 1048576, 65536, { input: 0.3, output: 2.5 }, VISION),
+    'gemini-2.5-flash-tts': entry('gemini', 8192, 16384, { input: 0.5, output: 10 }, NOT_CHAT),
+    // Gemini Legacy
+    'gemini-2.0-flash-exp': entry('gemini', 1048576, 8192, { input: 0, output: 0 }, VISION),
+    'gemini-2.0-flash': entry('gemini', 1048576, 8192, { input: 0.1, output: 0.4 }, VISION),
+    'gemini-2.0-flash-lite': entry('gemini', 1048576, 8192, { input: 0.075, output: 0.3 }, VISION),
+    'gemini-1.5-pro': entry('gemini', 2097152, 8192, { input: 1.25, output: 5 }, VISION),
+    'gemini-1.5-flash': entry('gemini', 1048576, 8192, { input: 0.075, output: 0.3 }, VISION),
+    'gemini-1.0-pro': entry('gemini', 32768, 8192, { input: 0.5, output: 1.5 }),
+
+    // Claude Opus Series
+    'claude-opus-4.6': entry('claude', 200000, 128000, { input: 5, output: 25 }, VISION),
+    'claude-opus-4.1': entry('claude', 200000, 32000, { input: 15, output: 75 }, VISION),
+    'claude-opus-4': entry('claude', 200000, 32000, { input: 15, output: 75 }, VISION),
+    // Claude Sonnet Series
+    'claude-sonnet-4.5': entry('claude', 200000, 64000, { input: 3, output: 15 }, VISION),
+    'claude-sonnet-4': entry('claude', 200000, 64000, { input: 3, output: 15 }, VISION),
+    'claude-sonnet-3.7': entry('claude', 200000, 64000, { input: 3, output: 15 }, VISION),
+    'claude-sonnet-3.5': entry('claude', 200000, 8192, { input: 3, output: 15 }, VISION),
+    // Claude Haiku Series
+    'claude-haiku-4.5': entry('claude', 200000, 64000, { input: 1, output: 5 }, VISION),
+    'claude-haiku-3.5': entry('claude', 200000, 8192, { input: 0.8, output: 4 }, VISION),
+    'claude-haiku-3': entry('claude', 200000, 4096, { input: 0.25, output: 1.25 }, VISION),
+
+    // OpenAI GPT-5.3 Series
+    'gpt-5.3-codex': entry('openai', 400000, 128000, { input: 1.75, output: 14 }, VISION),
+    'gpt-5.3-codex-spark': entry('openai', 128000, 32000, { input: 1.75, output: 14 }),
+    // OpenAI GPT-5.2 Series
+    'gpt-5.2': entry('openai', 400000, 128000, { input: 1.75, output: 14 }, VISION),
+    'gpt-5.2-pro': entry('openai', 400000, 128000, { input: 21, output: 168 }, VISION),
+    'gpt-5.2-codex': entry('openai', 400000, 128000, { input: 1.75, output: 14 }, VISION),
+    // OpenAI GPT-5.1 Series
+    'gpt-5.1': entry('openai', 400000, 128000, { input: 1.25, output: 10 }, VISION),
+    'gpt-5.1-codex': entry('openai', 400000, 128000, { input: 1.25, output: 10 }, VISION),
+    'gpt-5.1-codex-max': entry('openai', 400000, 128000, { input: 1.25, output: 10 }, VISION),
+    // OpenAI GPT-5.0 Series
+    'gpt-5': entry('openai', 400000, 128000, { input: 1.25, output: 10 }, VISION),
+    'gpt-5-pro': entry('openai', 400000, 272000, { input: 15, output: 120 }, VISION),
+    'gpt-5-codex': entry('openai', 400000, 128000, { input: 1.25, output: 10 }, VISION),
+    'gpt-5-mini': entry('openai', 400000, 128000, { input: 0.25, output: 2 }, VISION),
+    'gpt-5-nano': entry('openai', 400000, 128000, { input: 0.05, output: 0.4 }, VISION),
+    // OpenAI o-Series (Reasoning)
+    'o3': entry('openai', 200000, 100000, { input: 2, output: 8 }, VISION),
+    'o3-pro': entry('openai', 200000, 100000, { input: 20, output: 80 }, VISION),
+    'o3-mini': entry('openai', 200000, 100000, { input: 1.1, output: 4.4 }),
+    'o4-mini-deep-research': entry('openai', 200000, 100000, { input: 2, output: 8 }, VISION),
+    // OpenAI GPT-4.1 Series
+    'gpt-4.1': entry('openai', 1047576, 32768, { input: 2, output: 8 }, VISION),
+    'gpt-4.1-mini': entry('openai', 1047576, 32768, { input: 0.4, output: 1.6 }, VISION),
+    'gpt-4.1-nano': entry('openai', 1047576, 32768, { input: 0.1, output: 0.4 }, VISION),
+    // OpenAI Multimodal
+    'gpt-image-1': entry('openai', 32768, 4096, { input: 5, output: 40 }, { ...VISION, ...NOT_CHAT }),
+    'gpt-image-1-mini': entry('openai', 32768, 4096, { input: 2, output: 8 }, { ...VISION, ...NOT_CHAT }),
+    // OpenAI Audio / Realtime
+    'gpt-audio': entry('openai', 128000, 16384, { input: 2.5, output: 10 }, NOT_CHAT),
+    'gpt-audio-mini': entry('openai', 128000, 16384, { input: 0.6, output: 2.4 }, NOT_CHAT),
+    'gpt-realtime': entry('openai', 32000, 4096, { input: 4, output: 16 }, NOT_CHAT),
+    'gpt-realtime-mini': entry('openai', 32000, 4096, { input: 0.6, output: 2.4 }, NOT_CHAT),
+    // OpenAI Embedding
+    'text-embedding-3-large': entry('openai', 8191, 0, { input: 0.13, output: 0 }, NOT_CHAT),
+    'text-embedding-3-small': entry('openai', 8191, 0, { input: 0.02, output: 0 }, NOT_CHAT),
+    // OpenAI Speech / Utility
+    'whisper': entry('openai', 0, 0, null, NOT_CHAT),
+    'tts-1': entry('openai', 4096, 0, null, NOT_CHAT),
+    'tts-1-hd': entry('openai', 4096, 0, null, NOT_CHAT),
+    'omni-moderation': entry('openai', 32768, 0, { input: 0, output: 0 }, NOT_CHAT),
+    // OpenAI Open-Weight
+    'gpt-oss-120b': entry('openai', 131072, 131072, { input: 0.15, output: 0.6 }),
+    'gpt-oss-20b': entry('openai', 131072, 131072, { input: 0.05, output: 0.2 }),
+};
+
+/**
+ * Assumed limits for models the registry does not know (Ollama tags, custom servers)
+ */
+const DEFAULT_MODEL = {
+    provider: null,
+    contextWindow: 8192,
+    maxOutputTokens: 4096,
+    chat: true,
+    tools: true,
+    vision: false,
+    streaming: true,
+    pricing: null,
+};
+
+/**
+ * Model Registry
+ * Single source for model lists, context windows, output limits, capabilities and pricing
+ */
+class ModelRegistry {
+    constructor() {
+        this.models = new Map();
+        this.registerAll(BUILTIN_MODELS);
+    }
+
+    /**
+     * Add or update a model; partial entries are merged over the existing one
+     * @param {string} id - Model name as sent to the API
+     * @param {Object} info - { provider, contextWindow, maxOutputTokens, tools, vision, streaming, pricing }
+     */
+    register(id, info = {}) {
+        const existing = this.models.get(id) || DEFAULT_MODEL;
+        this.models.set(id, { ...existing, ...info });
+    }
+
+    /**
+     * Register a map of model entries (e.g. user entries from config)
+     */
+    registerAll(models = {}) {
+        for (const [id, info] of Object.entries(models)) {
+            if (!info || typeof info !== 'object') {
+                logger.warn('Skipping invalid model entry', { model: id });
+                continue;
+            }
+            this.register(id, info);
+        }
+    }
+
+    /**
+     * Get a registered model, or null
+     */
+    get(id) {
+        const info = this.models.get(id);
+        return info ? { id, ...info } : null;
+    }
+
+    /**
+     * Get a model's info, falling back to conservative defaults for unknown models
+     */
+    resolve(id) {
+        return this.get(id) || { id, ...DEFAULT_MODEL };
+    }
+
+    /**
+     * Check whether a model is registered
+     */
+    has(id) {
+        return this.models.has(id);
+    }
+
+    /**
+     * Closest registered family entry for a model id the registry does not know
+     * Dated snapshots and aliases map to their family: claude-sonnet-4-5-20250929 and
+     * claude-3-5-sonnet-latest to claude-sonnet-4.5 / claude-sonnet-3.5, gpt-5-mini-2025-08-07 to gpt-5-mini.
+     * @param {string} id - Model name as the provider's API reports it
+     * @param {string} provider - Only entries served by this provider
+     * @returns {Object|null} The longest registered name the normalized id starts with
+     */
+    findFamily(id, provider) {
+        let name = id.toLowerCase()
+            .replace(/-(latest|\d{8}|\d{4}-\d{2}-\d{2})$/, '')
+            .replace(/(\d)-(\d)(?=-|$)/g, '$1.$2');
+        // Older Claude ids put the version first: claude-3.5-sonnet
+        name = name.replace(/^claude-(\d+(?:\.\d+)?)-(opus|sonnet|haiku)/, 'claude-$2-$1');
+
+        const family = this.list(provider)
+            .filter(candidate => name === candidate || name.startsWith(`${candidate}-`))
+            .sort((a, b) => b.length - a.length)[0];
+        return family ? this.get(family) : null;
+    }
+
+    /**
+     * Model names served by a provider, in registration order
+     * @param {string} provider - Provider name
+     * @param {string} capability - Only models with this capability flag, e.g. 'chat'
+     * @returns {string[]}
+     */
+    list(provider, capability = null) {
+        return Array.from(this.models.entries())
+            .filter(([, info]) => info.provider === provider && (!capability || info[capability] === true))
+            .map(([id]) => id);
+    }
+
+    /**
+     * Output token budget for a request: the configured budget, capped by the model's limit
+     * @param {string} id - Model name
+     * @param {number} budget - Configured max tokens
+     */
+    getMaxOutputTokens(id, budget) {
+        const info = this.get(id);
+        // Unknown models (Ollama tags, custom servers) get the configured budget as-is
+        if (!info || !info.maxOutputTokens) {
+            return budget || DEFAULT_MODEL.maxOutputTokens;
+        }
+        return budget ? Math.min(budget, info.maxOutputTokens) : info.maxOutputTokens;
+    }
+
+    /**
+     * Context window in tokens
+     */
+    getContextWindow(id) {
+        return this.resolve(id).contextWindow;
+    }
+
+    /**
+     * Check a capability flag: 'chat', 'tools', 'vision' or 'streaming'
+     */
+    supports(id, capability) {
+        return this.resolve(id)[capability] === true;
+    }
+}
+
+const modelRegistry = new ModelRegistry();
+
+module.exports = { ModelRegistry, modelRegistry, BUILTIN_MODELS, DEFAULT_MODEL };
@@ -1,17 +1,23 @@
 const axios = require('axios');
 const { BaseAPIProvider } = require('./base');
+const { StreamAccumulator } = require('./stream');
+const { parseRateLimit } = require('./ratelimit');
+const { isChatModelName } = require('./discovery');
 const { logger } = require('../utils/logger');
 
 class OllamaProvider extends BaseAPIProvider {
     constructor(config) {
         super(config, 'ollama');
         this.baseUrl = config.ollama?.baseUrl || 'http://localhost:11434';
-        this.defaultModel = config.ollama?.model || 'llama3';
+        this.model = config.ollama?.model || 'llama3';
+        this.maxTokens = config.ollama?.maxTokens || 4096;
+        // Filled from /api/tags by listModels()
+        this.availableModels = [];
     }
 
     async initialize() {
         this.initialized = true;
-        logger.info('OllamaProvider initialized', { baseUrl: this.baseUrl, model: this.defaultModel });
+        logger.info('OllamaProvider initialized', { baseUrl: this.baseUrl, model: this.model });
         return true;
     }
 
@@ -20,54 +26,278 @@ class OllamaProvider extends BaseAPIProvider {
         return true;
     }
 
-    async sendMessage(message, context) {
+    async sendMessage(message, context, options = {}) {
         if (!this.initialized) await this.initialize();
 
-        const messages = this.buildContextMessages(message, context);
-        const requestBody = {
-            model: this.defaultModel,
-            messages,
-            stream: false,
-            options: {
-                // Approximate mapping of config to Ollama options
-                num_predict: this.config.ollama?.maxTokens || 4096,
-                temperature: 0.7
-            }
-        };
-
         const startTime = Date.now();
 
         try {
-            const response = await axios.post(`${this.baseUrl}/api/chat`, requestBody);
+            const response = await axios.post(
+                `${this.baseUrl}/api/chat`,
+                this.buildRequest(message, context, options, false),
+                { signal: options.signal }
+            );
             const { data } = response;
 
             // Ollama response format:
-            // { model: 'llama3', created_at: '...', message: { role: 'assistant', content: '...' }, done: true, ... }
+            // { model: 'llama3', created_at: '...', message: { role: 'assistant', content: '...', tool_calls: [...] }, done: true, ... }
 
             if (!data || !data.message) {
                 throw new Error('Invalid response from Ollama');
             }
 
-            return this.formatResponse(data.message.content, {
+            const toolCalls = (data.message.tool_calls || []).map(call => this.toToolCall(call));
+
+            return this.formatResponse(data.message.content || '', {
                 model: data.model,
-                usage: {
-                    promptTokens: data.prompt_eval_count || 0,
-                    completionTokens: data.eval_count || 0,
-                    totalTokens: (data.prompt_eval_count || 0) + (data.eval_count || 0)
-                },
-                latency: Date.now() - startTime
+                usage: this.extractUsage(data),
+                latency: Date.now() - startTime,
+                toolCalls: toolCalls.length > 0 ? toolCalls : null,
             });
 
         } catch (error) {
             logger.error('Ollama API request failed', { error: error.message });
+            const friendlyError = this.friendlyError(error);
+            return this.formatError(friendlyError, friendlyError.status || 500);
+        }
+    }
+
+    /**
+     * Stream a response from /api/chat (newline-delimited JSON) as unified events
+     */
+    async streamMessage(message, onEvent, context = {}, options = {}) {
+        if (!this.initialized) await this.initialize();
+
+        const startTime = Date.now();
+        const stream = new StreamAccumulator(onEvent);
+        let finishReason = null;
+        let callIndex = 0;
+
+        const handleLine = line => {
+            if (!line.trim()) return;
+
+            const data = JSON.parse(line);
+            if (data.error) {
+                throw new Error(data.error);
+            }
+
+            if (data.message?.content) {
+                stream.text(data.message.content);
+            }
+
+            // Ollama sends each tool call complete
+            for (const call of data.message?.tool_calls || []) {
+                stream.completeToolCall(callIndex, this.toToolCall(call));
+                callIndex += 1;
+            }
 
-            // Handle connection refused (Ollama likely not running)
-            if (error.code === 'ECONNREFUSED') {
-                return this.formatError(new Error(`Connection refused. Is Ollama running on ${this.baseUrl}?`));
+            if (data.done) {
+                finishReason = data.done_reason || 'stop';
+                stream.setUsage(this.extractUsage(data));
             }
+        };
+
+        try {
+            const response = await axios.post(
+                `${this.baseUrl}/api/chat`,
+                this.buildRequest(message, context, options, true),
+                { signal: options.signal, responseType: 'stream' }
+            );
+
+            let buffer = '';
+            for await (const chunk of response.data) {
+                buffer += chunk.toString('utf8');
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                lines.forEach(handleLine);
+            }
+            handleLine(buffer);
+
+            const result = stream.done(finishReason);
+            const latency = Date.now() - startTime;
+
+            logger.info('Ollama streaming completed', { model: this.model, latency, tokens: result.usage.totalTokens });
+
+            return this.formatResponse(result.content, {
+                model: this.model,
+                usage: result.usage,
+                latency,
+                toolCalls: result.toolCalls,
+            });
+        } catch (error) {
+            logger.error('Ollama streaming error', { error: error.message });
+            if (options.signal?.aborted) {
+                throw error;
+            }
+            throw this.friendlyError(error);
+        }
+    }
+
+    /**
+     * Build the /api/chat request body
+     */
+    buildRequest(message, context, options, stream) {
+        const request = {
+            model: this.model,
+            messages: this.buildOllamaMessages(message, context, options.images),
+            stream,
+            options: {
+                // Approximate mapping of config to Ollama options
+                num_predict: this.getMaxOutputTokens(),
+                temperature: 0.7
+            }
+        };
 
-            return this.formatError(error);
+        if (options.systemPrompt) {
+            request.messages.unshift({ role: 'system', content: options.systemPrompt });
         }
+
+        if (options.tools && options.tools.length > 0) {
+            request.tools = options.tools.map(tool => ({
+                type: 'function',
+                function: {
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: tool.parameters
+                }
+            }));
+        }
+
+        // Ollama constrains the output to a JSON schema passed as format
+        if (options.responseSchema) {
+            request.format = options.responseSchema;
+        }
+
+        return request;
+    }
+
+    /**
+     * Convert conversation history to Ollama chat messages
+     * Tool results become role 'tool' messages; images are attached to the new user message.
+     */
+    buildOllamaMessages(message, context = {}, images = []) {
+        const messages = [];
+
+        for (const msg of (context && context.messages) || []) {
+            const metadata = msg.metadata || {};
+
+            if (msg.role === 'system' && metadata.type === 'tool_result') {
+                messages.push({ role: 'tool', content: msg.content || '', tool_name: metadata.toolName });
+            } else if (msg.role === 'assistant' && metadata.toolCalls && metadata.toolCalls.length > 0) {
+                messages.push({
+                    role: 'assistant',
+                    content: msg.content || '',
+                    tool_calls: metadata.toolCalls.map(call => ({
+                        function: { name: call.name, arguments: call.arguments || {} }
+                    }))
+                });
+            } else {
+                messages.push({ role: msg.role, content: msg.content || '' });
+            }
+        }
+
+        if (message) {
+            const userMessage = { role: 'user', content: message };
+            if (images && images.length > 0) {
+                // Base64 without a data: prefix
+                userMessage.images = images.map(image => image.data);
+            }
+            messages.push(userMessage);
+        }
+
+        return messages;
+    }
+
+    /**
+     * Convert an Ollama tool call to the engine's { id, name, arguments } format
+     */
+    toToolCall(call) {
+        let args = call.function?.arguments || {};
+        if (typeof args === 'string') {
+            try {
+                args = JSON.parse(args);
+            } catch (error) {
+                args = { _raw: args, _parseError: error.message };
+            }
+        }
+
+        return {
+            id: `call_${Math.random().toString(36).substr(2, 9)}`,
+            name: call.function?.name,
+            arguments: args
+        };
+    }
+
+    /**
+     * Token usage from a final response or stream line
+     */
+    extractUsage(data) {
+        return {
+            promptTokens: data.prompt_eval_count || 0,
+            completionTokens: data.eval_count || 0,
+            totalTokens: (data.prompt_eval_count || 0) + (data.eval_count || 0)
+        };
+    }
+
+    /**
+     * Map connection and missing-model errors to actionable messages
+     * The HTTP status and rate-limit headers (e.g. from a proxy's 429) are kept for the orchestrator.
+     */
+    friendlyError(error) {
+        let friendlyError = error;
+        // Handle connection refused (Ollama likely not running)
+        if (error.code === 'ECONNREFUSED') {
+            friendlyError = new Error(`Connection refused. Is Ollama running on ${this.baseUrl}?`);
+        } else if (error.response?.status === 404) {
+            friendlyError = new Error(`Model "${this.model}" not found. Pull it with: ollama pull ${this.model}`);
+        }
+        friendlyError.status = error.response?.status;
+        friendlyError.rateLimit = parseRateLimit(error);
+        return friendlyError;
+    }
+
+    /**
+     * Installed models are read from the local server every time; the disk cache
+     * only answers while the server is down
+     */
+    async listModels(options = {}) {
+        return super.listModels({ ...options, refresh: true });
+    }
+
+    /**
+     * Locally installed chat models from /api/tags (CLIP-family models accept images)
+     */
+    async fetchModels() {
+        const response = await axios.get(`${this.baseUrl}/api/tags`);
+        return (response.data.models || [])
+            .filter(model => isChatModelName(model.name))
+            .map(model => ({
+                id: model.name,
+                vision: (model.details?.families || []).some(family => ['clip', 'mllama'].includes(family)),
+            }));
+    }
+
+    /**
+     * Switch model; names must match /api/tags once it has been listed
+     */
+    setModel(model) {
+        const known = this.availableModels.some(name => name === model || name === `${model}:latest`);
+        if (this.availableModels.length > 0 && !known) {
+            throw new Error(`Model not installed: ${model}. Installed: ${this.availableModels.join(', ')}`);
+        }
+
+        this.model = model;
+        logger.info('Ollama model changed', { model: this.model });
+    }
+
+    getCapabilities() {
+        return {
+            streaming: true,
+            maxTokens: this.getMaxOutputTokens(),
+            contextWindow: this.getModelInfo().contextWindow,
+            supportedModels: this.availableModels,
+            features: ['chat', 'code-generation', 'function-calling', 'vision'],
+        };
     }
 
     // Explicitly override healthCheck to be more robust
@@ -0,0 +1,106 @@
+const OpenAI = require('openai');
+const { OpenAIProvider } = require('./openai');
+const { isChatModelName } = require('./discovery');
+const { logger } = require('../utils/logger');
+
+/**
+ * OpenAI-Compatible API Provider
+ * Any server that speaks the OpenAI chat completions API (vLLM, LM Studio, llama.cpp, ...).
+ * Each configured instance is a separate provider with its own name in the failover chain.
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+    /**
+     * @param {string} name - Instance name used in providerOrder, logs and /provider
+     * @param {Object} options - { baseUrl, model, apiKey, headers, maxTokens, temperature }
+     */
+    constructor(name, options = {}) {
+        super(options.apiKey || null, options);
+        this.name = name;
+        this.label = name;
+        this.baseUrl = options.baseUrl;
+        this.headers = options.headers || {};
+        this.model = options.model;
+        this.availableModels = [options.model];
+    }
+
+    /**
+     * Initialize the OpenAI client against the instance's base URL
+     */
+    async initialize() {
+        try {
+            this.client = new OpenAI({
+                // Local servers usually accept any key, but the SDK requires one
+                apiKey: this.apiKey || 'not-needed',
+                baseURL: this.baseUrl,
+                defaultHeaders: this.headers,
+                // The orchestrator retries and fails over; SDK retries would multiply the wait
+                maxRetries: 0,
+            });
+            this.initialized = true;
+            this.healthy = true;
+
+            logger.info('OpenAI-compatible provider initialized', {
+                name: this.name,
+                baseUrl: this.baseUrl,
+                model: this.model,
+            });
+            return true;
+        } catch (error) {
+            logger.error('Failed to initialize OpenAI-compatible provider', { name: this.name, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Keys are optional and server-specific
+     */
+    validateApiKey(_apiKey) {
+        return true;
+    }
+
+    /**
+     * Compatible servers expect the classic 'system' role whatever the model name
+     */
+    getSystemRole() {
+        return 'system';
+    }
+
+    /**
+     * Servers list whatever they host under their own names; only drop known non-chat families
+     */
+    isChatModel(id) {
+        return isChatModelName(id);
+    }
+
+    /**
+     * Check that the server is reachable and lists models
+     */
+    async healthCheck() {
+        try {
+            if (!this.initialized) {
+                await this.initialize();
+            }
+            await this.client.models.list();
+            this.healthy = true;
+        } catch (error) {
+            this.healthy = false;
+        }
+        this.lastHealthCheck = new Date();
+        return this.healthy;
+    }
+
+    /**
+     * Get provider capabilities
+     */
+    getCapabilities() {
+        return {
+            streaming: true,
+            maxTokens: this.getMaxOutputTokens(),
+            contextWindow: this.getModelInfo().contextWindow,
+            supportedModels: this.availableModels,
+            features: ['chat', 'code-generation', 'function-calling'],
+        };
+    }
+}
+
+module.exports = { OpenAICompatibleProvider };
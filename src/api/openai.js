@@ -1,5 +1,9 @@
 const OpenAI = require('openai');
 const { BaseAPIProvider } = require('./base');
+const { StreamAccumulator } = require('./stream');
+const { parseRateLimit } = require('./ratelimit');
+const { modelRegistry } = require('./models');
+const { isChatModelName } = require('./discovery');
 const { logger } = require('../utils/logger');
 
 /**
@@ -8,6 +12,7 @@ const { logger } = require('../utils/logger');
 class OpenAIProvider extends BaseAPIProvider {
     constructor(apiKey, options = {}) {
         super(options, 'openai');
+        this.label = 'OpenAI'; // Used in log and error messages
         this.apiKey = apiKey;
         this.model = options.model || 'gpt-5.2';
         this.maxTokens = options.maxTokens || 8192;
@@ -15,63 +20,7 @@ class OpenAIProvider extends BaseAPIProvider {
         this.client = null;
 
         // Available OpenAI models
-        this.availableModels = [
-            // GPT-5.3 Series (EN YENİ)
-            'gpt-5.3-codex',
-            'gpt-5.3-codex-spark',
-
-            // GPT-5.2 Series
-            'gpt-5.2',
-            'gpt-5.2-pro',
-            'gpt-5.2-codex',
-
-            // GPT-5.1 Series
-            'gpt-5.1',
-            'gpt-5.1-codex',
-            'gpt-5.1-codex-max',
-
-            // GPT-5.0 Series
-            'gpt-5',
-            'gpt-5-pro',
-            'gpt-5-codex',
-            'gpt-5-mini',
-            'gpt-5-nano',
-
-            // Reasoning / Araştırma (o-Serisi)
-            'o3',
-            'o3-pro',
-            'o3-mini',
-            'o4-mini-deep-research',
-
-            // GPT-4.1 Series
-            'gpt-4.1',
-            'gpt-4.1-mini',
-            'gpt-4.1-nano',
-
-            // Multimodal / Görsel
-            'gpt-image-1',
-            'gpt-image-1-mini',
-
-            // Ses / Realtime
-            'gpt-audio',
-            'gpt-audio-mini',
-            'gpt-realtime',
-            'gpt-realtime-mini',
-
-            // Embedding
-            'text-embedding-3-large',
-            'text-embedding-3-small',
-
-            // Speech / Utility
-            'whisper',
-            'tts-1',
-            'tts-1-hd',
-            'omni-moderation',
-
-            // Open-Weight (Açık Ağırlık)
-            'gpt-oss-120b',
-            'gpt-oss-20b',
-        ];
+        this.availableModels = modelRegistry.list('openai', 'chat');
     }
 
     /**
@@ -81,6 +30,8 @@ class OpenAIProvider extends BaseAPIProvider {
         try {
             this.client = new OpenAI({
                 apiKey: this.apiKey,
+                // Retries and rate-limit backoff belong to the orchestrator, not the SDK
+                maxRetries: 0,
             });
             this.initialized = true;
             this.healthy = true;
@@ -96,7 +47,7 @@ class OpenAIProvider extends BaseAPIProvider {
     /**
      * Send message to OpenAI
      */
-    async sendMessage(message, context = {}) {
+    async sendMessage(message, context = {}, options = {}) {
         if (!this.initialized) {
             await this.initialize();
         }
@@ -105,27 +56,28 @@ class OpenAIProvider extends BaseAPIProvider {
         const requestId = this.generateRequestId();
 
         try {
-            logger.debug('Sending message to OpenAI', {
+            logger.debug(`Sending message to ${this.label}`, {
                 requestId,
                 model: this.model,
                 messageLength: message.length,
             });
 
-            // Build messages array
-            const messages = this.buildContextMessages(message, context);
-
             // Send to OpenAI API
-            const response = await this.client.chat.completions.create({
-                model: this.model,
-                max_tokens: this.maxTokens,
-                temperature: this.temperature,
-                messages,
-            });
+            const response = await this.client.chat.completions.create(
+                this.buildRequest(message, context, options),
+                { signal: options.signal },
+            );
 
             const latency = Date.now() - startTime;
 
-            // Extract content
+            // Extract content and tool calls
             const content = response.choices[0]?.message?.content || '';
+            const toolCalls = (response.choices[0]?.message?.tool_calls || [])
+                .map(call => ({
+                    id: call.id,
+                    name: call.function.name,
+                    arguments: this.parseToolArguments(call.function.arguments),
+                }));
 
             // Extract token usage
             const usage = {
@@ -134,7 +86,7 @@ class OpenAIProvider extends BaseAPIProvider {
                 totalTokens: response.usage.total_tokens,
             };
 
-            logger.info('OpenAI response received', {
+            logger.info(`${this.label} response received`, {
                 requestId,
                 model: this.model,
                 latency,
@@ -146,79 +98,249 @@ class OpenAIProvider extends BaseAPIProvider {
                 usage,
                 requestId,
                 latency,
+                toolCalls: toolCalls.length > 0 ? toolCalls : null,
             });
         } catch (error) {
             const latency = Date.now() - startTime;
 
-            // Simplify error messages for users
-            let userMessage = error.message;
-            if (userMessage.includes('429') || userMessage.includes('quota') || userMessage.includes('rate limit')) {
-                userMessage = '⏱️ OpenAI API rate limit reached. Please wait and try again.';
-            } else if (userMessage.includes('401') || userMessage.includes('authentication')) {
-                userMessage = '🔑 Invalid OpenAI API key. Please check your configuration.';
-            } else if (userMessage.includes('timeout') || userMessage.includes('ETIMEDOUT')) {
-                userMessage = '🌐 Cannot connect to OpenAI API. Check your internet connection.';
-            } else {
-                userMessage = `❌ OpenAI API error: ${userMessage.split('\n')[0].substring(0, 100)}`;
-            }
+            const friendlyError = this.friendlyError(error);
 
-            logger.error('OpenAI API error', {
+            logger.error(`${this.label} API error`, {
                 requestId,
-                error: userMessage.substring(0, 100),
+                error: friendlyError.message.substring(0, 100),
                 latency,
             });
 
             // Map OpenAI errors to standard format
-            const statusCode = error.status || 500;
-            const friendlyError = new Error(userMessage);
-            return this.formatError(friendlyError, statusCode);
+            return this.formatError(friendlyError, friendlyError.status);
         }
     }
 
     /**
-     * Stream message response
+     * Stream message response as unified events (see ./stream.js)
      */
-    async streamMessage(message, onChunk, context = {}) {
+    async streamMessage(message, onEvent, context = {}, options = {}) {
         if (!this.initialized) {
             await this.initialize();
         }
 
+        const startTime = Date.now();
         const requestId = this.generateRequestId();
+        const stream = new StreamAccumulator(onEvent);
+        let finishReason = null;
 
         try {
-            logger.debug('Streaming message to OpenAI', {
+            logger.debug(`Streaming message to ${this.label}`, {
                 requestId,
                 model: this.model,
             });
 
-            // Build messages array
-            const messages = this.buildContextMessages(message, context);
-
-            // Stream from OpenAI API
-            const stream = await this.client.chat.completions.create({
-                model: this.model,
-                max_tokens: this.maxTokens,
-                temperature: this.temperature,
-                messages,
+            const chunks = await this.client.chat.completions.create({
+                ...this.buildRequest(message, context, options),
                 stream: true,
-            });
+                stream_options: { include_usage: true },
+            }, { signal: options.signal });
+
+            for await (const chunk of chunks) {
+                const choice = chunk.choices[0];
 
-            // Process chunks
-            for await (const chunk of stream) {
-                const text = chunk.choices[0]?.delta?.content;
-                if (text && onChunk) {
-                    onChunk(text);
+                if (choice?.delta?.content) {
+                    stream.text(choice.delta.content);
+                }
+
+                // Tool calls arrive as fragments keyed by index: id and name first, then argument pieces
+                for (const call of choice?.delta?.tool_calls || []) {
+                    if (!stream.hasToolCall(call.index)) {
+                        stream.toolCallStart(call.index, { id: call.id, name: call.function?.name });
+                    }
+                    stream.toolCallDelta(call.index, call.function?.arguments);
+                }
+
+                if (choice?.finish_reason) {
+                    finishReason = choice.finish_reason;
+                }
+
+                // With include_usage the final chunk has usage and no choices
+                if (chunk.usage) {
+                    stream.setUsage({
+                        promptTokens: chunk.usage.prompt_tokens,
+                        completionTokens: chunk.usage.completion_tokens,
+                        totalTokens: chunk.usage.total_tokens,
+                    });
                 }
             }
 
-            logger.info('OpenAI streaming completed', { requestId });
+            const result = stream.done(finishReason);
+            const latency = Date.now() - startTime;
+
+            logger.info(`${this.label} streaming completed`, { requestId, latency, tokens: result.usage.totalTokens });
+
+            return this.formatResponse(result.content, {
+                model: this.model,
+                usage: result.usage,
+                requestId,
+                latency,
+                toolCalls: result.toolCalls,
+            });
         } catch (error) {
-            logger.error('OpenAI streaming error', {
+            logger.error(`${this.label} streaming error`, {
                 requestId,
                 error: error.message,
             });
-            throw error;
+            if (options.signal?.aborted) {
+                throw error;
+            }
+            throw this.friendlyError(error);
+        }
+    }
+
+    /**
+     * Simplify an SDK error for users, keeping its status and rate-limit headers
+     */
+    friendlyError(error) {
+        let userMessage = error.message;
+        if (userMessage.includes('429') || userMessage.includes('quota') || userMessage.includes('rate limit')) {
+            userMessage = `⏱️ ${this.label} API rate limit reached. Please wait and try again.`;
+        } else if (userMessage.includes('401') || userMessage.includes('authentication')) {
+            userMessage = `🔑 Invalid ${this.label} API key. Please check your configuration.`;
+        } else if (userMessage.includes('timeout') || userMessage.includes('ETIMEDOUT') || userMessage.includes('Connection error')) {
+            userMessage = `🌐 Cannot connect to ${this.label} API. Check your internet connection.`;
+        } else {
+            userMessage = `❌ ${this.label} API error: ${userMessage.split('\n')[0].substring(0, 100)}`;
         }
+
+        const friendlyError = new Error(userMessage);
+        friendlyError.status = error.status || 500;
+        friendlyError.rateLimit = parseRateLimit(error);
+        return friendlyError;
+    }
+
+    /**
+     * Build the Chat Completions request body
+     */
+    buildRequest(message, context = {}, options = {}) {
+        const request = {
+            model: this.model,
+            max_tokens: this.getMaxOutputTokens(),
+            temperature: this.temperature,
+            messages: this.buildOpenAIMessages(message, context, options.images),
+        };
+
+        if (options.systemPrompt) {
+            request.messages.unshift({ role: this.getSystemRole(), content: options.systemPrompt });
+        }
+        if (options.tools && options.tools.length > 0) {
+            request.tools = this.buildOpenAITools(options.tools);
+        }
+        if (options.responseSchema) {
+            // Not strict: strict mode requires every property to be required and closed objects
+            request.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'response', schema: options.responseSchema, strict: false },
+            };
+        }
+        return request;
+    }
+
+    /**
+     * Role for the system prompt: reasoning models (o-series, GPT-5) take 'developer' messages
+     */
+    getSystemRole() {
+        return /^(o\d|gpt-5)/.test(this.model) ? 'developer' : 'system';
+    }
+
+    /**
+     * Convert conversation history to Chat Completions messages
+     * Assistant tool calls become tool_calls and tool results become role 'tool' messages.
+     * Images are attached to the new user message.
+     */
+    buildOpenAIMessages(message, context = {}, images = []) {
+        const messages = [];
+
+        for (const msg of context.messages || []) {
+            const metadata = msg.metadata || {};
+
+            if (msg.role === 'system' && metadata.type === 'tool_result') {
+                // A truncated history may start with results whose tool calls were dropped
+                if (messages.length > 0) {
+                    messages.push({ role: 'tool', tool_call_id: metadata.toolCallId, content: msg.content || '' });
+                }
+            } else if (msg.role === 'assistant' && metadata.toolCalls && metadata.toolCalls.length > 0) {
+                messages.push({
+                    role: 'assistant',
+                    content: msg.content || null,
+                    tool_calls: metadata.toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) },
+                    })),
+                });
+            } else {
+                messages.push({ role: msg.role, content: msg.content || '' });
+            }
+        }
+
+        if (message && images && images.length > 0) {
+            messages.push({
+                role: 'user',
+                content: [
+                    { type: 'text', text: message },
+                    // Base64 images are sent as data URLs
+                    ...images.map(image => ({
+                        type: 'image_url',
+                        image_url: { url: `data:${image.mimeType || 'image/png'};base64,${image.data}` },
+                    })),
+                ],
+            });
+        } else if (message) {
+            messages.push({ role: 'user', content: message });
+        }
+        return messages;
+    }
+
+    /**
+     * Convert tool definitions to OpenAI function tools
+     */
+    buildOpenAITools(tools) {
+        return tools.map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.parameters,
+            },
+        }));
+    }
+
+    /**
+     * Parse a function call's JSON arguments, keeping the raw text when the model produced invalid JSON
+     */
+    parseToolArguments(argumentsText) {
+        try {
+            return argumentsText ? JSON.parse(argumentsText) : {};
+        } catch (error) {
+            return { _raw: argumentsText, _parseError: error.message };
+        }
+    }
+
+    /**
+     * Chat models from GET /models
+     */
+    async fetchModels() {
+        const models = [];
+        for await (const model of this.client.models.list()) {
+            if (this.isChatModel(model.id)) {
+                models.push({ id: model.id });
+            }
+        }
+        return models.sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    /**
+     * OpenAI lists every model family on one endpoint; keep the chat completion ones
+     */
+    isChatModel(id) {
+        return /^(gpt-|chatgpt-|o\d)/.test(id) && isChatModelName(id);
     }
 
     /**
@@ -235,35 +357,9 @@ class OpenAIProvider extends BaseAPIProvider {
     getCapabilities() {
         return {
             streaming: true,
-            maxTokens: this.maxTokens,
-            supportedModels: [
-                // GPT-5.3 Series
-                'gpt-5.3-codex',
-                'gpt-5.3-codex-spark',
-                // GPT-5.2 Series
-                'gpt-5.2',
-                'gpt-5.2-pro',
-                'gpt-5.2-codex',
-                // GPT-5.1 Series
-                'gpt-5.1',
-                'gpt-5.1-codex',
-                'gpt-5.1-codex-max',
-                // GPT-5.0 Series
-                'gpt-5',
-                'gpt-5-pro',
-                'gpt-5-codex',
-                'gpt-5-mini',
-                'gpt-5-nano',
-                // o-Series
-                'o3',
-                'o3-pro',
-                'o3-mini',
-                'o4-mini-deep-research',
-                // GPT-4.1 Series
-                'gpt-4.1',
-                'gpt-4.1-mini',
-                'gpt-4.1-nano',
-            ],
+            maxTokens: this.getMaxOutputTokens(),
+            contextWindow: this.getModelInfo().contextWindow,
+            supportedModels: this.availableModels,
             features: ['chat', 'code-generation', 'function-calling', 'vision', 'audio', 'embedding'],
         };
     }
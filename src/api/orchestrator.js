@@ -2,10 +2,21 @@ const { GeminiProvider } = require('./gemini');
 const { ClaudeProvider } = require('./claude');
 const { OpenAIProvider } = require('./openai');
 const { OllamaProvider } = require('./ollama');
+const { OpenAICompatibleProvider } = require('./openai-compatible');
+const { ReplayProvider } = require('./replay');
+const { STREAM_EVENTS, replayResponse } = require('./stream');
+const { ResponseCache } = require('./cache');
+const { RateLimitScheduler, parseRateLimit, isRateLimitError, sleep } = require('./ratelimit');
+const { ProviderHealth, BREAKER_STATES } = require('./health');
+const { modelRegistry } = require('./models');
+const { modelDiscovery } = require('./discovery');
 const { logger } = require('../utils/logger');
 const { secureStorage } = require('../utils/crypto');
 const { configManager } = require('../core/config');
 
+// Sent after an interrupted stream together with the text it produced
+const STREAM_CONTINUE_PROMPT = 'Your previous response was cut off. Continue exactly where it stopped, without repeating anything.';
+
 /**
  * API Orchestrator
  * Manages multiple API providers and handles failover
@@ -16,7 +27,22 @@ class APIOrchestrator {
         this.providers = new Map();
         this.providerOrder = [];
         this.currentProvider = null;
+        this.routedProviders = new Map(); // "<provider>/<model>" -> provider instance using a route's model
         this.healthCheckInterval = null;
+        this.cache = new ResponseCache(database);
+
+        const failover = configManager.get('failover') || {};
+        this.health = new ProviderHealth({
+            failureThreshold: failover.breakerFailureThreshold,
+            cooldownMs: failover.breakerCooldownMs,
+            windowMinutes: failover.healthWindowMinutes,
+        });
+
+        const rateLimits = configManager.get('rateLimits') || {};
+        this.rateLimiter = new RateLimitScheduler({
+            limits: rateLimits.providers,
+            maxWaitMs: rateLimits.maxWaitMs,
+        });
     }
 
     /**
@@ -36,6 +62,9 @@ class APIOrchestrator {
             providerOrder: this.providerOrder,
         });
 
+        // User model entries must be registered before providers read their model lists
+        modelRegistry.registerAll(config.models);
+
         // Load and initialize providers
         for (const providerName of this.providerOrder) {
             try {
@@ -47,6 +76,24 @@ class APIOrchestrator {
             }
         }
 
+        // Task routes may name providers outside the failover chain; they serve only their tasks
+        const routedNames = Object.values(config.routing || {}).map(route => route.provider);
+        for (const providerName of new Set(routedNames)) {
+            if (this.providers.has(providerName) || this.providerOrder.includes(providerName)) continue;
+            try {
+                await this.loadProvider(providerName);
+            } catch (error) {
+                logger.warn(`Failed to load routed provider: ${providerName}`, {
+                    error: error.message,
+                });
+            }
+        }
+
+        // Capabilities of previously discovered models (see ./discovery.js)
+        for (const provider of this.providers.values()) {
+            modelDiscovery.registerCached(provider);
+        }
+
         // Set current provider to first available
         this.currentProvider = this.providerOrder.find(name => this.providers.has(name));
 
@@ -54,6 +101,11 @@ class APIOrchestrator {
             throw new Error('No API providers available. Please configure at least one provider.');
         }
 
+        // Seed circuit breakers from recent api_logs so a provider that was failing stays skipped
+        if (this.database) {
+            await this.health.load(this.database, Array.from(this.providers.keys()));
+        }
+
         logger.debug('API orchestrator initialized', {
             currentProvider: this.currentProvider,
             availableProviders: Array.from(this.providers.keys()),
@@ -70,15 +122,54 @@ class APIOrchestrator {
      * Load a specific provider
      */
     async loadProvider(providerName) {
+        const provider = providerName === 'replay'
+            ? await this.createReplayProvider()
+            : await this.createProvider(providerName);
+
+        if (!provider) {
+            return;
+        }
+
+        // Initialize provider
+        await provider.initialize();
+        this.providers.set(providerName, provider);
+
+        logger.debug(`Provider loaded: ${providerName}`, {
+            model: provider.model || provider.getModel?.(),
+        });
+    }
+
+    /**
+     * Create the replay provider, wrapping the provider to record in record mode
+     */
+    async createReplayProvider() {
+        const { replay } = configManager.getAll();
+        const inner = replay.mode === 'record' ? await this.createProvider(replay.provider) : null;
+
+        if (replay.mode === 'record' && !inner) {
+            throw new Error(`Cannot record: provider ${replay.provider} is not configured`);
+        }
+
+        return new ReplayProvider({ mode: replay.mode, fixtureDir: replay.fixtureDir, inner });
+    }
+
+    /**
+     * Create a provider instance (not yet initialized)
+     * @returns {Promise<BaseAPIProvider|null>} null when the provider has no API key
+     */
+    async createProvider(providerName) {
+        const config = configManager.getAll();
+        const custom = config.customProviders[providerName];
+
         // Get API key from secure storage
         const apiKey = await secureStorage.getApiKey(providerName);
 
-        if (!apiKey && providerName !== 'ollama') {
+        // Ollama and OpenAI-compatible servers may run without a key
+        if (!apiKey && providerName !== 'ollama' && !custom) {
             logger.debug(`No API key found for provider: ${providerName}`);
-            return;
+            return null;
         }
 
-        const config = configManager.getAll();
         let provider;
 
         // Create provider instance
@@ -87,7 +178,7 @@ class APIOrchestrator {
 
                 provider = new GeminiProvider(apiKey, {
                     model: config.gemini.defaultModel,
-                    maxTokens: 8192,
+                    maxTokens: config.gemini.maxTokens,
                     temperature: 0.7,
                 });
                 break;
@@ -115,110 +206,375 @@ class APIOrchestrator {
                 break;
 
             default:
-                throw new Error(`Unknown provider: ${providerName}`);
+                if (!custom) {
+                    throw new Error(`Unknown provider: ${providerName}`);
+                }
+                provider = new OpenAICompatibleProvider(providerName, {
+                    ...custom,
+                    apiKey: apiKey || (custom.apiKeyEnv ? process.env[custom.apiKeyEnv] : custom.apiKey),
+                });
         }
 
-        // Initialize provider
-        await provider.initialize();
-        this.providers.set(providerName, provider);
-
-        logger.debug(`Provider loaded: ${providerName}`, {
-            model: provider.model || provider.getModel?.(),
-        });
+        return provider;
     }
 
     /**
      * Send message with automatic failover
+     * Served from the response cache when an identical request was answered before.
      */
     async sendMessage(message, context = {}, options = {}) {
+        const cached = await this.getCachedResponse(message, context, options);
+        if (cached) {
+            return cached;
+        }
+
+        const response = await this.runWithFailover(
+            context,
+            options,
+            (provider, providerName, attemptOptions) => provider.sendMessage(message, context, attemptOptions),
+            this.estimateTokens(message, context)
+        );
+
+        await this.cacheResponse(response, message, context, options);
+        return response;
+    }
+
+    /**
+     * Look up a request in the response cache for the provider that would answer it
+     * @returns {Promise<Object|null>} Cached response
+     */
+    async getCachedResponse(message, context, options) {
+        if (!this.cache.isEnabled(options)) {
+            return null;
+        }
+
+        const providerName = this.getRequestOrder(options)
+            .find(name => this.providers.has(name) && this.health.canAttempt(name));
+        if (!providerName) {
+            return null;
+        }
+
+        const key = this.cache.buildKey(this.getRequestProvider(providerName, options.taskType), message, context, options);
+        return this.cache.get(key);
+    }
+
+    /**
+     * Store a response under the provider that produced it
+     */
+    async cacheResponse(response, message, context, options) {
+        const provider = this.getRequestProvider(response.provider, options.taskType);
+        if (!provider || !this.cache.isEnabled(options)) {
+            return;
+        }
+
+        await this.cache.set(this.cache.buildKey(provider, message, context, options), response);
+    }
+
+    /**
+     * Stream message with automatic failover
+     * Walks providerOrder with the same retries and backoff as sendMessage(). When a stream dies
+     * after producing text, failover.streamRecovery decides what happens to that text:
+     * 'continue' keeps it and asks the next attempt to carry on from where it stopped, 'discard'
+     * emits a reset event so the consumer drops it and the response starts over. A stream that
+     * had already started a tool call is always discarded.
+     * @param {string} message - User message
+     * @param {Function} onEvent - Receives unified stream events (see api/stream.js)
+     * @param {Object} context - Conversation context
+     * @param {Object} options - { tools, signal, images, bypassCache }
+     * @returns {Promise<Object>} Final response, same shape as sendMessage()
+     */
+    async streamMessage(message, onEvent, context = {}, options = {}) {
+        const emit = onEvent || (() => {});
+        const recovery = configManager.get('failover.streamRecovery');
+        let partial = ''; // Text kept from interrupted attempts
+
+        // A cached response is replayed as events
+        const cached = await this.getCachedResponse(message, context, options);
+        if (cached) {
+            replayResponse(cached, emit);
+            return cached;
+        }
+
+        const result = await this.runWithFailover(context, options, async (provider, providerName, attemptOptions, keepAlive) => {
+            let attemptText = '';
+            let startedToolCall = false;
+            const kept = partial;
+
+            const forward = event => {
+                keepAlive();
+                if (event.type === STREAM_EVENTS.TEXT) {
+                    attemptText += event.text;
+                } else if (event.type === STREAM_EVENTS.TOOL_CALL_START) {
+                    startedToolCall = true;
+                }
+                emit(event.type === STREAM_EVENTS.DONE && kept
+                    ? { ...event, content: kept + event.content }
+                    : event);
+            };
+
+            const [attemptMessage, attemptContext] = kept
+                ? this.buildContinuation(message, context, kept)
+                : [message, context];
+
+            try {
+                const response = await provider.streamMessage(attemptMessage, forward, attemptContext, attemptOptions);
+                return kept ? { ...response, content: kept + response.content } : response;
+            } catch (error) {
+                if (!options.signal?.aborted && (attemptText || startedToolCall)) {
+                    if (recovery === 'continue' && !startedToolCall) {
+                        partial += attemptText;
+                        logger.warn('Stream interrupted, continuing partial response', {
+                            provider: providerName,
+                            keptLength: partial.length,
+                        });
+                    } else {
+                        partial = '';
+                        emit({ type: STREAM_EVENTS.RESET, provider: providerName, reason: error.message });
+                    }
+                }
+                throw error;
+            }
+        }, this.estimateTokens(message, context));
+
+        await this.cacheResponse(result, message, context, options);
+        return result;
+    }
+
+    /**
+     * Build the request that continues an interrupted response
+     * @returns {Array} [message, context]
+     */
+    buildContinuation(message, context, partial) {
+        const messages = [...(context.messages || [])];
+        if (message) {
+            messages.push({ role: 'user', content: message });
+        }
+        messages.push({ role: 'assistant', content: partial });
+
+        return [STREAM_CONTINUE_PROMPT, { ...context, messages }];
+    }
+
+    /**
+     * Rough prompt size for rate limiting (1 token ≈ 4 characters)
+     */
+    estimateTokens(message, context = {}) {
+        const history = (context.messages || []).reduce((sum, msg) => sum + (msg.content || '').length, 0);
+        return Math.ceil(((message || '').length + history) / 4);
+    }
+
+    /**
+     * Run one request across providerOrder with retries, exponential backoff and failover logging
+     * Each attempt first waits for the provider's rate limiter. A 429 pauses the provider for its
+     * Retry-After (or the backoff delay) instead of tripping the circuit breaker.
+     * Each attempt gets its own AbortSignal that follows options.signal and fires after
+     * performance.requestTimeoutMs without activity; a timed-out attempt is retried and fails over.
+     * @param {Object} context - Conversation context (its size is recorded on failover)
+     * @param {Object} options - { signal, taskType }
+     *   taskType puts the task's routed provider (with the route's model) ahead of the normal order
+     * @param {Function} attemptFn - (provider, providerName, attemptOptions, keepAlive) => Promise<Response>
+     *   attemptOptions is options with the attempt's signal; keepAlive() restarts the timeout (stream events)
+     * @param {number} estimatedTokens - Prompt size charged to the provider's token bucket
+     */
+    async runWithFailover(context, options, attemptFn, estimatedTokens = 0) {
         const config = configManager.getAll();
         const maxRetries = config.failover.maxRetriesPerProvider;
+        const timeoutMs = config.performance.requestTimeoutMs;
 
         let lastError;
         const attemptedProviders = [];
+        const skippedProviders = [];
 
-        for (const providerName of this.providerOrder) {
-            const provider = this.providers.get(providerName);
+        // A routed request expects its route's provider; others expect the current provider
+        const route = this.getRoute(options.taskType);
+        const order = this.getRequestOrder(options);
+        let expectedProvider = route && this.providers.has(route.provider) ? route.provider : this.currentProvider;
+
+        // Images go to a model that can read them; picking one is not a failover
+        if (options.images?.length > 0) {
+            if (order.length === 0) {
+                throw this.createNoVisionError();
+            }
+            if (!order.includes(expectedProvider)) {
+                logger.info('Current model cannot read images, using a vision-capable provider', {
+                    from: expectedProvider,
+                    to: order[0],
+                });
+                [expectedProvider] = order;
+            }
+        }
+
+        for (const providerName of order) {
+            const provider = this.getRequestProvider(providerName, options.taskType);
 
             if (!provider) {
                 logger.debug(`Provider not available: ${providerName}`);
                 continue;
             }
 
-            attemptedProviders.push(providerName);
+            if (!this.health.canAttempt(providerName)) {
+                logger.debug(`Circuit open, skipping provider: ${providerName}`);
+                skippedProviders.push(providerName);
+                continue;
+            }
 
-            // Try with retries
-            for (let attempt = 0; attempt < maxRetries; attempt++) {
-                try {
-                    logger.debug('Attempting message send', {
-                        provider: providerName,
-                        attempt: attempt + 1,
-                        maxRetries,
-                    });
+            attemptedProviders.push(providerName);
 
-                    const response = await provider.sendMessage(message, context, options);
+            // A half-open breaker gets a single trial request; concurrent requests skip it until it settles
+            const trial = this.health.startTrial(providerName);
+            const providerRetries = trial ? 1 : maxRetries;
 
-                    // Check for soft errors (success: false)
-                    if (!response.success) {
-                        throw new Error(response.error?.message || 'Provider returned failure response');
+            try {
+                // Try with retries
+                for (let attempt = 0; attempt < providerRetries; attempt++) {
+                    // Never retry or fail over a request the user cancelled
+                    if (options.signal?.aborted) {
+                        throw this.createAbortError();
                     }
 
-                    // Log successful API call
-                    if (this.database) {
-                        await this.database.logAPICall({
-                            provider: providerName,
-                            requestId: response.metadata?.requestId,
-                            success: true,
-                            statusCode: 200,
-                            latencyMs: response.metadata?.latency,
-                            tokensUsed: response.usage?.totalTokens,
-                            errorMessage: null,
-                        });
+                    // Stop retrying once the breaker opens
+                    if (!trial && !this.health.canAttempt(providerName)) {
+                        break;
                     }
 
-                    // If we switched providers, log failover
-                    if (providerName !== this.currentProvider) {
-                        await this.handleFailover(this.currentProvider, providerName, 'Provider failure', context);
+                    // Queue for the provider's rate limit; fail over if the wait is too long
+                    try {
+                        await this.rateLimiter.acquire(providerName, estimatedTokens, options.signal);
+                    } catch (error) {
+                        if (options.signal?.aborted) {
+                            throw this.createAbortError();
+                        }
+                        lastError = error;
+                        logger.warn('Provider rate limited, failing over', { provider: providerName, error: error.message });
+                        break;
                     }
 
-                    this.currentProvider = providerName;
-                    return response;
-                } catch (error) {
-                    lastError = error;
-
-                    logger.warn('Provider attempt failed', {
-                        provider: providerName,
-                        attempt: attempt + 1,
-                        error: error.message,
-                    });
+                    const attemptStart = Date.now();
+                    const timeout = this.createAttemptTimeout(options.signal, timeoutMs);
+                    try {
+                        logger.debug('Attempting message send', {
+                            provider: providerName,
+                            attempt: attempt + 1,
+                            maxRetries,
+                        });
 
-                    // Log failed API call
-                    if (this.database) {
-                        await this.database.logAPICall({
+                        const response = await attemptFn(
+                            provider,
+                            providerName,
+                            { ...options, signal: timeout.signal },
+                            timeout.keepAlive
+                        );
+
+                        // Check for soft errors (success: false)
+                        if (!response.success) {
+                            const error = new Error(response.error?.message || 'Provider returned failure response');
+                            error.status = response.error?.statusCode;
+                            error.code = response.error?.code;
+                            error.rateLimit = response.error?.rateLimit;
+                            throw error;
+                        }
+
+                        this.health.recordSuccess(providerName, response.metadata?.latency);
+                        this.rateLimiter.recordUsage(providerName, estimatedTokens, response.usage?.totalTokens);
+
+                        // Log successful API call
+                        if (this.database) {
+                            await this.database.logAPICall({
+                                provider: providerName,
+                                requestId: response.metadata?.requestId,
+                                success: true,
+                                statusCode: 200,
+                                latencyMs: response.metadata?.latency,
+                                tokensUsed: response.usage?.totalTokens,
+                                errorMessage: null,
+                            });
+                        }
+
+                        // If we switched providers, log failover
+                        if (providerName !== expectedProvider) {
+                            const reason = this.getFailoverReason(expectedProvider, attemptedProviders, skippedProviders);
+                            await this.handleFailover(expectedProvider, providerName, reason, context);
+                        }
+
+                        // Routed requests leave the provider used for everything else alone
+                        if (expectedProvider === this.currentProvider) {
+                            this.currentProvider = providerName;
+                        }
+                        return response;
+                    } catch (attemptError) {
+                        if (options.signal?.aborted) {
+                            throw this.createAbortError();
+                        }
+
+                        // The SDK reports a timed-out attempt as its own abort or network error
+                        const error = timeout.timedOut ? this.createTimeoutError(providerName, timeoutMs) : attemptError;
+
+                        // A missing replay fixture is a test failure: never retry or fall back to a live API
+                        if (error.code === 'FIXTURE_NOT_FOUND') {
+                            throw error;
+                        }
+
+                        lastError = error;
+                        const latencyMs = Date.now() - attemptStart;
+                        const rateLimited = isRateLimitError(error);
+
+                        // Being rate limited says nothing about the provider's health
+                        if (!rateLimited) {
+                            this.health.recordFailure(providerName, latencyMs);
+                        }
+
+                        logger.warn('Provider attempt failed', {
                             provider: providerName,
-                            requestId: null,
-                            success: false,
-                            statusCode: error.status || 500,
-                            latencyMs: 0,
-                            tokensUsed: 0,
-                            errorMessage: error.message,
+                            attempt: attempt + 1,
+                            error: error.message,
                         });
-                    }
 
-                    // Wait before retry (exponential backoff)
-                    if (attempt < maxRetries - 1) {
-                        const delay = config.failover.retryDelayMs * 2 ** attempt;
-                        await this.sleep(delay);
+                        // Log failed API call
+                        if (this.database) {
+                            await this.database.logAPICall({
+                                provider: providerName,
+                                requestId: null,
+                                success: false,
+                                statusCode: error.status || 500,
+                                latencyMs,
+                                tokensUsed: 0,
+                                errorMessage: error.message,
+                            });
+                        }
+
+                        if (rateLimited) {
+                            // The next acquire() waits out Retry-After, for this and every queued request
+                            const retryAfterMs = parseRateLimit(error)?.retryAfterMs;
+                            this.rateLimiter.pause(providerName, retryAfterMs ?? config.failover.retryDelayMs * 2 ** attempt);
+                        } else if (attempt < providerRetries - 1 && this.health.canAttempt(providerName)) {
+                            // Wait before retry (exponential backoff); a cancel ends the wait
+                            const delay = config.failover.retryDelayMs * 2 ** attempt;
+                            await this.sleep(delay, options.signal);
+                        }
+                    } finally {
+                        timeout.clear();
                     }
                 }
+            } finally {
+                if (trial) {
+                    this.health.endTrial(providerName);
+                }
             }
 
             logger.warn(`All retries exhausted for provider: ${providerName}`);
         }
 
+        if (attemptedProviders.length === 0 && skippedProviders.length > 0) {
+            const retryInMs = Math.min(...skippedProviders.map(name => this.health.getStats(name).retryInMs));
+            throw new Error(
+                `All API providers are failing (circuit open: ${skippedProviders.join(', ')}). `
+                + `Retry in ${Math.ceil(retryInMs / 1000)}s or check /providers health.`
+            );
+        }
+
         // All providers failed
         logger.error('All providers failed', {
             attemptedProviders,
+            skippedProviders,
             lastError: lastError?.message,
         });
 
@@ -228,26 +584,17 @@ class APIOrchestrator {
     }
 
     /**
-     * Stream message with automatic failover
+     * Why a request was answered by another provider than expected
+     * Health ordering can move the expected provider back without it ever being attempted.
      */
-    async streamMessage(message, onChunk, context = {}) {
-        const provider = this.providers.get(this.currentProvider);
-
-        if (!provider) {
-            throw new Error(`Current provider not available: ${this.currentProvider}`);
+    getFailoverReason(expectedProvider, attemptedProviders, skippedProviders) {
+        if (attemptedProviders.includes(expectedProvider)) {
+            return 'Provider failure';
         }
-
-        try {
-            await provider.streamMessage(message, onChunk, context);
-        } catch (error) {
-            logger.error('Streaming failed', {
-                provider: this.currentProvider,
-                error: error.message,
-            });
-
-            // TODO: Implement failover for streaming
-            throw error;
+        if (skippedProviders.includes(expectedProvider) || this.health.getStats(expectedProvider).state === BREAKER_STATES.OPEN) {
+            return 'Circuit breaker open';
         }
+        return 'Lower health score';
     }
 
     /**
@@ -317,6 +664,92 @@ class APIOrchestrator {
         return this.providers.get(name);
     }
 
+    /**
+     * Provider order for the next request: reordered by health unless HEALTH_ORDERING is off
+     * @param {string} taskType - When the task type is routed, its provider goes first
+     */
+    getProviderOrder(taskType = null) {
+        const order = configManager.get('failover.healthOrdering')
+            ? this.health.order(this.providerOrder)
+            : this.providerOrder;
+
+        const route = this.getRoute(taskType);
+        if (!route || !this.providers.has(route.provider)) {
+            return order;
+        }
+        return [route.provider, ...order.filter(name => name !== route.provider)];
+    }
+
+    /**
+     * Providers a request may go to, in order
+     * Requests with images are limited to providers whose model has vision in the model registry.
+     * @param {Object} options - { taskType, images }
+     */
+    getRequestOrder(options = {}) {
+        const order = this.getProviderOrder(options.taskType);
+        if (!(options.images?.length > 0)) {
+            return order;
+        }
+        return order.filter(name => this.providers.has(name)
+            && this.getRequestProvider(name, options.taskType).getModelInfo().vision);
+    }
+
+    /**
+     * Error for an image request that no loaded provider's model can read
+     */
+    createNoVisionError() {
+        const models = Array.from(this.providers.values()).map(provider => `${provider.name}/${provider.getModel()}`);
+        const error = new Error(
+            `No vision-capable model available (loaded: ${models.join(', ')}). `
+            + 'Switch to one with /model, set ROUTE_VISION, or mark your model "vision": true in models.json.'
+        );
+        error.code = 'NO_VISION_MODEL';
+        return error;
+    }
+
+    /**
+     * Routing rule for a task type
+     * @returns {Object|null} { provider, model }
+     */
+    getRoute(taskType) {
+        if (!taskType) return null;
+        return (configManager.get('routing') || {})[taskType] || null;
+    }
+
+    /**
+     * Provider instance to send a request to: the routed provider answers with its route's model
+     * Routed instances share the provider's client and are kept for reuse; an unknown model
+     * falls back to the provider's current one.
+     */
+    getRequestProvider(providerName, taskType = null) {
+        const provider = this.providers.get(providerName);
+        const route = this.getRoute(taskType);
+        if (!provider || !route?.model || route.provider !== providerName || route.model === provider.getModel()) {
+            return provider;
+        }
+
+        const key = `${providerName}/${route.model}`;
+        if (!this.routedProviders.has(key)) {
+            try {
+                this.routedProviders.set(key, provider.withModel(route.model));
+            } catch (error) {
+                logger.warn('Ignoring model of task route', { taskType, route: key, error: error.message });
+                this.routedProviders.set(key, provider);
+            }
+        }
+        return this.routedProviders.get(key);
+    }
+
+    /**
+     * Health of each loaded provider, in the order the next request would try them
+     * @returns {Array<Object>} [{ name, ...ProviderHealth.getStats(), ...RateLimitScheduler.getStats() }]
+     */
+    getProviderHealth() {
+        return this.getProviderOrder()
+            .filter(name => this.providers.has(name))
+            .map(name => ({ name, ...this.health.getStats(name), ...this.rateLimiter.getStats(name) }));
+    }
+
     /**
      * Get all available providers
      */
@@ -342,10 +775,68 @@ class APIOrchestrator {
     }
 
     /**
-     * Sleep utility
+     * AbortSignal for one provider attempt
+     * Aborts when the caller's signal does, or after timeoutMs without keepAlive() (0 disables the timeout).
+     * @returns {Object} { signal, timedOut, keepAlive(), clear() }
+     */
+    createAttemptTimeout(parentSignal, timeoutMs) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        let timer = null;
+        let cleared = false;
+
+        const attempt = {
+            signal: controller.signal,
+            timedOut: false,
+            keepAlive: () => {
+                if (cleared || !(timeoutMs > 0)) return;
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    attempt.timedOut = true;
+                    controller.abort();
+                }, timeoutMs);
+            },
+            clear: () => {
+                cleared = true;
+                clearTimeout(timer);
+                parentSignal?.removeEventListener('abort', onAbort);
+            },
+        };
+
+        if (parentSignal?.aborted) {
+            controller.abort();
+        } else {
+            parentSignal?.addEventListener('abort', onAbort, { once: true });
+        }
+        attempt.keepAlive();
+        return attempt;
+    }
+
+    /**
+     * Create the error for an attempt that exceeded performance.requestTimeoutMs
+     */
+    createTimeoutError(providerName, timeoutMs) {
+        const error = new Error(`${providerName} did not respond within ${Math.round(timeoutMs / 1000)}s (REQUEST_TIMEOUT_MS)`);
+        error.code = 'TIMEOUT';
+        error.status = 408;
+        return error;
+    }
+
+    /**
+     * Create the error thrown when a request is cancelled through its AbortSignal
+     */
+    createAbortError() {
+        const error = new Error('Request cancelled');
+        error.name = 'AbortError';
+        error.code = 'ABORTED';
+        return error;
+    }
+
+    /**
+     * Sleep utility; rejects with an AbortError when the signal fires
      */
-    sleep(ms) {
-        return new Promise((resolve) => { setTimeout(resolve, ms); });
+    sleep(ms, signal) {
+        return sleep(ms, signal);
     }
 
     /**
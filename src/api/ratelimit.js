@@ -0,0 +1,265 @@
+const { logger } = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Read a header from a fetch Headers object (Anthropic/OpenAI SDKs) or a plain object (axios)
+ */
+function readHeader(headers, name) {
+    if (!headers) return undefined;
+    const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+    return value === null ? undefined : value;
+}
+
+/**
+ * Parse a duration such as "20ms", "1.5s", "6m0s" or "1h2m" (OpenAI reset headers)
+ * @returns {number|null} Milliseconds
+ */
+function parseDuration(value) {
+    if (value === undefined || value === '') return null;
+    if (/^\d+(\.\d+)?$/.test(value)) return parseFloat(value) * 1000;
+
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    const parts = String(value).match(/(\d+(?:\.\d+)?)(ms|h|m|s)/g);
+    if (!parts) return null;
+
+    return parts.reduce((total, part) => {
+        const [, amount, unit] = part.match(/(\d+(?:\.\d+)?)(ms|h|m|s)/);
+        return total + parseFloat(amount) * units[unit];
+    }, 0);
+}
+
+/**
+ * Parse a reset value that is either a duration or a timestamp (Anthropic RFC 3339 resets)
+ * @returns {number|null} Milliseconds from now
+ */
+function parseReset(value) {
+    if (value === undefined || value === '') return null;
+    const duration = parseDuration(value);
+    if (duration !== null) return duration;
+
+    const at = Date.parse(value);
+    return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/**
+ * Extract rate-limit details from a provider error
+ * Understands Retry-After / retry-after-ms, the OpenAI x-ratelimit-* and Anthropic
+ * anthropic-ratelimit-* headers, and Gemini's RetryInfo error detail.
+ * @param {Error} error - SDK or axios error
+ * @returns {Object|null} { retryAfterMs, remainingRequests, remainingTokens }, or null when the error has none
+ */
+function parseRateLimit(error) {
+    if (!error) return null;
+    if (error.rateLimit) return error.rateLimit;
+
+    const headers = error.headers || error.response?.headers;
+    const header = name => readHeader(headers, name);
+    const number = value => (value === undefined ? null : Number(value));
+
+    const remainingRequests = number(header('x-ratelimit-remaining-requests')
+        ?? header('anthropic-ratelimit-requests-remaining'));
+    const remainingTokens = number(header('x-ratelimit-remaining-tokens')
+        ?? header('anthropic-ratelimit-tokens-remaining'));
+
+    let retryAfterMs = number(header('retry-after-ms'));
+    if (retryAfterMs === null && header('retry-after') !== undefined) {
+        retryAfterMs = parseReset(header('retry-after'));
+    }
+
+    // Without Retry-After, an exhausted limit tells us when it resets
+    if (retryAfterMs === null && remainingRequests === 0) {
+        retryAfterMs = parseReset(header('x-ratelimit-reset-requests') ?? header('anthropic-ratelimit-requests-reset'));
+    }
+    if (retryAfterMs === null && remainingTokens === 0) {
+        retryAfterMs = parseReset(header('x-ratelimit-reset-tokens') ?? header('anthropic-ratelimit-tokens-reset'));
+    }
+
+    // Gemini: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '30s' }]
+    if (retryAfterMs === null && Array.isArray(error.errorDetails)) {
+        const retryInfo = error.errorDetails.find(detail => String(detail['@type'] || '').endsWith('RetryInfo'));
+        retryAfterMs = parseDuration(retryInfo?.retryDelay);
+    }
+
+    if (retryAfterMs === null && remainingRequests === null && remainingTokens === null) {
+        return null;
+    }
+    return { retryAfterMs, remainingRequests, remainingTokens };
+}
+
+/**
+ * Whether an error is a rate-limit or quota rejection
+ */
+function isRateLimitError(error) {
+    const status = error?.status || error?.statusCode;
+    return status === 429 || /rate limit|quota|too many requests/i.test(error?.message || '');
+}
+
+/**
+ * Sleep that rejects with an AbortError when the signal fires
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(Object.assign(new Error('Request cancelled'), { name: 'AbortError', code: 'ABORTED' }));
+            return;
+        }
+        let timer = null;
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(Object.assign(new Error('Request cancelled'), { name: 'AbortError', code: 'ABORTED' }));
+        };
+        timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Rate Limit Scheduler
+ * Per-provider request and token buckets plus pauses from Retry-After. Callers wait
+ * in acquire() for capacity instead of failing; a wait longer than maxWaitMs is
+ * rejected with code RATE_LIMITED so the request can fail over.
+ *
+ * Buckets refill continuously up to their per-minute capacity. Reservations may overdraw
+ * a bucket; the overdraft is how long that request waits, which keeps the queue in arrival order.
+ */
+class RateLimitScheduler {
+    /**
+     * @param {Object} options - { limits: { [provider]: { requestsPerMinute, tokensPerMinute } }, maxWaitMs }
+     */
+    constructor(options = {}) {
+        this.limits = options.limits || {};
+        this.maxWaitMs = options.maxWaitMs ?? 60000;
+        this.providers = new Map();
+    }
+
+    /**
+     * Get (or create) the buckets kept for a provider
+     */
+    _state(provider) {
+        if (!this.providers.has(provider)) {
+            const limits = this.limits[provider] || {};
+            this.providers.set(provider, {
+                requests: limits.requestsPerMinute > 0 ? this._bucket(limits.requestsPerMinute) : null,
+                tokens: limits.tokensPerMinute > 0 ? this._bucket(limits.tokensPerMinute) : null,
+                pausedUntil: 0,
+                queued: 0,
+            });
+        }
+        return this.providers.get(provider);
+    }
+
+    /**
+     * Create a full bucket
+     */
+    _bucket(perMinute) {
+        return { capacity: perMinute, tokens: perMinute, updatedAt: Date.now() };
+    }
+
+    /**
+     * Add tokens to one of a provider's buckets ('requests' or 'tokens'), capped at capacity
+     * Negative amounts take tokens and may leave the bucket in debt.
+     * @returns {number} Milliseconds until the bucket is out of debt
+     */
+    _adjust(state, kind, amount) {
+        const bucket = state[kind];
+        if (!bucket) return 0;
+
+        const now = Date.now();
+        const refilled = Math.min(bucket.capacity, bucket.tokens + ((now - bucket.updatedAt) * bucket.capacity) / MINUTE_MS);
+        bucket.tokens = Math.min(bucket.capacity, refilled + amount);
+        bucket.updatedAt = now;
+
+        return bucket.tokens < 0 ? Math.ceil((-bucket.tokens * MINUTE_MS) / bucket.capacity) : 0;
+    }
+
+    /**
+     * Size of a reservation: a request larger than the whole bucket waits for a full bucket
+     * rather than forever
+     */
+    _cost(state, kind, amount) {
+        return state[kind] ? Math.min(amount, state[kind].capacity) : 0;
+    }
+
+    /**
+     * Wait until the provider may take a request of about this many tokens
+     * @param {string} provider - Provider name
+     * @param {number} tokens - Estimated tokens for the request
+     * @param {AbortSignal} signal - Stops waiting when aborted
+     * @throws {Error} RATE_LIMITED when the wait would exceed maxWaitMs
+     */
+    async acquire(provider, tokens = 0, signal = null) {
+        const state = this._state(provider);
+        const pausedMs = Math.max(0, state.pausedUntil - Date.now());
+        const waitMs = Math.max(
+            pausedMs,
+            this._adjust(state, 'requests', -1),
+            this._adjust(state, 'tokens', -this._cost(state, 'tokens', tokens))
+        );
+
+        if (waitMs === 0) return;
+
+        if (waitMs > this.maxWaitMs) {
+            this._release(state, tokens);
+            const error = new Error(`${provider} is rate limited for another ${Math.ceil(waitMs / 1000)}s`);
+            error.code = 'RATE_LIMITED';
+            error.retryAfterMs = waitMs;
+            throw error;
+        }
+
+        logger.debug('Request queued by rate limit', { provider, waitMs, queued: state.queued + 1 });
+        state.queued++;
+        try {
+            await sleep(waitMs, signal);
+        } catch (error) {
+            this._release(state, tokens);
+            throw error;
+        } finally {
+            state.queued--;
+        }
+    }
+
+    /**
+     * Return a reservation that will not be sent
+     */
+    _release(state, tokens) {
+        this._adjust(state, 'requests', 1);
+        this._adjust(state, 'tokens', this._cost(state, 'tokens', tokens));
+    }
+
+    /**
+     * Correct the token bucket once the real usage is known
+     */
+    recordUsage(provider, estimatedTokens, actualTokens) {
+        const state = this._state(provider);
+        if (actualTokens > 0) {
+            this._adjust(state, 'tokens', this._cost(state, 'tokens', estimatedTokens) - actualTokens);
+        }
+    }
+
+    /**
+     * Hold every request to a provider, e.g. for a 429's Retry-After
+     */
+    pause(provider, ms) {
+        const state = this._state(provider);
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + ms);
+        logger.info('Provider rate limited, pausing requests', { provider, ms });
+    }
+
+    /**
+     * Queue state for a provider
+     * @returns {Object} { queued, pausedForMs }
+     */
+    getStats(provider) {
+        const state = this._state(provider);
+        return {
+            queued: state.queued,
+            pausedForMs: Math.max(0, state.pausedUntil - Date.now()),
+        };
+    }
+}
+
+module.exports = { RateLimitScheduler, parseRateLimit, isRateLimitError, sleep };
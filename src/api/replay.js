@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { BaseAPIProvider } = require('./base');
+const { normalizeMessage } = require('./cache');
+const { logger } = require('../utils/logger');
+
+/**
+ * Tool result fields that differ on every run (checkpoint IDs, timings)
+ */
+const VOLATILE_RESULT_KEYS = ['checkpointId', 'durationMs'];
+
+/**
+ * Normalize a message for a fixture key, dropping volatile fields from JSON tool results
+ */
+function normalizeFixtureMessage(msg) {
+    const normalized = normalizeMessage(msg);
+    if (!normalized.toolResult) return normalized;
+
+    try {
+        const result = JSON.parse(normalized.content);
+        if (result && typeof result === 'object' && !Array.isArray(result)) {
+            VOLATILE_RESULT_KEYS.forEach(key => delete result[key]);
+            normalized.content = JSON.stringify(result);
+        }
+    } catch (error) {
+        // Plain-text results are matched as they are
+    }
+    return normalized;
+}
+
+/**
+ * Shorten a value for an error message
+ */
+function preview(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text === undefined ? 'nothing' : `"${text.length > 80 ? `${text.slice(0, 77)}...` : text}"`;
+}
+
+/**
+ * First path at which two fixture requests differ, e.g. "messages[2].content"
+ * @returns {Object|null} { path, expected, actual }
+ */
+function findDifference(expected, actual, at = '') {
+    if (JSON.stringify(expected) === JSON.stringify(actual)) return null;
+
+    if (expected && actual && typeof expected === 'object' && typeof actual === 'object') {
+        const keys = Array.isArray(expected)
+            ? Array.from({ length: Math.max(expected.length, actual.length) }, (_, index) => index)
+            : Array.from(new Set([...Object.keys(expected), ...Object.keys(actual)]));
+
+        for (const key of keys) {
+            const childPath = Array.isArray(expected) ? `${at}[${key}]` : `${at}${at ? '.' : ''}${key}`;
+            const difference = findDifference(expected[key], actual[key], childPath);
+            if (difference) return difference;
+        }
+    }
+    return { path: at || 'request', expected, actual };
+}
+
+/**
+ * Replay Provider
+ * Records request/response pairs of a wrapped provider to fixture files (record mode)
+ * and serves them back without any network access (replay mode).
+ *
+ * A fixture is keyed on the conversation messages, the new message, tool names and
+ * image hashes. The system prompt is left out because it contains machine-specific
+ * project context; tool call IDs are left out because providers generate them, and
+ * checkpoint IDs and timings because tool results carry new ones on every run.
+ */
+class ReplayProvider extends BaseAPIProvider {
+    /**
+     * @param {Object} options - { mode: 'record' | 'replay', fixtureDir, inner }
+     *   inner is the provider whose traffic is recorded (record mode only)
+     */
+    constructor(options = {}) {
+        super(options, 'replay');
+        this.mode = options.mode || 'replay';
+        this.fixtureDir = options.fixtureDir;
+        this.inner = options.inner || null;
+        this.model = this.inner ? this.inner.getModel() : 'replay';
+    }
+
+    async initialize() {
+        if (!this.fixtureDir) {
+            throw new Error('Replay provider needs a fixture directory (REPLAY_FIXTURES_DIR)');
+        }
+
+        if (this.mode === 'record') {
+            if (!this.inner) {
+                throw new Error('Replay provider in record mode needs a provider to record');
+            }
+            await this.inner.initialize();
+            fs.mkdirSync(this.fixtureDir, { recursive: true });
+        } else if (!fs.existsSync(this.fixtureDir)) {
+            throw new Error(`Replay fixture directory not found: ${this.fixtureDir}`);
+        }
+
+        this.initialized = true;
+        logger.info('Replay provider initialized', { mode: this.mode, fixtureDir: this.fixtureDir });
+    }
+
+    /**
+     * Send a message: recorded from the wrapped provider, or served from a fixture
+     */
+    async sendMessage(message, context = {}, options = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const request = this.buildFixtureRequest(message, context, options);
+
+        if (this.mode === 'record') {
+            const response = await this.inner.sendMessage(message, context, options);
+            if (response.success) {
+                this.saveFixture(request, response);
+            }
+            return response;
+        }
+
+        return this.loadFixture(request);
+    }
+
+    /**
+     * Stream a message: the wrapped provider's stream is recorded as its final response;
+     * replayed fixtures are emitted as stream events by the base implementation
+     */
+    async streamMessage(message, onEvent, context = {}, options = {}) {
+        if (this.mode !== 'record') {
+            return super.streamMessage(message, onEvent, context, options);
+        }
+
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const response = await this.inner.streamMessage(message, onEvent, context, options);
+        this.saveFixture(this.buildFixtureRequest(message, context, options), response);
+        return response;
+    }
+
+    /**
+     * The parts of a request that identify its fixture
+     */
+    buildFixtureRequest(message, context = {}, options = {}) {
+        return {
+            messages: (context.messages || []).map(normalizeFixtureMessage),
+            message: message || '',
+            tools: (options.tools || []).map(tool => tool.name),
+            images: (options.images || []).map(image => crypto.createHash('sha256').update(image.data || '').digest('hex')),
+        };
+    }
+
+    /**
+     * Fixture file for a request
+     */
+    getFixturePath(request) {
+        const key = crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+        return path.join(this.fixtureDir, `${key}.json`);
+    }
+
+    /**
+     * Write a fixture, replacing an earlier recording of the same request
+     */
+    saveFixture(request, response) {
+        const filePath = this.getFixturePath(request);
+
+        // Request IDs, timestamps and latency change on every recording; leave them out so re-recording stays diffable
+        fs.writeFileSync(filePath, `${JSON.stringify({ request, response: { ...response, metadata: {} } }, null, 2)}\n`);
+        logger.debug('Replay fixture recorded', { file: path.basename(filePath) });
+    }
+
+    /**
+     * Serve the fixture for a request
+     * @returns {Object} Recorded response, or a FIXTURE_NOT_FOUND error response explaining the mismatch
+     */
+    loadFixture(request) {
+        const filePath = this.getFixturePath(request);
+
+        if (!fs.existsSync(filePath)) {
+            const error = new Error(this.describeMismatch(request, filePath));
+            error.code = 'FIXTURE_NOT_FOUND';
+            logger.warn('No replay fixture for request', { file: path.basename(filePath) });
+            return this.formatError(error, 404);
+        }
+
+        const { response } = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        return {
+            ...response,
+            metadata: { ...response.metadata, timestamp: new Date().toISOString(), latency: 0, replayed: true },
+        };
+    }
+
+    /**
+     * Explain why no fixture matched by comparing against the closest recorded request
+     * (the one sharing the longest run of leading messages)
+     */
+    describeMismatch(request, filePath) {
+        const fixtures = fs.readdirSync(this.fixtureDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => {
+                try {
+                    return { file, request: JSON.parse(fs.readFileSync(path.join(this.fixtureDir, file), 'utf-8')).request };
+                } catch {
+                    return null;
+                }
+            })
+            .filter(fixture => fixture && fixture.request);
+
+        let message = `No replay fixture for this request (expected ${path.basename(filePath)} in ${this.fixtureDir}).`;
+
+        const sharedMessages = fixture => {
+            const index = fixture.request.messages.findIndex((msg, i) => JSON.stringify(msg) !== JSON.stringify(request.messages[i]));
+            return index === -1 ? fixture.request.messages.length : index;
+        };
+        const closest = fixtures.sort((a, b) => sharedMessages(b) - sharedMessages(a))[0];
+
+        if (closest) {
+            const difference = findDifference(closest.request, request);
+            message += ` Closest fixture ${closest.file} differs at ${difference.path}: `
+                + `recorded ${preview(difference.expected)}, got ${preview(difference.actual)}.`;
+        }
+
+        return `${message} Re-record with REPLAY_MODE=record.`;
+    }
+
+    getCapabilities() {
+        return this.inner
+            ? this.inner.getCapabilities()
+            : { streaming: true, maxTokens: 4096, supportedModels: ['replay'], features: ['tools'] };
+    }
+
+    getModel() {
+        return this.inner ? this.inner.getModel() : this.model;
+    }
+
+    /**
+     * Without a wrapped provider any recorded request can be served, images included
+     */
+    getModelInfo() {
+        return this.inner ? this.inner.getModelInfo() : { ...super.getModelInfo(), vision: true };
+    }
+
+    getAvailableModels() {
+        return this.inner ? this.inner.getAvailableModels() : [this.model];
+    }
+
+    async listModels(options = {}) {
+        return this.inner ? this.inner.listModels(options) : this.getAvailableModels();
+    }
+
+    setModel(model) {
+        if (this.inner) {
+            this.inner.setModel(model);
+        }
+        this.model = model;
+    }
+
+    /**
+     * Record the wrapped provider with another model without changing its model
+     */
+    withModel(model) {
+        const provider = Object.create(this);
+        provider.inner = this.inner ? this.inner.withModel(model) : null;
+        provider.model = model;
+        return provider;
+    }
+
+    validateApiKey() {
+        return true;
+    }
+}
+
+module.exports = { ReplayProvider };
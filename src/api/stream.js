@@ -0,0 +1,180 @@
+/**
+ * Unified streaming event protocol
+ *
+ * Every provider's streamMessage() reports progress through onEvent(event) with one of:
+ *   { type: 'text', text }                                   Text delta
+ *   { type: 'tool_call_start', id, name, index }             Model started a tool call
+ *   { type: 'tool_call_delta', id, index, argumentsDelta }   Partial JSON arguments
+ *   { type: 'tool_call_end', id, name, index, arguments }    Complete call with parsed arguments
+ *   { type: 'usage', usage }                                 Token usage { promptTokens, completionTokens, totalTokens }
+ *   { type: 'done', content, toolCalls, usage, finishReason }
+ *   { type: 'reset', provider, reason }                      Stream failed; drop the text shown so far
+ * and resolves with the same response object sendMessage() returns.
+ */
+const STREAM_EVENTS = {
+    TEXT: 'text',
+    TOOL_CALL_START: 'tool_call_start',
+    TOOL_CALL_DELTA: 'tool_call_delta',
+    TOOL_CALL_END: 'tool_call_end',
+    USAGE: 'usage',
+    DONE: 'done',
+    RESET: 'reset',
+};
+
+/**
+ * Stream Accumulator
+ * Turns provider-specific chunks into unified events and collects the final response
+ */
+class StreamAccumulator {
+    /**
+     * @param {Function} onEvent - Receives unified stream events
+     */
+    constructor(onEvent) {
+        this.onEvent = onEvent || (() => {});
+        this.content = '';
+        this.toolCalls = new Map(); // key -> { id, name, index, argumentsText, arguments, ended }
+        this.usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+        this.finishReason = null;
+    }
+
+    /**
+     * Append a text delta
+     */
+    text(delta) {
+        if (!delta) return;
+        this.content += delta;
+        this.onEvent({ type: STREAM_EVENTS.TEXT, text: delta });
+    }
+
+    /**
+     * Start a tool call
+     * @param {string|number} key - Provider-side identifier (block index, call index, ...)
+     */
+    toolCallStart(key, { id, name }) {
+        const call = {
+            id: id || `call_${Math.random().toString(36).substr(2, 9)}`,
+            name,
+            index: this.toolCalls.size,
+            argumentsText: '',
+            arguments: null,
+            ended: false,
+        };
+        this.toolCalls.set(key, call);
+        this.onEvent({ type: STREAM_EVENTS.TOOL_CALL_START, id: call.id, name: call.name, index: call.index });
+        return call;
+    }
+
+    /**
+     * Check whether a tool call was started for a provider-side key
+     */
+    hasToolCall(key) {
+        return this.toolCalls.has(key);
+    }
+
+    /**
+     * Append partial JSON arguments to a tool call
+     */
+    toolCallDelta(key, argumentsDelta) {
+        const call = this.toolCalls.get(key);
+        if (!call || !argumentsDelta) return;
+        call.argumentsText += argumentsDelta;
+        this.onEvent({ type: STREAM_EVENTS.TOOL_CALL_DELTA, id: call.id, index: call.index, argumentsDelta });
+    }
+
+    /**
+     * Finish a tool call and parse its arguments
+     */
+    toolCallEnd(key) {
+        const call = this.toolCalls.get(key);
+        if (!call || call.ended) return;
+
+        call.ended = true;
+        if (call.arguments === null) {
+            try {
+                call.arguments = call.argumentsText ? JSON.parse(call.argumentsText) : {};
+            } catch (error) {
+                // Hand the raw text to the tool loop, which reports the bad arguments to the model
+                call.arguments = { _raw: call.argumentsText, _parseError: error.message };
+            }
+        }
+
+        this.onEvent({
+            type: STREAM_EVENTS.TOOL_CALL_END,
+            id: call.id,
+            name: call.name,
+            index: call.index,
+            arguments: call.arguments,
+        });
+    }
+
+    /**
+     * Record a tool call that arrives complete in a single chunk (e.g. Gemini, Ollama)
+     */
+    completeToolCall(key, { id, name, arguments: args }) {
+        const call = this.toolCallStart(key, { id, name });
+        const argumentsText = JSON.stringify(args || {});
+        this.toolCallDelta(key, argumentsText);
+        call.arguments = args || {};
+        this.toolCallEnd(key);
+    }
+
+    /**
+     * Merge token usage (providers report it incrementally or once at the end)
+     */
+    setUsage(usage = {}) {
+        this.usage = {
+            promptTokens: usage.promptTokens ?? this.usage.promptTokens,
+            completionTokens: usage.completionTokens ?? this.usage.completionTokens,
+            totalTokens: 0,
+        };
+        this.usage.totalTokens = usage.totalTokens
+            || this.usage.promptTokens + this.usage.completionTokens;
+        this.onEvent({ type: STREAM_EVENTS.USAGE, usage: { ...this.usage } });
+    }
+
+    /**
+     * Finish the stream: close open tool calls and emit 'done'
+     * @returns {Object} { content, toolCalls, usage, finishReason }
+     */
+    done(finishReason = null) {
+        for (const key of this.toolCalls.keys()) {
+            this.toolCallEnd(key);
+        }
+        this.finishReason = finishReason || this.finishReason;
+
+        const result = {
+            content: this.content,
+            toolCalls: this.getToolCalls(),
+            usage: { ...this.usage },
+            finishReason: this.finishReason,
+        };
+        this.onEvent({ type: STREAM_EVENTS.DONE, ...result });
+        return result;
+    }
+
+    /**
+     * Completed tool calls in the standard { id, name, arguments } format, or null
+     */
+    getToolCalls() {
+        const calls = Array.from(this.toolCalls.values())
+            .filter(call => call.ended)
+            .sort((a, b) => a.index - b.index)
+            .map(call => ({ id: call.id, name: call.name, arguments: call.arguments }));
+        return calls.length > 0 ? calls : null;
+    }
+}
+
+/**
+ * Replay a complete response as stream events (non-streaming providers, cached responses)
+ * @param {Object} response - Response in the sendMessage() shape
+ * @param {Function} onEvent - Receives unified stream events
+ */
+function replayResponse(response, onEvent) {
+    const stream = new StreamAccumulator(onEvent);
+    stream.text(response.content);
+    (response.toolCalls || []).forEach((call, index) => stream.completeToolCall(index, call));
+    stream.setUsage(response.usage);
+    stream.done();
+}
+
+module.exports = { StreamAccumulator, STREAM_EVENTS, replayResponse };
@@ -71,10 +71,10 @@ const COMMANDS = [
     {
         name: '/model',
         description: 'Change AI Model',
-        usage: '/model <model_name>',
+        usage: '/model [model_name | --refresh]',
         example: '/model gemini-2.5-flash',
         category: 'Configuration',
-        details: 'Switch between available AI models for the current provider.'
+        details: 'Switch between available AI models for the current provider. Without arguments, lists the chat models the provider\'s API reports (cached for a day; --refresh fetches them again) with their context window and capabilities.'
     },
     {
         name: '/new',
@@ -92,13 +92,37 @@ const COMMANDS = [
         category: 'Configuration',
         details: 'Switch between different AI providers (e.g., Gemini, OpenAI, Claude, Local).'
     },
+    {
+        name: '/providers',
+        description: 'List providers and their health',
+        usage: '/providers [health]',
+        example: '/providers health',
+        category: 'Configuration',
+        details: 'Lists loaded providers. "health" shows each circuit breaker (closed/open/half_open), the recent error rate and p50/p95 latency, in the order requests will try them.'
+    },
+    {
+        name: '/cost',
+        description: 'Show token usage and cost',
+        usage: '/cost',
+        example: '/cost',
+        category: 'Configuration',
+        details: 'Shows tokens and cost for the current session, today and this month, by provider and model. Prices come from the model registry (models.json overrides). BUDGET_* settings add soft limits that warn and hard limits that block requests.'
+    },
+    {
+        name: '/cache',
+        description: 'Show or clear the response cache',
+        usage: '/cache [stats|clear]',
+        example: '/cache clear',
+        category: 'Configuration',
+        details: 'Identical one-shot requests such as /commit and /audit (same provider, model, prompt and temperature) are answered from a local SQLite cache; conversation turns are never cached. Off by default; set CACHE_ENABLED=true to turn it on. stats shows entries, size and hit rate; clear removes every entry. Controlled by CACHE_ENABLED, CACHE_TTL_SECONDS and MAX_CACHE_SIZE_MB.'
+    },
     {
         name: '/see',
         description: 'Analyze an image',
-        usage: '/see <path> [prompt]',
-        example: '/see ./screenshot.png "What is this?"',
+        usage: '/see <image> [more images...] [prompt]',
+        example: '/see ./before.png ./after.png "What changed?"',
         category: 'Vision',
-        details: 'Uses the AI vision capabilities to analyze an image and answer questions about it.'
+        details: 'Attaches one or more PNG, JPEG, GIF or WebP images (paths or file:// URLs) and answers questions about them. If the current model cannot read images, the request goes to a vision-capable provider.'
     },
     {
         name: '/test',
@@ -143,10 +167,10 @@ const COMMANDS = [
     {
         name: '/permission',
         description: 'Change permission mode',
-        usage: '/permission <mode>',
+        usage: '/permission <mode|rules>',
         example: '/permission auto-edit',
         category: 'System',
-        details: 'Set permission mode: default (ask first), auto-edit (auto file edits), plan-only (read-only). Use Shift+Tab to cycle modes.'
+        details: 'Set permission mode: default (ask first), auto-edit (auto file edits), plan-only (read-only). Use Shift+Tab to cycle modes. "/permission rules" lists the path rules from .agent/permissions.json; answer "a" at a prompt to always allow that path or command.'
     },
     {
         name: '/fork',
@@ -5,6 +5,9 @@ const ui = require('./ui');
 const { logger } = require('../utils/logger');
 const { CodeIndexer } = require('../core/rag/indexer');
 const { GitTool } = require('../core/tools/git');
+const { modelRegistry } = require('../api/models');
+const { configManager } = require('../core/config');
+const { isImageReference, loadImage } = require('../utils/images');
 
 /**
  * Command Handlers
@@ -74,7 +77,7 @@ class CommandHandler {
         try {
 
             const aiPrompt = `Please debug this issue:\n${issue}\n\nAnalyze the problem and provide a solution. If you need to read a file to understand the context, use the 'read_file' tool.`;
-            const response = await this.engine.processRequest(aiPrompt);
+            const response = await this.engine.processRequest(aiPrompt, { taskType: 'code-generation' });
             ui.stopSpinnerSuccess('Analysis Complete');
 
             console.log(ui.formatAIHeader(response.provider, response.model));
@@ -106,7 +109,7 @@ class CommandHandler {
         ui.startSpinner('Generating tests...', 'cyan');
         try {
             const aiPrompt = `Please generate unit tests for the file: ${code}\n\n1. Use 'read_file' to read the content of '${code}'.\n2. Generate comprehensive tests.\n3. Use 'write_file' to save the tests to a new file (e.g., test_${code} or similar).`;
-            const response = await this.engine.processRequest(aiPrompt);
+            const response = await this.engine.processRequest(aiPrompt, { taskType: 'code-generation' });
             ui.stopSpinnerSuccess('Tests Generated');
 
             console.log(ui.formatAIHeader(response.provider, response.model));
@@ -153,6 +156,10 @@ class CommandHandler {
         ui.info(`Current Provider: ${provider.name}`);
         ui.info(`Current Model: ${provider.model}`);
 
+        for (const [taskType, route] of Object.entries(configManager.get('routing') || {})) {
+            ui.info(`Route ${taskType}: ${route.provider}${route.model ? `/${route.model}` : ''}`);
+        }
+
         if (summary) {
             ui.info(`Conversation: ${summary.title}`);
             ui.info(`Messages: ${summary.messageCount}`);
@@ -171,6 +178,137 @@ class CommandHandler {
         ui.providerInfo(providers, current);
     }
 
+    /**
+     * Handle /providers command
+     */
+    async handleProviders(args) {
+        if (args && args[0] === 'health') {
+            this.showProviderHealth();
+            return;
+        }
+
+        await this.showProviders();
+        ui.info('Use /providers health for circuit breaker state and latency');
+    }
+
+    /**
+     * Show circuit breaker state, error rate and latency per provider
+     */
+    showProviderHealth() {
+        const health = this.engine.getProviderHealth();
+        const current = this.engine.getCurrentProvider();
+        const stateColors = {
+            closed: ui.theme.success,
+            half_open: ui.theme.warning,
+            open: ui.theme.error,
+        };
+        const formatMs = ms => (ms === null ? '-' : `${ms}ms`);
+
+        console.log(ui.theme.primary.bold('\nProvider Health:'));
+        console.log(ui.theme.dim('─'.repeat(60)));
+        console.log(ui.theme.dim(`  ${'provider'.padEnd(10)} ${'breaker'.padEnd(10)} ${'errors'.padEnd(12)} ${'p50'.padEnd(9)} p95`));
+
+        health.forEach(entry => {
+            const color = stateColors[entry.state] || ui.theme.dim;
+            const errors = entry.samples > 0
+                ? `${Math.round(entry.errorRate * 100)}% of ${entry.samples}`
+                : 'no calls';
+            const marker = entry.name === current.name ? ui.theme.success('●') : ' ';
+            let line = `${marker} ${entry.name.padEnd(10)} ${color(entry.state.padEnd(10))} ${errors.padEnd(12)} `
+                + `${formatMs(entry.p50).padEnd(9)} ${formatMs(entry.p95)}`;
+            if (entry.state === 'open') {
+                line += ui.theme.dim(` (retry in ${Math.ceil(entry.retryInMs / 1000)}s)`);
+            }
+            if (entry.pausedForMs > 0 || entry.queued > 0) {
+                line += ui.theme.warning(` rate limited: ${entry.queued} queued, resumes in ${Math.ceil(entry.pausedForMs / 1000)}s`);
+            }
+            console.log(line);
+        });
+
+        console.log('');
+        ui.info('Requests try providers top to bottom; open breakers are skipped until their cooldown ends');
+    }
+
+    /**
+     * Handle /cost command
+     * Token and cost totals for the session, today and this month by provider/model
+     */
+    async handleCost() {
+        try {
+            const summary = await this.engine.getCostSummary();
+            const formatUsd = usd => `$${usd.toFixed(usd < 1 ? 4 : 2)}`;
+            const formatLimit = (soft, hard) => [
+                soft > 0 ? `soft $${soft.toFixed(2)}` : null,
+                hard > 0 ? `hard $${hard.toFixed(2)}` : null,
+            ].filter(Boolean).join(', ');
+
+            const sections = [
+                ['Session', summary.session, formatLimit(summary.budget.sessionSoftUsd, summary.budget.sessionHardUsd)],
+                ['Today', summary.day, formatLimit(summary.budget.dailySoftUsd, summary.budget.dailyHardUsd)],
+                ['This month', summary.month, ''],
+            ];
+
+            console.log(ui.theme.primary.bold('\nCost & Token Usage:'));
+            console.log(ui.theme.dim('─'.repeat(60)));
+
+            for (const [label, totals, limit] of sections) {
+                const budget = limit ? ui.theme.dim(` (budget: ${limit})`) : '';
+                console.log(`${ui.theme.accent(`${label}:`)} ${formatUsd(totals.costUsd)} · ${totals.requests} requests · `
+                    + `${totals.promptTokens.toLocaleString()} in / ${totals.completionTokens.toLocaleString()} out${budget}`);
+
+                totals.models.forEach(row => {
+                    const cost = row.unpriced === row.requests ? 'no pricing' : formatUsd(row.costUsd);
+                    console.log(ui.theme.dim(`    ${`${row.provider}/${row.model || '?'}`.padEnd(36)} ${cost.padEnd(11)} `
+                        + `${row.promptTokens.toLocaleString()} in / ${row.completionTokens.toLocaleString()} out`));
+                });
+            }
+
+            console.log('');
+            ui.info('Prices come from the model registry; override them in models.json');
+        } catch (error) {
+            ui.error(`Failed to get cost summary: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle /cache command
+     * /cache stats shows entries, size and hit rate; /cache clear empties the response cache
+     */
+    async handleCache(args) {
+        const action = args && args.length > 0 ? args[0] : 'stats';
+
+        try {
+            if (action === 'clear') {
+                const removed = await this.engine.clearCache();
+                ui.success(`Response cache cleared (${removed} entr${removed === 1 ? 'y' : 'ies'} removed)`);
+                return;
+            }
+
+            if (action !== 'stats') {
+                ui.error(`Unknown cache action: ${action}`);
+                ui.info('Usage: /cache [stats|clear]');
+                return;
+            }
+
+            const stats = await this.engine.getCacheStats();
+            const lookups = stats.sessionHits + stats.sessionMisses;
+            const hitRate = lookups > 0 ? `${Math.round((stats.sessionHits / lookups) * 100)}%` : 'n/a';
+            const formatMB = bytes => `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+
+            console.log(ui.theme.primary.bold('\nResponse Cache:'));
+            console.log(ui.theme.dim('─'.repeat(60)));
+            console.log(`${ui.theme.accent('Status:')}    ${stats.enabled ? 'enabled' : 'disabled (set CACHE_ENABLED=true to enable)'}`);
+            console.log(`${ui.theme.accent('Entries:')}   ${stats.entries}${stats.expired > 0 ? ui.theme.dim(` (${stats.expired} expired)`) : ''}`);
+            console.log(`${ui.theme.accent('Size:')}      ${formatMB(stats.sizeBytes)} of ${formatMB(stats.maxSizeBytes)}`);
+            console.log(`${ui.theme.accent('TTL:')}       ${stats.ttlSeconds}s`);
+            console.log(`${ui.theme.accent('Session:')}   ${stats.sessionHits} hits / ${stats.sessionMisses} misses (${hitRate})`);
+            console.log(`${ui.theme.accent('All time:')}  ${stats.totalHits} hits on stored entries`);
+            console.log('');
+        } catch (error) {
+            ui.error(`Cache command failed: ${error.message}`);
+        }
+    }
+
     /**
      * Handle /provider command
      */
@@ -193,31 +331,36 @@ class CommandHandler {
     }
 
     /**
-     * Handle /model command (Gemini model selection)
+     * Handle /model command (model selection for the current provider)
      */
     async handleModel(args) {
-        const models = this.engine.getGeminiModels();
+        const current = this.engine.getCurrentProvider();
+        const refresh = args?.[0] === '--refresh';
+        let models;
 
-        if (models.length === 0) {
-            ui.warn('Gemini provider not available');
+        try {
+            models = await this.engine.getModels({ refresh });
+        } catch (error) {
+            ui.error(`Failed to list ${current.name} models: ${error.message}`);
             return;
         }
 
-        const current = this.engine.getCurrentProvider();
-        const currentModel = current.name === 'gemini' ? current.model : null;
-
-        if (!args || args.length === 0) {
-            ui.modelSelection(models, currentModel);
-            ui.info('Usage: /model <model-name>');
-            ui.info('Example: /model gemini-1.5-pro');
+        if (!args || args.length === 0 || refresh) {
+            if (models.length === 0) {
+                ui.warn(`No models available for ${current.name}`);
+                return;
+            }
+            ui.modelSelection(models.map(model => modelRegistry.resolve(model)), current.model);
+            ui.info('Usage: /model <model-name>  (/model --refresh to fetch the list again)');
+            ui.info(`Example: /model ${models[0]}`);
             return;
         }
 
         const modelName = args[0];
 
         try {
-            this.engine.changeGeminiModel(modelName);
-            ui.success(`Changed Gemini model to: ${modelName}`);
+            this.engine.changeModel(modelName);
+            ui.success(`Changed ${current.name} model to: ${modelName}`);
         } catch (error) {
             ui.error(`Failed to change model: ${error.message}`);
         }
@@ -342,11 +485,17 @@ class CommandHandler {
                 console.log(`${ui.theme.accent('•')} plan-only - Read-only, no execution`);
                 console.log('');
                 console.log(`${ui.theme.secondary('Current mode:')} ${display}`);
+                console.log(`${ui.theme.secondary('Path rules:')} ${permissionManager.getRules().length} (see /permission rules)`);
                 console.log('');
                 ui.info('Use /permission <mode> to change or Shift+Tab to cycle');
                 return;
             }
 
+            if (args[0] === 'rules') {
+                this.showPermissionRules(permissionManager);
+                return;
+            }
+
             const newMode = args[0];
             await permissionManager.setMode(newMode);
             const display = permissionManager.getModeDisplay();
@@ -356,6 +505,35 @@ class CommandHandler {
         }
     }
 
+    /**
+     * Show path-based permission rules
+     */
+    showPermissionRules(permissionManager) {
+        const rules = permissionManager.getRules();
+        const decisionColors = {
+            allow: ui.theme.success,
+            ask: ui.theme.warning,
+            deny: ui.theme.error,
+        };
+
+        console.log(ui.theme.primary.bold('\nPermission Rules:'));
+        console.log(ui.theme.dim('─'.repeat(60)));
+
+        if (rules.length === 0) {
+            console.log(ui.theme.dim('  No rules defined'));
+        }
+
+        rules.forEach(rule => {
+            const actions = Array.isArray(rule.action) ? rule.action.join(',') : rule.action;
+            const color = decisionColors[rule.decision] || ui.theme.dim;
+            console.log(`  ${color(rule.decision.padEnd(6))} ${actions.padEnd(16)} ${rule.pattern}`);
+        });
+
+        console.log('');
+        ui.info(`Rules file: ${permissionManager.getRulesPath()}`);
+        ui.info('Deny rules always win; plan-only mode blocks writes regardless of allow rules');
+    }
+
     /**
      * Handle /fork command
      */
@@ -388,7 +566,8 @@ class CommandHandler {
         try {
             ui.startSpinner('Compacting context...', 'cyan');
             const context = await this.engine.contextManager.getContext();
-            const compacted = await this.engine.contextManager.compactContext(context);
+            const { model } = this.engine.getCurrentProvider();
+            const compacted = await this.engine.contextManager.compactContext(context, model);
             ui.stopSpinnerSuccess('Context Compacted');
 
             console.log(ui.theme.primary.bold('\nContext Compaction:'));
@@ -412,16 +591,19 @@ class CommandHandler {
             const context = await this.engine.contextManager.getContext();
             const size = this.engine.contextManager.getContextSize(context);
             const sizeMB = (JSON.stringify(context).length / (1024 * 1024)).toFixed(2);
+            const { model } = this.engine.getCurrentProvider();
+            const contextWindow = modelRegistry.getContextWindow(model);
+            const threshold = this.engine.contextManager.getCompactionThreshold(model);
 
             console.log(ui.theme.primary.bold('\nContext Usage:'));
             console.log(ui.theme.dim('─'.repeat(60)));
             console.log(`${ui.theme.accent('Messages:')} ${context.messages.length}`);
-            console.log(`${ui.theme.accent('Approx. tokens:')} ${size.toLocaleString()}`);
+            console.log(`${ui.theme.accent('Approx. tokens:')} ${size.toLocaleString()} / ${contextWindow.toLocaleString()} (${model})`);
             console.log(`${ui.theme.accent('Size:')} ${sizeMB} MB`);
             console.log(`${ui.theme.accent('Compacted:')} ${context.compacted ? 'Yes' : 'No'}`);
             console.log('');
 
-            if (size > 100000) {
+            if (size > threshold) {
                 ui.warn('Context is large. Consider using /compact to optimize.');
             } else {
                 ui.info('Context size is healthy');
@@ -487,10 +669,10 @@ ${diff}
 
 Return ONLY the commit message.
 `;
-            const response = await this.engine.processRequest(prompt);
+            const response = await this.engine.generate(prompt, { taskType: 'commit-message' });
             const suggestedMessage = response.content.trim().replace(/^['"]|['"]$/g, ''); // Clean quotes
 
-            ui.stopSpinnerSuccess('Analysis Complete');
+            ui.stopSpinnerSuccess(response.metadata?.cached ? 'Analysis Complete (cached)' : 'Analysis Complete');
 
             // 5. Confirm
             const answer = await inquirer.prompt([
@@ -517,34 +699,38 @@ Return ONLY the commit message.
 
     /**
      * Handle /see command (Vision)
+     * Leading arguments that name images (paths or file:// URLs) are attached; the rest is the prompt.
      */
     async handleSee(args) {
-        if (!args || args.length === 0) {
-            ui.warn('Usage: /see <path/to/image> [prompt]');
-            return;
+        const references = [];
+        while (args && references.length < args.length && isImageReference(args[references.length])) {
+            references.push(args[references.length]);
         }
 
-        const imagePath = args[0];
-        // Combine remaining args as prompt, or default
-        const prompt = args.length > 1 ? args.slice(1).join(' ') : 'Describe this image and analyze its contents.';
-
-        if (!fs.existsSync(imagePath)) {
-            ui.error(`File not found: ${imagePath}`);
+        if (references.length === 0) {
+            ui.warn('Usage: /see <image> [more images...] [prompt]');
             return;
         }
 
-        ui.startSpinner('Analyzing Image...', 'cyan');
+        let images;
         try {
-            // Read image and convert to base64
-            const imageBuffer = fs.readFileSync(imagePath);
-            const base64Image = imageBuffer.toString('base64');
-            const mimeType = path.extname(imagePath) === '.png' ? 'image/png' : 'image/jpeg';
+            images = references.map(reference => loadImage(reference));
+        } catch (error) {
+            ui.error(error.message);
+            return;
+        }
+
+        // Combine remaining args as prompt, or default
+        const defaultPrompt = images.length > 1
+            ? 'Describe these images and analyze their contents.'
+            : 'Describe this image and analyze its contents.';
+        const prompt = args.length > references.length ? args.slice(references.length).join(' ') : defaultPrompt;
 
+        ui.startSpinner(images.length > 1 ? `Analyzing ${images.length} Images...` : 'Analyzing Image...', 'cyan');
+        try {
             const response = await this.engine.processRequest(prompt, {
-                images: [{
-                    data: base64Image,
-                    mimeType
-                }]
+                taskType: 'vision',
+                images,
             });
 
             ui.stopSpinnerSuccess('Analysis Complete');
@@ -566,19 +752,16 @@ Return ONLY the commit message.
             return;
         }
 
-        const imagePath = args[0];
-        if (!fs.existsSync(imagePath)) {
-            ui.error(`File not found: ${imagePath}`);
+        let image;
+        try {
+            image = loadImage(args[0]);
+        } catch (error) {
+            ui.error(error.message);
             return;
         }
 
         ui.startSpinner('Converting Screenshot to Code...', 'cyan');
         try {
-            // Read image and convert to base64
-            const imageBuffer = fs.readFileSync(imagePath);
-            const base64Image = imageBuffer.toString('base64');
-            const mimeType = path.extname(imagePath) === '.png' ? 'image/png' : 'image/jpeg';
-
             const systemPrompt = `
 You are an expert Front-End Developer.
 Your task is to convert this screenshot into clean, responsive HTML and CSS code.
@@ -590,10 +773,8 @@ Your task is to convert this screenshot into clean, responsive HTML and CSS code
 `;
 
             const response = await this.engine.processRequest(systemPrompt, {
-                images: [{
-                    data: base64Image,
-                    mimeType
-                }]
+                taskType: 'vision',
+                images: [image]
             });
 
             ui.stopSpinnerSuccess('Code Generation Complete');
@@ -752,9 +933,9 @@ ${codeContent.substring(0, 8000)}
 (Note: Code may be truncated for context limits)
 `;
 
-            const response = await this.engine.processRequest(prompt);
+            const response = await this.engine.generate(prompt, { taskType: 'review' });
 
-            ui.stopSpinnerSuccess('Audit Complete');
+            ui.stopSpinnerSuccess(response.metadata?.cached ? 'Audit Complete (cached)' : 'Audit Complete');
             console.log(ui.formatAIHeader(response.provider, response.model));
             ui.renderMarkdown(response.content);
 
@@ -845,33 +1026,19 @@ The content should be in Markdown format.
 3. .agent/skills/README.md (Required Skills & Tools)
 4. .agent/workflows/README.md (Operational Workflows)
 
-Return the response as a valid JSON object where keys are the file paths and values are the file contents.
-Do not use markdown code blocks for the JSON. Just return the raw JSON.
-Example format:
-{
-  ".agent/.shared/README.md": "# Content...",
-  ".agent/rules/README.md": "# Content...",
-  ".agent/skills/README.md": "# Content...",
-  ".agent/workflows/README.md": "# Content..."
-}
+Return a JSON object where keys are the file paths and values are the file contents.
 `;
+                const fileSchema = {
+                    type: 'object',
+                    properties: Object.fromEntries(Object.keys(placeholders).map(file => [file, { type: 'string', minLength: 1 }])),
+                    required: Object.keys(placeholders),
+                    additionalProperties: false,
+                };
 
-                const response = await this.engine.processRequest(aiPrompt);
-
-                // Attempt to parse JSON from response
-                const jsonStr = response.content.replace(/```json/g, '').replace(/```/g, '').trim();
-                generatedFiles = JSON.parse(jsonStr);
-
-                // Validate keys
-                const requiredKeys = Object.keys(placeholders);
-                const hasAllKeys = requiredKeys.every(k => Object.keys(generatedFiles).includes(k));
-
-                if (!hasAllKeys) {
-                    throw new Error('Incomplete AI response');
-                }
+                generatedFiles = await this.engine.requestStructured(aiPrompt, fileSchema, { taskType: 'code-generation' });
 
             } catch (e) {
-                // Fallback if AI fails or JSON parsing fails
+                // Fallback if AI fails or never returns valid JSON
                 ui.warn(`AI Generation failed: ${e.message}. Using default placeholders.`);
                 generatedFiles = placeholders;
             }
@@ -901,7 +1068,7 @@ Example format:
             try {
                 process.chdir(fullPath);
                 // Update engine's working directory to match new CWD
-                this.engine.setWorkingDirectory(fullPath);
+                await this.engine.setWorkingDirectory(fullPath);
 
                 ui.success(`Switched working directory to: ${targetDir}`);
 
@@ -1000,6 +1167,15 @@ Example format:
             case '/provider':
                 await this.handleProvider(args);
                 break;
+            case '/providers':
+                await this.handleProviders(args);
+                break;
+            case '/cost':
+                await this.handleCost();
+                break;
+            case '/cache':
+                await this.handleCache(args);
+                break;
             case '/model':
                 await this.handleModel(args);
                 break;
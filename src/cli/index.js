@@ -4,12 +4,60 @@ const { Command } = require('commander');
 const readline = require('readline');
 const { AntigravityEngine } = require('../core/engine');
 const { CommandHandler } = require('./commands');
+const { configManager } = require('../core/config');
 const ui = require('./ui');
 const { logger } = require('../utils/logger');
 const packageJson = require('../../package.json');
 
 const program = new Command();
 
+// Interrupts closer together than this are one keypress reported twice
+const FORCE_EXIT_DEBOUNCE_MS = 500;
+
+/**
+ * Send a request and render the response, streaming it when STREAM_RESPONSES is enabled
+ */
+async function runRequest(engine, message, options = {}) {
+    if (!configManager.get('ui.streamResponses')) {
+        const response = await engine.processRequest(message, options);
+
+        if (response.stopReason === 'aborted') {
+            ui.stopSpinnerFail('Request cancelled');
+        } else {
+            ui.stopSpinnerSuccess('Response received');
+        }
+
+        // Show AI Header
+        console.log(ui.formatAIHeader(response.provider, response.model));
+
+        // Render Markdown content
+        ui.renderMarkdown(response.content);
+        return response;
+    }
+
+    // The header goes out with the first event; tool calls and follow-up turns stream below it
+    let started = false;
+    const response = await engine.streamRequest(message, null, {
+        ...options,
+        onEvent: event => {
+            if (!started) {
+                started = true;
+                const provider = engine.getCurrentProvider();
+                ui.stopSpinnerSuccess('Streaming');
+                console.log(ui.formatAIHeader(provider.name, provider.model));
+            }
+            ui.showStreamEvent(event);
+        },
+    });
+
+    if (!started && response.stopReason === 'aborted') {
+        ui.stopSpinnerFail('Request cancelled');
+    } else if (!started) {
+        ui.stopSpinnerSuccess('Response received');
+    }
+    return response;
+}
+
 /**
  * Interactive REPL mode
  */
@@ -41,6 +89,31 @@ async function interactiveMode() {
         // Share RL with UI manager
         ui.setRuntimeInterface(rl);
 
+        // Ctrl+C cancels the in-flight request; with nothing running it exits as before.
+        // Pressing it again while the cancelled request is still running exits, in case a provider,
+        // tool or backoff ignores the signal.
+        let activeRequest = null;
+        let cancelledAt = 0;
+        const handleInterrupt = () => {
+            if (activeRequest && !activeRequest.signal.aborted) {
+                activeRequest.abort();
+                cancelledAt = Date.now();
+                ui.warn('Cancelling request... (press Ctrl+C again to exit)');
+                return;
+            }
+            if (!activeRequest) {
+                rl.close();
+                return;
+            }
+            // The spinner and readline can both report the same keypress; only a later press exits
+            if (Date.now() - cancelledAt > FORCE_EXIT_DEBOUNCE_MS) {
+                ui.stopSpinnerFail('Cancelled');
+                ui.warn('The request did not stop; exiting.');
+                process.exit(130);
+            }
+        };
+        rl.on('SIGINT', handleInterrupt);
+
         // Main REPL loop
         const processInput = async input => {
             const trimmed = input.trim();
@@ -73,23 +146,22 @@ async function interactiveMode() {
             }
 
             // Regular message - send to AI
+            activeRequest = new AbortController();
+            // The spinner grabs stdin, so Ctrl+C may arrive as a process signal instead
+            process.on('SIGINT', handleInterrupt);
             try {
                 ui.startSpinner('Thinking...', 'cyan');
 
-                const response = await engine.processRequest(trimmed);
-
-                ui.stopSpinnerSuccess('Response received');
-
-                // Show AI Header
-                console.log(ui.formatAIHeader(response.provider, response.model));
-
-                // Render Markdown content
-                ui.renderMarkdown(response.content);
+                const response = await runRequest(engine, trimmed, { signal: activeRequest.signal });
+                ui.showStopReason(response);
 
             } catch (error) {
                 ui.stopSpinnerFail('Request Failed');
                 ui.error(error.message);
                 logger.error('Request failed', { error: error.message });
+            } finally {
+                process.removeListener('SIGINT', handleInterrupt);
+                activeRequest = null;
             }
 
             const currentProvider = engine.getCurrentProvider();
@@ -150,11 +222,21 @@ async function singleCommandMode(message) {
             await commandHandler.executeCommand(message);
         } else {
             ui.startSpinner('Processing Request...', 'cyan');
-            const response = await engine.processRequest(message);
+
+            // The first Ctrl+C cancels the request and keeps the conversation consistent; a second one exits
+            const controller = new AbortController();
+            const cancel = () => {
+                controller.abort();
+                ui.warn('Cancelling request...');
+            };
+            process.once('SIGINT', cancel);
+            const response = await engine.processRequest(message, { signal: controller.signal });
+            process.removeListener('SIGINT', cancel);
 
             ui.stopSpinnerSuccess('Done');
             console.log(ui.formatAIHeader(response.provider, response.model));
             ui.renderMarkdown(response.content);
+            ui.showStopReason(response);
         }
 
         await engine.shutdown();
@@ -248,6 +248,42 @@ class UIManager {
         console.log(marked.parse(content));
     }
 
+    /**
+     * Render a unified stream event: text is written as it arrives, tool calls once complete
+     */
+    showStreamEvent(event) {
+        if (this.jsonMode) {
+            if (event.type !== 'tool_call_delta') {
+                console.log(JSON.stringify({ type: 'stream', event }));
+            }
+            return;
+        }
+
+        if (this.spinner) {
+            this.spinner.stop();
+            this.spinner = null;
+        }
+
+        if (event.type === 'text') {
+            process.stdout.write(event.text);
+            this.streamLineOpen = !event.text.endsWith('\n');
+        } else if (event.type === 'reset') {
+            if (this.streamLineOpen) {
+                process.stdout.write('\n');
+                this.streamLineOpen = false;
+            }
+            this.warn(`Stream from ${event.provider} failed (${event.reason}); the response above is discarded and restarts below.`);
+        } else if (event.type === 'tool_call_end' || event.type === 'done') {
+            if (this.streamLineOpen) {
+                process.stdout.write('\n');
+                this.streamLineOpen = false;
+            }
+            if (event.type === 'tool_call_end') {
+                console.log(this.formatToolCall(event.name, event.arguments));
+            }
+        }
+    }
+
     /**
      * Format a tool call for display
      */
@@ -267,6 +303,26 @@ class UIManager {
         return `\n${THEME.accent.bold('🤖 AI')} ${THEME.dim(`(${provider}/${model})`)}\n${THEME.dim('─'.repeat(40))}`;
     }
 
+    /**
+     * Explain why the tool loop ended early (no output when it completed normally)
+     */
+    showStopReason(response) {
+        if (!response || !response.stopReason || response.stopReason === 'completed') return;
+
+        const reasons = {
+            aborted: 'Request cancelled. Partial results were kept in the conversation.',
+            max_iterations: `Stopped after ${response.iterations} tool iterations (MAX_TOOL_ITERATIONS). Send a follow-up to continue.`,
+            loop_detected: 'Stopped: the AI kept repeating the same tool call.',
+        };
+        const message = reasons[response.stopReason] || `Stopped: ${response.stopReason}`;
+
+        if (this.jsonMode) {
+            console.log(JSON.stringify({ type: 'stopped', reason: response.stopReason, message }));
+            return;
+        }
+        this.warn(message);
+    }
+
     /**
      * Clear the console
      */
@@ -329,14 +385,34 @@ class UIManager {
         if (this.jsonMode) return;
         console.log(THEME.primary.bold('\nAvailable Models:'));
         models.forEach(model => {
-            const isCurrent = model === current;
+            const isCurrent = model.id === current;
             const prefix = isCurrent ? THEME.success('●') : THEME.dim('○');
-            const name = isCurrent ? THEME.success.bold(model) : chalk.white(model);
-            console.log(`  ${prefix} ${name}`);
+            const name = isCurrent ? THEME.success.bold(model.id) : chalk.white(model.id);
+            console.log(`  ${prefix} ${name} ${THEME.dim(this.formatModelInfo(model))}`);
         });
         console.log('');
     }
 
+    /**
+     * One-line summary of a model registry entry: context window and capability badges
+     * Models marked "new" were discovered from the provider's API and are not in the registry,
+     * so their limits are the API's or the registry defaults.
+     */
+    formatModelInfo(model) {
+        const parts = [];
+        if (model.contextWindow) {
+            parts.push(`${Math.round(model.contextWindow / 1000)}K ctx`);
+        }
+        if (model.tools) parts.push('tools');
+        if (model.vision) parts.push('vision');
+        if (model.streaming) parts.push('streaming');
+        if (model.discovered) parts.push('new');
+        if (model.pricing) {
+            parts.push(`$${model.pricing.input}/$${model.pricing.output} per 1M`);
+        }
+        return parts.join(' · ');
+    }
+
     /**
      * Show provider information
      */
@@ -429,6 +505,85 @@ class UIManager {
         });
     }
 
+    /**
+     * Ask for permission, optionally offering to always allow it
+     * @param {string} message - Question to ask
+     * @param {string|null} alwaysLabel - Rule saved on "a" (omit to hide the option)
+     * @returns {Promise<boolean|string>} true, false or 'always'
+     */
+    async confirmPermission(message, alwaysLabel = null) {
+        if (!alwaysLabel) return this.confirmAction(message);
+        if (this.jsonMode) return true;
+
+        if (this.spinner) {
+            this.spinner.stop();
+            this.spinner = null;
+        }
+
+        const question = `${THEME.warning.bold(`❓ ${message} (Y/n/a) `)}${THEME.dim(`[a = always: ${alwaysLabel}] `)}`;
+        const parseAnswer = answer => {
+            const choice = answer.trim().toLowerCase();
+            if (choice === 'a' || choice === 'always') return 'always';
+            return choice !== 'n';
+        };
+
+        if (this.runtimeRl) {
+            return new Promise(resolve => {
+                this.runtimeRl.question(question, answer => resolve(parseAnswer(answer)));
+            });
+        }
+
+        const rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout
+        });
+
+        return new Promise(resolve => {
+            rl.question(question, answer => {
+                rl.close();
+                resolve(parseAnswer(answer));
+            });
+        });
+    }
+
+    /**
+     * Ask whether to trust a workspace: true (this session), 'always' or false
+     * Defaults to no, and to false when nobody can answer (JSON output, no terminal).
+     */
+    async confirmTrust(message) {
+        if (this.jsonMode || (!this.runtimeRl && !process.stdin.isTTY)) return false;
+
+        if (this.spinner) {
+            this.spinner.stop();
+            this.spinner = null;
+        }
+
+        const question = `${THEME.warning.bold(`❓ ${message} (y/N/a) `)}${THEME.dim('[a = always trust this workspace] ')}`;
+        const parseAnswer = answer => {
+            const choice = answer.trim().toLowerCase();
+            if (choice === 'a' || choice === 'always') return 'always';
+            return choice === 'y' || choice === 'yes';
+        };
+
+        if (this.runtimeRl) {
+            return new Promise(resolve => {
+                this.runtimeRl.question(question, answer => resolve(parseAnswer(answer)));
+            });
+        }
+
+        const rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout
+        });
+
+        return new Promise(resolve => {
+            rl.question(question, answer => {
+                rl.close();
+                resolve(parseAnswer(answer));
+            });
+        });
+    }
+
     // Export theme color for use in other files
     get theme() {
         return THEME;
@@ -10,6 +10,8 @@ class ArchitectAgent extends BaseAgent {
             name: 'Architect',
             role: 'System Architect',
             color: 'blue',
+            readOnlyTools: true,
+            taskType: 'code-generation',
             systemPrompt: `You are a Senior Software Architect.
 Your goal is to design robust, scalable, and maintainable systems based on user requirements.
 
@@ -17,6 +17,8 @@ class BaseAgent extends EventEmitter {
         this.role = config.role || 'Assistant';
         this.color = config.color || 'cyan'; // For UI usage
         this.systemPrompt = config.systemPrompt || 'You are a helpful AI assistant.';
+        this.readOnlyTools = config.readOnlyTools === true; // Only offer tools that cannot modify the workspace
+        this.taskType = config.taskType || 'chat'; // Picks the provider/model from config.routing
         this.memory = []; // Local message history
         this.initialized = false;
     }
@@ -46,16 +48,16 @@ class BaseAgent extends EventEmitter {
         this.emit('think_start', { message });
 
         try {
-            // 2. Construct Prompt with Persona
-            // We prepend the system prompt to ensure the AI adopts the correct persona.
-            // In the future, we might pass this as a distinct 'system' parameter if the Engine supports it.
-            const fullPrompt = `[System Instruction: ${this.systemPrompt}]\n\n[User Request: ${message}]`;
-
-            // 3. Call Core Engine
-            // We use the engine to handle the actual LLM call and tool execution.
-            const response = await this.engine.processRequest(fullPrompt, context);
+            // 2. Call Core Engine
+            // The persona becomes part of the system prompt; the engine handles the LLM call and tool execution.
+            const response = await this.engine.processRequest(message, {
+                readOnlyTools: this.readOnlyTools,
+                persona: this.systemPrompt,
+                taskType: this.taskType,
+                ...context,
+            });
 
-            // 4. Update Memory
+            // 3. Update Memory
             this.memory.push({
                 role: 'assistant',
                 content: response.content,
@@ -10,6 +10,7 @@ class CoderAgent extends BaseAgent {
             name: 'Coder',
             role: 'Senior Developer',
             color: 'green',
+            taskType: 'code-generation',
             systemPrompt: `You are an Expert Software Developer.
 Your goal is to implement the system designed by the Architect.
 
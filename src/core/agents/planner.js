@@ -1,19 +1,38 @@
 const { BaseAgent } = require('./base');
 const { logger } = require('../../utils/logger');
 
+// A top-level object, because OpenAI structured output does not accept a bare array
+const PLAN_SCHEMA = {
+    type: 'object',
+    properties: {
+        steps: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    type: { type: 'string', enum: ['command', 'code', 'review'] },
+                    description: { type: 'string' },
+                    details: { type: 'string' },
+                },
+                required: ['id', 'type', 'description', 'details'],
+            },
+        },
+    },
+    required: ['steps'],
+};
+
 class PlannerAgent extends BaseAgent {
     constructor(engine) {
-        super('Planner', 'Architect', engine);
-    }
-
-    async act(goal) {
-        logger.info('Planner is creating a plan for:', { goal });
+        super(engine, {
+            name: 'Planner',
+            role: 'Architect',
+            color: 'blue',
+            taskType: 'code-generation',
+            systemPrompt: `You are a Senior Software Architect. Your job is to break down a high-level user request into a specific, step-by-step implementation plan.
 
-        const systemPrompt = `
-You are a Senior Software Architect. Your job is to break down a high-level user request into a specific, step-by-step implementation plan.
-Output the plan ONLY as a valid JSON array of objects. Do not add markdown formatting or extra text.
-
-Each step object should have:
+Each step has:
 - "id": number
 - "type": "command" | "code" | "review"
 - "description": string (what to do)
@@ -21,29 +40,32 @@ Each step object should have:
 
 Example Input: "Create a React app"
 Example Output:
-[
+{ "steps": [
   { "id": 1, "type": "command", "description": "Initialize Vite project", "details": "npm create vite@latest my-app -- --template react" },
   { "id": 2, "type": "command", "description": "Install dependencies", "details": "cd my-app && npm install" }
-]
-`;
+] }`,
+        });
+    }
 
-        const response = await this.callAI(systemPrompt, goal);
+    /**
+     * Break a goal down into implementation steps
+     * @param {string} goal - High-level request
+     * @returns {Promise<Array<Object>>} [{ id, type, description, details }]
+     */
+    async act(goal) {
+        logger.info('Planner is creating a plan for:', { goal });
 
         try {
-            // Clean up potentially messy AI output (e.g. if it included backticks)
-            let cleanContent = response.content;
-            if (cleanContent.startsWith('```json')) {
-                cleanContent = cleanContent.replace(/```json/g, '').replace(/```/g, '');
-            } else if (cleanContent.startsWith('```')) {
-                cleanContent = cleanContent.replace(/```/g, '');
-            }
-
-            const plan = JSON.parse(cleanContent.trim());
-            logger.info('Plan created', { steps: plan.length });
-            return plan;
+            const { steps } = await this.engine.requestStructured(
+                `${this.systemPrompt}\n\nRequest: ${goal}`,
+                PLAN_SCHEMA,
+                { taskType: this.taskType }
+            );
+            logger.info('Plan created', { steps: steps.length });
+            return steps;
         } catch (error) {
-            logger.error('Failed to parse plan', { error: error.message, content: response.content });
-            throw new Error('Planner failed to produce a valid JSON plan.');
+            logger.error('Failed to create plan', { error: error.message });
+            throw new Error(`Planner failed to produce a valid plan: ${error.message}`);
         }
     }
 }
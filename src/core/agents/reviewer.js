@@ -10,6 +10,8 @@ class ReviewerAgent extends BaseAgent {
             name: 'Reviewer',
             role: 'QA & Security Expert',
             color: 'magenta',
+            readOnlyTools: true,
+            taskType: 'review',
             systemPrompt: `You are a QA Lead and Security Expert.
 Your goal is to review the implementation provided by the Coder.
 
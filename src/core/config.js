@@ -1,4 +1,5 @@
 const dotenv = require('dotenv');
+const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { logger } = require('../utils/logger');
@@ -6,6 +7,14 @@ const { logger } = require('../utils/logger');
 // Load environment variables with override enabled
 dotenv.config({ override: true });
 
+// Config sections a project may override from .agent/settings.json
+const PROJECT_SETTING_SECTIONS = ['lint', 'agent'];
+
+const BUILTIN_PROVIDERS = ['claude', 'gemini', 'openai', 'ollama', 'replay'];
+
+// Task types requests are tagged with; each may be routed to its own provider/model
+const TASK_TYPES = ['commit-message', 'chat', 'code-generation', 'review', 'vision', 'summarization'];
+
 /**
  * Configuration Manager
  */
@@ -13,6 +22,7 @@ class ConfigManager {
     constructor() {
         this.config = {};
         this.loaded = false;
+        this.projectDefaults = null;
     }
 
     /**
@@ -28,86 +38,30 @@ class ConfigManager {
             tertiary: process.env.TERTIARY_PROVIDER || 'openai',
         };
 
+        // Model lists, context windows and limits live in src/api/models.js
         // Gemini model selection
         this.config.gemini = {
             defaultModel: process.env.GEMINI_DEFAULT_MODEL || 'gemini-2.5-flash',
-            availableModels: [
-                // Gemini 3.1 Series
-                'gemini-3.1-pro',
-                'gemini-3.1-flash',
-                'gemini-3.1-pro-image',
-                // Gemini 3 Series (Latest)
-                'gemini-3-flash',
-                'gemini-3-pro',
-                'gemini-3-pro-image',
-                'gemini-3-deep-think',
-                // Gemini 2.5 Series
-                'gemini-2.5-pro',
-                'gemini-2.5-flash',
-                'gemini-2.5-flash-tts',
-                // Legacy Models
-                'gemini-2.0-flash-exp',
-                'gemini-2.0-flash',
-                'gemini-2.0-flash-lite',
-                'gemini-1.5-pro',
-                'gemini-1.5-flash',
-                'gemini-1.0-pro',
-            ],
+            maxTokens: parseInt(process.env.GEMINI_MAX_TOKENS || '8192', 10),
         };
 
         // Claude configuration
         this.config.claude = {
             model: process.env.CLAUDE_MODEL || 'claude-sonnet-4.5',
             maxTokens: parseInt(process.env.CLAUDE_MAX_TOKENS || '8192', 10),
-            availableModels: [
-                // Opus Series
-                'claude-opus-4.6',
-                'claude-opus-4.1',
-                'claude-opus-4',
-                // Sonnet Series
-                'claude-sonnet-4.5',
-                'claude-sonnet-4',
-                'claude-sonnet-3.7',
-                'claude-sonnet-3.5',
-                // Haiku Series
-                'claude-haiku-4.5',
-                'claude-haiku-3.5',
-                'claude-haiku-3',
-            ],
         };
 
         // OpenAI configuration
         this.config.openai = {
             model: process.env.OPENAI_MODEL || 'gpt-5.2',
             maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS || '8192', 10),
-            availableModels: [
-                // GPT-5.3 Series
-                'gpt-5.3-codex',
-                'gpt-5.3-codex-spark',
-                // GPT-5.2 Series
-                'gpt-5.2',
-                'gpt-5.2-pro',
-                'gpt-5.2-codex',
-                // GPT-5.1 Series
-                'gpt-5.1',
-                'gpt-5.1-codex',
-                'gpt-5.1-codex-max',
-                // GPT-5.0 Series
-                'gpt-5',
-                'gpt-5-pro',
-                'gpt-5-codex',
-                'gpt-5-mini',
-                'gpt-5-nano',
-                // o-Series (Reasoning)
-                'o3',
-                'o3-pro',
-                'o3-mini',
-                'o4-mini-deep-research',
-                // GPT-4.1 Series
-                'gpt-4.1',
-                'gpt-4.1-mini',
-                'gpt-4.1-nano',
-            ],
+        };
+
+        // Ollama configuration (models are discovered from the local server)
+        this.config.ollama = {
+            baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+            model: process.env.OLLAMA_MODEL || 'llama3',
+            maxTokens: parseInt(process.env.OLLAMA_MAX_TOKENS || '4096', 10),
         };
 
         // Failover settings
@@ -116,16 +70,48 @@ class ConfigManager {
             maxRetriesPerProvider: parseInt(process.env.MAX_RETRIES_PER_PROVIDER || '3', 10),
             retryDelayMs: parseInt(process.env.RETRY_DELAY_MS || '1000', 10),
             healthCheckIntervalMs: parseInt(process.env.HEALTH_CHECK_INTERVAL_MS || '30000', 10),
+            streamRecovery: process.env.STREAM_FAILOVER_MODE || 'continue', // 'continue' or 'discard'
+            breakerFailureThreshold: parseInt(process.env.BREAKER_FAILURE_THRESHOLD || '5', 10),
+            breakerCooldownMs: parseInt(process.env.BREAKER_COOLDOWN_MS || '60000', 10),
+            healthWindowMinutes: parseInt(process.env.HEALTH_WINDOW_MINUTES || '15', 10),
+            healthOrdering: process.env.HEALTH_ORDERING !== 'false',
         };
 
         // Context settings
         this.config.context = {
             maxConversationMessages: parseInt(process.env.MAX_CONVERSATION_MESSAGES || '50', 10),
             maxFileContext: parseInt(process.env.MAX_FILE_CONTEXT || '10', 10),
-            maxContextSizeMB: parseInt(process.env.MAX_CONTEXT_SIZE_MB || '5', 10),
+            // Compact when the conversation uses this share of the model's context window
+            compactionThreshold: parseFloat(process.env.CONTEXT_COMPACTION_THRESHOLD || '0.8'),
             compressionEnabled: process.env.CONTEXT_COMPRESSION_ENABLED !== 'false',
         };
 
+        // Spending limits in USD; 0 disables a limit. Soft limits warn, hard limits block requests
+        this.config.budget = {
+            sessionSoftUsd: parseFloat(process.env.BUDGET_SESSION_SOFT_USD || '0'),
+            sessionHardUsd: parseFloat(process.env.BUDGET_SESSION_HARD_USD || '0'),
+            dailySoftUsd: parseFloat(process.env.BUDGET_DAILY_SOFT_USD || '0'),
+            dailyHardUsd: parseFloat(process.env.BUDGET_DAILY_HARD_USD || '0'),
+        };
+
+        // Agent tool loop
+        this.config.agent = {
+            maxToolIterations: parseInt(process.env.MAX_TOOL_ITERATIONS || '25', 10),
+            maxRepeatedToolCalls: parseInt(process.env.MAX_REPEATED_TOOL_CALLS || '3', 10),
+        };
+
+        // Lint/format feedback after AI file writes
+        this.config.lint = {
+            enabled: process.env.LINT_ON_WRITE !== 'false',
+            // Languages to auto-format with Prettier after a write, e.g. "javascript,typescript,json"
+            autoFormat: Object.fromEntries((process.env.AUTO_FORMAT_LANGUAGES || '')
+                .split(',')
+                .map(language => language.trim())
+                .filter(Boolean)
+                .map(language => [language, true])),
+            maxDiagnostics: parseInt(process.env.LINT_MAX_DIAGNOSTICS || '20', 10),
+        };
+
         // Storage paths
         this.config.storage = {
             dataDir: process.env.DATA_DIR || path.join(os.homedir(), '.antigravity'),
@@ -133,6 +119,54 @@ class ConfigManager {
             logDir: process.env.LOG_DIR || path.join(os.homedir(), '.antigravity', 'logs'),
         };
 
+        // Record/replay provider for offline tests: record wraps REPLAY_PROVIDER and writes
+        // fixtures, replay serves them without network access
+        this.config.replay = {
+            mode: process.env.REPLAY_MODE || 'replay',
+            provider: process.env.REPLAY_PROVIDER || 'gemini',
+            fixtureDir: process.env.REPLAY_FIXTURES_DIR || path.join(this.config.storage.dataDir, 'fixtures'),
+        };
+
+        // Named OpenAI-compatible servers (vLLM, LM Studio, llama.cpp, ...) usable in the failover chain
+        this.config.customProviders = this.loadCustomProviders(
+            process.env.CUSTOM_PROVIDERS_FILE || path.join(this.config.storage.dataDir, 'providers.json')
+        );
+
+        // Requests and tokens per minute per provider (0 = no limit). Requests over a limit wait
+        // in a queue; custom providers set requestsPerMinute/tokensPerMinute in providers.json
+        this.config.rateLimits = {
+            maxWaitMs: parseInt(process.env.RATE_LIMIT_MAX_WAIT_MS || '60000', 10),
+            providers: {
+                ...Object.fromEntries(BUILTIN_PROVIDERS.map(name => [name, {
+                    requestsPerMinute: parseInt(process.env[`${name.toUpperCase()}_RPM`] || '0', 10),
+                    tokensPerMinute: parseInt(process.env[`${name.toUpperCase()}_TPM`] || '0', 10),
+                }])),
+                ...Object.fromEntries(Object.entries(this.config.customProviders).map(([name, custom]) => [name, {
+                    requestsPerMinute: custom.requestsPerMinute || 0,
+                    tokensPerMinute: custom.tokensPerMinute || 0,
+                }])),
+            },
+        };
+
+        // Task routing: ROUTE_<TASK_TYPE>=provider/model (or just provider) sends that task type
+        // to its own provider first; the normal failover chain follows
+        this.config.routing = Object.fromEntries(TASK_TYPES
+            .map(taskType => [taskType, process.env[`ROUTE_${taskType.toUpperCase().replace(/-/g, '_')}`]])
+            .filter(([, route]) => route)
+            .map(([taskType, route]) => [taskType, this.parseRoute(route)]));
+
+        // User model registry entries, merged over the built-in models
+        this.config.models = this.loadModels(
+            process.env.MODELS_FILE || path.join(this.config.storage.dataDir, 'models.json')
+        );
+
+        // Model lists fetched from each provider's API, cached on disk for ttlSeconds
+        this.config.modelDiscovery = {
+            enabled: process.env.MODEL_DISCOVERY !== 'false',
+            ttlSeconds: parseInt(process.env.MODEL_LIST_TTL_SECONDS || '86400', 10),
+            cacheFile: process.env.MODEL_LIST_CACHE_FILE || path.join(this.config.storage.dataDir, 'model-lists.json'),
+        };
+
         // Logging
         this.config.logging = {
             level: process.env.LOG_LEVEL || 'info',
@@ -143,10 +177,12 @@ class ConfigManager {
 
         // Performance
         this.config.performance = {
-            cacheEnabled: process.env.CACHE_ENABLED !== 'false',
+            // Opt-in: providers sample at temperature 0.7, so a cached answer replaces a fresh one
+            cacheEnabled: process.env.CACHE_ENABLED === 'true',
             cacheTTLSeconds: parseInt(process.env.CACHE_TTL_SECONDS || '3600', 10),
             maxCacheSizeMB: parseInt(process.env.MAX_CACHE_SIZE_MB || '100', 10),
-            requestTimeoutMs: parseInt(process.env.REQUEST_TIMEOUT_MS || '30000', 10),
+            // Longest a provider attempt may go without a response (or, when streaming, without an event); 0 = no limit
+            requestTimeoutMs: parseInt(process.env.REQUEST_TIMEOUT_MS || '120000', 10),
         };
 
         // Security
@@ -162,6 +198,7 @@ class ConfigManager {
             useIcons: process.env.USE_ICONS !== 'false',
             progressIndicators: process.env.PROGRESS_INDICATORS !== 'false',
             syntaxHighlighting: process.env.SYNTAX_HIGHLIGHTING !== 'false',
+            streamResponses: process.env.STREAM_RESPONSES === 'true',
         };
 
         // Execution (Sandboxing)
@@ -169,6 +206,8 @@ class ConfigManager {
             mode: process.env.EXECUTION_MODE || 'local', // 'local' or 'docker'
             dockerImage: process.env.DOCKER_IMAGE || 'node:18-alpine',
             blocklist: (process.env.CMD_BLOCKLIST || '').split(',').filter(Boolean),
+            timeoutMs: parseInt(process.env.COMMAND_TIMEOUT_MS || '120000', 10),
+            maxOutputBytes: parseInt(process.env.COMMAND_MAX_OUTPUT_BYTES || '30000', 10),
         };
 
         this.loaded = true;
@@ -180,6 +219,108 @@ class ConfigManager {
         return this.config;
     }
 
+    /**
+     * Merge project settings from <projectDir>/.agent/settings.json
+     * Keys mirror the config tree, e.g. { "lint": { "enabled": false } }.
+     * Only PROJECT_SETTING_SECTIONS are applied; a checked-out repo cannot change providers or execution.
+     * Those sections are reset first, so switching projects drops the previous project's overrides.
+     */
+    loadProjectSettings(projectDir = process.cwd()) {
+        if (!this.loaded) this.load();
+
+        if (!this.projectDefaults) {
+            this.projectDefaults = structuredClone(Object.fromEntries(
+                PROJECT_SETTING_SECTIONS.map(section => [section, this.config[section]])
+            ));
+        }
+        for (const section of PROJECT_SETTING_SECTIONS) {
+            this.config[section] = structuredClone(this.projectDefaults[section]);
+        }
+
+        const settingsPath = path.join(projectDir, '.agent', 'settings.json');
+        if (!fs.existsSync(settingsPath)) return {};
+
+        try {
+            const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+            const applied = {};
+
+            for (const [section, values] of Object.entries(settings)) {
+                if (!PROJECT_SETTING_SECTIONS.includes(section)) {
+                    logger.warn('Ignoring unsupported project setting', { section, path: settingsPath });
+                    continue;
+                }
+                this._merge(this.config[section], values);
+                applied[section] = values;
+            }
+
+            logger.debug('Project settings loaded', { path: settingsPath, sections: Object.keys(applied) });
+            return applied;
+        } catch (error) {
+            logger.warn('Failed to load project settings', { path: settingsPath, error: error.message });
+            return {};
+        }
+    }
+
+    /**
+     * Deep-merge plain objects into target
+     */
+    _merge(target, source) {
+        for (const [key, value] of Object.entries(source || {})) {
+            if (value && typeof value === 'object' && !Array.isArray(value)
+                && target[key] && typeof target[key] === 'object') {
+                this._merge(target[key], value);
+            } else {
+                // eslint-disable-next-line no-param-reassign
+                target[key] = value;
+            }
+        }
+        return target;
+    }
+
+    /**
+     * Load named provider instances from a JSON file
+     * { "<name>": { "type": "openai-compatible", "baseUrl", "model", "apiKey"|"apiKeyEnv", "headers", "maxTokens" } }
+     */
+    loadCustomProviders(filePath) {
+        return this._loadJsonFile(filePath, 'custom providers');
+    }
+
+    /**
+     * Load model registry entries from a JSON file
+     * { "<model>": { "provider", "contextWindow", "maxOutputTokens", "tools", "vision", "streaming", "pricing": { "input", "output" } } }
+     */
+    loadModels(filePath) {
+        return this._loadJsonFile(filePath, 'models');
+    }
+
+    /**
+     * Parse a task route such as "claude/claude-sonnet-4-5" or "ollama/qwen2.5-coder:7b"
+     * The model may itself contain "/"; a bare provider name keeps that provider's current model.
+     * @returns {Object} { provider, model } (model null when not given)
+     */
+    parseRoute(route) {
+        const [provider, ...model] = route.trim().split('/');
+        return { provider, model: model.join('/') || null };
+    }
+
+    /**
+     * Read an optional JSON object file; missing or invalid files yield {}
+     */
+    _loadJsonFile(filePath, label) {
+        if (!fs.existsSync(filePath)) {
+            return {};
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            logger.debug(`Loaded ${label}`, { path: filePath, entries: Object.keys(data) });
+            return data;
+        } catch (error) {
+            logger.warn(`Ignoring invalid ${label} file`, { path: filePath, error: error.message });
+            return {};
+        }
+    }
+
     /**
      * Get configuration value
      */
@@ -223,20 +364,84 @@ class ConfigManager {
         const errors = [];
 
         // Validate providers
-        const validProviders = ['claude', 'gemini', 'openai', 'ollama'];
+        const validProviders = [...BUILTIN_PROVIDERS, ...Object.keys(this.config.customProviders)];
         if (!validProviders.includes(this.config.providers.primary)) {
             errors.push(`Invalid primary provider: ${this.config.providers.primary}`);
         }
 
+        for (const [name, custom] of Object.entries(this.config.customProviders)) {
+            if (BUILTIN_PROVIDERS.includes(name)) {
+                errors.push(`Custom provider name is reserved: ${name}`);
+            } else if (custom.type !== 'openai-compatible') {
+                errors.push(`Custom provider ${name} has unsupported type: ${custom.type}`);
+            } else if (!custom.baseUrl || !custom.model) {
+                errors.push(`Custom provider ${name} needs baseUrl and model`);
+            }
+        }
+
+        for (const [taskType, route] of Object.entries(this.config.routing)) {
+            if (!TASK_TYPES.includes(taskType)) {
+                errors.push(`Unknown task type in routing: ${taskType}`);
+            } else if (!validProviders.includes(route.provider)) {
+                errors.push(`Invalid provider for ${taskType} route: ${route.provider}`);
+            }
+        }
+
         // Validate numeric values
         if (this.config.failover.maxRetriesPerProvider < 1) {
             errors.push('maxRetriesPerProvider must be >= 1');
         }
 
+        if (!['record', 'replay'].includes(this.config.replay.mode)) {
+            errors.push(`Invalid REPLAY_MODE: ${this.config.replay.mode}`);
+        }
+
+        if (!(this.config.performance.requestTimeoutMs >= 0)) {
+            errors.push('REQUEST_TIMEOUT_MS must be >= 0');
+        }
+
+        if (!(this.config.modelDiscovery.ttlSeconds >= 0)) {
+            errors.push('MODEL_LIST_TTL_SECONDS must be >= 0');
+        }
+
+        if (this.config.rateLimits.maxWaitMs < 0) {
+            errors.push('RATE_LIMIT_MAX_WAIT_MS must be >= 0');
+        }
+
+        for (const [name, limits] of Object.entries(this.config.rateLimits.providers)) {
+            if (!(limits.requestsPerMinute >= 0) || !(limits.tokensPerMinute >= 0)) {
+                errors.push(`Rate limits for ${name} must be numbers >= 0`);
+            }
+        }
+
+        if (!['continue', 'discard'].includes(this.config.failover.streamRecovery)) {
+            errors.push(`Invalid STREAM_FAILOVER_MODE: ${this.config.failover.streamRecovery}`);
+        }
+
+        if (this.config.agent.maxToolIterations < 1) {
+            errors.push('maxToolIterations must be >= 1');
+        }
+
+        // 1 would stop the loop on the first call of every tool
+        if (!(this.config.agent.maxRepeatedToolCalls >= 2)) {
+            errors.push('maxRepeatedToolCalls must be >= 2');
+        }
+
         if (this.config.context.maxConversationMessages < 1) {
             errors.push('maxConversationMessages must be >= 1');
         }
 
+        for (const [key, value] of Object.entries(this.config.budget)) {
+            if (!(value >= 0)) {
+                errors.push(`Budget ${key} must be a non-negative number`);
+            }
+        }
+
+        const { compactionThreshold } = this.config.context;
+        if (!(compactionThreshold > 0 && compactionThreshold <= 1)) {
+            errors.push(`CONTEXT_COMPACTION_THRESHOLD must be between 0 and 1: ${compactionThreshold}`);
+        }
+
         if (errors.length > 0) {
             logger.error('Configuration validation failed', { errors });
             throw new Error(`Configuration validation failed: ${errors.join(', ')}`);
@@ -258,4 +463,4 @@ class ConfigManager {
 // Create singleton instance
 const configManager = new ConfigManager();
 
-module.exports = { ConfigManager, configManager };
+module.exports = { ConfigManager, configManager, TASK_TYPES };
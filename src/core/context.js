@@ -1,6 +1,7 @@
 const fs = require('fs').promises;
 const { logger } = require('../utils/logger');
-
+const { configManager } = require('./config');
+const { modelRegistry } = require('../api/models');
 
 const { CodeRetriever } = require('./rag/retriever');
 
@@ -14,7 +15,7 @@ class ContextManager {
         this.currentConversationId = null;
         this.maxMessages = 50;
         this.maxFileContext = 10;
-        this.maxContextSizeMB = 5;
+        this.compactionThreshold = configManager.get('context.compactionThreshold') || 0.8;
         this.retriever = new CodeRetriever();
     }
 
@@ -72,6 +73,7 @@ class ContextManager {
 
     /**
      * Add assistant message to conversation
+     * @returns {Promise<string>} Message ID
      */
     async addAssistantMessage(content, provider, model, tokens, toolCalls = null) {
         if (!this.currentConversationId) {
@@ -80,7 +82,7 @@ class ContextManager {
 
         const metadata = toolCalls ? { toolCalls } : {};
 
-        await this.database.addMessage(
+        const messageId = await this.database.addMessage(
             this.currentConversationId,
             'assistant',
             content || '', // Content might be empty if it's just a tool call
@@ -97,6 +99,8 @@ class ContextManager {
             tokens,
             hasToolCalls: !!toolCalls
         });
+
+        return messageId;
     }
 
     /**
@@ -126,6 +130,46 @@ class ContextManager {
         });
     }
 
+    /**
+     * Add a result for every recent tool call that has none
+     * Providers reject a history with unanswered tool calls, so a turn that was cancelled,
+     * failed or killed mid-way is closed before the conversation continues.
+     * @param {string} reason - Result recorded for each unanswered call
+     * @returns {Promise<number>} Results added
+     */
+    async closePendingToolCalls(reason) {
+        if (!this.currentConversationId) {
+            return 0;
+        }
+
+        const messages = (await this.database.getMessages(this.currentConversationId, this.maxMessages))
+            .map(msg => {
+                try {
+                    return JSON.parse(msg.metadata || '{}');
+                } catch (e) {
+                    return {};
+                }
+            });
+
+        const answered = new Set(messages
+            .filter(metadata => metadata.type === 'tool_result')
+            .map(metadata => metadata.toolCallId));
+        // Newest first from the database; answer in the order the calls were made
+        const pending = messages
+            .reverse()
+            .flatMap(metadata => metadata.toolCalls || [])
+            .filter(toolCall => !answered.has(toolCall.id));
+
+        for (const toolCall of pending) {
+            await this.addToolResultMessage(toolCall.id, toolCall.name, reason);
+        }
+
+        if (pending.length > 0) {
+            logger.info('Closed unanswered tool calls', { conversationId: this.currentConversationId, count: pending.length });
+        }
+        return pending.length;
+    }
+
     /**
      * Get conversation context
      */
@@ -228,23 +272,31 @@ class ContextManager {
         };
     }
 
+    /**
+     * Token count above which the context is compacted for a model
+     * @param {string} model - Model name (unknown models use the registry defaults)
+     */
+    getCompactionThreshold(model) {
+        return Math.floor(modelRegistry.getContextWindow(model) * this.compactionThreshold);
+    }
+
     /**
      * Compact context intelligently
-     * Removes old tool outputs and keeps important messages
+     * Removes old tool outputs and keeps important messages until the context
+     * fits the model's compaction threshold
+     * @param {Object} context - Context to compact (defaults to the current one)
+     * @param {string} model - Model the context is sent to
      */
-    async compactContext(context = null) {
+    async compactContext(context = null, model = null) {
         const ctx = context || await this.getContext();
-        const json = JSON.stringify(ctx);
-        const sizeMB = Buffer.byteLength(json, 'utf8') / (1024 * 1024);
+        const tokens = this.getContextSize(ctx);
+        const threshold = this.getCompactionThreshold(model);
 
-        if (sizeMB <= this.maxContextSizeMB) {
+        if (tokens <= threshold) {
             return ctx;
         }
 
-        logger.warn('Context too large, compacting', {
-            sizeMB: sizeMB.toFixed(2),
-            maxSizeMB: this.maxContextSizeMB,
-        });
+        logger.warn('Context too large, compacting', { tokens, threshold, model });
 
         // Prioritize messages
         const prioritized = ctx.messages.map((msg, index) => {
@@ -268,9 +320,18 @@ class ContextManager {
             return { ...msg, priority, index };
         });
 
-        // Sort by priority and keep top messages
+        // Sort by priority and keep top messages while they fit the threshold
         const sorted = prioritized.sort((a, b) => b.priority - a.priority);
-        const kept = sorted.slice(0, this.maxMessages);
+        const kept = [];
+        let keptTokens = 0;
+        for (const msg of sorted) {
+            const msgTokens = this.getContextSize(msg.content || '');
+            if (kept.length >= this.maxMessages || keptTokens + msgTokens > threshold) {
+                continue;
+            }
+            kept.push(msg);
+            keptTokens += msgTokens;
+        }
 
         // Re-sort by original index to maintain chronological order
         const compactedMessages = kept.sort((a, b) => a.index - b.index).map(({ priority: _priority, index: _index, ...msg }) => msg);
@@ -278,7 +339,8 @@ class ContextManager {
         logger.info('Context compacted', {
             originalCount: ctx.messages.length,
             compactedCount: compactedMessages.length,
-            originalSizeMB: sizeMB.toFixed(2)
+            originalTokens: tokens,
+            compactedTokens: keptTokens,
         });
 
         return {
@@ -0,0 +1,164 @@
+const { modelRegistry } = require('../api/models');
+const { logger } = require('../utils/logger');
+
+/**
+ * Budget scopes: a session is the current conversation, a day is the local calendar day
+ */
+const BUDGET_SCOPES = {
+    session: { soft: 'sessionSoftUsd', hard: 'sessionHardUsd', env: 'BUDGET_SESSION_HARD_USD' },
+    day: { soft: 'dailySoftUsd', hard: 'dailyHardUsd', env: 'BUDGET_DAILY_HARD_USD' },
+};
+
+/**
+ * Cost Tracker
+ * Prices token usage from the model registry, stores it per message and
+ * conversation, and enforces soft/hard spending budgets.
+ */
+class CostTracker {
+    /**
+     * @param {Database} database - Storage with the token_usage table
+     * @param {ConfigManager} config - Reads the budget section
+     */
+    constructor(database, config) {
+        this.database = database;
+        this.config = config;
+        this.warned = new Set(); // Soft limits already reported, keyed by scope and period
+    }
+
+    /**
+     * Price a response's usage
+     * @param {string} model - Model name
+     * @param {Object} usage - { promptTokens, completionTokens }
+     * @returns {number|null} Cost in USD, or null when the model has no pricing
+     */
+    calculateCost(model, usage = {}) {
+        const { pricing } = modelRegistry.resolve(model);
+        if (!pricing) return null;
+
+        return ((usage.promptTokens || 0) * pricing.input
+            + (usage.completionTokens || 0) * pricing.output) / 1e6;
+    }
+
+    /**
+     * Store usage for one model response
+     * @param {Object} record - { conversationId, messageId, provider, model, usage }
+     * @returns {Promise<number|null>} Cost in USD
+     */
+    async record({ conversationId, messageId, provider, model, usage }) {
+        if (!usage) return null;
+
+        const costUsd = this.calculateCost(model, usage);
+        try {
+            await this.database.recordUsage({
+                conversationId,
+                messageId,
+                provider,
+                model,
+                promptTokens: usage.promptTokens,
+                completionTokens: usage.completionTokens,
+                costUsd,
+            });
+        } catch (error) {
+            // Accounting must never fail the request itself
+            logger.warn('Failed to record token usage', { error: error.message });
+        }
+        return costUsd;
+    }
+
+    /**
+     * Totals for the session, the day and the month, each grouped by provider/model
+     * @param {string} conversationId - Current conversation
+     */
+    async getSummary(conversationId) {
+        const [session, day, month] = await Promise.all([
+            conversationId ? this.database.getUsageSummary({ conversationId }) : [],
+            this.database.getUsageSummary({ period: 'day' }),
+            this.database.getUsageSummary({ period: 'month' }),
+        ]);
+
+        return {
+            session: this.summarize(session),
+            day: this.summarize(day),
+            month: this.summarize(month),
+            budget: this.config.get('budget'),
+        };
+    }
+
+    /**
+     * Add totals to grouped usage rows
+     * @private
+     */
+    summarize(rows) {
+        const models = rows.map(row => ({
+            provider: row.provider,
+            model: row.model,
+            requests: row.requests,
+            promptTokens: row.prompt_tokens || 0,
+            completionTokens: row.completion_tokens || 0,
+            costUsd: row.cost_usd || 0,
+            unpriced: row.unpriced || 0,
+        }));
+
+        return {
+            models,
+            requests: models.reduce((sum, row) => sum + row.requests, 0),
+            promptTokens: models.reduce((sum, row) => sum + row.promptTokens, 0),
+            completionTokens: models.reduce((sum, row) => sum + row.completionTokens, 0),
+            costUsd: models.reduce((sum, row) => sum + row.costUsd, 0),
+        };
+    }
+
+    /**
+     * Check budgets before a request is sent
+     * @param {string} conversationId - Current conversation
+     * @returns {Promise<string[]>} Soft-limit warnings not reported before
+     * @throws {Error} When a hard limit is reached
+     */
+    async checkBudget(conversationId) {
+        const budget = this.config.get('budget') || {};
+        const active = Object.entries(BUDGET_SCOPES)
+            .filter(([, keys]) => budget[keys.soft] > 0 || budget[keys.hard] > 0);
+
+        if (active.length === 0) return [];
+
+        const warnings = [];
+        for (const [scope, keys] of active) {
+            const spent = await this.getSpent(scope, conversationId);
+            const hard = budget[keys.hard];
+            const soft = budget[keys.soft];
+
+            if (hard > 0 && spent >= hard) {
+                const error = new Error(
+                    `${scope === 'day' ? 'Daily' : 'Session'} budget of $${hard.toFixed(2)} reached `
+                    + `($${spent.toFixed(2)} spent). Raise ${keys.env} or see /cost.`
+                );
+                error.code = 'BUDGET_EXCEEDED';
+                throw error;
+            }
+
+            // Warn once per session or day
+            const warnKey = `${scope}:${scope === 'day' ? new Date().toDateString() : conversationId}`;
+            if (soft > 0 && spent >= soft && !this.warned.has(warnKey)) {
+                this.warned.add(warnKey);
+                warnings.push(`${scope === 'day' ? 'Daily' : 'Session'} spending is $${spent.toFixed(2)}, over the $${soft.toFixed(2)} soft budget`);
+            }
+        }
+
+        return warnings;
+    }
+
+    /**
+     * Money spent in a budget scope
+     * @private
+     */
+    async getSpent(scope, conversationId) {
+        if (scope === 'session' && !conversationId) return 0;
+
+        const rows = await this.database.getUsageSummary(
+            scope === 'session' ? { conversationId } : { period: 'day' }
+        );
+        return rows.reduce((sum, row) => sum + (row.cost_usd || 0), 0);
+    }
+}
+
+module.exports = { CostTracker, BUDGET_SCOPES };
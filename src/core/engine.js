@@ -1,13 +1,32 @@
+const fs = require('fs');
+const path = require('path');
 const { APIOrchestrator } = require('../api/orchestrator');
+const { STREAM_EVENTS } = require('../api/stream');
 const { ContextManager } = require('./context');
 const { Database } = require('../utils/storage');
 const { configManager } = require('./config');
 const { logger } = require('../utils/logger');
+const { validateSchema, parseJsonResponse } = require('../utils/schema');
 const { FileSystemTools } = require('../tools/filesystem');
+const { CommandTools } = require('../tools/command');
+const { ToolRegistry } = require('../tools/registry');
+const { GitTool } = require('./tools/git');
+const { LintingTool } = require('./tools/linter');
 const { PermissionManager } = require('./permissions');
+const { WorkspaceTrust } = require('./trust');
+const { SystemPromptBuilder } = require('./prompt');
+const { CostTracker } = require('./cost');
 const { AgentOrchestrator } = require('./agents/orchestrator');
 const ui = require('../cli/ui');
 
+/**
+ * Parse error providers attach to tool call arguments that were not valid JSON (see api/stream.js)
+ */
+function getArgumentsParseError(args) {
+    const { _parseError: parseError } = args || {};
+    return parseError || null;
+}
+
 /**
  * Antigravity Engine
  * Main orchestration engine
@@ -18,9 +37,13 @@ class AntigravityEngine {
         this.contextManager = null;
         this.apiOrchestrator = null;
         this.fileSystemTools = null;
-        this.apiOrchestrator = null;
-        this.fileSystemTools = null;
+        this.commandTools = null;
+        this.gitTool = null;
+        this.lintingTool = null;
+        this.toolRegistry = null;
         this.permissionManager = null;
+        this.promptBuilder = null;
+        this.costTracker = null;
         this.agentOrchestrator = null;
         this.initialized = false;
     }
@@ -37,6 +60,7 @@ class AntigravityEngine {
 
         // Load configuration
         const config = configManager.load();
+        configManager.loadProjectSettings(process.cwd());
         configManager.validate();
 
         // Initialize database
@@ -46,11 +70,36 @@ class AntigravityEngine {
         // Initialize context manager
         this.contextManager = new ContextManager(this.database);
 
+        // Token usage, cost and budgets
+        this.costTracker = new CostTracker(this.database, configManager);
+
         // Initialize file system tools with database for checkpoints
         this.fileSystemTools = new FileSystemTools(process.cwd(), this.database);
 
-        // Initialize permission manager
+        // Initialize command tools (sandboxed shell execution)
+        this.commandTools = new CommandTools(process.cwd());
+
+        // Initialize read-only git tools
+        this.gitTool = new GitTool(process.cwd());
+
+        // Lint/format feedback for files the AI writes
+        this.lintingTool = new LintingTool(process.cwd());
+
+        // Register built-in tools, then project tools from .agent/skills
+        this.toolRegistry = new ToolRegistry();
+        this.toolRegistry.registerAll(this.fileSystemTools.getToolDefinitions());
+        this.toolRegistry.registerAll(this.commandTools.getToolDefinitions());
+        this.toolRegistry.registerAll(this.gitTool.getToolDefinitions());
+        this.workspaceTrust = new WorkspaceTrust();
+        await this._loadProjectTools(process.cwd());
+
+        // Initialize permission manager and project rules (.agent/permissions.json)
         this.permissionManager = new PermissionManager(configManager);
+        this.permissionManager.loadRules(process.cwd());
+
+        // Layered system prompt with project rules from .agent/rules
+        this.promptBuilder = new SystemPromptBuilder();
+        this.promptBuilder.loadRules(process.cwd());
 
         // Initialize API orchestrator
         this.apiOrchestrator = new APIOrchestrator(this.database);
@@ -75,16 +124,58 @@ class AntigravityEngine {
     /**
      * Set the working directory for file operations
      */
-    setWorkingDirectory(dir) {
+    async setWorkingDirectory(dir) {
         if (!this.fileSystemTools) {
             throw new Error('File system tools not initialized');
         }
         this.fileSystemTools.setBaseDir(dir);
+        this.commandTools.setBaseDir(dir);
+        this.gitTool.setCwd(dir);
+        this.lintingTool.setCwd(dir);
+        configManager.loadProjectSettings(dir);
+        await this._loadProjectTools(dir);
+        this.permissionManager.loadRules(dir);
+        this.promptBuilder.loadRules(dir);
         logger.info('Engine working directory updated', { dir });
     }
 
+    /**
+     * (Re)load project tools from <dir>/.agent/skills, once the user trusts the workspace
+     */
+    async _loadProjectTools(dir) {
+        this.toolRegistry.unregisterSource('project');
+
+        const skillsDir = path.join(dir, '.agent', 'skills');
+        if (!fs.existsSync(skillsDir) || !(await this._trustWorkspace(dir))) {
+            return [];
+        }
+        return this.toolRegistry.loadSkills(skillsDir);
+    }
+
+    /**
+     * Whether the project code in dir may run: trusted before, or approved now
+     * Without a terminal to ask (JSON output, MCP, pipes) an untrusted workspace stays untrusted.
+     */
+    async _trustWorkspace(dir) {
+        if (this.workspaceTrust.isTrusted(dir)) {
+            return true;
+        }
+
+        const answer = await ui.confirmTrust(`${dir} has project tools in .agent/skills that run as code on this machine. Load them?`);
+        if (answer === 'always') {
+            this.workspaceTrust.trust(dir);
+        }
+        if (!answer) {
+            logger.info('Project tools not loaded: workspace not trusted', { dir });
+        }
+        return Boolean(answer);
+    }
+
     /**
      * Process a user request
+     * @param {string} message - User message
+     * @param {Object} options - { signal, maxIterations, readOnlyTools, persona, taskType }
+     *   taskType selects the routing rule (config.routing); defaults to 'chat'
      */
     async processRequest(message, options = {}) {
         if (!this.initialized) {
@@ -92,14 +183,17 @@ class AntigravityEngine {
         }
 
         try {
+            // A turn interrupted before its tool calls were answered would make the provider reject the history
+            await this.contextManager.closePendingToolCalls('Not executed: the previous request was interrupted');
+
             // Add user message to context
             await this.contextManager.addUserMessage(message);
 
             // Get conversation context
             const context = await this.contextManager.getContext();
 
-            // Prepare tools
-            const tools = this.fileSystemTools.getToolDefinitions();
+            // Prepare tools (readOnlyTools limits the model to tools that cannot modify anything)
+            const tools = this.toolRegistry.getDefinitions({ readOnly: options.readOnlyTools });
 
             // Send to API with failover support and tools
             // Note: detailed tool execution logic handles the loop
@@ -113,98 +207,385 @@ class AntigravityEngine {
 
     /**
      * Execute request with tool support
+     * Runs the model/tool loop until the model stops calling tools, the iteration
+     * budget is spent, the same call keeps repeating, or options.signal is aborted.
+     * With options.onEvent each model turn is streamed and its events forwarded.
      */
     async _executeWithTools(message, context, tools, options = {}) {
-        // Send to API with failover support
-        // Use empty string for continuation if message is null
+        const { signal, onEvent, persona, taskType = 'chat', ...requestOptions } = options;
+        const maxIterations = options.maxIterations || configManager.get('agent.maxToolIterations');
+        const maxRepeatedCalls = configManager.get('agent.maxRepeatedToolCalls');
+
+        const loop = {
+            iterations: 0,
+            transcript: [],
+            // Signature -> consecutive turns it was called in, for the previous turn's calls
+            callStreaks: new Map(),
+            lastResponse: null,
+        };
+
+        // Base instructions, project rules, agent persona and RAG context go in the system prompt
+        const systemPrompt = this.promptBuilder.build({
+            projectContext: await this.contextManager.getProjectContext(),
+            persona,
+            relevantCode: context.relevantCode,
+        });
+
         let msgToSend = message || '';
+        let currentContext = context;
+        // Turns are never cached: tool results depend on files that may have changed since
+        const sendOptions = { ...requestOptions, signal, tools, systemPrompt, taskType, bypassCache: true };
+        const availableTools = new Set(tools.map(tool => tool.name));
+
+        while (loop.iterations < maxIterations) {
+            if (signal?.aborted) {
+                return this._stopToolLoop('aborted', loop);
+            }
 
-        // Inject project context if it's the first turn (message is present)
-        if (message) {
-            const projectContext = await this.contextManager.getProjectContext();
-            msgToSend = `[System Context]\n${projectContext}\n\n${message}`;
-        }
+            loop.iterations++;
 
-        const sendOptions = { ...options, tools };
-        // eslint-disable-next-line arrow-body-style
-        const response = await this.apiOrchestrator.sendMessage(msgToSend, context, sendOptions);
+            // Soft budgets warn, hard budgets throw before anything is sent
+            const budgetWarnings = await this.costTracker.checkBudget(this.contextManager.currentConversationId);
+            budgetWarnings.forEach(warning => ui.warn(warning));
 
-        if (!response.success) {
-            throw new Error(response.error?.message || 'API request failed');
-        }
+            let response;
+            try {
+                response = onEvent
+                    ? await this.apiOrchestrator.streamMessage(msgToSend, onEvent, currentContext, sendOptions)
+                    : await this.apiOrchestrator.sendMessage(msgToSend, currentContext, sendOptions);
+            } catch (error) {
+                if (signal?.aborted) {
+                    return this._stopToolLoop('aborted', loop);
+                }
+                throw error;
+            }
+
+            if (!response.success) {
+                throw new Error(response.error?.message || 'API request failed');
+            }
+
+            loop.lastResponse = response;
 
-        // Add assistant response to context immediately
-        await this.contextManager.addAssistantMessage(
-            response.content,
-            response.provider,
-            response.model,
-            response.usage?.totalTokens,
-            response.toolCalls
-        );
-
-        // Check if tool call requested
-        if (response.toolCalls && response.toolCalls.length > 0) {
-            // Collect write_file operations for batch processing
-            const writeOperations = response.toolCalls.filter(tc => tc.name === 'write_file');
-            const otherOperations = response.toolCalls.filter(tc => tc.name !== 'write_file');
-
-            // Execute non-write operations immediately
-            for (const toolCall of otherOperations) {
-                const result = await this._executeTool(toolCall.name, toolCall.arguments);
-                await this.contextManager.addToolResultMessage(toolCall.id, toolCall.name, result);
+            // Add assistant response to context immediately
+            const messageId = await this.contextManager.addAssistantMessage(
+                response.content,
+                response.provider,
+                response.model,
+                response.usage?.totalTokens,
+                response.toolCalls
+            );
+
+            // Cached responses cost nothing
+            if (!response.metadata?.cached) {
+                await this.costTracker.record({
+                    conversationId: this.contextManager.currentConversationId,
+                    messageId,
+                    provider: response.provider,
+                    model: response.model,
+                    usage: response.usage,
+                });
+            }
+
+            if (!response.toolCalls || response.toolCalls.length === 0) {
+                return this._stopToolLoop('completed', loop);
             }
 
-            // Handle write operations in batch if multiple
-            if (writeOperations.length > 1) {
-                await this._executeBatchWrite(writeOperations);
-            } else if (writeOperations.length === 1) {
-                // Single write operation - execute normally
-                const toolCall = writeOperations[0];
-                const result = await this._executeTool(toolCall.name, toolCall.arguments);
-                await this.contextManager.addToolResultMessage(toolCall.id, toolCall.name, result);
+            const step = { iteration: loop.iterations, content: response.content, toolCalls: [] };
+            loop.transcript.push(step);
+
+            // Stop before executing if the model keeps issuing the exact same call turn after turn.
+            // Only consecutive repeats count: re-reading a file after an edit or rerunning tests after a fix is progress.
+            const streaks = new Map();
+            const repeated = response.toolCalls.find(toolCall => {
+                const signature = `${toolCall.name}:${JSON.stringify(toolCall.arguments || {})}`;
+                const count = (streaks.get(signature) || loop.callStreaks.get(signature) || 0) + 1;
+                streaks.set(signature, count);
+                return count >= maxRepeatedCalls;
+            });
+            loop.callStreaks = streaks;
+
+            if (repeated) {
+                logger.warn('Tool loop detected, stopping', { tool: repeated.name, maxRepeatedCalls });
+                await this._skipToolCalls(
+                    response.toolCalls,
+                    step,
+                    `Not executed: identical ${repeated.name} call repeated ${maxRepeatedCalls} times`
+                );
+                return this._stopToolLoop('loop_detected', loop, { tool: repeated.name });
             }
 
-            // Update context with the new tool results and recurse
-            const updatedContext = await this.contextManager.getContext();
-            return this._executeWithTools(null, updatedContext, tools, options);
+            try {
+                await this._executeToolCalls(response.toolCalls, step, { signal, availableTools });
+            } catch (error) {
+                // Answer the calls that did not run so the conversation stays valid
+                await this.contextManager.closePendingToolCalls(`Not executed: ${error.message}`);
+                throw error;
+            }
+
+            if (signal?.aborted) {
+                return this._stopToolLoop('aborted', loop);
+            }
+
+            // Update context with the new tool results and continue
+            currentContext = await this.contextManager.getContext();
+            msgToSend = '';
+        }
+
+        logger.warn('Tool loop iteration budget exhausted', { maxIterations });
+        return this._stopToolLoop('max_iterations', loop);
+    }
+
+    /**
+     * Execute one round of tool calls and record their results
+     */
+    async _executeToolCalls(toolCalls, step, { signal, availableTools }) {
+        // Calls to tools that were not offered for this request are answered with an error
+        for (const toolCall of toolCalls.filter(tc => !availableTools.has(tc.name))) {
+            await this._skipToolCalls([toolCall], step, `Error: Tool ${toolCall.name} is not available`);
+        }
+        const available = toolCalls.filter(tc => availableTools.has(tc.name));
+
+        // Collect write_file operations for batch processing; unparseable ones are answered by _executeTool
+        const isBatchWrite = tc => tc.name === 'write_file' && !getArgumentsParseError(tc.arguments);
+        const writeOperations = available.filter(isBatchWrite);
+        const otherOperations = available.filter(tc => !isBatchWrite(tc));
+
+        // Execute non-write operations immediately
+        for (const toolCall of otherOperations) {
+            if (signal?.aborted) {
+                await this._skipToolCalls([toolCall], step, 'Cancelled by user');
+                continue;
+            }
+            const result = await this._executeTool(toolCall.name, toolCall.arguments, { signal });
+            await this.contextManager.addToolResultMessage(toolCall.id, toolCall.name, result);
+            step.toolCalls.push({ name: toolCall.name, arguments: toolCall.arguments, result });
+        }
+
+        if (signal?.aborted) {
+            await this._skipToolCalls(writeOperations, step, 'Cancelled by user');
+            return;
+        }
+
+        // Handle write operations in batch if multiple
+        if (writeOperations.length > 1) {
+            await this._executeBatchWrite(writeOperations);
+            writeOperations.forEach(toolCall => step.toolCalls.push({
+                name: toolCall.name,
+                arguments: { path: toolCall.arguments.path },
+            }));
+        } else if (writeOperations.length === 1) {
+            // Single write operation - execute normally
+            const toolCall = writeOperations[0];
+            const result = await this._executeTool(toolCall.name, toolCall.arguments);
+            await this.contextManager.addToolResultMessage(toolCall.id, toolCall.name, result);
+            step.toolCalls.push({ name: toolCall.name, arguments: { path: toolCall.arguments.path }, result });
+        }
+    }
+
+    /**
+     * Record a result for tool calls that will not run, so every call has a matching result
+     */
+    async _skipToolCalls(toolCalls, step, reason) {
+        for (const toolCall of toolCalls) {
+            await this.contextManager.addToolResultMessage(toolCall.id, toolCall.name, reason);
+            step.toolCalls.push({ name: toolCall.name, arguments: toolCall.arguments, result: reason, skipped: true });
+        }
+    }
+
+    /**
+     * Build the final result of the tool loop
+     * @param {string} stopReason - completed | max_iterations | loop_detected | aborted
+     */
+    _stopToolLoop(stopReason, loop, details = {}) {
+        const response = loop.lastResponse || {};
+
+        if (stopReason !== 'completed') {
+            logger.info('Tool loop stopped', { stopReason, iterations: loop.iterations, ...details });
         }
 
         return {
-            content: response.content,
-            provider: response.provider,
+            content: response.content || '',
+            provider: response.provider || this.apiOrchestrator.currentProvider,
             model: response.model,
             usage: response.usage,
+            stopReason,
+            iterations: loop.iterations,
+            transcript: loop.transcript,
         };
     }
 
     /**
      * Execute a specific tool
+     * @param {string} name - Registered tool name
+     * @param {Object} args - Arguments from the model
+     * @param {Object} context - Extra handler context (e.g. { signal })
      */
-    async _executeTool(name, args) {
+    async _executeTool(name, args, context = {}) {
         logger.info(`Executing tool: ${name}`, args);
         try {
-            switch (name) {
-                case 'read_file':
-                    return await this.fileSystemTools.readFile(args.path);
-                case 'write_file':
-                    return await this.fileSystemTools.writeFile(args.path, args.content);
-                case 'list_dir':
-                    return await this.fileSystemTools.listDir(args.path);
-                case 'delete_file':
-                    return await this.fileSystemTools.deleteFile(args.path);
-                default:
-                    throw new Error(`Unknown tool: ${name}`);
+            const tool = this.toolRegistry.get(name);
+            if (!tool) {
+                throw new Error(`Unknown tool: ${name}`);
+            }
+
+            // Let the model resend arguments that were not valid JSON
+            const parseError = getArgumentsParseError(args);
+            if (parseError) {
+                return `Error: ${name} arguments were not valid JSON: ${parseError}. Send the call again with a JSON object.`;
+            }
+
+            const denial = await this._authorizeToolCall(tool, args || {});
+            if (denial) {
+                return denial;
+            }
+
+            const result = await this.toolRegistry.execute(name, args, this.getToolContext(context));
+
+            if (tool.lintAfterWrite) {
+                return await this._attachLintFeedback(args.path, result);
             }
+            return result;
         } catch (error) {
             logger.error(`Tool execution failed: ${name}`, error);
             return `Error: ${error.message}`;
         }
     }
 
+    /**
+     * Lint (and optionally format) a file the AI just wrote, adding the diagnostics to the tool result
+     * so the model can fix its own lint errors in the same turn
+     */
+    async _attachLintFeedback(filePath, result) {
+        const lintConfig = configManager.get('lint');
+        if (!lintConfig || !lintConfig.enabled || !result || !result.success) {
+            return result;
+        }
+
+        try {
+            const fullPath = path.resolve(this.fileSystemTools.baseDir, filePath);
+            const lint = await this.lintingTool.checkFile(fullPath, {
+                autoFormat: lintConfig.autoFormat,
+                maxDiagnostics: lintConfig.maxDiagnostics,
+            });
+            return lint ? { ...result, lint } : result;
+        } catch (error) {
+            logger.warn('Lint feedback failed', { path: filePath, error: error.message });
+            return result;
+        }
+    }
+
+    /**
+     * Classify a tool call by permission action
+     * Read-only tools without an explicit action fall back to 'file_read'.
+     */
+    _getToolAction(tool) {
+        if (tool.permission) return tool.permission;
+        return tool.readOnly ? 'file_read' : 'tool_execute';
+    }
+
+    /**
+     * Check a tool call against the permission manager, prompting when the mode requires it
+     * Shows the tool's preview (diff) before asking.
+     * @param {Object} options - { interactive: false } denies calls that would need a prompt (e.g. over MCP)
+     * @returns {Promise<Object|null>} Structured denial result, or null when the call may run
+     */
+    async _authorizeToolCall(tool, args, { interactive = true } = {}) {
+        const action = this._getToolAction(tool);
+        const details = { ...args, tool: tool.name };
+
+        if (!this.permissionManager.isActionAllowed(action, details)) {
+            return this._permissionDenied(tool.name, action, this.permissionManager.explainDenial(action, details));
+        }
+
+        if (!interactive && this.permissionManager.checkPermission(action, details) === 'ask') {
+            return this._permissionDenied(
+                tool.name,
+                action,
+                'This call needs the user\'s approval, which cannot be asked for here.'
+            );
+        }
+
+        const approved = await this.permissionManager.requestPermission(action, details, async (message, suggestedRule) => {
+            if (tool.preview) {
+                const preview = await tool.preview(args);
+                ui.showDiff(preview.oldContent, preview.newContent, preview.path);
+            }
+            const alwaysLabel = suggestedRule ? this.permissionManager.describeRule(suggestedRule) : null;
+            return ui.confirmPermission(message, alwaysLabel);
+        });
+
+        if (!approved) {
+            return this._permissionDenied(
+                tool.name,
+                action,
+                'The user declined this call. Ask the user how to proceed or try a different approach.'
+            );
+        }
+        return null;
+    }
+
+    /**
+     * Context passed to tool handlers
+     * canRead(path) lets tools that return many files (search, git diff) leave out the ones the
+     * project's read rules deny or keep behind a prompt.
+     * @param {Object} extra - Extra handler context (e.g. { signal })
+     */
+    getToolContext(extra = {}) {
+        return {
+            engine: this,
+            baseDir: this.fileSystemTools.baseDir,
+            canRead: filePath => this.permissionManager.checkPermission('file_read', { path: filePath }) === 'allow',
+            ...extra,
+        };
+    }
+
+    /**
+     * Authorize a tool call made outside the tool loop, such as by an MCP client
+     * Applies the same mode and project rules without prompting; calls that need approval are denied.
+     * @returns {Promise<Object|null>} Structured denial result, or null when the call may run
+     */
+    async authorizeExternalToolCall(tool, args) {
+        return this._authorizeToolCall(tool, args || {}, { interactive: false });
+    }
+
+    /**
+     * Build the tool result returned to the model when a call is not allowed
+     */
+    _permissionDenied(toolName, action, reason) {
+        logger.info('Tool call denied', { tool: toolName, action, mode: this.permissionManager.getMode() });
+        return {
+            success: false,
+            denied: true,
+            tool: toolName,
+            action,
+            mode: this.permissionManager.getMode(),
+            error: `Permission denied: ${reason}`,
+        };
+    }
+
     /**
      * Execute batch write operations
      */
-    async _executeBatchWrite(writeOperations) {
+    async _executeBatchWrite(requestedWrites) {
+        // Check each path against the permission mode and rules
+        const decisions = new Map(requestedWrites.map(op => [
+            op,
+            this.permissionManager.checkPermission('file_write', { path: op.arguments.path }),
+        ]));
+        const deniedWrites = requestedWrites.filter(op => decisions.get(op) === 'deny');
+        const writeOperations = requestedWrites.filter(op => decisions.get(op) !== 'deny');
+
+        for (const toolCall of deniedWrites) {
+            await this.contextManager.addToolResultMessage(
+                toolCall.id,
+                toolCall.name,
+                this._permissionDenied(
+                    toolCall.name,
+                    'file_write',
+                    this.permissionManager.explainDenial('file_write', { path: toolCall.arguments.path })
+                )
+            );
+        }
 
         // Prepare file list for UI
         const files = writeOperations.map(op => ({
@@ -213,25 +594,21 @@ class AntigravityEngine {
             stats: { added: 0, removed: 0 }
         }));
 
-        // Check permission mode
-        const mode = this.permissionManager.getMode();
-
-        let choice = 'apply_all';
-        if (mode === 'plan-only') {
-            ui.showFileTree(files, 'Proposed Changes (Plan-Only Mode)');
-            ui.warn('Plan-only mode: No files will be modified');
-
-            for (const toolCall of writeOperations) {
-                await this.contextManager.addToolResultMessage(
-                    toolCall.id,
-                    toolCall.name,
-                    'Skipped: Plan-only mode'
-                );
-            }
+        if (writeOperations.length === 0) {
+            ui.showFileTree(
+                deniedWrites.map(op => ({ path: op.arguments.path, status: 'modified', stats: { added: 0, removed: 0 } })),
+                'Proposed Changes (Not Applied)'
+            );
+            ui.warn(`${this.permissionManager.getMode()} mode: No files will be modified`);
             return;
         }
 
-        if (mode === 'default') {
+        if (deniedWrites.length > 0) {
+            ui.warn(`${deniedWrites.length} file change(s) blocked by permission rules`);
+        }
+
+        let choice = 'apply_all';
+        if (writeOperations.some(op => decisions.get(op) === 'ask')) {
             choice = await ui.confirmBatchOperation(files);
         }
 
@@ -241,7 +618,11 @@ class AntigravityEngine {
                 await this.contextManager.addToolResultMessage(
                     toolCall.id,
                     toolCall.name,
-                    'Cancelled by user'
+                    this._permissionDenied(
+                        toolCall.name,
+                        'file_write',
+                        'The user cancelled this batch of writes. Ask the user how to proceed.'
+                    )
                 );
             }
             return;
@@ -254,10 +635,9 @@ class AntigravityEngine {
 
             for (const toolCall of writeOperations) {
                 try {
-                    const result = await this.fileSystemTools.writeFile(
+                    const result = await this._attachLintFeedback(
                         toolCall.arguments.path,
-                        toolCall.arguments.content,
-                        true
+                        await this.fileSystemTools.writeFile(toolCall.arguments.path, toolCall.arguments.content, true)
                     );
 
                     results.push({ path: toolCall.arguments.path, success: true });
@@ -289,44 +669,129 @@ class AntigravityEngine {
 
     /**
      * Stream a user request
+     * Runs the same tool loop as processRequest() while the model's text streams.
+     * @param {string} message - User message
+     * @param {Function} onChunk - Receives text deltas
+     * @param {Object} options - processRequest() options plus onEvent for every stream event
+     * @returns {Promise<Object>} Same result as processRequest()
      */
-    async streamRequest(message, onChunk, _options = {}) {
+    async streamRequest(message, onChunk, options = {}) {
         if (!this.initialized) {
             throw new Error('Engine not initialized');
         }
 
         try {
+            // A turn interrupted before its tool calls were answered would make the provider reject the history
+            await this.contextManager.closePendingToolCalls('Not executed: the previous request was interrupted');
+
             // Add user message to context
             await this.contextManager.addUserMessage(message);
 
             // Get conversation context
             const context = await this.contextManager.getContext();
 
-            let fullResponse = '';
+            const tools = this.toolRegistry.getDefinitions({ readOnly: options.readOnlyTools });
 
-            // Stream from API
-            await this.apiOrchestrator.streamMessage(message, chunk => {
-                fullResponse += chunk;
-                if (onChunk) {
-                    onChunk(chunk);
+            const onEvent = event => {
+                if (event.type === STREAM_EVENTS.TEXT && onChunk) {
+                    onChunk(event.text);
                 }
-            }, context);
-
-            // Add complete response to context
-            const currentProvider = this.apiOrchestrator.getCurrentProvider();
-            await this.contextManager.addAssistantMessage(
-                fullResponse,
-                this.apiOrchestrator.currentProvider,
-                currentProvider.model || currentProvider.getModel?.()
-            );
+                if (options.onEvent) {
+                    options.onEvent(event);
+                }
+            };
 
-            return fullResponse;
+            return await this._executeWithTools(message, context, tools, { ...options, onEvent });
         } catch (error) {
             logger.error('Stream processing failed', { error: error.message });
             throw error;
         }
     }
 
+    /**
+     * Run a one-shot prompt outside the conversation
+     * No history, tools or persistence, so identical prompts (the same diff for /commit,
+     * an unchanged file for /audit) are answered from the response cache.
+     * @param {string} prompt - Complete prompt
+     * @param {Object} options - { signal, bypassCache, taskType, responseSchema, messages }
+     *   messages are earlier turns of the same one-shot exchange (e.g. before a repair request)
+     * @returns {Promise<Object>} Provider response
+     */
+    async generate(prompt, options = {}) {
+        if (!this.initialized) {
+            throw new Error('Engine not initialized');
+        }
+
+        const conversationId = this.contextManager.currentConversationId;
+        const budgetWarnings = await this.costTracker.checkBudget(conversationId);
+        budgetWarnings.forEach(warning => ui.warn(warning));
+
+        const systemPrompt = this.promptBuilder.build({
+            projectContext: await this.contextManager.getProjectContext(),
+        });
+        const { messages = [], ...requestOptions } = options;
+        const response = await this.apiOrchestrator.sendMessage(prompt, { messages }, { ...requestOptions, systemPrompt });
+
+        if (!response.success) {
+            throw new Error(response.error?.message || 'API request failed');
+        }
+
+        if (!response.metadata?.cached) {
+            await this.costTracker.record({
+                conversationId,
+                messageId: null,
+                provider: response.provider,
+                model: response.model,
+                usage: response.usage,
+            });
+        }
+        return response;
+    }
+
+    /**
+     * Request JSON that matches a JSON Schema
+     * Providers with a native structured output mode are held to the schema, and the prompt
+     * carries it for the rest. A response that does not parse or validate is sent back with
+     * its problems for up to maxRepairs corrected attempts.
+     * @param {string} prompt - What to produce
+     * @param {Object} schema - JSON Schema of the result
+     * @param {Object} options - generate() options plus maxRepairs (default 2)
+     * @returns {Promise<*>} The parsed, validated value
+     * @throws {Error} code STRUCTURED_OUTPUT_INVALID when no attempt validates
+     */
+    async requestStructured(prompt, schema, options = {}) {
+        const { maxRepairs = 2, ...requestOptions } = options;
+        const messages = [];
+        let message = `${prompt}\n\nRespond with only JSON that matches this JSON Schema:\n${JSON.stringify(schema, null, 2)}`;
+        let errors = [];
+
+        for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+            const response = await this.generate(message, { ...requestOptions, messages, responseSchema: schema });
+
+            let value;
+            try {
+                value = parseJsonResponse(response.content);
+                errors = validateSchema(value, schema);
+            } catch (error) {
+                errors = [`not valid JSON (${error.message})`];
+            }
+
+            if (errors.length === 0) {
+                return value;
+            }
+
+            logger.warn('Structured response failed validation', { attempt: attempt + 1, errors: errors.slice(0, 5) });
+            messages.push({ role: 'user', content: message }, { role: 'assistant', content: response.content });
+            message = `That response is invalid:\n${errors.slice(0, 10).map(problem => `- ${problem}`).join('\n')}\n\n`
+                + 'Reply with the corrected JSON only.';
+        }
+
+        const error = new Error(`No valid JSON after ${maxRepairs + 1} attempts: ${errors.slice(0, 3).join('; ')}`);
+        error.code = 'STRUCTURED_OUTPUT_INVALID';
+        error.validationErrors = errors;
+        throw error;
+    }
+
     /**
      * Start a new conversation
      */
@@ -369,6 +834,13 @@ class AntigravityEngine {
         return this.apiOrchestrator.getAvailableProviders();
     }
 
+    /**
+     * Get circuit breaker state and latency/error stats per provider
+     */
+    getProviderHealth() {
+        return this.apiOrchestrator.getProviderHealth();
+    }
+
     /**
      * Get current provider
      */
@@ -390,30 +862,53 @@ class AntigravityEngine {
     }
 
     /**
-     * Change Gemini model (if Gemini is current provider)
+     * Token and cost totals for the session, day and month
      */
-    changeGeminiModel(model) {
-        const provider = this.apiOrchestrator.getProvider('gemini');
+    async getCostSummary() {
+        return this.costTracker.getSummary(this.contextManager.currentConversationId);
+    }
+
+    /**
+     * Response cache entries, size and hit rate
+     */
+    async getCacheStats() {
+        return this.apiOrchestrator.cache.getStats();
+    }
+
+    /**
+     * Remove all cached responses
+     * @returns {Promise<number>} Entries removed
+     */
+    async clearCache() {
+        return this.apiOrchestrator.cache.clear();
+    }
+
+    /**
+     * Change the current provider's model
+     */
+    changeModel(model) {
+        const provider = this.apiOrchestrator.getCurrentProvider();
 
         if (!provider) {
-            throw new Error('Gemini provider not available');
+            throw new Error('No API provider available');
         }
 
         provider.setModel(model);
-        logger.info('Gemini model changed', { model });
+        logger.info('Model changed', { provider: provider.name, model });
     }
 
     /**
-     * Get Gemini available models
+     * Get the current provider's chat models, as listed by its API (see api/discovery.js)
+     * @param {Object} options - { refresh } ignores the cached model list
      */
-    getGeminiModels() {
-        const provider = this.apiOrchestrator.getProvider('gemini');
+    async getModels(options = {}) {
+        const provider = this.apiOrchestrator.getCurrentProvider();
 
         if (!provider) {
             return [];
         }
 
-        return provider.getAvailableModels();
+        return provider.listModels(options);
     }
 
     /**
@@ -1,16 +1,135 @@
 /* eslint-disable max-classes-per-file */
-const { exec } = require('child_process');
-const util = require('util');
+const { spawn } = require('child_process');
+const path = require('path');
 const { logger } = require('../utils/logger');
+const { isInside } = require('../utils/paths');
 const { configManager } = require('./config');
 
-const execAsync = util.promisify(exec);
+const DEFAULT_TIMEOUT_MS = 120000;
+const DEFAULT_MAX_OUTPUT_BYTES = 30000;
+
+/**
+ * Spawn a process and collect its output
+ * Never rejects on a non-zero exit code; the caller inspects exitCode instead.
+ * @param {string} file - Executable (or shell command when options.shell is set)
+ * @param {string[]} args - Arguments
+ * @param {Object} options - { cwd, shell, timeoutMs, maxOutputBytes, signal }
+ * @returns {Promise<Object>} { stdout, stderr, exitCode, signal, timedOut, cancelled, truncated, durationMs }
+ */
+function runProcess(file, args, options = {}) {
+    const {
+        cwd = process.cwd(),
+        shell = false,
+        timeoutMs = DEFAULT_TIMEOUT_MS,
+        maxOutputBytes = DEFAULT_MAX_OUTPUT_BYTES,
+        signal: abortSignal,
+    } = options;
+
+    return new Promise((resolve, reject) => {
+        const startTime = Date.now();
+        const output = { stdout: '', stderr: '' };
+        const sizes = { stdout: 0, stderr: 0 };
+        let truncated = false;
+        let timedOut = false;
+        let cancelled = false;
+
+        // Own process group on POSIX so a timeout also kills grandchildren (sh -c ...).
+        // The group does not get the terminal's SIGINT, so Ctrl+C reaches it through abortSignal.
+        const detached = process.platform !== 'win32';
+        const child = spawn(file, args, { cwd, shell, detached, windowsHide: true });
+
+        const kill = signal => {
+            try {
+                if (detached) {
+                    process.kill(-child.pid, signal);
+                } else {
+                    child.kill(signal);
+                }
+            } catch (error) {
+                // Process already exited
+            }
+        };
+
+        const collect = stream => chunk => {
+            sizes[stream] += chunk.length;
+            const remaining = maxOutputBytes - Buffer.byteLength(output[stream]);
+            if (remaining <= 0) {
+                truncated = true;
+                return;
+            }
+            if (chunk.length > remaining) {
+                truncated = true;
+                output[stream] += chunk.subarray(0, remaining).toString('utf8');
+                return;
+            }
+            output[stream] += chunk.toString('utf8');
+        };
+
+        child.stdout.on('data', collect('stdout'));
+        child.stderr.on('data', collect('stderr'));
+
+        const stop = () => {
+            kill('SIGTERM');
+            // Escalate if the process ignores SIGTERM
+            setTimeout(() => kill('SIGKILL'), 2000).unref();
+        };
+
+        const timer = timeoutMs > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                stop();
+            }, timeoutMs)
+            : null;
+
+        const onAbort = () => {
+            cancelled = true;
+            stop();
+        };
+        if (abortSignal?.aborted) {
+            onAbort();
+        } else {
+            abortSignal?.addEventListener('abort', onAbort, { once: true });
+        }
+
+        const cleanup = () => {
+            if (timer) clearTimeout(timer);
+            abortSignal?.removeEventListener('abort', onAbort);
+        };
+
+        child.on('error', error => {
+            cleanup();
+            reject(error);
+        });
+
+        child.on('close', (exitCode, signal) => {
+            cleanup();
+            resolve({
+                stdout: output.stdout,
+                stderr: output.stderr,
+                exitCode,
+                signal,
+                timedOut,
+                cancelled,
+                truncated,
+                totalBytes: sizes.stdout + sizes.stderr,
+                durationMs: Date.now() - startTime,
+            });
+        });
+    });
+}
 
 /**
  * Execution Provider Interface
  */
 class ExecutionProvider {
-    async execute(_command, _cwd) {
+    /**
+     * Execute a shell command
+     * @param {string} command - Command line to run
+     * @param {string} cwd - Working directory
+     * @param {Object} options - { timeoutMs, maxOutputBytes, signal, root } where root is the project directory cwd lies in
+     * @returns {Promise<Object>} Result from runProcess()
+     */
+    async execute(_command, _cwd, _options) {
         throw new Error('Method execute() must be implemented');
     }
 }
@@ -20,7 +139,7 @@ class ExecutionProvider {
  * Executes commands on the host machine with safety checks
  */
 class LocalExecutionProvider extends ExecutionProvider {
-    constructor() {
+    constructor(extraBlocklist = []) {
         super();
         this.blocklist = [
             'rm -rf /',
@@ -29,11 +148,12 @@ class LocalExecutionProvider extends ExecutionProvider {
             ':(){ :|:& };:', // Fork bomb
             '> /dev/sda',
             'mkfs',
-            'dd if=/dev/zero'
+            'dd if=/dev/zero',
+            ...extraBlocklist,
         ];
     }
 
-    async execute(command, cwd = process.cwd()) {
+    async execute(command, cwd = process.cwd(), options = {}) {
         const cmdTrimmed = command.trim();
 
         // Safety Check
@@ -43,7 +163,7 @@ class LocalExecutionProvider extends ExecutionProvider {
         }
 
         logger.debug(`[LocalExecution] Running: ${command} in ${cwd}`);
-        return execAsync(command, { cwd });
+        return runProcess(command, [], { ...options, cwd, shell: true });
     }
 }
 
@@ -57,23 +177,38 @@ class DockerExecutionProvider extends ExecutionProvider {
         this.image = image;
     }
 
-    async execute(command, _cwd = process.cwd()) {
-        // We mount the current working directory to /app
-        // and set working directory to /app
-        // NOTE: This assumes 'cwd' is the project root or subfolder.
-        // For simplicity, we mount process.cwd() to /app.
+    async execute(command, cwd = process.cwd(), options = {}) {
+        const hostPath = options.root || cwd;
+        const args = this.buildArgs(command, cwd, hostPath);
 
-        const hostPath = process.cwd();
+        logger.debug(`[DockerExecution] Running: docker ${args.join(' ')}`);
+        return runProcess('docker', args, { ...options, cwd: hostPath });
+    }
+
+    /**
+     * Build the docker run arguments
+     * The project root is mounted at /app and cwd maps to the same path below it.
+     * @param {string} command - Command line to run
+     * @param {string} cwd - Working directory on the host
+     * @param {string} hostPath - Project root on the host
+     * @returns {string[]}
+     */
+    buildArgs(command, cwd, hostPath) {
         const containerPath = '/app';
+        if (!isInside(hostPath, cwd)) {
+            throw new Error(`Working directory ${cwd} is outside the mounted project ${hostPath}`);
+        }
 
-        // Construct Docker command
         // -v: Mount volume
         // -w: Workdir
         // --rm: Remove container after exit
-        const dockerCmd = `docker run --rm -v "${hostPath}:${containerPath}" -w ${containerPath} ${this.image} /bin/sh -c "${command.replace(/"/g, '\\"')}"`;
-
-        logger.debug(`[DockerExecution] Running: ${dockerCmd}`);
-        return execAsync(dockerCmd);
+        return [
+            'run', '--rm',
+            '-v', `${hostPath}:${containerPath}`,
+            '-w', path.posix.join(containerPath, ...path.relative(hostPath, cwd).split(path.sep)),
+            this.image,
+            '/bin/sh', '-c', command,
+        ];
     }
 }
 
@@ -88,7 +223,7 @@ class ExecutionManager {
         if (mode === 'docker') {
             return new DockerExecutionProvider(image);
         }
-        return new LocalExecutionProvider();
+        return new LocalExecutionProvider(configManager.get('execution.blocklist') || []);
     }
 }
 
@@ -96,5 +231,8 @@ module.exports = {
     ExecutionProvider,
     LocalExecutionProvider,
     DockerExecutionProvider,
-    ExecutionManager
+    ExecutionManager,
+    runProcess,
+    DEFAULT_TIMEOUT_MS,
+    DEFAULT_MAX_OUTPUT_BYTES,
 };
@@ -1,3 +1,6 @@
+const fs = require('fs');
+const path = require('path');
+const { minimatch } = require('minimatch');
 const { logger } = require('../utils/logger');
 
 /**
@@ -9,6 +12,95 @@ const PERMISSION_MODES = {
     PLAN_ONLY: 'plan-only'    // Read-only, no execution
 };
 
+/**
+ * Actions that never modify the workspace and are allowed in every mode
+ */
+const READ_ONLY_ACTIONS = ['file_read', 'list_dir', 'search'];
+
+/**
+ * Actions auto-approved in auto-edit mode
+ */
+const AUTO_EDIT_ACTIONS = ['file_edit', 'file_write'];
+
+/**
+ * Rule categories for path rules in .agent/permissions.json
+ */
+const RULE_ACTIONS = {
+    file_read: 'read',
+    list_dir: 'read',
+    search: 'read',
+    file_write: 'write',
+    file_edit: 'write',
+    file_delete: 'delete',
+    command_execute: 'execute',
+    tool_execute: 'execute',
+};
+
+/**
+ * Rule outcomes, most restrictive first
+ */
+const RULE_DECISIONS = ['deny', 'ask', 'allow'];
+
+const RULES_FILE = path.join('.agent', 'permissions.json');
+
+/**
+ * Split a shell command line at its control operators (;, &&, ||, |, &, newlines), honouring quotes
+ * A part is marked expands when it has a redirection or command substitution, which rules cannot see through.
+ * @returns {Array<{ text: string, expands: boolean }>}
+ */
+function splitCommandLine(command) {
+    const parts = [];
+    let current = { text: '', expands: false };
+    let quote = null;
+
+    const finish = () => {
+        current.text = current.text.trim();
+        if (current.text) parts.push(current);
+        current = { text: '', expands: false };
+    };
+
+    for (let i = 0; i < command.length; i++) {
+        const char = command[i];
+
+        if (char === '\\' && quote !== "'") {
+            current.text += char + (command[i + 1] || '');
+            i++;
+        } else if (quote === "'") {
+            if (char === "'") quote = null;
+            current.text += char;
+        } else if (char === '`' || (char === '$' && command[i + 1] === '(')) {
+            current.expands = true;
+            current.text += char;
+        } else if (quote === '"') {
+            if (char === '"') quote = null;
+            current.text += char;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            current.text += char;
+        } else if (char === '<' || char === '>' || (char === '&' && (command[i + 1] === '>' || /[<>]$/.test(current.text)))) {
+            // Redirections, including 2>&1 and &>
+            current.expands = true;
+            current.text += char;
+        } else if (char === ';' || char === '\n' || char === '|' || char === '&') {
+            // && and || are one operator
+            if ((char === '|' || char === '&') && command[i + 1] === char) i++;
+            finish();
+        } else {
+            current.text += char;
+        }
+    }
+    finish();
+
+    return parts;
+}
+
+/**
+ * The most restrictive of some rules, or null
+ */
+function mostRestrictive(rules) {
+    return rules.sort((a, b) => RULE_DECISIONS.indexOf(a.decision) - RULE_DECISIONS.indexOf(b.decision))[0] || null;
+}
+
 /**
  * Permission Manager
  * Controls what actions the AI can perform automatically
@@ -17,9 +109,196 @@ class PermissionManager {
     constructor(config) {
         this.config = config;
         this.mode = PERMISSION_MODES.DEFAULT;
+        this.rules = [];
+        this.projectDir = process.cwd();
         this.loadMode();
     }
 
+    /**
+     * Load path rules from <projectDir>/.agent/permissions.json
+     * Format: { "rules": [{ "action": "write" | ["write", "delete"] | "*", "pattern": "src/**", "decision": "allow" }] }
+     * For "execute" rules the pattern matches each command of the command line, with * matching anything.
+     */
+    loadRules(projectDir = process.cwd()) {
+        this.projectDir = projectDir;
+        this.rules = [];
+
+        const rulesPath = this.getRulesPath();
+        if (!fs.existsSync(rulesPath)) {
+            return this.rules;
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+            for (const rule of data.rules || []) {
+                try {
+                    this.rules.push(this._normalizeRule(rule));
+                } catch (error) {
+                    logger.warn('Skipping invalid permission rule', { rule, error: error.message });
+                }
+            }
+            logger.debug('Permission rules loaded', { path: rulesPath, count: this.rules.length });
+        } catch (error) {
+            logger.warn('Failed to load permission rules', { path: rulesPath, error: error.message });
+        }
+
+        return this.rules;
+    }
+
+    /**
+     * Path of the project rules file
+     */
+    getRulesPath() {
+        return path.join(this.projectDir, RULES_FILE);
+    }
+
+    /**
+     * Get loaded rules
+     */
+    getRules() {
+        return this.rules;
+    }
+
+    /**
+     * Add a rule and persist it to the project rules file
+     */
+    async addRule(rule) {
+        const normalized = this._normalizeRule(rule);
+        this.rules.push(normalized);
+
+        const rulesPath = this.getRulesPath();
+        await fs.promises.mkdir(path.dirname(rulesPath), { recursive: true });
+        await fs.promises.writeFile(rulesPath, `${JSON.stringify({ rules: this.rules }, null, 2)}\n`, 'utf8');
+
+        logger.info('Permission rule added', { rule: normalized, path: rulesPath });
+        return normalized;
+    }
+
+    /**
+     * Validate a rule and normalize its action list
+     */
+    _normalizeRule(rule) {
+        const actions = Array.isArray(rule.action) ? rule.action : [rule.action];
+        const validActions = [...new Set(Object.values(RULE_ACTIONS)), '*'];
+
+        if (actions.length === 0 || actions.some(action => !validActions.includes(action))) {
+            throw new Error(`Invalid rule action: ${rule.action}`);
+        }
+        if (!rule.pattern || typeof rule.pattern !== 'string') {
+            throw new Error('Rule pattern must be a non-empty string');
+        }
+        if (!RULE_DECISIONS.includes(rule.decision)) {
+            throw new Error(`Invalid rule decision: ${rule.decision}`);
+        }
+
+        return {
+            action: actions.length === 1 ? actions[0] : actions,
+            pattern: rule.pattern,
+            decision: rule.decision,
+        };
+    }
+
+    /**
+     * Find the most restrictive rule matching an action
+     * @returns {Object|null} Matching rule
+     */
+    matchRule(action, details = {}) {
+        const ruleAction = RULE_ACTIONS[action];
+        const target = this._getRuleTarget(action, details);
+        if (!ruleAction || target === null) {
+            return null;
+        }
+
+        const rules = this.rules.filter(rule => {
+            const actions = Array.isArray(rule.action) ? rule.action : [rule.action];
+            return actions.includes(ruleAction) || actions.includes('*');
+        });
+
+        if (action === 'command_execute') {
+            return this._matchCommandLine(rules, target);
+        }
+        return mostRestrictive(rules.filter(rule => (ruleAction === 'execute'
+            ? this._matchCommand(rule.pattern, target)
+            : this._matchPath(rule.pattern, target))));
+    }
+
+    /**
+     * Match every command of a command line, so "npm test*" does not allow "npm test; rm -rf ~"
+     * A deny or ask rule for any part applies to the whole line; allow applies only when every part
+     * is allowed and none has a redirection or command substitution.
+     */
+    _matchCommandLine(rules, command) {
+        const matches = splitCommandLine(command).map(part => mostRestrictive(rules.filter(rule => (
+            this._matchCommand(rule.pattern, part.text) && !(rule.decision === 'allow' && part.expands)
+        ))));
+
+        if (matches.includes(null)) {
+            return mostRestrictive(matches.filter(rule => rule && rule.decision !== 'allow'));
+        }
+        return mostRestrictive(matches);
+    }
+
+    /**
+     * What a rule for this action is matched against: the command line, the tool name or the project-relative path
+     */
+    _getRuleTarget(action, details) {
+        if (action === 'tool_execute') {
+            return details.tool || null;
+        }
+        if (RULE_ACTIONS[action] === 'execute') {
+            return details.command || null;
+        }
+        if (!details.path) {
+            return null;
+        }
+        const fullPath = path.resolve(this.projectDir, details.path);
+        return path.relative(this.projectDir, fullPath).split(path.sep).join('/') || '.';
+    }
+
+    /**
+     * Match a project-relative path; patterns without a slash match at any depth, "dir/" matches everything below it
+     */
+    _matchPath(pattern, filePath) {
+        const glob = pattern.endsWith('/') ? `${pattern}**` : pattern;
+        return minimatch(filePath, glob, { dot: true, matchBase: true });
+    }
+
+    /**
+     * Match a command line against a pattern where * matches any characters
+     */
+    _matchCommand(pattern, command) {
+        const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(`^${escaped.join('.*')}$`).test(command.trim());
+    }
+
+    /**
+     * Rule that an "always allow" answer would add for this action
+     * Not offered when an explicit "ask" rule matches, since that rule would still win.
+     */
+    suggestRule(action, details = {}) {
+        const ruleAction = RULE_ACTIONS[action];
+        const target = this._getRuleTarget(action, details);
+        if (!ruleAction || target === null || this.matchRule(action, details)) {
+            return null;
+        }
+        // An allow rule for a whole compound command line would never match
+        if (action === 'command_execute') {
+            const parts = splitCommandLine(target);
+            if (parts.length !== 1 || parts[0].expands) {
+                return null;
+            }
+        }
+        return { action: ruleAction, pattern: target, decision: 'allow' };
+    }
+
+    /**
+     * Describe a rule for display
+     */
+    describeRule(rule) {
+        const actions = Array.isArray(rule.action) ? rule.action.join(',') : rule.action;
+        return `${rule.decision} ${actions} ${rule.pattern}`;
+    }
+
     /**
      * Load permission mode from config
      */
@@ -74,37 +353,89 @@ class PermissionManager {
         return displays[this.mode] || this.mode;
     }
 
+    /**
+     * Decide how an action is handled
+     * A matching deny rule always wins; plan-only mode blocks every write whatever the rules say;
+     * otherwise a matching rule overrides the mode.
+     * @param {string} action - Action type (file_edit, file_delete, command_execute, etc.)
+     * @param {object} details - Action details ({ path } or { command })
+     * @returns {string} 'allow' | 'ask' | 'deny'
+     */
+    checkPermission(action, details = {}) {
+        const rule = this.matchRule(action, details);
+
+        if (rule && rule.decision === 'deny') {
+            return 'deny';
+        }
+
+        if (READ_ONLY_ACTIONS.includes(action)) {
+            return rule ? rule.decision : 'allow';
+        }
+
+        // Plan-only mode: block all write operations
+        if (this.mode === PERMISSION_MODES.PLAN_ONLY) {
+            return 'deny';
+        }
+
+        if (rule) {
+            return rule.decision;
+        }
+
+        // Auto-edit mode: auto-approve file edits
+        if (this.mode === PERMISSION_MODES.AUTO_EDIT && AUTO_EDIT_ACTIONS.includes(action)) {
+            return 'allow';
+        }
+
+        return 'ask';
+    }
+
+    /**
+     * Explain why an action is denied, for the tool result sent back to the model
+     */
+    explainDenial(action, details = {}) {
+        const rule = this.matchRule(action, details);
+        if (rule && rule.decision === 'deny') {
+            return `${action} on ${rule.pattern} is blocked by a project permission rule. Do not retry; work around it or ask the user.`;
+        }
+        return `${action} is not allowed in ${this.mode} mode. Describe the change instead of making it.`;
+    }
+
     /**
      * Request permission for an action
+     * promptFn receives (message, suggestedRule) and may answer 'always' to persist an allow rule.
      * @param {string} action - Action type (file_edit, file_delete, command_execute, etc.)
      * @param {object} details - Action details
      * @param {function} promptFn - Function to prompt user (async)
      * @returns {Promise<boolean>} Whether action is allowed
      */
     async requestPermission(action, details, promptFn) {
-        // Plan-only mode: block all write operations
-        if (this.mode === PERMISSION_MODES.PLAN_ONLY) {
-            const readOnlyActions = ['file_read', 'list_dir', 'search'];
-            if (!readOnlyActions.includes(action)) {
-                logger.debug('Action blocked in plan-only mode', { action });
-                return false;
-            }
-            return true;
+        const decision = this.checkPermission(action, details);
+
+        if (decision === 'deny') {
+            logger.debug('Action blocked', { action, mode: this.mode });
+            return false;
         }
 
-        // Auto-edit mode: auto-approve file edits
-        if (this.mode === PERMISSION_MODES.AUTO_EDIT) {
-            const autoApproveActions = ['file_edit', 'file_write'];
-            if (autoApproveActions.includes(action)) {
-                logger.debug('Action auto-approved', { action, mode: this.mode });
-                return true;
-            }
+        if (decision === 'allow') {
+            logger.debug('Action auto-approved', { action, mode: this.mode });
+            return true;
         }
 
-        // Default mode: ask user
+        // Ask the user
         if (promptFn) {
-            const message = this._formatPermissionMessage(action, details);
-            const approved = await promptFn(message);
+            const message = this.formatPermissionMessage(action, details);
+            const suggestedRule = this.suggestRule(action, details);
+            const answer = await promptFn(message, suggestedRule);
+
+            if (answer === 'always' && suggestedRule) {
+                try {
+                    await this.addRule(suggestedRule);
+                } catch (error) {
+                    logger.warn('Failed to save permission rule', { error: error.message });
+                }
+            }
+
+            const approved = answer === true || answer === 'always';
             logger.debug('Permission requested', { action, approved });
             return approved;
         }
@@ -116,13 +447,14 @@ class PermissionManager {
     /**
      * Format permission message for user
      */
-    _formatPermissionMessage(action, details) {
+    formatPermissionMessage(action, details = {}) {
         const messages = {
             file_edit: `Allow AI to edit ${details.path}?`,
             file_delete: `Allow AI to delete ${details.path}?`,
             file_write: `Allow AI to write to ${details.path}?`,
             command_execute: `Allow AI to execute: ${details.command}?`,
-            web_request: `Allow AI to make web request to ${details.url}?`
+            web_request: `Allow AI to make web request to ${details.url}?`,
+            tool_execute: `Allow AI to run tool ${details.tool}?`
         };
 
         return messages[action] || `Allow AI to perform ${action}?`;
@@ -131,14 +463,14 @@ class PermissionManager {
     /**
      * Check if action is allowed in current mode (without prompting)
      */
-    isActionAllowed(action) {
-        if (this.mode === PERMISSION_MODES.PLAN_ONLY) {
-            const readOnlyActions = ['file_read', 'list_dir', 'search'];
-            return readOnlyActions.includes(action);
-        }
-
-        return true; // Default and auto-edit allow all actions
+    isActionAllowed(action, details = {}) {
+        return this.checkPermission(action, details) !== 'deny';
     }
 }
 
-module.exports = { PermissionManager, PERMISSION_MODES };
+module.exports = {
+    PermissionManager,
+    PERMISSION_MODES,
+    READ_ONLY_ACTIONS,
+    RULE_ACTIONS,
+};
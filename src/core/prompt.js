@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+/**
+ * Base instructions sent with every request
+ */
+const BASE_INSTRUCTIONS = `You are Antigravity, an AI coding assistant working in the user's project.
+Use the available tools to read, search and change files instead of guessing their contents.
+Keep changes focused on the request and explain what you changed.`;
+
+const RULES_DIR = path.join('.agent', 'rules');
+
+/**
+ * Upper bound for project rules so a large rules folder cannot crowd out the conversation
+ */
+const MAX_RULES_CHARS = 20000;
+
+/**
+ * System Prompt Builder
+ * Assembles the system prompt in layers: base instructions, project rules,
+ * agent persona and RAG context. Providers map it to their native system field.
+ */
+class SystemPromptBuilder {
+    constructor() {
+        this.projectDir = process.cwd();
+        this.rules = [];
+    }
+
+    /**
+     * Load project rules from <projectDir>/.agent/rules/*.md
+     */
+    loadRules(projectDir = process.cwd()) {
+        this.projectDir = projectDir;
+        this.rules = [];
+
+        const rulesDir = path.join(projectDir, RULES_DIR);
+        if (!fs.existsSync(rulesDir)) {
+            return this.rules;
+        }
+
+        try {
+            const files = fs.readdirSync(rulesDir)
+                .filter(file => file.endsWith('.md'))
+                .sort();
+
+            for (const file of files) {
+                const content = fs.readFileSync(path.join(rulesDir, file), 'utf8').trim();
+                if (content) {
+                    this.rules.push({ file, content });
+                }
+            }
+            logger.debug('Project rules loaded', { path: rulesDir, count: this.rules.length });
+        } catch (error) {
+            logger.warn('Failed to load project rules', { path: rulesDir, error: error.message });
+        }
+
+        return this.rules;
+    }
+
+    /**
+     * Build the system prompt
+     * @param {Object} layers - { projectContext, persona, relevantCode }
+     * @returns {string} System prompt
+     */
+    build({ projectContext, persona, relevantCode } = {}) {
+        const sections = [BASE_INSTRUCTIONS];
+
+        if (projectContext) {
+            sections.push(`## Project\n${projectContext}`);
+        }
+
+        const rules = this.formatRules();
+        if (rules) {
+            sections.push(`## Project Rules\n${rules}`);
+        }
+
+        if (persona) {
+            sections.push(`## Your Role\n${persona}`);
+        }
+
+        const code = this.formatRelevantCode(relevantCode);
+        if (code) {
+            sections.push(`## Relevant Code\nThese snippets from the codebase may be related to the request:\n\n${code}`);
+        }
+
+        return sections.join('\n\n');
+    }
+
+    /**
+     * Join rule files, truncated to MAX_RULES_CHARS
+     * @private
+     */
+    formatRules() {
+        const text = this.rules
+            .map(rule => `### ${rule.file}\n${rule.content}`)
+            .join('\n\n');
+
+        if (text.length <= MAX_RULES_CHARS) {
+            return text;
+        }
+        return `${text.slice(0, MAX_RULES_CHARS)}\n[Rules truncated]`;
+    }
+
+    /**
+     * Format RAG chunks as fenced snippets
+     * @private
+     */
+    formatRelevantCode(relevantCode = []) {
+        return (relevantCode || [])
+            .map(chunk => `${chunk.filePath}:${chunk.startLine}-${chunk.endLine}\n\`\`\`\n${chunk.content}\n\`\`\``)
+            .join('\n\n');
+    }
+}
+
+module.exports = { SystemPromptBuilder, BASE_INSTRUCTIONS };
@@ -1,6 +1,7 @@
 const { glob } = require('glob');
 const fs = require('fs').promises;
 const { logger } = require('../../utils/logger');
+const { DEFAULT_IGNORE_PATTERNS } = require('../../utils/ignore');
 const { SemanticChunker } = require('./chunker');
 const { VectorStore } = require('./store');
 
@@ -65,18 +66,7 @@ class CodeIndexer {
     async findFiles(rootDir) {
         const options = {
             cwd: rootDir,
-            ignore: [
-                '**/node_modules/**',
-                '**/dist/**',
-                '**/build/**',
-                '**/.git/**',
-                '**/coverage/**',
-                '**/*.min.js',
-                '**/*.map',
-                '**/package-lock.json',
-                '**/.env*',
-                '**/.gemini/**' // Ignore brain/memory folders
-            ],
+            ignore: DEFAULT_IGNORE_PATTERNS,
             nodir: true,
             absolute: true
         };
@@ -1,49 +1,339 @@
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
+const path = require('path');
 const util = require('util');
 
-const execAsync = util.promisify(exec);
+const execFileAsync = util.promisify(execFile);
 const { logger } = require('../../utils/logger');
+const { isInside } = require('../../utils/paths');
+const { configManager } = require('../config');
 
+const DEFAULT_LOG_LIMIT = 20;
+const MAX_LOG_LIMIT = 200;
+const DEFAULT_MAX_OUTPUT_BYTES = 30000;
+
+// Revisions and ranges such as HEAD~3, main..feature, v1.2.0, abc123^, HEAD@{1}
+// No ":", so "HEAD:.env" cannot name a file the path checks never see
+const REVISION_PATTERN = /^[\w./~^@{}+-]+$/;
+
+/**
+ * Git Tool
+ * Runs git with argument arrays (no shell) for /commit and the model's read-only git tools
+ */
 class GitTool {
-    constructor() {
-        this.cwd = process.cwd();
+    constructor(cwd = process.cwd()) {
+        this.cwd = cwd;
     }
 
-    async run(command) {
+    /**
+     * Set the repository working directory
+     */
+    setCwd(cwd) {
+        this.cwd = cwd;
+    }
+
+    /**
+     * Run git with the given arguments
+     * @param {string[]} args - Arguments passed to git
+     * @returns {Promise<string>} Trimmed stdout
+     */
+    async run(args) {
         try {
-            const { stdout } = await execAsync(command, { cwd: this.cwd });
+            const { stdout } = await execFileAsync('git', args, {
+                cwd: this.cwd,
+                maxBuffer: 20 * 1024 * 1024,
+                windowsHide: true,
+            });
             return stdout.trim();
         } catch (error) {
-            logger.error(`Git command failed: ${command}`, { error: error.message });
-            throw error;
+            const message = (error.stderr && error.stderr.trim()) || error.message;
+            logger.error(`Git command failed: git ${args.join(' ')}`, { error: message });
+            throw new Error(message);
         }
     }
 
     async status() {
-        return this.run('git status --porcelain');
+        return this.run(['status', '--porcelain']);
     }
 
     async diff(staged = false) {
-        const flag = staged ? '--staged' : '';
-        return this.run(`git diff ${flag}`);
+        return this.run(staged ? ['diff', '--staged'] : ['diff']);
     }
 
     async add(files = '.') {
-        return this.run(`git add ${files}`);
+        const paths = Array.isArray(files) ? files : [files];
+        return this.run(['add', '--', ...paths]);
     }
 
     async commit(message) {
-        // Escape quotes in message to prevent shell issues
-        const escapedMessage = message.replace(/"/g, '\\"');
-        return this.run(`git commit -m "${escapedMessage}"`);
+        return this.run(['commit', '-m', message]);
     }
 
     async log(limit = 5) {
-        return this.run(`git log -n ${limit} --oneline`);
+        return this.run(['log', '-n', String(limit), '--oneline']);
     }
 
     async getCurrentBranch() {
-        return this.run('git rev-parse --abbrev-ref HEAD');
+        return this.run(['rev-parse', '--abbrev-ref', 'HEAD']);
+    }
+
+    /**
+     * Working tree status with the current branch and upstream tracking
+     */
+    async statusSummary() {
+        return this.run(['status', '--short', '--branch']);
+    }
+
+    /**
+     * Diff the working tree, the index, or a revision range
+     * Files canRead() rejects are left out of the diff.
+     * @param {Object} options - { path, range, staged, contextLines, canRead }
+     */
+    async diffFor(options = {}) {
+        const args = ['diff', '--no-color'];
+        if (options.staged) args.push('--staged');
+        if (options.contextLines !== undefined) {
+            args.push(`--unified=${Math.max(0, Math.min(parseInt(options.contextLines, 10) || 0, 20))}`);
+        }
+        if (options.range) args.push(this._checkRevision(options.range));
+        const pathspecs = options.path ? [this._checkPath(options.path)] : [];
+
+        if (options.canRead) {
+            const changed = await this.run([...args, '--name-only', '--no-renames', '-z', '--', ...pathspecs]);
+            const hidden = changed.split('\0').filter(file => file && !options.canRead(file));
+            pathspecs.push(...hidden.map(file => `:(exclude,literal)${file}`));
+        }
+
+        const output = await this.run([...args, '--', ...pathspecs]);
+        return this._truncate(output || 'No differences');
+    }
+
+    /**
+     * Commit history, optionally limited to a path or range
+     * @param {Object} options - { path, range, limit }
+     */
+    async logFor(options = {}) {
+        const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_LOG_LIMIT, MAX_LOG_LIMIT);
+        const args = ['log', '-n', String(limit), '--date=short', '--pretty=format:%h %ad %an%n    %s'];
+        if (options.range) args.push(this._checkRevision(options.range));
+        if (options.path) args.push('--', this._checkPath(options.path));
+
+        const output = await this.run(args);
+        return this._truncate(output || 'No commits found');
+    }
+
+    /**
+     * Blame a file, optionally for a line range and at a revision
+     * @param {string} filePath - File to blame
+     * @param {Object} options - { startLine, endLine, revision, canRead }
+     */
+    async blame(filePath, options = {}) {
+        const relPath = this._checkReadable(filePath, options.canRead);
+        const args = ['blame', '--date=short'];
+        if (options.startLine) {
+            const start = parseInt(options.startLine, 10);
+            const end = parseInt(options.endLine, 10) || start;
+            if (!(start > 0) || end < start) {
+                throw new Error('Invalid line range');
+            }
+            args.push('-L', `${start},${end}`);
+        }
+        if (options.revision) args.push(this._checkRevision(options.revision));
+        args.push('--', relPath);
+
+        return this._truncate(await this.run(args));
+    }
+
+    /**
+     * Show a file as it was at a revision
+     * @param {Object} options - { canRead }
+     */
+    async showFile(revision, filePath, options = {}) {
+        const rev = this._checkRevision(revision);
+        const relPath = this._checkReadable(filePath, options.canRead).split(path.sep).join('/');
+        return this._truncate(await this.run(['show', `${rev}:${relPath}`]));
+    }
+
+    /**
+     * List local and remote branches
+     */
+    async branches() {
+        return this._truncate(await this.run(['branch', '--all', '--verbose', '--no-color']));
+    }
+
+    /**
+     * Reject revisions that could be parsed as options or contain unexpected characters
+     */
+    _checkRevision(revision) {
+        const rev = String(revision).trim();
+        if (!rev || rev.startsWith('-') || !REVISION_PATTERN.test(rev)) {
+            throw new Error(`Invalid revision: ${revision}`);
+        }
+        return rev;
+    }
+
+    /**
+     * Resolve a path relative to the repository and keep it inside
+     */
+    _checkPath(filePath) {
+        if (!isInside(this.cwd, filePath)) {
+            throw new Error(`Access denied: Path ${filePath} is outside base directory`);
+        }
+        return path.relative(this.cwd, path.resolve(this.cwd, filePath)) || '.';
+    }
+
+    /**
+     * Resolve a path with _checkPath and reject it when canRead() does not allow reading it
+     */
+    _checkReadable(filePath, canRead) {
+        const relPath = this._checkPath(filePath);
+        if (canRead && !canRead(relPath)) {
+            throw new Error(`Access denied: ${filePath} is blocked by a read permission rule`);
+        }
+        return relPath;
+    }
+
+    /**
+     * Cap tool output so large diffs do not flood the context window
+     */
+    _truncate(output) {
+        const maxBytes = configManager.get('execution.maxOutputBytes') || DEFAULT_MAX_OUTPUT_BYTES;
+        if (Buffer.byteLength(output) <= maxBytes) {
+            return output;
+        }
+        const truncated = Buffer.from(output).subarray(0, maxBytes).toString('utf8');
+        return `${truncated}\n... [output truncated at ${maxBytes} bytes; narrow the path or range]`;
+    }
+
+    /**
+     * Get tool specifications for the ToolRegistry (all read-only)
+     */
+    getToolDefinitions() {
+        return [
+            {
+                name: 'git_status',
+                description: 'Show the current branch, upstream tracking and changed files (git status --short --branch)',
+                permission: 'file_read',
+                readOnly: true,
+                handler: () => this.statusSummary(),
+                parameters: {
+                    type: 'object',
+                    properties: {}
+                }
+            },
+            {
+                name: 'git_diff',
+                description: 'Show a diff of the working tree, the staged changes, or a revision range, optionally for one path',
+                permission: 'file_read',
+                readOnly: true,
+                handler: (args, context = {}) => this.diffFor({ ...args, canRead: context.canRead }),
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        path: {
+                            type: 'string',
+                            description: 'File or directory to limit the diff to'
+                        },
+                        range: {
+                            type: 'string',
+                            description: 'Revision or range, e.g. "HEAD~3", "main..HEAD", "abc123"'
+                        },
+                        staged: {
+                            type: 'boolean',
+                            description: 'Diff staged changes instead of the working tree'
+                        },
+                        contextLines: {
+                            type: 'number',
+                            description: 'Lines of context around each change (default 3)'
+                        }
+                    }
+                }
+            },
+            {
+                name: 'git_log',
+                description: 'List recent commits (hash, date, author, subject), optionally only those touching a path or in a range',
+                permission: 'file_read',
+                readOnly: true,
+                handler: args => this.logFor(args),
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        path: {
+                            type: 'string',
+                            description: 'Only commits that touch this file or directory'
+                        },
+                        range: {
+                            type: 'string',
+                            description: 'Revision or range, e.g. "v1.2.0..HEAD"'
+                        },
+                        limit: {
+                            type: 'number',
+                            description: `Maximum commits to return (default ${DEFAULT_LOG_LIMIT}, max ${MAX_LOG_LIMIT})`
+                        }
+                    }
+                }
+            },
+            {
+                name: 'git_blame',
+                description: 'Show who last changed each line of a file, optionally for a line range',
+                permission: 'file_read',
+                readOnly: true,
+                handler: (args, context = {}) => this.blame(args.path, { ...args, canRead: context.canRead }),
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        path: {
+                            type: 'string',
+                            description: 'File to blame'
+                        },
+                        startLine: {
+                            type: 'number',
+                            description: 'First line (1-based)'
+                        },
+                        endLine: {
+                            type: 'number',
+                            description: 'Last line (defaults to startLine)'
+                        },
+                        revision: {
+                            type: 'string',
+                            description: 'Blame as of this revision instead of the working tree'
+                        }
+                    },
+                    required: ['path']
+                }
+            },
+            {
+                name: 'git_show',
+                description: 'Show the contents of a file at a given revision',
+                permission: 'file_read',
+                readOnly: true,
+                handler: (args, context = {}) => this.showFile(args.revision, args.path, { canRead: context.canRead }),
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        revision: {
+                            type: 'string',
+                            description: 'Commit, branch or tag, e.g. "HEAD~1"'
+                        },
+                        path: {
+                            type: 'string',
+                            description: 'File path relative to the project root'
+                        }
+                    },
+                    required: ['revision', 'path']
+                }
+            },
+            {
+                name: 'git_branches',
+                description: 'List local and remote branches with their latest commit',
+                permission: 'file_read',
+                readOnly: true,
+                handler: () => this.branches(),
+                parameters: {
+                    type: 'object',
+                    properties: {}
+                }
+            }
+        ];
     }
 }
 
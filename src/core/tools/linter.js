@@ -1,56 +1,202 @@
-// eslint-disable-next-line import/no-extraneous-dependencies
-const { ESLint } = require('eslint');
-// eslint-disable-next-line import/no-extraneous-dependencies
-const prettier = require('prettier');
 const fs = require('fs').promises;
+const path = require('path');
 const { logger } = require('../../utils/logger');
 
+/**
+ * Language by file extension
+ */
+const LANGUAGES = {
+    '.js': 'javascript',
+    '.cjs': 'javascript',
+    '.mjs': 'javascript',
+    '.jsx': 'javascript',
+    '.ts': 'typescript',
+    '.tsx': 'typescript',
+    '.json': 'json',
+    '.css': 'css',
+    '.scss': 'scss',
+    '.md': 'markdown',
+    '.yml': 'yaml',
+    '.yaml': 'yaml',
+    '.html': 'html',
+};
+
+/**
+ * Languages ESLint is run on
+ */
+const LINTABLE_LANGUAGES = ['javascript', 'typescript'];
+
+/**
+ * Load an optional dependency; ESLint and Prettier are not installed everywhere the CLI runs
+ */
+function loadOptional(name) {
+    try {
+        // eslint-disable-next-line global-require, import/no-dynamic-require
+        return require(name);
+    } catch (error) {
+        logger.debug(`Optional dependency not available: ${name}`);
+        return null;
+    }
+}
+
 class LintingTool {
-    constructor() {
-        this.eslint = new ESLint();
+    constructor(cwd = process.cwd()) {
+        this.cwd = cwd;
+        this.eslint = null;
+    }
+
+    /**
+     * Set the project directory used to resolve ESLint configuration
+     */
+    setCwd(cwd) {
+        this.cwd = cwd;
+        this.eslint = null;
+    }
+
+    /**
+     * Get (and cache) an ESLint instance for the project, or null when ESLint is unavailable
+     */
+    _getESLint() {
+        if (!this.eslint) {
+            const eslintModule = loadOptional('eslint');
+            if (!eslintModule) return null;
+            this.eslint = new eslintModule.ESLint({ cwd: this.cwd });
+        }
+        return this.eslint;
+    }
+
+    /**
+     * Detect a file's language from its extension
+     * @returns {string|null}
+     */
+    getLanguage(filePath) {
+        return LANGUAGES[path.extname(filePath).toLowerCase()] || null;
     }
 
     /**
      * Lint a file and return errors/warnings
-     * @param {string} filePath 
-     * @returns {Promise<Array>} Array of error messages
+     * @param {string} filePath
+     * @returns {Promise<Object|null>} { valid, errorCount, warningCount, errors, output }, or null when
+     * ESLint is unavailable, the file is ignored, or the project has no ESLint configuration
      */
     async lintFile(filePath) {
+        const eslint = this._getESLint();
+        if (!eslint) return null;
+
         try {
-            const results = await this.eslint.lintFiles([filePath]);
-            const formatter = await this.eslint.loadFormatter('stylish');
-            const resultText = formatter.format(results);
-
-            if (results[0].errorCount > 0 || results[0].warningCount > 0) {
-                return {
-                    valid: false,
-                    output: resultText,
-                    errors: results[0].messages.map(m => `Line ${m.line}: ${m.message} (${m.ruleId})`)
-                };
+            if (await eslint.isPathIgnored(filePath)) {
+                return null;
             }
 
-            return { valid: true, output: 'No linting errors found.' };
+            const results = await eslint.lintFiles([filePath]);
+            const [result] = results;
+            if (!result) return null;
+
+            const formatter = await eslint.loadFormatter('stylish');
+            const errors = result.messages.map(m => {
+                const severity = m.severity === 2 ? 'error' : 'warning';
+                return `Line ${m.line}:${m.column} ${severity} ${m.message}${m.ruleId ? ` (${m.ruleId})` : ''}`;
+            });
+
+            return {
+                valid: result.errorCount === 0 && result.warningCount === 0,
+                errorCount: result.errorCount,
+                warningCount: result.warningCount,
+                errors,
+                output: errors.length > 0 ? formatter.format(results) : 'No linting errors found.',
+            };
         } catch (error) {
-            logger.error('Linting failed', { error: error.message });
-            return { valid: false, output: `Linting tool failed: ${error.message}` };
+            // Most commonly "No ESLint configuration found" for projects without ESLint
+            logger.debug('Linting skipped', { path: filePath, error: error.message });
+            return null;
         }
     }
 
     /**
-     * Fix linting errors and format code
-     * @param {string} filePath 
+     * Format a file with Prettier using the project's configuration
+     * @returns {Promise<boolean>} Whether the file content changed
      */
-    async fixFile(filePath) {
+    async formatFile(filePath) {
+        const prettier = loadOptional('prettier');
+        if (!prettier) return false;
+
         try {
-            // 1. ESLint Fix
-            const results = await this.eslint.lintFiles([filePath]);
-            await ESLint.outputFixes(results);
+            const fileInfo = await prettier.getFileInfo(filePath, {
+                ignorePath: path.join(this.cwd, '.prettierignore'),
+            });
+            if (fileInfo.ignored || !fileInfo.inferredParser) {
+                return false;
+            }
 
-            // 2. Prettier Format
             const content = await fs.readFile(filePath, 'utf-8');
             const options = await prettier.resolveConfig(filePath) || {};
             const formatted = await prettier.format(content, { ...options, filepath: filePath });
+            if (formatted === content) {
+                return false;
+            }
+
             await fs.writeFile(filePath, formatted);
+            logger.info(`Formatted: ${filePath}`);
+            return true;
+        } catch (error) {
+            logger.warn('Format failed', { path: filePath, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Format (optionally) and lint a file the AI just wrote
+     * @param {string} filePath - Absolute path
+     * @param {Object} options - { autoFormat: { <language>: true }, maxDiagnostics }
+     * @returns {Promise<Object|null>} Feedback for the tool result, or null for unsupported files
+     */
+    async checkFile(filePath, options = {}) {
+        const language = this.getLanguage(filePath);
+        if (!language) return null;
+
+        const feedback = { language };
+
+        if (options.autoFormat && options.autoFormat[language]) {
+            feedback.formatted = await this.formatFile(filePath);
+            if (feedback.formatted) {
+                feedback.note = 'File was reformatted after writing; re-read it before further edits';
+            }
+        }
+
+        if (LINTABLE_LANGUAGES.includes(language)) {
+            const lint = await this.lintFile(filePath);
+            if (lint) {
+                const maxDiagnostics = options.maxDiagnostics || 20;
+                feedback.errorCount = lint.errorCount;
+                feedback.warningCount = lint.warningCount;
+                if (lint.errors.length > 0) {
+                    feedback.diagnostics = lint.errors.slice(0, maxDiagnostics);
+                    if (lint.errors.length > maxDiagnostics) {
+                        feedback.diagnostics.push(`... and ${lint.errors.length - maxDiagnostics} more`);
+                    }
+                }
+            }
+        }
+
+        return Object.keys(feedback).length > 1 ? feedback : null;
+    }
+
+    /**
+     * Fix linting errors and format code
+     * @param {string} filePath
+     */
+    async fixFile(filePath) {
+        const eslintModule = loadOptional('eslint');
+        if (!eslintModule) return false;
+
+        try {
+            // 1. ESLint Fix
+            const fixer = new eslintModule.ESLint({ cwd: this.cwd, fix: true });
+            const results = await fixer.lintFiles([filePath]);
+            await eslintModule.ESLint.outputFixes(results);
+
+            // 2. Prettier Format
+            await this.formatFile(filePath);
 
             logger.info(`Fixed and formatted: ${filePath}`);
             return true;
@@ -61,4 +207,4 @@ class LintingTool {
     }
 }
 
-module.exports = { LintingTool };
+module.exports = { LintingTool, LANGUAGES };
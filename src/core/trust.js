@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { configManager } = require('./config');
+
+/**
+ * Workspace Trust
+ * Remembers the project directories whose .agent/skills the user agreed to load.
+ * Skills are require()d, so they run with the user's rights as soon as they load.
+ */
+class WorkspaceTrust {
+    /**
+     * @param {string} filePath - JSON list of trusted directories (default <dataDir>/trusted-workspaces.json)
+     */
+    constructor(filePath = null) {
+        this.filePath = filePath || path.join(configManager.get('storage.dataDir'), 'trusted-workspaces.json');
+    }
+
+    /**
+     * Whether dir was trusted before
+     */
+    isTrusted(dir) {
+        return this._load().includes(path.resolve(dir));
+    }
+
+    /**
+     * Remember dir as trusted
+     */
+    trust(dir) {
+        const trusted = this._load();
+        const resolved = path.resolve(dir);
+        if (trusted.includes(resolved)) {
+            return;
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, `${JSON.stringify([...trusted, resolved], null, 2)}\n`, 'utf8');
+            logger.info('Workspace trusted', { dir: resolved });
+        } catch (error) {
+            logger.warn('Failed to save workspace trust', { path: this.filePath, error: error.message });
+        }
+    }
+
+    _load() {
+        try {
+            const trusted = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return Array.isArray(trusted) ? trusted : [];
+        } catch (error) {
+            return [];
+        }
+    }
+}
+
+module.exports = { WorkspaceTrust };
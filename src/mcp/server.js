@@ -35,24 +35,7 @@ class AntigravityMCPServer {
     }
 
     setupTools() {
-        // Expose 'ask_antigravity' tool
-        this.server.setRequestHandler('call_tool', async (request) => {
-            if (request.params.name === 'ask_antigravity') {
-                const { query } = request.params.arguments;
-                try {
-                    const response = await this.engine.processRequest(query);
-                    return {
-                        content: [{ type: 'text', text: response.content }],
-                    };
-                } catch (error) {
-                    return {
-                        content: [{ type: 'text', text: `Error: ${error.message}` }],
-                        isError: true,
-                    };
-                }
-            }
-            throw new Error('Tool not found');
-        });
+        this.server.setRequestHandler('call_tool', request => this.callTool(request));
 
         // List tools
         this.server.setRequestHandler('list_tools', async () => ({
@@ -68,9 +51,64 @@ class AntigravityMCPServer {
                         required: ['query'],
                     },
                 },
+                ...this.engine.toolRegistry.getDefinitions({ readOnly: true }).map(tool => ({
+                    name: tool.name,
+                    description: tool.description,
+                    inputSchema: tool.parameters,
+                })),
             ],
         }));
     }
+
+    /**
+     * Handle a tool call: 'ask_antigravity' plus the engine's read-only tools.
+     * Mutating tools stay behind the engine's own prompts, which cannot run over stdio.
+     * Registry tools go through the engine's permission checks, so project deny rules apply.
+     */
+    async callTool(request) {
+        const { name } = request.params;
+        const registryTool = this.engine.toolRegistry.get(name);
+
+        if (registryTool && registryTool.readOnly) {
+            const args = request.params.arguments || {};
+            try {
+                const denial = await this.engine.authorizeExternalToolCall(registryTool, args);
+                if (denial) {
+                    return {
+                        content: [{ type: 'text', text: denial.error }],
+                        isError: true,
+                    };
+                }
+
+                const result = await this.engine.toolRegistry.execute(name, args, this.engine.getToolContext());
+                const text = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+                return {
+                    content: [{ type: 'text', text }],
+                };
+            } catch (error) {
+                return {
+                    content: [{ type: 'text', text: `Error: ${error.message}` }],
+                    isError: true,
+                };
+            }
+        }
+
+        if (name === 'ask_antigravity') {
+            const { query } = request.params.arguments;
+            try {
+                const response = await this.engine.processRequest(query);
+                return {
+                    content: [{ type: 'text', text: response.content }],
+                };
+            } catch (error) {
+                return {
+                    content: [{ type: 'text', text: `Error: ${error.message}` }],
+                    isError: true,
+                };
+            }
+        }
+        throw new Error('Tool not found');
+    }
 }
 
 // Start if run directly
@@ -0,0 +1,125 @@
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { isInside } = require('../utils/paths');
+const { configManager } = require('../core/config');
+const {
+    ExecutionManager,
+    DEFAULT_TIMEOUT_MS,
+    DEFAULT_MAX_OUTPUT_BYTES,
+} = require('../core/execution');
+
+/**
+ * Command Tools
+ * Lets the AI engine run shell commands through the configured ExecutionProvider
+ */
+class CommandTools {
+    constructor(baseDir = process.cwd()) {
+        this.baseDir = baseDir;
+    }
+
+    /**
+     * Set the base directory for command execution
+     */
+    setBaseDir(baseDir) {
+        this.baseDir = baseDir;
+        logger.debug('Command tools base directory updated', { baseDir });
+    }
+
+    /**
+     * Resolve the working directory and ensure it stays within baseDir
+     */
+    _resolveCwd(cwd = '.') {
+        const resolvedPath = path.resolve(this.baseDir, cwd);
+        if (!isInside(this.baseDir, resolvedPath)) {
+            throw new Error(`Access denied: Path ${cwd} is outside base directory`);
+        }
+        return resolvedPath;
+    }
+
+    /**
+     * Run a shell command and capture its output
+     * @param {string} command - Command line to run
+     * @param {Object} options - { cwd, timeoutMs, signal }
+     * @returns {Promise<Object>} Structured result for the tool loop
+     */
+    async runCommand(command, options = {}) {
+        if (!command || !command.trim()) {
+            throw new Error('No command provided');
+        }
+
+        const cwd = this._resolveCwd(options.cwd);
+        const maxTimeoutMs = configManager.get('execution.timeoutMs') || DEFAULT_TIMEOUT_MS;
+        const timeoutMs = Math.min(options.timeoutMs || maxTimeoutMs, maxTimeoutMs);
+        const maxOutputBytes = configManager.get('execution.maxOutputBytes') || DEFAULT_MAX_OUTPUT_BYTES;
+
+        const provider = ExecutionManager.getProvider();
+        const result = await provider.execute(command, cwd, {
+            timeoutMs,
+            maxOutputBytes,
+            signal: options.signal,
+            root: this.baseDir,
+        });
+
+        logger.info('Command executed', {
+            command,
+            exitCode: result.exitCode,
+            timedOut: result.timedOut,
+            cancelled: result.cancelled,
+            durationMs: result.durationMs,
+        });
+
+        return {
+            success: result.exitCode === 0 && !result.timedOut && !result.cancelled,
+            command,
+            cwd: path.relative(this.baseDir, cwd) || '.',
+            exitCode: result.exitCode,
+            signal: result.signal,
+            timedOut: result.timedOut,
+            cancelled: result.cancelled,
+            truncated: result.truncated,
+            durationMs: result.durationMs,
+            stdout: result.stdout,
+            stderr: result.stderr,
+        };
+    }
+
+    /**
+     * Get tool specifications for the ToolRegistry
+     */
+    getToolDefinitions() {
+        return [
+            {
+                name: 'run_command',
+                description: 'Run a shell command in the project (e.g. tests, builds, scripts) and return its stdout, stderr and exit code. Long-running or interactive commands are killed after a timeout.',
+                permission: 'command_execute',
+                readOnly: false,
+                handler: (args, context = {}) => this.runCommand(args.command, {
+                    cwd: args.cwd,
+                    timeoutMs: args.timeoutMs,
+                    signal: context.signal,
+                }),
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        command: {
+                            type: 'string',
+                            description: 'The command line to execute'
+                        },
+                        cwd: {
+                            type: 'string',
+                            description: 'Working directory relative to the project root',
+                            default: '.'
+                        },
+                        timeoutMs: {
+                            type: 'number',
+                            description: 'Timeout in milliseconds (capped by configuration)'
+                        }
+                    },
+                    required: ['command']
+                }
+            }
+        ];
+    }
+}
+
+module.exports = { CommandTools };
@@ -1,9 +1,23 @@
 const fs = require('fs').promises;
 const path = require('path');
+const diff = require('diff');
+const { glob } = require('glob');
 const { logger } = require('../utils/logger');
+const { DEFAULT_IGNORE_PATTERNS } = require('../utils/ignore');
+const { isInside } = require('../utils/paths');
 const ui = require('../cli/ui');
 const { CheckpointManager } = require('./checkpoint');
 
+// Search result limits keep tool output from flooding the context window
+const DEFAULT_GLOB_LIMIT = 100;
+const MAX_GLOB_LIMIT = 500;
+const DEFAULT_GREP_LIMIT = 50;
+const MAX_GREP_LIMIT = 200;
+const MAX_CONTEXT_LINES = 5;
+const MAX_LINE_LENGTH = 300;
+const MAX_SEARCH_FILE_BYTES = 1024 * 1024;
+const MAX_GREP_DURATION_MS = 10000;
+
 /**
  * File System Tools
  * Provides safe file system operations for the AI engine
@@ -27,7 +41,7 @@ class FileSystemTools {
      */
     _resolvePath(filePath) {
         const resolvedPath = path.resolve(this.baseDir, filePath);
-        if (!resolvedPath.startsWith(this.baseDir)) {
+        if (!isInside(this.baseDir, resolvedPath)) {
             throw new Error(`Access denied: Path ${filePath} is outside base directory`);
         }
         return resolvedPath;
@@ -98,6 +112,165 @@ class FileSystemTools {
         }
     }
 
+    /**
+     * Apply targeted edits to an existing file
+     * @param {string} filePath - Path to the file
+     * @param {Object} changes - { edits: [{ search, replace, replaceAll }] } or { diff: '<unified diff>' }
+     * @param {boolean} skipConfirmation - Skip diff preview and confirmation
+     */
+    async editFile(filePath, changes = {}, skipConfirmation = false) {
+        try {
+            const fullPath = this._resolvePath(filePath);
+            const { oldContent, newContent } = await this._computeFileEdit(fullPath, changes);
+
+            // Create checkpoint before modifying file
+            let checkpointId = null;
+            if (this.checkpointManager) {
+                try {
+                    checkpointId = await this.checkpointManager.createCheckpoint(fullPath);
+                    logger.debug('Checkpoint created before edit', { checkpointId, path: filePath });
+                } catch (error) {
+                    logger.warn('Failed to create checkpoint, continuing anyway', { error: error.message });
+                }
+            }
+
+            if (!ui.jsonMode && !skipConfirmation) {
+                ui.showDiff(oldContent, newContent, filePath);
+
+                const confirmed = await ui.confirmAction(`Apply edit to ${filePath}?`);
+                if (!confirmed) {
+                    throw new Error('User cancelled file edit');
+                }
+            }
+
+            await fs.writeFile(fullPath, newContent, 'utf8');
+            logger.info('File edited', { path: filePath, checkpointId });
+
+            return {
+                success: true,
+                message: `Successfully edited ${filePath}`,
+                checkpointId
+            };
+        } catch (error) {
+            logger.error('Edit file failed', { path: filePath, error: error.message });
+            throw new Error(`Failed to edit file ${filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read a file and compute its edited content
+     */
+    async _computeFileEdit(fullPath, changes) {
+        let oldContent;
+        try {
+            oldContent = await fs.readFile(fullPath, 'utf8');
+        } catch (e) {
+            throw new Error('File does not exist. Use write_file to create new files');
+        }
+
+        const newContent = this.computeEdit(oldContent, changes);
+        if (newContent === oldContent) {
+            throw new Error('Edit produced no changes');
+        }
+        return { oldContent, newContent };
+    }
+
+    /**
+     * Preview a write without touching the file
+     * @returns {Promise<Object>} { path, oldContent, newContent } (oldContent is null for new files)
+     */
+    async previewWrite(filePath, content) {
+        const fullPath = this._resolvePath(filePath);
+        let oldContent = null;
+        try {
+            oldContent = await fs.readFile(fullPath, 'utf8');
+        } catch (e) {
+            // File doesn't exist, fine
+        }
+        return { path: filePath, oldContent, newContent: content };
+    }
+
+    /**
+     * Preview an edit without touching the file
+     * Throws the same errors editFile() would, so a bad edit fails before the user is asked.
+     * @returns {Promise<Object>} { path, oldContent, newContent }
+     */
+    async previewEdit(filePath, changes = {}) {
+        try {
+            const fullPath = this._resolvePath(filePath);
+            const { oldContent, newContent } = await this._computeFileEdit(fullPath, changes);
+            return { path: filePath, oldContent, newContent };
+        } catch (error) {
+            throw new Error(`Failed to edit file ${filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Compute the new content of a file from search/replace blocks or a unified diff
+     * Throws when a search block is missing or ambiguous, or the diff does not apply.
+     */
+    computeEdit(content, changes = {}) {
+        if (changes.diff) {
+            return this._applyUnifiedDiff(content, changes.diff);
+        }
+
+        if (!Array.isArray(changes.edits) || changes.edits.length === 0) {
+            throw new Error('Provide either "edits" (search/replace blocks) or "diff" (unified diff)');
+        }
+
+        let result = content;
+        changes.edits.forEach((edit, index) => {
+            const label = `Edit #${index + 1}`;
+            if (typeof edit.search !== 'string' || edit.search === '') {
+                throw new Error(`${label}: "search" must be a non-empty string`);
+            }
+            if (typeof edit.replace !== 'string') {
+                throw new Error(`${label}: "replace" must be a string`);
+            }
+
+            const occurrences = result.split(edit.search).length - 1;
+            if (occurrences === 0) {
+                throw new Error(`${label}: search text not found. Re-read the file and copy the exact text, including whitespace`);
+            }
+            if (occurrences > 1 && !edit.replaceAll) {
+                throw new Error(`${label}: search text is ambiguous (${occurrences} matches). Include more surrounding lines or set replaceAll`);
+            }
+
+            // split/join avoids special "$" patterns in String.prototype.replace
+            result = edit.replaceAll
+                ? result.split(edit.search).join(edit.replace)
+                : result.replace(edit.search, () => edit.replace);
+        });
+
+        return result;
+    }
+
+    /**
+     * Apply a single-file unified diff
+     */
+    _applyUnifiedDiff(content, patchText) {
+        let patches;
+        try {
+            patches = diff.parsePatch(patchText);
+        } catch (error) {
+            throw new Error(`Invalid unified diff: ${error.message}`);
+        }
+
+        const withHunks = patches.filter(p => p.hunks.length > 0);
+        if (withHunks.length === 0) {
+            throw new Error('Unified diff contains no hunks');
+        }
+        if (withHunks.length > 1) {
+            throw new Error('Unified diff touches multiple files; send one edit_file call per file');
+        }
+
+        const result = diff.applyPatch(content, withHunks[0]);
+        if (result === false) {
+            throw new Error('Unified diff does not apply cleanly. Re-read the file and regenerate the hunk against its current content');
+        }
+        return result;
+    }
+
     /**
      * List directory contents
      */
@@ -121,13 +294,164 @@ class FileSystemTools {
     }
 
     /**
-     * Get tool definitions for AI
+     * Find files matching a glob pattern
+     * @param {string} pattern - Glob pattern relative to dirPath (e.g. "src/**\/*.js")
+     * @param {Object} options - { path, offset, limit, canRead }
+     */
+    async globFiles(pattern, options = {}) {
+        try {
+            const files = await this._findFiles(pattern, options.path, options.canRead);
+            const page = this._paginate(files, options.offset, options.limit, DEFAULT_GLOB_LIMIT, MAX_GLOB_LIMIT);
+
+            logger.debug('Files globbed', { pattern, total: files.length });
+            return {
+                pattern,
+                total: files.length,
+                files: page.items,
+                offset: page.offset,
+                truncated: page.nextOffset !== null,
+                nextOffset: page.nextOffset
+            };
+        } catch (error) {
+            logger.error('Glob failed', { pattern, error: error.message });
+            throw new Error(`Failed to glob ${pattern}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Search file contents with a regular expression
+     * @param {string} pattern - Regular expression (JavaScript syntax)
+     * @param {Object} options - { path, include, caseSensitive, contextLines, offset, limit, canRead }
+     */
+    async grepFiles(pattern, options = {}) {
+        try {
+            // Throws SyntaxError ("Invalid regular expression: ...") for bad patterns
+            const regex = new RegExp(pattern, options.caseSensitive === false ? 'i' : '');
+
+            const contextLines = Math.min(Math.max(parseInt(options.contextLines, 10) || 0, 0), MAX_CONTEXT_LINES);
+            const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+            const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_GREP_LIMIT, 1), MAX_GREP_LIMIT);
+
+            const files = await this._findFiles(options.include || '**/*', options.path, options.canRead);
+            const matches = [];
+            const deadline = Date.now() + MAX_GREP_DURATION_MS;
+            let seen = 0;
+            let hasMore = false;
+            let timedOut = false;
+
+            for (const file of files) {
+                if (hasMore || timedOut) break;
+
+                const lines = await this._readSearchableLines(path.join(this.baseDir, file));
+                if (!lines) continue;
+
+                for (let i = 0; i < lines.length; i++) {
+                    // Stop a slow pattern or a huge tree; the matches so far are still returned
+                    if (Date.now() > deadline) {
+                        timedOut = true;
+                        break;
+                    }
+                    if (!regex.test(lines[i])) continue;
+
+                    seen++;
+                    if (seen <= offset) continue;
+                    if (matches.length >= limit) {
+                        hasMore = true;
+                        break;
+                    }
+
+                    const match = { file, line: i + 1, text: this._truncateLine(lines[i]) };
+                    if (contextLines > 0) {
+                        match.before = lines.slice(Math.max(0, i - contextLines), i).map(l => this._truncateLine(l));
+                        match.after = lines.slice(i + 1, i + 1 + contextLines).map(l => this._truncateLine(l));
+                    }
+                    matches.push(match);
+                }
+            }
+
+            logger.debug('Files grepped', { pattern, matches: matches.length, filesScanned: files.length, timedOut });
+            return {
+                pattern,
+                matches,
+                offset,
+                truncated: hasMore || timedOut,
+                nextOffset: hasMore ? offset + matches.length : null,
+                ...(timedOut && { timedOut: true, message: `Search stopped after ${MAX_GREP_DURATION_MS / 1000}s; narrow the pattern, path or include filter` })
+            };
+        } catch (error) {
+            logger.error('Grep failed', { pattern, error: error.message });
+            throw new Error(`Failed to search for ${pattern}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Glob files under a directory, honouring base directory boundaries and the shared ignore set
+     * Returns paths relative to baseDir, sorted, without the files canRead() rejects.
+     */
+    async _findFiles(pattern, dirPath = '.', canRead = null) {
+        if (!pattern || path.isAbsolute(pattern) || pattern.split(/[\\/]/).includes('..')) {
+            throw new Error(`Pattern must be relative and stay inside the project: ${pattern}`);
+        }
+
+        const cwd = this._resolvePath(dirPath);
+        const files = await glob(pattern, {
+            cwd,
+            ignore: DEFAULT_IGNORE_PATTERNS,
+            nodir: true,
+            absolute: true
+        });
+
+        return files
+            .filter(file => isInside(this.baseDir, file))
+            .map(file => path.relative(this.baseDir, file))
+            .filter(file => !canRead || canRead(file))
+            .sort();
+    }
+
+    /**
+     * Read a file as lines for searching; returns null for large or binary files
+     */
+    async _readSearchableLines(fullPath) {
+        try {
+            const stats = await fs.stat(fullPath);
+            if (stats.size > MAX_SEARCH_FILE_BYTES) return null;
+
+            const buffer = await fs.readFile(fullPath);
+            if (buffer.subarray(0, 8000).includes(0)) return null;
+
+            return buffer.toString('utf8').split(/\r?\n/);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    _truncateLine(line) {
+        return line.length > MAX_LINE_LENGTH ? `${line.substring(0, MAX_LINE_LENGTH)}…` : line;
+    }
+
+    _paginate(items, offset, limit, defaultLimit, maxLimit) {
+        const start = Math.max(parseInt(offset, 10) || 0, 0);
+        const size = Math.min(Math.max(parseInt(limit, 10) || defaultLimit, 1), maxLimit);
+        const end = start + size;
+
+        return {
+            items: items.slice(start, end),
+            offset: start,
+            nextOffset: end < items.length ? end : null
+        };
+    }
+
+    /**
+     * Get tool specifications for the ToolRegistry
      */
     getToolDefinitions() {
         return [
             {
                 name: 'read_file',
                 description: 'Read the contents of a file',
+                permission: 'file_read',
+                readOnly: true,
+                handler: args => this.readFile(args.path),
                 parameters: {
                     type: 'object',
                     properties: {
@@ -142,6 +466,12 @@ class FileSystemTools {
             {
                 name: 'write_file',
                 description: 'Write content to a file. Creates directories if needed.',
+                permission: 'file_write',
+                readOnly: false,
+                // Confirmation happens in the engine through the PermissionManager
+                preview: args => this.previewWrite(args.path, args.content),
+                handler: args => this.writeFile(args.path, args.content, true),
+                lintAfterWrite: true,
                 parameters: {
                     type: 'object',
                     properties: {
@@ -157,9 +487,57 @@ class FileSystemTools {
                     required: ['path', 'content']
                 }
             },
+            {
+                name: 'edit_file',
+                description: 'Make targeted changes to an existing file without resending it. Provide either exact search/replace blocks or a unified diff. Fails if a search block is missing or matches more than once.',
+                permission: 'file_edit',
+                readOnly: false,
+                preview: args => this.previewEdit(args.path, { edits: args.edits, diff: args.diff }),
+                handler: args => this.editFile(args.path, { edits: args.edits, diff: args.diff }, true),
+                lintAfterWrite: true,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        path: {
+                            type: 'string',
+                            description: 'Path to the file to edit'
+                        },
+                        edits: {
+                            type: 'array',
+                            description: 'Search/replace blocks applied in order',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    search: {
+                                        type: 'string',
+                                        description: 'Exact text to find (must match exactly once unless replaceAll is set)'
+                                    },
+                                    replace: {
+                                        type: 'string',
+                                        description: 'Replacement text'
+                                    },
+                                    replaceAll: {
+                                        type: 'boolean',
+                                        description: 'Replace every occurrence instead of requiring a unique match'
+                                    }
+                                },
+                                required: ['search', 'replace']
+                            }
+                        },
+                        diff: {
+                            type: 'string',
+                            description: 'Unified diff (with @@ hunk headers) to apply instead of edits'
+                        }
+                    },
+                    required: ['path']
+                }
+            },
             {
                 name: 'list_dir',
                 description: 'List contents of a directory',
+                permission: 'list_dir',
+                readOnly: true,
+                handler: args => this.listDir(args.path),
                 parameters: {
                     type: 'object',
                     properties: {
@@ -171,9 +549,84 @@ class FileSystemTools {
                     }
                 }
             },
+            {
+                name: 'glob_files',
+                description: 'Find files by glob pattern (e.g. "src/**/*.js"). Skips node_modules, build output and other ignored paths. Results are paginated.',
+                permission: 'search',
+                readOnly: true,
+                handler: (args, context = {}) => this.globFiles(args.pattern, { ...args, canRead: context.canRead }),
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        pattern: {
+                            type: 'string',
+                            description: 'Glob pattern relative to the search directory'
+                        },
+                        path: {
+                            type: 'string',
+                            description: 'Directory to search in',
+                            default: '.'
+                        },
+                        offset: {
+                            type: 'number',
+                            description: 'Number of results to skip (use nextOffset from a previous call)'
+                        },
+                        limit: {
+                            type: 'number',
+                            description: `Maximum results to return (default ${DEFAULT_GLOB_LIMIT}, max ${MAX_GLOB_LIMIT})`
+                        }
+                    },
+                    required: ['pattern']
+                }
+            },
+            {
+                name: 'grep_files',
+                description: 'Search file contents with a regular expression. Returns file, line number and matching text, with optional surrounding context lines. Results are paginated.',
+                permission: 'search',
+                readOnly: true,
+                handler: (args, context = {}) => this.grepFiles(args.pattern, { ...args, canRead: context.canRead }),
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        pattern: {
+                            type: 'string',
+                            description: 'Regular expression (JavaScript syntax)'
+                        },
+                        path: {
+                            type: 'string',
+                            description: 'Directory to search in',
+                            default: '.'
+                        },
+                        include: {
+                            type: 'string',
+                            description: 'Glob pattern restricting which files are searched (e.g. "**/*.ts")'
+                        },
+                        caseSensitive: {
+                            type: 'boolean',
+                            description: 'Match case (default true)'
+                        },
+                        contextLines: {
+                            type: 'number',
+                            description: `Lines of context before and after each match (max ${MAX_CONTEXT_LINES})`
+                        },
+                        offset: {
+                            type: 'number',
+                            description: 'Number of matches to skip (use nextOffset from a previous call)'
+                        },
+                        limit: {
+                            type: 'number',
+                            description: `Maximum matches to return (default ${DEFAULT_GREP_LIMIT}, max ${MAX_GREP_LIMIT})`
+                        }
+                    },
+                    required: ['pattern']
+                }
+            },
             {
                 name: 'delete_file',
                 description: 'Delete a file',
+                permission: 'file_delete',
+                readOnly: false,
+                handler: args => this.deleteFile(args.path),
                 parameters: {
                     type: 'object',
                     properties: {
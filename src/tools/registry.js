@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+/**
+ * Tool Registry
+ * Single source of truth for the tools the model can call.
+ *
+ * A tool is a plain object:
+ * {
+ *     name: 'tool_name',
+ *     description: 'What the tool does',
+ *     parameters: { ...JSON Schema... },
+ *     permission: 'file_read',   // PermissionManager action
+ *     readOnly: true,            // Never modifies the workspace
+ *     handler: async (args, context) => result,
+ *     preview: async (args) => ({ path, oldContent, newContent })  // Optional diff shown before asking
+ *     lintAfterWrite: true       // Optional: append lint feedback for args.path to the result
+ * }
+ */
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    /**
+     * Register a tool
+     * @param {Object} tool - Tool specification
+     * @param {string} source - Where the tool came from ('builtin' or 'project')
+     */
+    register(tool, source = 'builtin') {
+        this._validate(tool);
+
+        if (this.tools.has(tool.name)) {
+            throw new Error(`Tool already registered: ${tool.name}`);
+        }
+
+        // Project tools are arbitrary code: whatever they declare, they ask before running (tool_execute)
+        // and are never offered over MCP
+        const isProject = source === 'project';
+        this.tools.set(tool.name, {
+            ...tool,
+            permission: isProject ? 'tool_execute' : tool.permission || null,
+            readOnly: !isProject && tool.readOnly === true,
+            source,
+        });
+        logger.debug('Tool registered', { name: tool.name, source });
+    }
+
+    /**
+     * Register several tools at once
+     */
+    registerAll(tools, source = 'builtin') {
+        tools.forEach(tool => this.register(tool, source));
+    }
+
+    /**
+     * Remove a tool
+     */
+    unregister(name) {
+        return this.tools.delete(name);
+    }
+
+    /**
+     * Remove every tool registered from a given source
+     */
+    unregisterSource(source) {
+        for (const [name, tool] of this.tools) {
+            if (tool.source === source) {
+                this.tools.delete(name);
+            }
+        }
+    }
+
+    /**
+     * Check whether a tool is registered
+     */
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    /**
+     * Get a tool by name
+     */
+    get(name) {
+        return this.tools.get(name) || null;
+    }
+
+    /**
+     * List registered tools
+     * @param {Object} filter - { readOnly, source }
+     */
+    list(filter = {}) {
+        return Array.from(this.tools.values()).filter(tool => {
+            if (filter.readOnly && !tool.readOnly) return false;
+            if (filter.source && tool.source !== filter.source) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Get tool definitions for AI providers (schema only, no handlers)
+     * @param {Object} filter - Same as list()
+     */
+    getDefinitions(filter = {}) {
+        return this.list(filter).map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters,
+        }));
+    }
+
+    /**
+     * Execute a tool by name
+     * @param {string} name - Tool name
+     * @param {Object} args - Arguments from the model
+     * @param {Object} context - Passed through to the handler
+     */
+    async execute(name, args = {}, context = {}) {
+        const tool = this.get(name);
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+        return tool.handler(args || {}, context);
+    }
+
+    /**
+     * Load project-local tools from a skills directory (e.g. .agent/skills)
+     * Each .js module exports a tool, an array of tools, or { tools: [...] }.
+     * Broken modules are logged and skipped so one bad skill cannot block startup.
+     * @param {string} dir - Directory to scan
+     * @returns {string[]} Names of the tools that were registered
+     */
+    loadSkills(dir) {
+        if (!fs.existsSync(dir)) {
+            return [];
+        }
+
+        const loaded = [];
+        const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+
+        for (const file of files) {
+            const modulePath = path.join(dir, file);
+            try {
+                // Re-read on every load so edits to a skill are picked up
+                delete require.cache[require.resolve(modulePath)];
+                // eslint-disable-next-line global-require, import/no-dynamic-require
+                const exported = require(modulePath);
+                const tools = Array.isArray(exported) ? exported : exported.tools || [exported];
+
+                for (const tool of tools) {
+                    try {
+                        this.register(tool, 'project');
+                        loaded.push(tool.name);
+                    } catch (error) {
+                        logger.warn('Skipping project tool', { file, error: error.message });
+                    }
+                }
+            } catch (error) {
+                logger.warn('Failed to load skill module', { file, error: error.message });
+            }
+        }
+
+        if (loaded.length > 0) {
+            logger.info('Project tools loaded', { dir, tools: loaded });
+        }
+        return loaded;
+    }
+
+    /**
+     * Validate a tool specification
+     */
+    _validate(tool) {
+        if (!tool || typeof tool !== 'object') {
+            throw new Error('Tool must be an object');
+        }
+        if (!tool.name || !/^[a-zA-Z0-9_-]+$/.test(tool.name)) {
+            throw new Error(`Invalid tool name: ${tool.name}`);
+        }
+        if (!tool.description) {
+            throw new Error(`Tool ${tool.name} is missing a description`);
+        }
+        if (!tool.parameters || tool.parameters.type !== 'object') {
+            throw new Error(`Tool ${tool.name} parameters must be a JSON Schema object`);
+        }
+        if (typeof tool.handler !== 'function') {
+            throw new Error(`Tool ${tool.name} is missing a handler`);
+        }
+    }
+}
+
+module.exports = { ToolRegistry };
@@ -0,0 +1,18 @@
+/**
+ * Default Ignore Patterns
+ * Shared by the RAG indexer and the workspace search tools so both skip the same files
+ */
+const DEFAULT_IGNORE_PATTERNS = [
+    '**/node_modules/**',
+    '**/dist/**',
+    '**/build/**',
+    '**/.git/**',
+    '**/coverage/**',
+    '**/*.min.js',
+    '**/*.map',
+    '**/package-lock.json',
+    '**/.env*',
+    '**/.gemini/**' // Ignore brain/memory folders
+];
+
+module.exports = { DEFAULT_IGNORE_PATTERNS };
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+/**
+ * Image Attachments
+ * Requests carry images in one provider-neutral shape, { data, mimeType, name }, with data
+ * as base64 without a data: prefix. Each provider maps it to its API's image blocks.
+ */
+const IMAGE_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+};
+
+/**
+ * Check whether a command argument names an image: a file:// URL or a path with an image extension
+ */
+function isImageReference(arg) {
+    return /^file:\/\//i.test(arg) || Boolean(IMAGE_TYPES[path.extname(arg).toLowerCase()]);
+}
+
+/**
+ * Read an image from a path or a file:// URL
+ * @param {string} reference - Path (relative to baseDir) or file:// URL
+ * @param {string} baseDir - Directory relative paths start from
+ * @returns {Object} { data, mimeType, name }
+ */
+function loadImage(reference, baseDir = process.cwd()) {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(reference) && !/^file:\/\//i.test(reference)) {
+        throw new Error(`Only local images are supported (a path or file:// URL): ${reference}`);
+    }
+
+    const filePath = /^file:\/\//i.test(reference)
+        ? fileURLToPath(reference)
+        : path.resolve(baseDir, reference);
+    const mimeType = IMAGE_TYPES[path.extname(filePath).toLowerCase()];
+
+    if (!mimeType) {
+        throw new Error(`Unsupported image type: ${path.basename(filePath)} (use PNG, JPEG, GIF or WebP)`);
+    }
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`File not found: ${filePath}`);
+    }
+
+    return {
+        data: fs.readFileSync(filePath).toString('base64'),
+        mimeType,
+        name: path.basename(filePath),
+    };
+}
+
+module.exports = { IMAGE_TYPES, isImageReference, loadImage };
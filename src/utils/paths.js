@@ -0,0 +1,15 @@
+const path = require('path');
+
+/**
+ * Path containment check shared by the file, command, git and Docker tools
+ * Compares path segments, so /proj-secrets is not inside /proj.
+ * @param {string} root - Directory the path must stay in
+ * @param {string} target - Absolute path, or a path relative to root
+ * @returns {boolean} True when target is root or lies below it
+ */
+function isInside(root, target) {
+    const relative = path.relative(root, path.resolve(root, target));
+    return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+module.exports = { isInside };
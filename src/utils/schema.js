@@ -0,0 +1,124 @@
+/**
+ * JSON helpers for structured model output
+ * Validation covers the JSON Schema subset used for model responses: type (or a list of
+ * types), properties, required, additionalProperties, items, enum, minItems/maxItems,
+ * minLength/maxLength and minimum/maximum.
+ */
+
+/**
+ * JSON Schema type name of a value
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Check a value against a schema
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - JSON Schema
+ * @param {string} at - Path of the value, used in messages
+ * @returns {string[]} Problems such as "$.steps[0].id: expected integer, got string"; empty when valid
+ */
+function validateSchema(value, schema = {}, at = '$') {
+    const errors = [];
+    const actual = typeOf(value);
+
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+        if (!matches) {
+            return [`${at}: expected ${allowed.join(' or ')}, got ${actual}`];
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (actual === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${at}: must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+        }
+    }
+
+    if (actual === 'number' || actual === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${at}: must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${at}: must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${at}: must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${at}: must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${at}[${index}]`)));
+        }
+    }
+
+    if (actual === 'object') {
+        const properties = schema.properties || {};
+
+        for (const name of schema.required || []) {
+            if (!(name in value)) {
+                errors.push(`${at}: missing required property "${name}"`);
+            }
+        }
+
+        for (const [name, propertyValue] of Object.entries(value)) {
+            const childPath = /^[A-Za-z_$][\w$]*$/.test(name) ? `${at}.${name}` : `${at}[${JSON.stringify(name)}]`;
+            if (properties[name]) {
+                errors.push(...validateSchema(propertyValue, properties[name], childPath));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}: unexpected property "${name}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(propertyValue, schema.additionalProperties, childPath));
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Parse JSON from a model response
+ * Tolerates a surrounding Markdown code fence and prose around a single object or array.
+ * @param {string} text - Response content
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} When no JSON can be found
+ */
+function parseJsonResponse(text) {
+    const trimmed = (text || '').trim();
+    const fenced = trimmed.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i);
+    const candidate = fenced ? fenced[1].trim() : trimmed;
+
+    try {
+        return JSON.parse(candidate);
+    } catch (error) {
+        // Fall back to the outermost object or array in the text
+        const start = candidate.search(/[[{]/);
+        const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+        if (start !== -1 && end > start) {
+            try {
+                return JSON.parse(candidate.slice(start, end + 1));
+            } catch {
+                // Report the original error below
+            }
+        }
+        throw error;
+    }
+}
+
+module.exports = { validateSchema, parseJsonResponse };
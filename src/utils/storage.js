@@ -172,6 +172,51 @@ class Database {
       ON checkpoints(timestamp DESC)
     `);
 
+        // Token usage and cost per model response
+        await this.run(`
+      CREATE TABLE IF NOT EXISTS token_usage (
+        id TEXT PRIMARY KEY,
+        conversation_id TEXT,
+        message_id TEXT,
+        provider TEXT NOT NULL,
+        model TEXT,
+        prompt_tokens INTEGER DEFAULT 0,
+        completion_tokens INTEGER DEFAULT 0,
+        cost_usd REAL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+        await this.run(`
+      CREATE INDEX IF NOT EXISTS idx_token_usage_created
+      ON token_usage(created_at DESC)
+    `);
+
+        await this.run(`
+      CREATE INDEX IF NOT EXISTS idx_token_usage_conversation
+      ON token_usage(conversation_id)
+    `);
+
+        // Content-addressed model responses
+        await this.run(`
+      CREATE TABLE IF NOT EXISTS response_cache (
+        key TEXT PRIMARY KEY,
+        provider TEXT NOT NULL,
+        model TEXT,
+        response TEXT NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        hits INTEGER DEFAULT 0,
+        expires_at INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+        await this.run(`
+      CREATE INDEX IF NOT EXISTS idx_response_cache_last_used
+      ON response_cache(last_used_at)
+    `);
+
         logger.debug('Database tables created');
     }
 
@@ -242,7 +287,7 @@ class Database {
      */
     async getMessages(conversationId, limit = 50) {
         return this.all(
-            `SELECT * FROM messages WHERE conversation_id = ? ORDER BY created_at DESC LIMIT ?`,
+            `SELECT * FROM messages WHERE conversation_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?`,
             [conversationId, limit]
         );
     }
@@ -268,6 +313,156 @@ class Database {
         );
     }
 
+    /**
+     * Get a provider's API calls from the last few minutes, newest first
+     */
+    async getRecentAPICalls(provider, sinceMinutes = 15, limit = 200) {
+        return this.all(
+            `SELECT success, status_code, latency_ms, error_message, created_at FROM api_logs
+       WHERE provider = ? AND created_at >= datetime('now', ?)
+       ORDER BY created_at DESC, rowid DESC LIMIT ?`,
+            [provider, `-${sinceMinutes} minutes`, limit]
+        );
+    }
+
+    /**
+     * Record token usage for one model response
+     * @param {Object} usage - { conversationId, messageId, provider, model, promptTokens, completionTokens, costUsd }
+     */
+    async recordUsage(usage) {
+        const id = generateId();
+        await this.run(
+            `INSERT INTO token_usage (id, conversation_id, message_id, provider, model, prompt_tokens, completion_tokens, cost_usd)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                id,
+                usage.conversationId,
+                usage.messageId,
+                usage.provider,
+                usage.model,
+                usage.promptTokens || 0,
+                usage.completionTokens || 0,
+                usage.costUsd,
+            ]
+        );
+        return id;
+    }
+
+    /**
+     * Usage totals grouped by provider and model
+     * @param {Object} filter - { conversationId, period: 'day' | 'month' } (local calendar day/month)
+     */
+    async getUsageSummary({ conversationId = null, period = null } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (conversationId) {
+            conditions.push('conversation_id = ?');
+            params.push(conversationId);
+        }
+        if (period) {
+            // created_at is UTC; compare against the start of the local day/month converted to UTC
+            conditions.push(`created_at >= datetime('now', 'localtime', ?, 'utc')`);
+            params.push(period === 'month' ? 'start of month' : 'start of day');
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return this.all(
+            `SELECT provider, model, COUNT(*) AS requests,
+              SUM(prompt_tokens) AS prompt_tokens, SUM(completion_tokens) AS completion_tokens,
+              SUM(cost_usd) AS cost_usd, SUM(cost_usd IS NULL) AS unpriced
+       FROM token_usage ${where}
+       GROUP BY provider, model
+       ORDER BY cost_usd DESC`,
+            params
+        );
+    }
+
+    /**
+     * Get an unexpired cached response and mark it used
+     * @returns {Promise<Object|null>} Parsed response
+     */
+    async getCachedResponse(key) {
+        const row = await this.get(
+            `SELECT response FROM response_cache WHERE key = ? AND expires_at > ?`,
+            [key, Date.now()]
+        );
+        if (!row) return null;
+
+        await this.run(
+            `UPDATE response_cache SET hits = hits + 1, last_used_at = CURRENT_TIMESTAMP WHERE key = ?`,
+            [key]
+        );
+        return JSON.parse(row.response);
+    }
+
+    /**
+     * Store a response in the cache
+     * @param {Object} entry - { key, provider, model, response, ttlSeconds }
+     */
+    async setCachedResponse(entry) {
+        const json = JSON.stringify(entry.response);
+        await this.run(
+            `INSERT OR REPLACE INTO response_cache (key, provider, model, response, size_bytes, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+            [
+                entry.key,
+                entry.provider,
+                entry.model,
+                json,
+                Buffer.byteLength(json, 'utf8'),
+                Date.now() + entry.ttlSeconds * 1000,
+            ]
+        );
+    }
+
+    /**
+     * Drop expired entries, then least recently used ones until the cache fits maxBytes
+     * @returns {Promise<number>} Entries removed for size
+     */
+    async evictCache(maxBytes) {
+        await this.run(`DELETE FROM response_cache WHERE expires_at <= ?`, [Date.now()]);
+
+        const { total } = await this.get(`SELECT COALESCE(SUM(size_bytes), 0) AS total FROM response_cache`);
+        if (total <= maxBytes) return 0;
+
+        const rows = await this.all(`SELECT key, size_bytes FROM response_cache ORDER BY last_used_at ASC, rowid ASC`);
+        let size = total;
+        const evicted = [];
+        for (const row of rows) {
+            if (size <= maxBytes) break;
+            evicted.push(row.key);
+            size -= row.size_bytes;
+        }
+
+        for (const key of evicted) {
+            await this.run(`DELETE FROM response_cache WHERE key = ?`, [key]);
+        }
+        return evicted.length;
+    }
+
+    /**
+     * Remove every cached response
+     * @returns {Promise<number>} Entries removed
+     */
+    async clearCache() {
+        const { count } = await this.get(`SELECT COUNT(*) AS count FROM response_cache`);
+        await this.run(`DELETE FROM response_cache`);
+        return count;
+    }
+
+    /**
+     * Cache entry count, size and hits
+     */
+    async getCacheStats() {
+        return this.get(
+            `SELECT COUNT(*) AS entries, COALESCE(SUM(size_bytes), 0) AS size_bytes,
+              COALESCE(SUM(hits), 0) AS hits, COALESCE(SUM(expires_at <= ?), 0) AS expired
+       FROM response_cache`,
+            [Date.now()]
+        );
+    }
+
     /**
      * Log failover event
      */
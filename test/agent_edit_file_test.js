@@ -0,0 +1,87 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileSystemTools } = require('../src/tools/filesystem');
+const { logger } = require('../src/utils/logger');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+const SOURCE = [
+    'function add(a, b) {',
+    '    return a + b;',
+    '}',
+    '',
+    'function total(items) {',
+    '    return items.reduce((sum, item) => add(sum, item), 0);',
+    '}',
+    '',
+].join('\n');
+
+const PATCH = [
+    '--- a/math.js',
+    '+++ b/math.js',
+    '@@ -1,3 +1,4 @@',
+    '+// Adds two numbers',
+    ' function add(a, b) {',
+    '     return a + b;',
+    ' }',
+    '',
+].join('\n');
+
+describe('edit_file', () => {
+    let projectDir;
+    let tools;
+
+    before(() => {
+        projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-edit-'));
+        tools = new FileSystemTools(projectDir, null);
+    });
+
+    after(() => {
+        fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    it('applies search/replace blocks in order', () => {
+        const result = tools.computeEdit(SOURCE, {
+            edits: [
+                { search: 'return a + b;', replace: 'return Number(a) + Number(b);' },
+                { search: 'function', replace: 'export function', replaceAll: true },
+            ],
+        });
+        assert.ok(result.includes('    return Number(a) + Number(b);'));
+        assert.strictEqual(result.split('export function').length - 1, 2);
+    });
+
+    it('treats "$" in the replacement as literal text', () => {
+        assert.ok(tools.computeEdit(SOURCE, { edits: [{ search: 'a + b', replace: '$&$1' }] }).includes('return $&$1;'));
+    });
+
+    it('rejects missing and ambiguous search text', () => {
+        assert.throws(() => tools.computeEdit(SOURCE, { edits: [{ search: 'return a - b;', replace: '' }] }), /Edit #1: search text not found/);
+        assert.throws(() => tools.computeEdit(SOURCE, { edits: [{ search: 'return', replace: 'yield' }] }), /ambiguous \(2 matches\)/);
+        assert.throws(() => tools.computeEdit(SOURCE, {}), /Provide either "edits"/);
+    });
+
+    it('applies a unified diff', () => {
+        const result = tools.computeEdit(SOURCE, { diff: PATCH });
+        assert.ok(result.startsWith('// Adds two numbers\nfunction add'));
+    });
+
+    it('rejects a diff whose context does not match', () => {
+        assert.throws(() => tools.computeEdit(SOURCE.replace('a + b', 'a - b'), { diff: PATCH }), /does not apply cleanly/);
+    });
+
+    it('edits a file on disk', async () => {
+        fs.writeFileSync(path.join(projectDir, 'math.js'), SOURCE);
+        await tools.editFile('math.js', { edits: [{ search: 'a + b', replace: 'b + a' }] }, true);
+        assert.ok(fs.readFileSync(path.join(projectDir, 'math.js'), 'utf8').includes('return b + a;'));
+    });
+
+    it('refuses missing files and edits that change nothing', async () => {
+        fs.writeFileSync(path.join(projectDir, 'math.js'), SOURCE);
+        await assert.rejects(tools.editFile('missing.js', { edits: [{ search: 'x', replace: 'y' }] }, true), /Use write_file/);
+        await assert.rejects(tools.editFile('math.js', { edits: [{ search: 'a + b', replace: 'a + b' }] }, true), /no changes/);
+    });
+});
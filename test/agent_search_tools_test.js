@@ -0,0 +1,90 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileSystemTools } = require('../src/tools/filesystem');
+const { logger } = require('../src/utils/logger');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+function writeFiles(root, files) {
+    for (const [name, content] of Object.entries(files)) {
+        const fullPath = path.join(root, name);
+        fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+        fs.writeFileSync(fullPath, content);
+    }
+}
+
+describe('grep_files and glob_files', () => {
+    let projectDir;
+    let tools;
+
+    before(() => {
+        projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-search-'));
+        tools = new FileSystemTools(projectDir, null);
+        writeFiles(projectDir, {
+            'src/a.js': 'const TODO = 1;\n// todo: rename\nmodule.exports = TODO;\n',
+            'src/b.js': 'function b() {}\n',
+            'src/nested/c.ts': 'export const c = "TODO";\n',
+            'node_modules/dep/index.js': 'TODO\n',
+            'image.bin': Buffer.from([0x54, 0x4f, 0x44, 0x4f, 0x00, 0x01]),
+        });
+    });
+
+    after(() => {
+        fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    it('globs inside the project, skipping ignored directories', async () => {
+        const result = await tools.globFiles('**/*.js');
+        assert.deepStrictEqual(result.files, ['src/a.js', 'src/b.js']);
+        await assert.rejects(tools.globFiles('../**/*'), /stay inside the project/);
+    });
+
+    it('pages glob results', async () => {
+        const result = await tools.globFiles('**/*', { path: 'src', limit: 2 });
+        assert.strictEqual(result.total, 3);
+        assert.strictEqual(result.truncated, true);
+        assert.deepStrictEqual((await tools.globFiles('**/*', { path: 'src', offset: result.nextOffset })).files, ['src/nested/c.ts']);
+    });
+
+    it('greps text files, skipping binary ones', async () => {
+        const result = await tools.grepFiles('TODO');
+        assert.deepStrictEqual(result.matches.map(m => `${m.file}:${m.line}`), ['src/a.js:1', 'src/a.js:3', 'src/nested/c.ts:1']);
+    });
+
+    it('greps with filters and context', async () => {
+        const result = await tools.grepFiles('todo', { caseSensitive: false, include: '**/*.js', contextLines: 1 });
+        assert.strictEqual(result.matches.length, 3);
+        assert.deepStrictEqual(result.matches[1].before, ['const TODO = 1;']);
+    });
+
+    it('pages grep results', async () => {
+        let result = await tools.grepFiles('TODO', { limit: 2 });
+        assert.strictEqual(result.truncated, true);
+        result = await tools.grepFiles('TODO', { offset: result.nextOffset });
+        assert.deepStrictEqual(result.matches.map(m => m.file), ['src/nested/c.ts']);
+        assert.strictEqual(result.truncated, false);
+    });
+
+    it('stops a search that runs past its time budget', async () => {
+        let now = 0;
+        sinon.stub(Date, 'now').callsFake(() => {
+            now += 4000;
+            return now;
+        });
+        try {
+            const result = await tools.grepFiles('TODO');
+            assert.strictEqual(result.timedOut, true);
+            assert.strictEqual(result.truncated, true);
+            assert.ok(result.matches.length < 3);
+        } finally {
+            sinon.restore();
+        }
+    });
+
+    it('rejects an invalid pattern', async () => {
+        await assert.rejects(tools.grepFiles('('), /Invalid regular expression/);
+    });
+});
@@ -0,0 +1,139 @@
+const assert = require('assert');
+const { APIOrchestrator } = require('../src/api/orchestrator');
+const { AntigravityEngine } = require('../src/core/engine');
+const { SystemPromptBuilder } = require('../src/core/prompt');
+const { ToolRegistry } = require('../src/tools/registry');
+const { PermissionManager } = require('../src/core/permissions');
+const { configManager } = require('../src/core/config');
+const { logger } = require('../src/utils/logger');
+const { ScriptedProvider } = require('./helpers/scripted_provider');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+/**
+ * Model turn that calls read_file for each path
+ */
+function readTurn(...paths) {
+    return { content: '', toolCalls: paths.map((file, i) => ({ id: `call_${i}`, name: 'read_file', arguments: { path: file } })) };
+}
+
+/**
+ * Engine wired to a scripted provider and a read_file tool that records its calls, without a database
+ */
+function createEngine(provider, reads) {
+    const engine = new AntigravityEngine();
+    engine.apiOrchestrator = new APIOrchestrator(null);
+    engine.apiOrchestrator.providers.set(provider.name, provider);
+    engine.apiOrchestrator.providerOrder = [provider.name];
+    engine.apiOrchestrator.currentProvider = provider.name;
+    engine.contextManager = {
+        currentConversationId: null,
+        getProjectContext: async () => null,
+        getContext: async () => ({ messages: [] }),
+        addAssistantMessage: async () => 'message-1',
+        addToolResultMessage: async () => {},
+        closePendingToolCalls: async () => 0,
+    };
+    engine.costTracker = { checkBudget: async () => [], record: async () => {} };
+    engine.promptBuilder = new SystemPromptBuilder();
+    engine.permissionManager = new PermissionManager(configManager);
+    engine.fileSystemTools = { baseDir: process.cwd() };
+    engine.toolRegistry = new ToolRegistry();
+    engine.toolRegistry.register({
+        name: 'read_file',
+        description: 'Read a file',
+        parameters: { type: 'object', properties: { path: { type: 'string' } } },
+        permission: 'file_read',
+        readOnly: true,
+        handler: async args => {
+            reads.push(args.path);
+            return `contents of ${args.path}`;
+        },
+    });
+    engine.initialized = true;
+    return engine;
+}
+
+describe('AntigravityEngine tool loop', () => {
+    let savedAgent;
+    let savedPerformance;
+    const tools = () => [{ name: 'read_file' }];
+
+    before(() => {
+        configManager.load();
+        savedAgent = configManager.config.agent;
+        savedPerformance = configManager.config.performance;
+        configManager.config.agent = { ...savedAgent, maxToolIterations: 10, maxRepeatedToolCalls: 3 };
+        configManager.config.performance = { ...savedPerformance, cacheEnabled: false };
+    });
+
+    after(() => {
+        configManager.config.agent = savedAgent;
+        configManager.config.performance = savedPerformance;
+    });
+
+    it('runs tool calls until the model answers', async () => {
+        const reads = [];
+        const engine = createEngine(new ScriptedProvider([readTurn('a.js'), 'a.js logs 1.']), reads);
+        const result = await engine._executeWithTools('What does a.js log?', { messages: [] }, tools());
+        assert.strictEqual(result.stopReason, 'completed');
+        assert.strictEqual(result.content, 'a.js logs 1.');
+        assert.strictEqual(result.iterations, 2);
+        assert.deepStrictEqual(reads, ['a.js']);
+    });
+
+    it('allows the same call again once other calls came in between', async () => {
+        const reads = [];
+        const engine = createEngine(new ScriptedProvider([
+            readTurn('a.js'), readTurn('b.js'), readTurn('a.js'), readTurn('b.js'), readTurn('a.js'), 'Done.',
+        ]), reads);
+        const result = await engine._executeWithTools('Compare them', { messages: [] }, tools());
+        assert.strictEqual(result.stopReason, 'completed');
+        assert.strictEqual(reads.length, 5);
+    });
+
+    it('stops when the same call repeats in consecutive turns', async () => {
+        const reads = [];
+        const engine = createEngine(new ScriptedProvider([readTurn('a.js'), readTurn('a.js'), readTurn('a.js'), 'never sent']), reads);
+        const result = await engine._executeWithTools('Read a.js', { messages: [] }, tools());
+        assert.strictEqual(result.stopReason, 'loop_detected');
+        assert.deepStrictEqual(reads, ['a.js', 'a.js']);
+        assert.strictEqual(result.transcript[2].toolCalls[0].skipped, true);
+    });
+
+    it('stops at the iteration budget', async () => {
+        const reads = [];
+        const engine = createEngine(new ScriptedProvider([readTurn('a.js'), readTurn('b.js'), readTurn('c.js')]), reads);
+        const result = await engine._executeWithTools('Read everything', { messages: [] }, tools(), { maxIterations: 2 });
+        assert.strictEqual(result.stopReason, 'max_iterations');
+        assert.deepStrictEqual(reads, ['a.js', 'b.js']);
+    });
+
+    it('stops when the request is cancelled', async () => {
+        const reads = [];
+        const controller = new AbortController();
+        const engine = createEngine(new ScriptedProvider([readTurn('a.js'), readTurn('b.js')]), reads);
+        engine.toolRegistry.get('read_file').handler = async args => {
+            reads.push(args.path);
+            controller.abort();
+            return '';
+        };
+        const result = await engine._executeWithTools('Read everything', { messages: [] }, tools(), { signal: controller.signal });
+        assert.strictEqual(result.stopReason, 'aborted');
+        assert.deepStrictEqual(reads, ['a.js']);
+    });
+});
+
+describe('ConfigManager agent limits', () => {
+    it('rejects maxRepeatedToolCalls below 2', () => {
+        configManager.load();
+        const saved = configManager.config.agent;
+        try {
+            configManager.config.agent = { ...saved, maxRepeatedToolCalls: 1 };
+            assert.throws(() => configManager.validate(), /maxRepeatedToolCalls must be >= 2/);
+        } finally {
+            configManager.config.agent = saved;
+        }
+    });
+});
@@ -0,0 +1,127 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResponseCache } = require('../src/api/cache');
+const { APIOrchestrator } = require('../src/api/orchestrator');
+const { AntigravityEngine } = require('../src/core/engine');
+const { SystemPromptBuilder } = require('../src/core/prompt');
+const { ConfigManager, configManager } = require('../src/core/config');
+const { Database } = require('../src/utils/storage');
+const { logger } = require('../src/utils/logger');
+const { ScriptedProvider } = require('./helpers/scripted_provider');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+/**
+ * Engine wired to a scripted provider and a response cache in database
+ */
+function createEngine(provider, database) {
+    const engine = new AntigravityEngine();
+    engine.apiOrchestrator = new APIOrchestrator(database);
+    engine.apiOrchestrator.providers.set(provider.name, provider);
+    engine.apiOrchestrator.providerOrder = [provider.name];
+    engine.apiOrchestrator.currentProvider = provider.name;
+    engine.contextManager = {
+        currentConversationId: null,
+        getProjectContext: async () => null,
+        addAssistantMessage: async () => 'message-1',
+    };
+    engine.costTracker = { checkBudget: async () => [], record: async () => {} };
+    engine.promptBuilder = new SystemPromptBuilder();
+    engine.initialized = true;
+    return engine;
+}
+
+describe('ResponseCache', () => {
+    let dataDir;
+    let database;
+    let savedPerformance;
+
+    before(async () => {
+        configManager.load();
+        savedPerformance = configManager.config.performance;
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-cache-'));
+        database = new Database(path.join(dataDir, 'cache.db'));
+        await database.initialize();
+    });
+
+    beforeEach(() => {
+        configManager.config.performance = {
+            ...savedPerformance,
+            cacheEnabled: true,
+            cacheTTLSeconds: 3600,
+            maxCacheSizeMB: 100,
+        };
+    });
+
+    after(async () => {
+        configManager.config.performance = savedPerformance;
+        await database.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('is off unless CACHE_ENABLED=true', () => {
+        const saved = process.env.CACHE_ENABLED;
+        try {
+            delete process.env.CACHE_ENABLED;
+            assert.strictEqual(new ConfigManager().load().performance.cacheEnabled, false);
+            process.env.CACHE_ENABLED = 'true';
+            assert.strictEqual(new ConfigManager().load().performance.cacheEnabled, true);
+        } finally {
+            if (saved === undefined) {
+                delete process.env.CACHE_ENABLED;
+            } else {
+                process.env.CACHE_ENABLED = saved;
+            }
+        }
+    });
+
+    it('keys on everything that shapes a response', () => {
+        const cache = new ResponseCache(database);
+        const provider = new ScriptedProvider([]);
+        const history = id => ({
+            messages: [{ role: 'assistant', content: '', metadata: { toolCalls: [{ id, name: 'read_file', arguments: { path: 'a.js' } }] } }],
+        });
+        const key = cache.buildKey(provider, 'hi', history('call_1'));
+        assert.strictEqual(cache.buildKey(provider, 'hi', history('call_2')), key);
+        assert.notStrictEqual(cache.buildKey(provider, 'hello', history('call_1')), key);
+        assert.notStrictEqual(cache.buildKey(provider, 'hi', history('call_1'), { systemPrompt: 'Be brief' }), key);
+        provider.temperature = 0.2;
+        assert.notStrictEqual(cache.buildKey(provider, 'hi', history('call_1')), key);
+    });
+
+    it('answers a repeated one-shot prompt from the cache', async () => {
+        const scripted = new ScriptedProvider(['feat: add cache', 'feat: add response cache']);
+        const engine = createEngine(scripted, database);
+        let response = await engine.generate('Write a commit message');
+        assert.strictEqual(response.metadata.cached, undefined);
+        response = await engine.generate('Write a commit message');
+        assert.strictEqual(response.metadata.cached, true);
+        assert.strictEqual(response.content, 'feat: add cache');
+        assert.strictEqual(scripted.calls, 1);
+
+        response = await engine.generate('Write a commit message', { bypassCache: true });
+        assert.strictEqual(response.content, 'feat: add response cache');
+    });
+
+    it('expires entries after the TTL', async () => {
+        configManager.config.performance.cacheTTLSeconds = -1;
+        const scripted = new ScriptedProvider(['Adds a cache.', 'Adds a response cache.']);
+        const engine = createEngine(scripted, database);
+        await engine.generate('Summarize the diff');
+        const response = await engine.generate('Summarize the diff');
+        assert.strictEqual(response.metadata.cached, undefined);
+        assert.strictEqual(scripted.calls, 2);
+    });
+
+    it('keeps tool loop turns out of the cache', async () => {
+        const chat = new ScriptedProvider(['It logs 1.', 'It logs 2.']);
+        const engine = createEngine(chat, database);
+        await engine._executeWithTools('What does index.js log?', { messages: [] }, []);
+        const result = await engine._executeWithTools('What does index.js log?', { messages: [] }, []);
+        assert.strictEqual(result.content, 'It logs 2.');
+        assert.strictEqual(chat.requests[0].options.bypassCache, true);
+    });
+});
@@ -0,0 +1,175 @@
+const assert = require('assert');
+const { ProviderHealth, BREAKER_STATES } = require('../src/api/health');
+const { APIOrchestrator } = require('../src/api/orchestrator');
+const { configManager } = require('../src/core/config');
+const { logger } = require('../src/utils/logger');
+const { ScriptedProvider } = require('./helpers/scripted_provider');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+/**
+ * api_logs rows as the database returns them, newest first
+ */
+function logRows(count, row) {
+    const createdAt = new Date().toISOString().replace('T', ' ').slice(0, 19);
+    return Array.from({ length: count }, () => ({ latency_ms: 100, created_at: createdAt, ...row }));
+}
+
+/**
+ * Orchestrator over scripted providers, without a database; failover events are collected
+ */
+function createOrchestrator(providers) {
+    const orchestrator = new APIOrchestrator(null);
+    for (const provider of providers) {
+        orchestrator.providers.set(provider.name, provider);
+    }
+    orchestrator.providerOrder = providers.map(provider => provider.name);
+    orchestrator.currentProvider = providers[0].name;
+    orchestrator.failovers = [];
+    orchestrator.handleFailover = async (from, to, reason) => orchestrator.failovers.push(reason);
+    return orchestrator;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Scripted provider that takes delayMs to answer
+ */
+class SlowProvider extends ScriptedProvider {
+    async sendMessage(message, context, options) {
+        await wait(this.delayMs);
+        return super.sendMessage(message, context, options);
+    }
+}
+
+describe('ProviderHealth', () => {
+    it('opens, half-opens and closes the breaker', async () => {
+        const health = new ProviderHealth({ failureThreshold: 3, cooldownMs: 50 });
+        health.recordFailure('a');
+        health.recordFailure('a');
+        assert.strictEqual(health.canAttempt('a'), true);
+        health.recordFailure('a');
+        assert.strictEqual(health.canAttempt('a'), false);
+        assert.deepStrictEqual(health.order(['a', 'b']), ['b', 'a']);
+
+        await wait(60);
+        assert.strictEqual(health.canAttempt('a'), true);
+        assert.strictEqual(health.isHalfOpen('a'), true);
+        health.recordFailure('a');
+        assert.strictEqual(health.getStats('a').state, BREAKER_STATES.OPEN);
+
+        await wait(60);
+        health.canAttempt('a');
+        health.recordSuccess('a');
+        assert.strictEqual(health.getStats('a').state, BREAKER_STATES.CLOSED);
+    });
+
+    it('lets a single trial through while half-open', async () => {
+        const health = new ProviderHealth({ failureThreshold: 1 });
+        health.cooldownMs = 0;
+        health.recordFailure('a');
+        assert.strictEqual(health.canAttempt('a'), true);
+        assert.strictEqual(health.startTrial('a'), true);
+        assert.strictEqual(health.canAttempt('a'), false);
+        assert.strictEqual(health.startTrial('a'), false);
+
+        // A trial that recorded nothing (e.g. cancelled) frees the next one
+        health.endTrial('a');
+        assert.strictEqual(health.canAttempt('a'), true);
+        assert.strictEqual(health.startTrial('a'), true);
+        health.recordSuccess('a');
+        health.endTrial('a');
+        assert.strictEqual(health.startTrial('a'), false);
+        assert.strictEqual(health.canAttempt('a'), true);
+    });
+
+    it('restores breakers from the API log, without rate-limited calls', async () => {
+        const restored = new ProviderHealth({ failureThreshold: 3 });
+        const database = {
+            getRecentAPICalls: async provider => (provider === 'limited'
+                ? logRows(5, { success: 0, status_code: 429, error_message: 'Too many requests' })
+                : logRows(5, { success: 0, status_code: 500, error_message: 'Internal error' })),
+        };
+        await restored.load(database, ['limited', 'broken']);
+        assert.strictEqual(restored.getStats('limited').state, BREAKER_STATES.CLOSED);
+        assert.strictEqual(restored.getStats('limited').samples, 0);
+        assert.strictEqual(restored.getStats('broken').state, BREAKER_STATES.OPEN);
+    });
+});
+
+describe('APIOrchestrator failover reasons', () => {
+    let savedPerformance;
+    let savedFailover;
+
+    before(() => {
+        configManager.load();
+        savedPerformance = configManager.config.performance;
+        savedFailover = configManager.config.failover;
+        configManager.config.performance = { ...savedPerformance, cacheEnabled: false };
+        configManager.config.failover = {
+            ...savedFailover,
+            maxRetriesPerProvider: 1,
+            breakerFailureThreshold: 3,
+            healthOrdering: true,
+        };
+    });
+
+    after(() => {
+        configManager.config.performance = savedPerformance;
+        configManager.config.failover = savedFailover;
+    });
+
+    it('names a provider failure', async () => {
+        const orchestrator = createOrchestrator([
+            new ScriptedProvider([Object.assign(new Error('Internal error'), { status: 500 })], 'a'),
+            new ScriptedProvider(['from b'], 'b'),
+        ]);
+        const response = await orchestrator.sendMessage('hi', { messages: [] });
+        assert.strictEqual(response.provider, 'b');
+        assert.deepStrictEqual(orchestrator.failovers, ['Provider failure']);
+    });
+
+    it('names an open circuit breaker', async () => {
+        const orchestrator = createOrchestrator([new ScriptedProvider([], 'a'), new ScriptedProvider(['from b'], 'b')]);
+        for (let i = 0; i < 3; i++) orchestrator.health.recordFailure('a');
+        const response = await orchestrator.sendMessage('hi', { messages: [] });
+        assert.strictEqual(response.provider, 'b');
+        assert.deepStrictEqual(orchestrator.failovers, ['Circuit breaker open']);
+    });
+
+    it('names a lower health score', async () => {
+        const orchestrator = createOrchestrator([new ScriptedProvider([], 'a'), new ScriptedProvider(['from b'], 'b')]);
+        for (let i = 0; i < 4; i++) {
+            orchestrator.health.recordFailure('a');
+            orchestrator.health.recordSuccess('a');
+        }
+        const response = await orchestrator.sendMessage('hi', { messages: [] });
+        assert.strictEqual(response.provider, 'b');
+        assert.deepStrictEqual(orchestrator.failovers, ['Lower health score']);
+    });
+
+    it('sends concurrent requests elsewhere while the half-open trial runs', async () => {
+        const slow = new SlowProvider(['trial from a', 'later from a'], 'a');
+        slow.delayMs = 50;
+        const fallback = new ScriptedProvider(['from b'], 'b');
+        const orchestrator = createOrchestrator([slow, fallback]);
+        orchestrator.health.cooldownMs = 0;
+        for (let i = 0; i < 3; i++) orchestrator.health.recordFailure('a');
+
+        // Keep a first, so both requests reach it
+        configManager.config.failover.healthOrdering = false;
+        const responses = await Promise.all([
+            orchestrator.sendMessage('first', { messages: [] }),
+            orchestrator.sendMessage('second', { messages: [] }),
+        ]).finally(() => {
+            configManager.config.failover.healthOrdering = true;
+        });
+        assert.deepStrictEqual(responses.map(response => response.content), ['trial from a', 'from b']);
+        assert.strictEqual(slow.calls, 1);
+        assert.strictEqual(orchestrator.health.getStats('a').state, BREAKER_STATES.CLOSED);
+
+        const after = await orchestrator.sendMessage('third', { messages: [] });
+        assert.strictEqual(after.content, 'later from a');
+    });
+});
@@ -0,0 +1,197 @@
+const assert = require('assert');
+const http = require('http');
+const { OllamaProvider } = require('../src/api/ollama');
+const { APIOrchestrator } = require('../src/api/orchestrator');
+const { configManager } = require('../src/core/config');
+const { logger } = require('../src/utils/logger');
+const { ScriptedProvider } = require('./helpers/scripted_provider');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+/**
+ * Minimal Ollama server; replies are queued per check
+ * A reply with lines is streamed as newline-delimited JSON, split mid-line to test buffering.
+ */
+function startMockServer() {
+    const state = { requests: [], replies: [] };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            state.requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+            const reply = state.replies.shift() || { status: 500, json: { error: 'No reply queued' } };
+
+            if (reply.lines) {
+                res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+                const text = reply.lines.map(line => JSON.stringify(line)).join('\n');
+                const middle = Math.floor(text.length / 2);
+                res.write(text.slice(0, middle));
+                setTimeout(() => res.end(text.slice(middle)), 10);
+                return;
+            }
+
+            res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...reply.headers });
+            res.end(JSON.stringify(reply.json));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            state.baseUrl = `http://127.0.0.1:${server.address().port}`;
+            state.server = server;
+            resolve(state);
+        });
+    });
+}
+
+const TOOLS = [{ name: 'read_file', description: 'Read a file', parameters: { type: 'object', properties: {} } }];
+
+describe('OllamaProvider', () => {
+    let mock;
+    let provider;
+    const lastRequest = () => mock.requests[mock.requests.length - 1];
+
+    before(async () => {
+        mock = await startMockServer();
+        provider = new OllamaProvider({ ollama: { baseUrl: mock.baseUrl, model: 'qwen2.5-coder' } });
+    });
+
+    after(() => {
+        mock.server.close();
+    });
+
+    it('sends the system prompt, history and tools and returns tool calls', async () => {
+        mock.replies.push({
+            json: {
+                model: 'qwen2.5-coder',
+                message: {
+                    role: 'assistant',
+                    content: '',
+                    tool_calls: [{ function: { name: 'read_file', arguments: { path: 'a.js' } } }],
+                },
+                done: true,
+                prompt_eval_count: 12,
+                eval_count: 3,
+            },
+        });
+        const context = {
+            messages: [
+                { role: 'user', content: 'Open a.js' },
+                { role: 'assistant', content: '', metadata: { toolCalls: [{ name: 'list_dir', arguments: { path: '.' } }] } },
+                { role: 'system', content: 'a.js', metadata: { type: 'tool_result', toolName: 'list_dir' } },
+            ],
+        };
+        const response = await provider.sendMessage('Go on', context, { tools: TOOLS, systemPrompt: 'Be brief' });
+
+        assert.strictEqual(response.success, true);
+        assert.strictEqual(response.toolCalls[0].name, 'read_file');
+        assert.deepStrictEqual(response.toolCalls[0].arguments, { path: 'a.js' });
+        assert.strictEqual(response.usage.totalTokens, 15);
+
+        const { url, body } = lastRequest();
+        assert.strictEqual(url, '/api/chat');
+        assert.strictEqual(body.stream, false);
+        assert.deepStrictEqual(body.messages.map(message => message.role), ['system', 'user', 'assistant', 'tool', 'user']);
+        assert.strictEqual(body.messages[0].content, 'Be brief');
+        assert.deepStrictEqual(body.messages[2].tool_calls, [{ function: { name: 'list_dir', arguments: { path: '.' } } }]);
+        assert.strictEqual(body.messages[3].tool_name, 'list_dir');
+        assert.strictEqual(body.tools[0].function.name, 'read_file');
+    });
+
+    it('streams text and tool calls from newline-delimited JSON', async () => {
+        mock.replies.push({
+            lines: [
+                { message: { role: 'assistant', content: 'Let me ' } },
+                { message: { role: 'assistant', content: 'look.' } },
+                { message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'read_file', arguments: '{"path":"b.js"}' } }] } },
+                { message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 4, eval_count: 6 },
+            ],
+        });
+        const events = [];
+        const response = await provider.streamMessage('Read b.js', event => events.push(event.type), { messages: [] }, { tools: TOOLS });
+
+        assert.strictEqual(response.content, 'Let me look.');
+        assert.deepStrictEqual(response.toolCalls.map(call => call.arguments), [{ path: 'b.js' }]);
+        assert.strictEqual(response.usage.totalTokens, 10);
+        assert.strictEqual(lastRequest().body.stream, true);
+        assert.deepStrictEqual(events.filter(type => type !== 'text'), ['tool_call_start', 'tool_call_delta', 'tool_call_end', 'usage', 'done']);
+    });
+
+    it('fails a stream that reports an error line', async () => {
+        mock.replies.push({ lines: [{ message: { content: 'Hal' } }, { error: 'model runner crashed' }] });
+        await assert.rejects(provider.streamMessage('Hi', null, { messages: [] }), /model runner crashed/);
+    });
+
+    it('explains a model that is not pulled', async () => {
+        mock.replies.push({ status: 404, json: { error: 'model not found' } });
+        const response = await provider.sendMessage('Hi', { messages: [] });
+        assert.strictEqual(response.success, false);
+        assert.ok(response.error.message.includes('ollama pull qwen2.5-coder'), response.error.message);
+    });
+
+    it('keeps the status and Retry-After of a rate-limited request', async () => {
+        mock.replies.push({ status: 429, headers: { 'Retry-After': '5' }, json: { error: 'too many requests' } });
+        const response = await provider.sendMessage('Hi', { messages: [] });
+        assert.strictEqual(response.error.statusCode, 429);
+        assert.strictEqual(response.error.rateLimit.retryAfterMs, 5000);
+
+        mock.replies.push({ status: 429, headers: { 'Retry-After': '5' }, json: { error: 'too many requests' } });
+        await assert.rejects(provider.streamMessage('Hi', null, { messages: [] }), error => {
+            assert.strictEqual(error.status, 429);
+            assert.strictEqual(error.rateLimit.retryAfterMs, 5000);
+            return true;
+        });
+    });
+
+    it('pauses the Ollama rate limit for Retry-After and fails over', async () => {
+        configManager.load();
+        const savedFailover = configManager.config.failover;
+        const savedPerformance = configManager.config.performance;
+        configManager.config.failover = { ...savedFailover, maxRetriesPerProvider: 1 };
+        configManager.config.performance = { ...savedPerformance, cacheEnabled: false };
+
+        try {
+            const orchestrator = new APIOrchestrator(null);
+            orchestrator.providers.set('ollama', provider);
+            orchestrator.providers.set('fallback', new ScriptedProvider(['from fallback'], 'fallback'));
+            orchestrator.providerOrder = ['ollama', 'fallback'];
+            orchestrator.currentProvider = 'ollama';
+
+            mock.replies.push({ status: 429, headers: { 'Retry-After': '5' }, json: { error: 'too many requests' } });
+            const response = await orchestrator.sendMessage('Hi', { messages: [] });
+            assert.strictEqual(response.content, 'from fallback');
+            assert.ok(orchestrator.rateLimiter.getStats('ollama').pausedForMs > 4000);
+        } finally {
+            configManager.config.failover = savedFailover;
+            configManager.config.performance = savedPerformance;
+        }
+    });
+
+    it('lists installed chat models and marks the vision ones', async () => {
+        mock.replies.push({
+            json: {
+                models: [
+                    { name: 'qwen2.5-coder:latest', details: { families: ['qwen2'] } },
+                    { name: 'llava:13b', details: { families: ['llama', 'clip'] } },
+                    { name: 'nomic-embed-text:latest', details: { families: ['nomic-bert'] } },
+                ],
+            },
+        });
+        const models = await provider.fetchModels();
+        assert.strictEqual(lastRequest().url, '/api/tags');
+        assert.deepStrictEqual(models, [
+            { id: 'qwen2.5-coder:latest', vision: false },
+            { id: 'llava:13b', vision: true },
+        ]);
+    });
+
+    it('only switches to installed models once they are listed', () => {
+        provider.availableModels = ['qwen2.5-coder:latest', 'llava:13b'];
+        provider.setModel('qwen2.5-coder');
+        assert.strictEqual(provider.model, 'qwen2.5-coder');
+        assert.throws(() => provider.setModel('mistral'), /Model not installed: mistral/);
+        provider.availableModels = [];
+    });
+});
@@ -0,0 +1,186 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { OpenAICompatibleProvider } = require('../src/api/openai-compatible');
+const { APIOrchestrator } = require('../src/api/orchestrator');
+const { configManager } = require('../src/core/config');
+const { secureStorage } = require('../src/utils/crypto');
+const { logger } = require('../src/utils/logger');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+/**
+ * Minimal OpenAI chat completions server; replies are queued per check
+ */
+function startMockServer() {
+    const state = { requests: [], replies: [] };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            state.requests.push({ url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+            const reply = state.replies.shift() || { status: 500, json: { error: { message: 'No reply queued' } } };
+
+            if (reply.sse) {
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                reply.sse.forEach(event => res.write(`data: ${JSON.stringify(event)}\n\n`));
+                res.end('data: [DONE]\n\n');
+                return;
+            }
+
+            res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(reply.json));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            state.baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+            state.server = server;
+            resolve(state);
+        });
+    });
+}
+
+describe('OpenAICompatibleProvider', () => {
+    let mock;
+    let provider;
+    const lastRequest = () => mock.requests[mock.requests.length - 1];
+
+    before(async () => {
+        mock = await startMockServer();
+        provider = new OpenAICompatibleProvider('vllm', {
+            baseUrl: mock.baseUrl,
+            model: 'qwen2.5-coder',
+            apiKey: 'secret',
+            headers: { 'X-Team': 'core' },
+        });
+    });
+
+    after(() => {
+        mock.server.close();
+    });
+
+    it('sends a plain completion to the configured base URL', async () => {
+        mock.replies.push({
+            json: {
+                choices: [{ message: { role: 'assistant', content: 'Hello from vLLM' } }],
+                usage: { prompt_tokens: 5, completion_tokens: 3, total_tokens: 8 },
+            },
+        });
+        const response = await provider.sendMessage('Hi', { messages: [] });
+        assert.strictEqual(response.success, true);
+        assert.strictEqual(response.content, 'Hello from vLLM');
+        assert.strictEqual(response.provider, 'vllm');
+        assert.strictEqual(lastRequest().url, '/v1/chat/completions');
+        assert.strictEqual(lastRequest().headers.authorization, 'Bearer secret');
+        assert.strictEqual(lastRequest().headers['x-team'], 'core');
+        assert.strictEqual(lastRequest().body.model, 'qwen2.5-coder');
+    });
+
+    it('returns tool calls', async () => {
+        mock.replies.push({
+            json: {
+                choices: [{
+                    message: {
+                        role: 'assistant',
+                        content: null,
+                        tool_calls: [{
+                            id: 'call_1',
+                            type: 'function',
+                            function: { name: 'read_file', arguments: '{"path":"src/index.js"}' },
+                        }],
+                    },
+                }],
+                usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+            },
+        });
+        const tools = [{ name: 'read_file', description: 'Read a file', parameters: { type: 'object', properties: {} } }];
+        const response = await provider.sendMessage('Read it', { messages: [] }, { tools });
+        assert.deepStrictEqual(response.toolCalls, [
+            { id: 'call_1', name: 'read_file', arguments: { path: 'src/index.js' } },
+        ]);
+        assert.strictEqual(lastRequest().body.tools[0].function.name, 'read_file');
+    });
+
+    it('streams text and tool calls', async () => {
+        mock.replies.push({
+            sse: [
+                { choices: [{ index: 0, delta: { content: 'Look' } }] },
+                { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_2', function: { name: 'list_dir', arguments: '{"pa' } }] } }] },
+                { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: 'th":"."}' } }] }, finish_reason: 'tool_calls' }] },
+                { choices: [], usage: { prompt_tokens: 2, completion_tokens: 4, total_tokens: 6 } },
+            ],
+        });
+        const events = [];
+        const response = await provider.streamMessage('List', event => events.push(event.type), { messages: [] });
+        assert.strictEqual(response.content, 'Look');
+        assert.deepStrictEqual(response.toolCalls, [{ id: 'call_2', name: 'list_dir', arguments: { path: '.' } }]);
+        assert.strictEqual(response.usage.totalTokens, 6);
+        assert.ok(events.includes('tool_call_end') && events.includes('done'));
+    });
+
+    it('reports a server error without SDK retries', async () => {
+        const before = mock.requests.length;
+        mock.replies.push({ status: 500, json: { error: { message: 'model not loaded' } } });
+        const response = await provider.sendMessage('Hi', { messages: [] });
+        assert.strictEqual(response.success, false);
+        assert.ok(response.error.message.includes('vllm'));
+        assert.strictEqual(mock.requests.length - before, 1);
+    });
+});
+
+describe('Named provider instances', () => {
+    let dir;
+    let savedCustomProviders;
+
+    before(() => {
+        configManager.load();
+        savedCustomProviders = configManager.config.customProviders;
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-providers-'));
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        delete process.env.TEST_VLLM_KEY;
+    });
+
+    after(() => {
+        configManager.config.customProviders = savedCustomProviders;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reads instances from providers.json and ignores an invalid file', () => {
+        const filePath = path.join(dir, 'providers.json');
+        fs.writeFileSync(filePath, JSON.stringify({ vllm: { type: 'openai-compatible', baseUrl: 'http://gpu:8000/v1', model: 'qwen' } }));
+        assert.deepStrictEqual(Object.keys(configManager.loadCustomProviders(filePath)), ['vllm']);
+
+        fs.writeFileSync(filePath, '{ not json');
+        assert.deepStrictEqual(configManager.loadCustomProviders(filePath), {});
+        assert.deepStrictEqual(configManager.loadCustomProviders(path.join(dir, 'missing.json')), {});
+    });
+
+    it('creates an instance with its key from apiKeyEnv', async () => {
+        sinon.stub(secureStorage, 'getApiKey').resolves(null);
+        process.env.TEST_VLLM_KEY = 'from-env';
+        configManager.config.customProviders = {
+            vllm: { type: 'openai-compatible', baseUrl: 'http://gpu:8000/v1', model: 'qwen', apiKeyEnv: 'TEST_VLLM_KEY' },
+        };
+
+        const provider = await new APIOrchestrator(null).createProvider('vllm');
+        assert.ok(provider instanceof OpenAICompatibleProvider);
+        assert.strictEqual(provider.name, 'vllm');
+        assert.strictEqual(provider.baseUrl, 'http://gpu:8000/v1');
+        assert.strictEqual(provider.apiKey, 'from-env');
+    });
+
+    it('rejects an unknown provider name', async () => {
+        sinon.stub(secureStorage, 'getApiKey').resolves('key');
+        configManager.config.customProviders = {};
+        await assert.rejects(new APIOrchestrator(null).createProvider('vllm'), /Unknown provider: vllm/);
+    });
+});
@@ -0,0 +1,154 @@
+const assert = require('assert');
+const { RateLimitScheduler, parseRateLimit, isRateLimitError } = require('../src/api/ratelimit');
+const { ClaudeProvider } = require('../src/api/claude');
+const { OpenAIProvider } = require('../src/api/openai');
+const { logger } = require('../src/utils/logger');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+// Anything faster is an acquire() that did not queue
+const NO_WAIT_MS = 50;
+
+/**
+ * Milliseconds an acquire() call waited
+ */
+async function timeAcquire(scheduler, provider, tokens, signal) {
+    const start = Date.now();
+    await scheduler.acquire(provider, tokens, signal);
+    return Date.now() - start;
+}
+
+describe('RateLimitScheduler', () => {
+    it('lets a full bucket through, then rejects a long wait', async () => {
+        const scheduler = new RateLimitScheduler({ limits: { a: { requestsPerMinute: 2 } }, maxWaitMs: 1000 });
+        assert.ok(await timeAcquire(scheduler, 'a') < NO_WAIT_MS);
+        assert.ok(await timeAcquire(scheduler, 'a') < NO_WAIT_MS);
+        await assert.rejects(scheduler.acquire('a'), error => error.code === 'RATE_LIMITED' && error.retryAfterMs > 25000);
+        // The rejected reservation was returned, so the next wait is no longer
+        await assert.rejects(scheduler.acquire('a'), error => error.retryAfterMs <= 30000);
+    });
+
+    it('queues on the token bucket', async () => {
+        const scheduler = new RateLimitScheduler({ limits: { a: { tokensPerMinute: 60000 } } });
+        assert.ok(await timeAcquire(scheduler, 'a', 60000) < NO_WAIT_MS);
+        const waited = await timeAcquire(scheduler, 'a', 200);
+        assert.ok(waited >= 150 && waited < 1000, `waited ${waited}ms`);
+        // Unlimited providers never wait
+        assert.ok(await timeAcquire(scheduler, 'b', 1e9) < NO_WAIT_MS);
+    });
+
+    it('caps a request larger than the bucket', async () => {
+        const scheduler = new RateLimitScheduler({ limits: { a: { tokensPerMinute: 600 } }, maxWaitMs: 0 });
+        assert.ok(await timeAcquire(scheduler, 'a', 5000) < NO_WAIT_MS);
+    });
+
+    it('charges the real usage', async () => {
+        const scheduler = new RateLimitScheduler({ limits: { a: { tokensPerMinute: 1000 } }, maxWaitMs: 1000 });
+        await scheduler.acquire('a', 500);
+        scheduler.recordUsage('a', 500, 1500);
+        await assert.rejects(scheduler.acquire('a', 1), error => error.code === 'RATE_LIMITED');
+    });
+
+    it('pauses for Retry-After', async () => {
+        const scheduler = new RateLimitScheduler({ maxWaitMs: 10000 });
+        scheduler.pause('a', 150);
+        assert.ok(scheduler.getStats('a').pausedForMs > 0);
+        assert.ok(await timeAcquire(scheduler, 'a') >= 140);
+    });
+
+    it('cancels a queued request', async () => {
+        const scheduler = new RateLimitScheduler({ maxWaitMs: 10000 });
+        scheduler.pause('a', 5000);
+        const controller = new AbortController();
+        const queued = scheduler.acquire('a', 0, controller.signal);
+        assert.strictEqual(scheduler.getStats('a').queued, 1);
+        setTimeout(() => controller.abort(), 20);
+        await assert.rejects(queued, error => error.code === 'ABORTED');
+        assert.strictEqual(scheduler.getStats('a').queued, 0);
+    });
+});
+
+describe('parseRateLimit', () => {
+    it('reads Retry-After and reset headers', () => {
+        const headers = new Map([['retry-after', '2']]);
+        assert.strictEqual(parseRateLimit({ status: 429, headers }).retryAfterMs, 2000);
+        assert.strictEqual(parseRateLimit({
+            response: { headers: { 'x-ratelimit-remaining-requests': '0', 'x-ratelimit-reset-requests': '1m30s' } },
+        }).retryAfterMs, 90000);
+    });
+
+    it('reads Gemini RetryInfo details', () => {
+        assert.strictEqual(parseRateLimit({
+            errorDetails: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '30s' }],
+        }).retryAfterMs, 30000);
+    });
+
+    it('ignores errors without rate limit information', () => {
+        assert.strictEqual(parseRateLimit(new Error('boom')), null);
+    });
+});
+
+describe('isRateLimitError', () => {
+    it('recognises 429s and quota messages', () => {
+        assert.ok(isRateLimitError({ status: 429 }));
+        assert.ok(isRateLimitError(new Error('Resource has been exhausted (e.g. check quota).')));
+        assert.ok(!isRateLimitError({ status: 500, message: 'Internal error' }));
+    });
+});
+
+describe('provider rate-limit errors', () => {
+    /**
+     * SDK 429 with the headers the Anthropic and OpenAI clients expose
+     */
+    function rateLimitError() {
+        return Object.assign(new Error('429 Too Many Requests: rate limit exceeded'), {
+            status: 429,
+            headers: new Headers({ 'retry-after': '3' }),
+        });
+    }
+
+    /**
+     * Provider whose SDK create() call rejects with error
+     */
+    function failingProvider(Provider, error) {
+        const provider = new Provider('test-key');
+        const create = sinon.stub().rejects(error);
+        provider.client = { messages: { create }, chat: { completions: { create } } };
+        provider.initialized = true;
+        return provider;
+    }
+
+    for (const Provider of [ClaudeProvider, OpenAIProvider]) {
+        describe(Provider.name, () => {
+            it('keeps the status and Retry-After when sending', async () => {
+                const response = await failingProvider(Provider, rateLimitError()).sendMessage('Hi', { messages: [] });
+                assert.strictEqual(response.success, false);
+                assert.strictEqual(response.error.statusCode, 429);
+                assert.strictEqual(response.error.rateLimit.retryAfterMs, 3000);
+            });
+
+            it('normalizes a streaming error the same way', async () => {
+                const provider = failingProvider(Provider, rateLimitError());
+                await assert.rejects(provider.streamMessage('Hi', null, { messages: [] }), error => {
+                    assert.match(error.message, /rate limit reached/);
+                    assert.strictEqual(error.status, 429);
+                    assert.strictEqual(error.rateLimit.retryAfterMs, 3000);
+                    assert.ok(isRateLimitError(error));
+                    return true;
+                });
+            });
+
+            it('rethrows a cancelled stream as is', async () => {
+                const controller = new AbortController();
+                controller.abort();
+                const aborted = Object.assign(new Error('Request was aborted.'), { name: 'AbortError' });
+                const provider = failingProvider(Provider, aborted);
+                await assert.rejects(
+                    provider.streamMessage('Hi', null, { messages: [] }, { signal: controller.signal }),
+                    error => error === aborted
+                );
+            });
+        });
+    }
+});
@@ -0,0 +1,106 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReplayProvider } = require('../src/api/replay');
+const { APIOrchestrator } = require('../src/api/orchestrator');
+const { logger } = require('../src/utils/logger');
+const { ScriptedProvider } = require('./helpers/scripted_provider');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+const tools = [{ name: 'read_file', description: 'Read a file', parameters: { type: 'object', properties: {} } }];
+
+/**
+ * The history the engine builds after the model asked for read_file
+ */
+function toolTurnContext(toolCallId) {
+    return {
+        messages: [
+            { role: 'user', content: 'What is in index.js?' },
+            {
+                role: 'assistant',
+                content: 'Let me look.',
+                metadata: { toolCalls: [{ id: toolCallId, name: 'read_file', arguments: { path: 'index.js' } }] },
+            },
+            {
+                role: 'user',
+                content: 'console.log(1)',
+                metadata: { type: 'tool_result', toolCallId, toolName: 'read_file' },
+            },
+        ],
+    };
+}
+
+describe('ReplayProvider', () => {
+    let fixtureDir;
+    let replayer;
+
+    before(() => {
+        fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-replay-'));
+        replayer = new ReplayProvider({ mode: 'replay', fixtureDir });
+    });
+
+    after(() => {
+        fs.rmSync(fixtureDir, { recursive: true, force: true });
+    });
+
+    it('records a tool call turn and its follow-up', async () => {
+        const live = new ScriptedProvider([
+            { content: 'Let me look.', toolCalls: [{ id: 'call_live', name: 'read_file', arguments: { path: 'index.js' } }] },
+            { content: 'It logs 1.' },
+        ]);
+        const recorder = new ReplayProvider({ mode: 'record', fixtureDir, inner: live });
+        await recorder.initialize();
+
+        let response = await recorder.sendMessage('What is in index.js?', { messages: [] }, { tools });
+        assert.strictEqual(response.content, 'Let me look.');
+        response = await recorder.sendMessage('', toolTurnContext('call_live'), { tools });
+        assert.strictEqual(response.content, 'It logs 1.');
+        assert.strictEqual(fs.readdirSync(fixtureDir).length, 2);
+
+        await replayer.initialize();
+    });
+
+    it('replays without the live provider', async () => {
+        let response = await replayer.sendMessage('What is in index.js?', { messages: [] }, { tools });
+        assert.strictEqual(response.success, true);
+        assert.strictEqual(response.metadata.replayed, true);
+        assert.deepStrictEqual(response.toolCalls, [{ id: 'call_live', name: 'read_file', arguments: { path: 'index.js' } }]);
+
+        // Tool call IDs differ between runs and do not affect matching
+        response = await replayer.sendMessage('', toolTurnContext('call_other'), { tools });
+        assert.strictEqual(response.content, 'It logs 1.');
+    });
+
+    it('replays as a stream', async () => {
+        const events = [];
+        const response = await replayer.streamMessage('What is in index.js?', event => events.push(event.type), { messages: [] }, { tools });
+        assert.strictEqual(response.content, 'Let me look.');
+        assert.ok(events.includes('text') && events.includes('tool_call_end') && events.includes('done'));
+    });
+
+    it('explains how an unmatched request differs', async () => {
+        const response = await replayer.sendMessage('What is in main.js?', { messages: [] }, { tools });
+        assert.strictEqual(response.success, false);
+        assert.strictEqual(response.error.code, 'FIXTURE_NOT_FOUND');
+        assert.ok(response.error.message.includes('differs at message'), response.error.message);
+        assert.ok(response.error.message.includes('What is in main.js?'), response.error.message);
+    });
+
+    it('never lets the orchestrator fall back to a live API on a missing fixture', async () => {
+        const fallback = new ScriptedProvider([{ content: 'live answer' }]);
+        const orchestrator = new APIOrchestrator(null);
+        orchestrator.providers.set('replay', replayer);
+        orchestrator.providers.set('scripted', fallback);
+        orchestrator.providerOrder = ['replay', 'scripted'];
+        orchestrator.currentProvider = 'replay';
+
+        await assert.rejects(
+            orchestrator.sendMessage('Unrecorded', { messages: [] }, { tools, bypassCache: true }),
+            error => error.code === 'FIXTURE_NOT_FOUND'
+        );
+        assert.strictEqual(fallback.calls, 0);
+    });
+});
@@ -0,0 +1,107 @@
+const assert = require('assert');
+const { APIOrchestrator } = require('../src/api/orchestrator');
+const { ConfigManager, configManager } = require('../src/core/config');
+const { logger } = require('../src/utils/logger');
+const { ScriptedProvider } = require('./helpers/scripted_provider');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+/**
+ * Scripted provider that also serves a second model
+ */
+function createProvider(name, replies) {
+    const provider = new ScriptedProvider(replies, name);
+    provider.availableModels.push(`${name}-mini`);
+    return provider;
+}
+
+/**
+ * Orchestrator over the given providers, without a database
+ */
+function createOrchestrator(providers) {
+    const orchestrator = new APIOrchestrator(null);
+    for (const provider of providers) {
+        orchestrator.providers.set(provider.name, provider);
+    }
+    orchestrator.providerOrder = providers.map(provider => provider.name);
+    orchestrator.currentProvider = providers[0].name;
+    return orchestrator;
+}
+
+describe('Task routing', () => {
+    let saved;
+
+    before(() => {
+        configManager.load();
+        saved = {
+            routing: configManager.config.routing,
+            performance: configManager.config.performance,
+            failover: configManager.config.failover,
+        };
+        configManager.config.performance = { ...saved.performance, cacheEnabled: false };
+        configManager.config.failover = { ...saved.failover, maxRetriesPerProvider: 1, retryDelayMs: 1, healthOrdering: false };
+    });
+
+    after(() => {
+        Object.assign(configManager.config, saved);
+    });
+
+    it('reads ROUTE_<TASK_TYPE> variables', () => {
+        process.env.ROUTE_COMMIT_MESSAGE = 'ollama/library/qwen2.5-coder:7b';
+        process.env.ROUTE_REVIEW = ' claude ';
+        try {
+            const { routing } = new ConfigManager().load();
+            assert.deepStrictEqual(routing['commit-message'], { provider: 'ollama', model: 'library/qwen2.5-coder:7b' });
+            assert.deepStrictEqual(routing.review, { provider: 'claude', model: null });
+            assert.strictEqual(routing.chat, undefined);
+        } finally {
+            delete process.env.ROUTE_COMMIT_MESSAGE;
+            delete process.env.ROUTE_REVIEW;
+        }
+    });
+
+    it('sends a routed task to its provider and model without switching the current provider', async () => {
+        configManager.config.routing = { 'commit-message': { provider: 'cheap', model: 'cheap-mini' } };
+        const main = createProvider('main', ['chat reply']);
+        const cheap = createProvider('cheap', ['fix: typo']);
+        const orchestrator = createOrchestrator([main, cheap]);
+
+        const routed = await orchestrator.sendMessage('Write a commit message', {}, { taskType: 'commit-message' });
+        assert.strictEqual(routed.provider, 'cheap');
+        assert.strictEqual(routed.model, 'cheap-mini');
+        assert.strictEqual(cheap.model, 'cheap-1');
+        assert.strictEqual(orchestrator.currentProvider, 'main');
+
+        const chat = await orchestrator.sendMessage('Hello', {}, { taskType: 'chat' });
+        assert.strictEqual(chat.provider, 'main');
+        assert.deepStrictEqual(orchestrator.getProviderOrder('commit-message'), ['cheap', 'main']);
+    });
+
+    it('fails a routed task over to the normal order', async () => {
+        configManager.config.routing = { review: { provider: 'cheap', model: null } };
+        const main = createProvider('main', ['review from main']);
+        const cheap = createProvider('cheap', [new Error('overloaded')]);
+        const orchestrator = createOrchestrator([main, cheap]);
+
+        const response = await orchestrator.sendMessage('Review this', {}, { taskType: 'review' });
+        assert.strictEqual(response.content, 'review from main');
+        assert.strictEqual(cheap.calls, 1);
+        assert.strictEqual(orchestrator.currentProvider, 'main');
+    });
+
+    it('ignores a route to a provider that is not loaded or a model it does not serve', async () => {
+        configManager.config.routing = {
+            review: { provider: 'missing', model: 'x' },
+            summarization: { provider: 'cheap', model: 'not-served' },
+        };
+        const main = createProvider('main', ['from main']);
+        const cheap = createProvider('cheap', ['from cheap']);
+        const orchestrator = createOrchestrator([main, cheap]);
+
+        assert.deepStrictEqual(orchestrator.getProviderOrder('review'), ['main', 'cheap']);
+        const response = await orchestrator.sendMessage('Summarize', {}, { taskType: 'summarization' });
+        assert.strictEqual(response.provider, 'cheap');
+        assert.strictEqual(response.model, 'cheap-1');
+    });
+});
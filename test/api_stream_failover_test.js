@@ -0,0 +1,138 @@
+const assert = require('assert');
+const { APIOrchestrator } = require('../src/api/orchestrator');
+const { StreamAccumulator, STREAM_EVENTS } = require('../src/api/stream');
+const { configManager } = require('../src/core/config');
+const { logger } = require('../src/utils/logger');
+const { ScriptedProvider } = require('./helpers/scripted_provider');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+/**
+ * Provider whose stream sends some text (and optionally starts a tool call), then drops
+ */
+class BrokenStreamProvider extends ScriptedProvider {
+    constructor(name, { text, toolCall = false }) {
+        super([], name);
+        this.text = text;
+        this.toolCall = toolCall;
+    }
+
+    async streamMessage(message, onEvent, context) {
+        this.requests.push({ message, messages: context.messages });
+        const stream = new StreamAccumulator(onEvent);
+        stream.text(this.text);
+        if (this.toolCall) {
+            stream.toolCallStart(0, { id: 'call_1', name: 'write_file' });
+            stream.toolCallDelta(0, '{"path":');
+        }
+        throw new Error('socket hang up');
+    }
+}
+
+/**
+ * Orchestrator over the given providers, without a database
+ */
+function createOrchestrator(providers) {
+    const orchestrator = new APIOrchestrator(null);
+    for (const provider of providers) {
+        orchestrator.providers.set(provider.name, provider);
+    }
+    orchestrator.providerOrder = providers.map(provider => provider.name);
+    orchestrator.currentProvider = providers[0].name;
+    return orchestrator;
+}
+
+/**
+ * Stream a message and collect its events and the text the user would see
+ */
+async function stream(orchestrator) {
+    const events = [];
+    let shown = '';
+    const response = await orchestrator.streamMessage('Write a haiku', event => {
+        events.push(event);
+        if (event.type === STREAM_EVENTS.TEXT) shown += event.text;
+        if (event.type === STREAM_EVENTS.RESET) shown = '';
+    });
+    return { response, events, shown };
+}
+
+describe('Stream failover recovery', () => {
+    let savedPerformance;
+    let savedFailover;
+
+    before(() => {
+        configManager.load();
+        savedPerformance = configManager.config.performance;
+        savedFailover = configManager.config.failover;
+        configManager.config.performance = { ...savedPerformance, cacheEnabled: false };
+    });
+
+    after(() => {
+        configManager.config.performance = savedPerformance;
+        configManager.config.failover = savedFailover;
+    });
+
+    function setRecovery(streamRecovery) {
+        configManager.config.failover = { ...savedFailover, maxRetriesPerProvider: 1, retryDelayMs: 1, streamRecovery };
+    }
+
+    it('continues a cut-off response on the next provider', async () => {
+        setRecovery('continue');
+        const backup = new ScriptedProvider(['silent pond\n'], 'backup');
+        const { response, events, shown } = await stream(createOrchestrator([
+            new BrokenStreamProvider('broken', { text: 'An old ' }),
+            backup,
+        ]));
+
+        assert.strictEqual(response.content, 'An old silent pond\n');
+        assert.strictEqual(shown, 'An old silent pond\n');
+        assert.ok(!events.some(event => event.type === STREAM_EVENTS.RESET));
+        assert.strictEqual(events[events.length - 1].content, 'An old silent pond\n');
+
+        const [request] = backup.requests;
+        assert.ok(request.message.includes('Continue exactly where it stopped'), request.message);
+        assert.deepStrictEqual(request.messages.slice(-2), [
+            { role: 'user', content: 'Write a haiku' },
+            { role: 'assistant', content: 'An old ' },
+        ]);
+    });
+
+    it('keeps the text of every interrupted attempt', async () => {
+        setRecovery('continue');
+        const { response } = await stream(createOrchestrator([
+            new BrokenStreamProvider('first', { text: 'An old ' }),
+            new BrokenStreamProvider('second', { text: 'silent ' }),
+            new ScriptedProvider(['pond\n'], 'third'),
+        ]));
+        assert.strictEqual(response.content, 'An old silent pond\n');
+    });
+
+    it('discards a cut-off response when configured to', async () => {
+        setRecovery('discard');
+        const backup = new ScriptedProvider(['A whole haiku\n'], 'backup');
+        const { response, events, shown } = await stream(createOrchestrator([
+            new BrokenStreamProvider('broken', { text: 'An old ' }),
+            backup,
+        ]));
+
+        assert.strictEqual(response.content, 'A whole haiku\n');
+        assert.strictEqual(shown, 'A whole haiku\n');
+        assert.deepStrictEqual(events.find(event => event.type === STREAM_EVENTS.RESET),
+            { type: STREAM_EVENTS.RESET, provider: 'broken', reason: 'socket hang up' });
+        assert.strictEqual(backup.requests[0].message, 'Write a haiku');
+    });
+
+    it('always discards a response that had started a tool call', async () => {
+        setRecovery('continue');
+        const backup = new ScriptedProvider(['A whole haiku\n'], 'backup');
+        const { response, events } = await stream(createOrchestrator([
+            new BrokenStreamProvider('broken', { text: 'Let me write it down. ', toolCall: true }),
+            backup,
+        ]));
+
+        assert.strictEqual(response.content, 'A whole haiku\n');
+        assert.ok(events.some(event => event.type === STREAM_EVENTS.RESET));
+        assert.strictEqual(backup.requests[0].message, 'Write a haiku');
+    });
+});
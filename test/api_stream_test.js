@@ -0,0 +1,110 @@
+const assert = require('assert');
+const { StreamAccumulator, STREAM_EVENTS, replayResponse } = require('../src/api/stream');
+
+/**
+ * Accumulator that records the events it emits
+ */
+function createStream() {
+    const events = [];
+    const stream = new StreamAccumulator(event => events.push(event));
+    return { stream, events };
+}
+
+describe('StreamAccumulator', () => {
+    it('collects text deltas', () => {
+        const { stream, events } = createStream();
+        stream.text('Hel');
+        stream.text('');
+        stream.text('lo');
+        const result = stream.done('stop');
+
+        assert.deepStrictEqual(events.map(event => event.type), [STREAM_EVENTS.TEXT, STREAM_EVENTS.TEXT, STREAM_EVENTS.DONE]);
+        assert.strictEqual(result.content, 'Hello');
+        assert.strictEqual(result.toolCalls, null);
+        assert.strictEqual(result.finishReason, 'stop');
+    });
+
+    it('assembles tool call arguments streamed in pieces', () => {
+        const { stream, events } = createStream();
+        stream.toolCallStart(3, { id: 'toolu_1', name: 'read_file' });
+        stream.toolCallDelta(3, '{"path":');
+        stream.toolCallDelta(3, '"src/index.js"}');
+        stream.toolCallDelta(99, '{"ignored":true}');
+        stream.toolCallEnd(3);
+        stream.toolCallEnd(3);
+
+        assert.deepStrictEqual(events.map(event => event.type), [
+            STREAM_EVENTS.TOOL_CALL_START,
+            STREAM_EVENTS.TOOL_CALL_DELTA,
+            STREAM_EVENTS.TOOL_CALL_DELTA,
+            STREAM_EVENTS.TOOL_CALL_END,
+        ]);
+        assert.deepStrictEqual(events[3], {
+            type: STREAM_EVENTS.TOOL_CALL_END, id: 'toolu_1', name: 'read_file', index: 0, arguments: { path: 'src/index.js' },
+        });
+    });
+
+    it('closes open tool calls when the stream ends, in start order', () => {
+        const { stream } = createStream();
+        stream.toolCallStart('b', { id: 'call_b', name: 'list_dir' });
+        stream.toolCallStart('a', { name: 'glob_files' });
+        stream.toolCallDelta('a', '{"pattern":"*.js"}');
+        const { toolCalls } = stream.done();
+
+        assert.deepStrictEqual(toolCalls.map(call => call.name), ['list_dir', 'glob_files']);
+        assert.deepStrictEqual(toolCalls[0].arguments, {});
+        assert.deepStrictEqual(toolCalls[1].arguments, { pattern: '*.js' });
+        assert.ok(toolCalls[1].id.startsWith('call_'));
+    });
+
+    it('hands arguments that are not valid JSON to the tool loop', () => {
+        const { stream } = createStream();
+        stream.toolCallStart(0, { id: 'call_1', name: 'write_file' });
+        stream.toolCallDelta(0, '{"path": "a.js", "content": "unterminated');
+        const [call] = stream.done().toolCalls;
+
+        assert.strictEqual(call.arguments._raw, '{"path": "a.js", "content": "unterminated');
+        assert.ok(call.arguments._parseError);
+    });
+
+    it('records tool calls that arrive whole', () => {
+        const { stream, events } = createStream();
+        stream.completeToolCall(0, { id: 'call_1', name: 'git_status', arguments: { short: true } });
+
+        assert.deepStrictEqual(events.map(event => event.type), [
+            STREAM_EVENTS.TOOL_CALL_START,
+            STREAM_EVENTS.TOOL_CALL_DELTA,
+            STREAM_EVENTS.TOOL_CALL_END,
+        ]);
+        assert.strictEqual(events[1].argumentsDelta, '{"short":true}');
+        assert.deepStrictEqual(stream.getToolCalls(), [{ id: 'call_1', name: 'git_status', arguments: { short: true } }]);
+    });
+
+    it('merges usage reported in parts', () => {
+        const { stream } = createStream();
+        stream.setUsage({ promptTokens: 10 });
+        stream.setUsage({ completionTokens: 5 });
+        assert.deepStrictEqual(stream.done().usage, { promptTokens: 10, completionTokens: 5, totalTokens: 15 });
+    });
+
+    it('replays a complete response as events', () => {
+        const events = [];
+        replayResponse({
+            content: 'Reading it',
+            toolCalls: [{ id: 'call_1', name: 'read_file', arguments: { path: 'a.js' } }],
+            usage: { promptTokens: 3, completionTokens: 2, totalTokens: 5 },
+        }, event => events.push(event));
+
+        assert.deepStrictEqual(events.map(event => event.type), [
+            STREAM_EVENTS.TEXT,
+            STREAM_EVENTS.TOOL_CALL_START,
+            STREAM_EVENTS.TOOL_CALL_DELTA,
+            STREAM_EVENTS.TOOL_CALL_END,
+            STREAM_EVENTS.USAGE,
+            STREAM_EVENTS.DONE,
+        ]);
+        const done = events[events.length - 1];
+        assert.strictEqual(done.content, 'Reading it');
+        assert.deepStrictEqual(done.toolCalls, [{ id: 'call_1', name: 'read_file', arguments: { path: 'a.js' } }]);
+    });
+});
@@ -0,0 +1,93 @@
+const assert = require('assert');
+const { APIOrchestrator } = require('../src/api/orchestrator');
+const { AntigravityEngine } = require('../src/core/engine');
+const { SystemPromptBuilder } = require('../src/core/prompt');
+const { validateSchema, parseJsonResponse } = require('../src/utils/schema');
+const { logger } = require('../src/utils/logger');
+const { ScriptedProvider } = require('./helpers/scripted_provider');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+const planSchema = {
+    type: 'object',
+    properties: {
+        steps: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    type: { type: 'string', enum: ['command', 'code'] },
+                },
+                required: ['id', 'type'],
+            },
+        },
+    },
+    required: ['steps'],
+};
+
+/**
+ * Engine wired to a scripted provider, without a database
+ */
+function createEngine(provider) {
+    const engine = new AntigravityEngine();
+    engine.apiOrchestrator = new APIOrchestrator(null);
+    engine.apiOrchestrator.providers.set(provider.name, provider);
+    engine.apiOrchestrator.providerOrder = [provider.name];
+    engine.apiOrchestrator.currentProvider = provider.name;
+    engine.contextManager = { currentConversationId: null, getProjectContext: async () => null };
+    engine.costTracker = { checkBudget: async () => [], record: async () => {} };
+    engine.promptBuilder = new SystemPromptBuilder();
+    engine.initialized = true;
+    return engine;
+}
+
+describe('validateSchema', () => {
+    it('accepts a matching value', () => {
+        assert.deepStrictEqual(validateSchema({ steps: [{ id: 1, type: 'code' }] }, planSchema), []);
+    });
+
+    it('lists every mismatch by path', () => {
+        assert.deepStrictEqual(validateSchema({ steps: [{ id: '1', type: 'deploy' }] }, planSchema), [
+            '$.steps[0].id: expected integer, got string',
+            '$.steps[0].type: must be one of "command", "code"',
+        ]);
+        assert.deepStrictEqual(validateSchema({ steps: [] }, planSchema), ['$.steps: must have at least 1 items']);
+    });
+});
+
+describe('parseJsonResponse', () => {
+    it('parses fenced and wrapped JSON', () => {
+        assert.deepStrictEqual(parseJsonResponse('```json\n{"a": 1}\n```'), { a: 1 });
+        assert.deepStrictEqual(parseJsonResponse('Here is the plan: {"a": [1]} Done.'), { a: [1] });
+        assert.throws(() => parseJsonResponse('no json here'), SyntaxError);
+    });
+});
+
+describe('AntigravityEngine.requestStructured', () => {
+    it('repairs an invalid response', async () => {
+        const provider = new ScriptedProvider([
+            '{"steps": [{"id": "one", "type": "code"}]}',
+            '{"steps": [{"id": 1, "type": "code"}]}',
+        ]);
+        const engine = createEngine(provider);
+        const plan = await engine.requestStructured('Plan a build', planSchema, { bypassCache: true });
+
+        assert.deepStrictEqual(plan, { steps: [{ id: 1, type: 'code' }] });
+        assert.strictEqual(provider.requests.length, 2);
+        assert.deepStrictEqual(provider.requests[0].options.responseSchema, planSchema);
+        assert.strictEqual(provider.requests[1].messages.length, 2);
+        assert.ok(provider.requests[1].message.includes('$.steps[0].id: expected integer, got string'));
+    });
+
+    it('gives up after the repair attempts', async () => {
+        const stubborn = new ScriptedProvider(['nope', 'still nope']);
+        await assert.rejects(
+            createEngine(stubborn).requestStructured('Plan a build', planSchema, { bypassCache: true, maxRepairs: 1 }),
+            error => error.code === 'STRUCTURED_OUTPUT_INVALID'
+        );
+        assert.strictEqual(stubborn.requests.length, 2);
+    });
+});
@@ -0,0 +1,170 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { APIOrchestrator } = require('../src/api/orchestrator');
+const { STREAM_EVENTS } = require('../src/api/stream');
+const { ContextManager } = require('../src/core/context');
+const { configManager } = require('../src/core/config');
+const { Database } = require('../src/utils/storage');
+const { logger } = require('../src/utils/logger');
+const { ScriptedProvider } = require('./helpers/scripted_provider');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Provider that never answers a request, only gives up when its signal aborts
+ */
+class HangingProvider extends ScriptedProvider {
+    async sendMessage(message, context, options) {
+        this.requests.push({ message, options });
+        return new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => {
+                reject(Object.assign(new Error('Request was aborted.'), { name: 'AbortError' }));
+            });
+        });
+    }
+
+    /**
+     * Streams a word every intervalMs, so the whole response takes longer than the timeout
+     */
+    async streamMessage(message, onEvent, context, options) {
+        this.requests.push({ message, options });
+        const words = ['slow', 'but', 'steady', 'stream'];
+        for (const word of words) {
+            await sleep(this.intervalMs);
+            if (options.signal.aborted) throw new Error('Request was aborted.');
+            onEvent({ type: STREAM_EVENTS.TEXT, text: `${word} ` });
+        }
+        const content = `${words.join(' ')} `;
+        onEvent({ type: STREAM_EVENTS.DONE, content });
+        return this.formatResponse(content, { model: this.model });
+    }
+}
+
+/**
+ * Orchestrator over the given providers, without a database
+ */
+function createOrchestrator(providers) {
+    const orchestrator = new APIOrchestrator(null);
+    for (const provider of providers) {
+        orchestrator.providers.set(provider.name, provider);
+    }
+    orchestrator.providerOrder = providers.map(provider => provider.name);
+    orchestrator.currentProvider = providers[0].name;
+    return orchestrator;
+}
+
+describe('Request timeouts and cancellation', () => {
+    let savedPerformance;
+    let savedFailover;
+
+    before(() => {
+        configManager.load();
+        savedPerformance = configManager.config.performance;
+        savedFailover = configManager.config.failover;
+        configManager.config.failover = { ...savedFailover, maxRetriesPerProvider: 1 };
+    });
+
+    beforeEach(() => {
+        configManager.config.performance = { ...savedPerformance, cacheEnabled: false, requestTimeoutMs: 100 };
+    });
+
+    after(() => {
+        configManager.config.performance = savedPerformance;
+        configManager.config.failover = savedFailover;
+    });
+
+    it('fails over when an attempt times out', async () => {
+        const orchestrator = createOrchestrator([new HangingProvider([], 'slow'), new ScriptedProvider(['from fallback'], 'fast')]);
+        const start = Date.now();
+        const response = await orchestrator.sendMessage('hi', { messages: [] });
+        assert.strictEqual(response.provider, 'fast');
+        assert.ok(Date.now() - start < 1000, `took ${Date.now() - start}ms`);
+    });
+
+    it('reports the timeout when no provider answers', async () => {
+        const orchestrator = createOrchestrator([new HangingProvider([], 'slow')]);
+        await assert.rejects(orchestrator.sendMessage('hi', { messages: [] }), /did not respond within/);
+    });
+
+    it('keeps a stream alive while events arrive', async () => {
+        const streaming = new HangingProvider([], 'slow');
+        streaming.intervalMs = 60;
+        const orchestrator = createOrchestrator([streaming]);
+        const streamed = await orchestrator.streamMessage('hi', () => {}, { messages: [] });
+        assert.strictEqual(streamed.content, 'slow but steady stream ');
+    });
+
+    it('stops without failover when the user cancels', async () => {
+        const untouched = new ScriptedProvider(['never sent'], 'fast');
+        const orchestrator = createOrchestrator([new HangingProvider([], 'slow'), untouched]);
+        configManager.config.performance.requestTimeoutMs = 10000;
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 20);
+        await assert.rejects(
+            orchestrator.sendMessage('hi', { messages: [] }, { signal: controller.signal }),
+            error => error.name === 'AbortError'
+        );
+        assert.strictEqual(untouched.calls, 0);
+    });
+
+    for (const [kind, failure] of [
+        ['retry backoff', Object.assign(new Error('Internal error'), { status: 500 })],
+        ['Retry-After pause', Object.assign(new Error('Too many requests'), { status: 429, rateLimit: { retryAfterMs: 30000 } })],
+    ]) {
+        it(`stops waiting out a ${kind} when the user cancels`, async () => {
+            const untouched = new ScriptedProvider(['never sent'], 'fast');
+            const orchestrator = createOrchestrator([new ScriptedProvider([failure], 'slow'), untouched]);
+            configManager.config.failover = { ...savedFailover, maxRetriesPerProvider: 2, retryDelayMs: 30000 };
+            const controller = new AbortController();
+            setTimeout(() => controller.abort(), 50);
+
+            const start = Date.now();
+            await assert.rejects(
+                orchestrator.sendMessage('hi', { messages: [] }, { signal: controller.signal }),
+                error => error.name === 'AbortError'
+            ).finally(() => {
+                configManager.config.failover = { ...savedFailover, maxRetriesPerProvider: 1 };
+            });
+            assert.ok(Date.now() - start < 5000, `took ${Date.now() - start}ms`);
+            assert.strictEqual(untouched.calls, 0);
+        });
+    }
+
+    describe('after a cancelled turn', () => {
+        let dataDir;
+        let database;
+
+        before(async () => {
+            dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-timeout-'));
+            database = new Database(path.join(dataDir, 'timeout.db'));
+            await database.initialize();
+        });
+
+        after(async () => {
+            await database.close();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        });
+
+        it('answers the tool calls left open', async () => {
+            const contextManager = new ContextManager(database);
+            await contextManager.createConversation('Timeouts');
+            await contextManager.addUserMessage('Read both files');
+            await contextManager.addAssistantMessage('Reading.', 'fast', 'fast-1', 10, [
+                { id: 'call_a', name: 'read_file', arguments: { path: 'a.js' } },
+                { id: 'call_b', name: 'read_file', arguments: { path: 'b.js' } },
+            ]);
+            await contextManager.addToolResultMessage('call_a', 'read_file', 'console.log(1)');
+
+            assert.strictEqual(await contextManager.closePendingToolCalls('Not executed: cancelled'), 1);
+            assert.strictEqual(await contextManager.closePendingToolCalls('Not executed: cancelled'), 0);
+            const rows = await database.getMessages(contextManager.currentConversationId, 10);
+            const closed = rows.find(row => JSON.parse(row.metadata || '{}').toolCallId === 'call_b');
+            assert.ok(closed && closed.content.includes('Not executed: cancelled'));
+        });
+    });
+});
@@ -0,0 +1,116 @@
+const assert = require('assert');
+const { APIOrchestrator } = require('../src/api/orchestrator');
+const { ClaudeProvider } = require('../src/api/claude');
+const { OpenAIProvider } = require('../src/api/openai');
+const { GeminiProvider } = require('../src/api/gemini');
+const { OllamaProvider } = require('../src/api/ollama');
+const { configManager } = require('../src/core/config');
+const { logger } = require('../src/utils/logger');
+const { ScriptedProvider } = require('./helpers/scripted_provider');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+const IMAGES = [{ data: 'iVBORw0KGgo=', mimeType: 'image/png' }, { data: '/9j/4AAQ', mimeType: 'image/jpeg' }];
+
+/**
+ * Scripted provider answering with a registry model
+ */
+function createProvider(name, model, replies) {
+    const provider = new ScriptedProvider(replies, name);
+    provider.model = model;
+    return provider;
+}
+
+/**
+ * Orchestrator over the given providers, without a database
+ */
+function createOrchestrator(providers) {
+    const orchestrator = new APIOrchestrator(null);
+    for (const provider of providers) {
+        orchestrator.providers.set(provider.name, provider);
+    }
+    orchestrator.providerOrder = providers.map(provider => provider.name);
+    orchestrator.currentProvider = providers[0].name;
+    return orchestrator;
+}
+
+describe('Vision input', () => {
+    describe('image blocks', () => {
+        it('Claude puts base64 image blocks before the text', () => {
+            const { messages } = new ClaudeProvider('key', { model: 'claude-sonnet-4.5' }).buildRequest('What is this?', {}, { images: IMAGES });
+            assert.deepStrictEqual(messages[0].content, [
+                { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } },
+                { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: '/9j/4AAQ' } },
+                { type: 'text', text: 'What is this?' },
+            ]);
+        });
+
+        it('OpenAI sends images as data URLs after the text', () => {
+            const { messages } = new OpenAIProvider('key', { model: 'gpt-4o' }).buildRequest('What is this?', {}, { images: IMAGES });
+            assert.deepStrictEqual(messages[messages.length - 1].content, [
+                { type: 'text', text: 'What is this?' },
+                { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } },
+                { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,/9j/4AAQ' } },
+            ]);
+
+            const plain = new OpenAIProvider('key', { model: 'gpt-4o' }).buildRequest('Hi', {}, {});
+            assert.deepStrictEqual(plain.messages[plain.messages.length - 1], { role: 'user', content: 'Hi' });
+        });
+
+        it('Gemini sends inline data parts', () => {
+            const content = new GeminiProvider('key', {}).buildMessageContent('What is this?', [{ data: 'abc' }]);
+            assert.deepStrictEqual(content, ['What is this?', { inlineData: { data: 'abc', mimeType: 'image/png' } }]);
+        });
+
+        it('Ollama attaches raw base64 to the user message', () => {
+            const request = new OllamaProvider({ ollama: {} }).buildRequest('What is this?', {}, { images: IMAGES }, false);
+            assert.deepStrictEqual(request.messages[0], { role: 'user', content: 'What is this?', images: ['iVBORw0KGgo=', '/9j/4AAQ'] });
+        });
+    });
+
+    describe('routing', () => {
+        let saved;
+
+        before(() => {
+            configManager.load();
+            saved = { performance: configManager.config.performance, failover: configManager.config.failover };
+            configManager.config.performance = { ...saved.performance, cacheEnabled: false };
+            configManager.config.failover = { ...saved.failover, maxRetriesPerProvider: 1, healthOrdering: false };
+        });
+
+        after(() => {
+            Object.assign(configManager.config, saved);
+        });
+
+        it('limits image requests to providers whose model has vision', () => {
+            const orchestrator = createOrchestrator([
+                createProvider('text', 'o3-mini', []),
+                createProvider('vision', 'claude-sonnet-4.5', []),
+            ]);
+            assert.deepStrictEqual(orchestrator.getRequestOrder({ images: IMAGES }), ['vision']);
+            assert.deepStrictEqual(orchestrator.getRequestOrder({}), ['text', 'vision']);
+        });
+
+        it('sends an image request to a vision model without switching the current provider', async () => {
+            const text = createProvider('text', 'o3-mini', ['text reply']);
+            const vision = createProvider('vision', 'claude-sonnet-4.5', ['A cat']);
+            const orchestrator = createOrchestrator([text, vision]);
+
+            const response = await orchestrator.sendMessage('What is this?', {}, { images: IMAGES });
+            assert.strictEqual(response.content, 'A cat');
+            assert.strictEqual(text.calls, 0);
+            assert.strictEqual(orchestrator.currentProvider, 'text');
+            assert.deepStrictEqual(vision.requests[0].options.images, IMAGES);
+        });
+
+        it('explains that no loaded model can read images', async () => {
+            const orchestrator = createOrchestrator([createProvider('text', 'o3-mini', ['text reply'])]);
+            await assert.rejects(orchestrator.sendMessage('What is this?', {}, { images: IMAGES }), error => {
+                assert.strictEqual(error.code, 'NO_VISION_MODEL');
+                assert.ok(error.message.includes('text/o3-mini'), error.message);
+                return true;
+            });
+        });
+    });
+});
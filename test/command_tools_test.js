@@ -0,0 +1,136 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CommandTools } = require('../src/tools/command');
+const { DockerExecutionProvider } = require('../src/core/execution');
+const { ToolRegistry } = require('../src/tools/registry');
+const { PermissionManager, PERMISSION_MODES } = require('../src/core/permissions');
+const { AntigravityEngine } = require('../src/core/engine');
+const { configManager } = require('../src/core/config');
+const { logger } = require('../src/utils/logger');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+/**
+ * Engine with only the command tool and project rules for projectDir, without a database
+ */
+function createEngine(projectDir, commandTools) {
+    const engine = new AntigravityEngine();
+    engine.fileSystemTools = { baseDir: projectDir };
+    engine.toolRegistry = new ToolRegistry();
+    engine.toolRegistry.registerAll(commandTools.getToolDefinitions());
+    engine.permissionManager = new PermissionManager(configManager);
+    engine.permissionManager.mode = PERMISSION_MODES.DEFAULT;
+    engine.permissionManager.loadRules(projectDir);
+    return engine;
+}
+
+describe('run_command', () => {
+    let rootDir;
+    let projectDir;
+    let commandTools;
+    let savedExecution;
+
+    before(() => {
+        configManager.load();
+        savedExecution = configManager.config.execution;
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-command-'));
+        projectDir = path.join(rootDir, 'project');
+        fs.mkdirSync(path.join(projectDir, 'packages', 'app'), { recursive: true });
+        fs.mkdirSync(path.join(rootDir, 'project-other'));
+        commandTools = new CommandTools(projectDir);
+    });
+
+    beforeEach(() => {
+        configManager.config.execution = { ...savedExecution, mode: 'local', timeoutMs: 1000 };
+    });
+
+    after(() => {
+        configManager.config.execution = savedExecution;
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('runs in a subdirectory of the project', async () => {
+        const result = await commandTools.runCommand('node -e "process.stdout.write(process.cwd())"', { cwd: 'packages/app' });
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.cwd, path.join('packages', 'app'));
+        assert.strictEqual(fs.realpathSync(result.stdout), fs.realpathSync(path.join(projectDir, 'packages', 'app')));
+    });
+
+    it('rejects a sibling directory with the same prefix', async () => {
+        await assert.rejects(
+            commandTools.runCommand('node -v', { cwd: '../project-other' }),
+            /outside base directory/
+        );
+    });
+
+    it('stops a command at the configured timeout', async () => {
+        const result = await commandTools.runCommand('node -e "setTimeout(() => {}, 10000)"', { timeoutMs: 60000 });
+        assert.strictEqual(result.timedOut, true);
+        assert.strictEqual(result.success, false);
+        assert.ok(result.durationMs < 5000, `took ${result.durationMs}ms`);
+    });
+
+    it('stops a command and its children when the request is cancelled', async () => {
+        configManager.config.execution.timeoutMs = 60000;
+        const registry = new ToolRegistry();
+        registry.registerAll(commandTools.getToolDefinitions());
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 200);
+
+        const command = 'node -e "setTimeout(() => {}, 10000)" & wait';
+        const result = await registry.execute('run_command', { command }, { signal: controller.signal });
+        assert.strictEqual(result.cancelled, true);
+        assert.strictEqual(result.success, false);
+        assert.ok(result.durationMs < 5000, `took ${result.durationMs}ms`);
+    });
+
+    it('caps the output', async () => {
+        configManager.config.execution.maxOutputBytes = 100;
+        const result = await commandTools.runCommand('node -e "process.stdout.write(\'x\'.repeat(5000))"');
+        assert.strictEqual(result.truncated, true);
+        assert.strictEqual(result.stdout.length, 100);
+    });
+
+    it('maps the working directory into the Docker mount', () => {
+        const args = new DockerExecutionProvider('node:20').buildArgs('ls', path.join(projectDir, 'packages', 'app'), projectDir);
+        assert.deepStrictEqual(args.slice(0, 6), ['run', '--rm', '-v', `${projectDir}:/app`, '-w', '/app/packages/app']);
+        assert.throws(() => new DockerExecutionProvider().buildArgs('ls', rootDir, projectDir), /outside the mounted project/);
+    });
+
+    describe('permissions', () => {
+        let engine;
+
+        before(() => {
+            fs.mkdirSync(path.join(projectDir, '.agent'));
+            fs.writeFileSync(path.join(projectDir, '.agent', 'permissions.json'), JSON.stringify({
+                rules: [
+                    { action: 'execute', pattern: 'node *', decision: 'allow' },
+                    { action: 'execute', pattern: 'rm *', decision: 'deny' },
+                ],
+            }));
+            engine = createEngine(projectDir, commandTools);
+        });
+
+        it('runs commands an allow rule matches', async () => {
+            const result = await engine._executeTool('run_command', { command: 'node -e "process.stdout.write(\'hi\')"' });
+            assert.strictEqual(result.stdout, 'hi');
+        });
+
+        it('refuses commands a deny rule matches', async () => {
+            const result = await engine._executeTool('run_command', { command: 'rm -rf packages' });
+            assert.strictEqual(result.denied, true);
+            assert.ok(result.error.includes('rm *'), result.error);
+            assert.ok(fs.existsSync(path.join(projectDir, 'packages')));
+        });
+
+        it('refuses every command in plan-only mode', async () => {
+            engine.permissionManager.mode = PERMISSION_MODES.PLAN_ONLY;
+            engine.permissionManager.rules = [];
+            const result = await engine._executeTool('run_command', { command: 'node -v' });
+            assert.strictEqual(result.denied, true);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CostTracker } = require('../src/core/cost');
+const { Database } = require('../src/utils/storage');
+const { logger } = require('../src/utils/logger');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+describe('CostTracker', () => {
+    let dataDir;
+    let database;
+    let budget;
+    let tracker;
+
+    // Claude Sonnet 4.5: $3 / $15 per million tokens, so this costs $0.30
+    const usage = { promptTokens: 50000, completionTokens: 10000 };
+
+    before(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-cost-'));
+        database = new Database(path.join(dataDir, 'cost.db'));
+        await database.initialize();
+    });
+
+    beforeEach(async () => {
+        await database.run('DELETE FROM token_usage');
+        budget = {};
+        tracker = new CostTracker(database, { get: key => (key === 'budget' ? budget : null) });
+    });
+
+    after(async () => {
+        await database.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    function record(conversationId, model = 'claude-sonnet-4.5') {
+        return tracker.record({ conversationId, messageId: null, provider: 'claude', model, usage });
+    }
+
+    it('records and sums usage per session, grouped by model', async () => {
+        assert.strictEqual(await record('conversation-a'), 0.3);
+        await record('conversation-a');
+        await record('conversation-b');
+        await record('conversation-a', 'llama3');
+
+        const summary = await tracker.getSummary('conversation-a');
+        assert.strictEqual(summary.session.requests, 3);
+        assert.strictEqual(summary.session.promptTokens, 150000);
+        assert.ok(Math.abs(summary.session.costUsd - 0.6) < 1e-9, summary.session.costUsd);
+        assert.deepStrictEqual(summary.session.models.map(row => [row.model, row.requests]).sort(),
+            [['claude-sonnet-4.5', 2], ['llama3', 1]]);
+        assert.strictEqual(summary.session.models.find(row => row.model === 'llama3').unpriced, 1);
+        assert.strictEqual(summary.day.requests, 4);
+    });
+
+    it('does not record a response without usage', async () => {
+        assert.strictEqual(await tracker.record({ conversationId: 'conversation-a', provider: 'claude', model: 'claude-sonnet-4.5' }), null);
+        assert.strictEqual((await tracker.getSummary('conversation-a')).session.requests, 0);
+    });
+
+    it('skips budget checks when no budget is set', async () => {
+        await record('conversation-a');
+        assert.deepStrictEqual(await tracker.checkBudget('conversation-a'), []);
+    });
+
+    it('warns once when a soft budget is passed', async () => {
+        budget = { sessionSoftUsd: 0.5 };
+        await record('conversation-a');
+        assert.deepStrictEqual(await tracker.checkBudget('conversation-a'), []);
+
+        await record('conversation-a');
+        const [warning] = await tracker.checkBudget('conversation-a');
+        assert.ok(warning.startsWith('Session spending is $0.60'), warning);
+        assert.deepStrictEqual(await tracker.checkBudget('conversation-a'), []);
+    });
+
+    it('refuses requests once a hard budget is reached', async () => {
+        budget = { sessionHardUsd: 1, dailyHardUsd: 0.5 };
+        await record('conversation-a');
+        assert.deepStrictEqual(await tracker.checkBudget('conversation-a'), []);
+
+        await record('conversation-b');
+        await assert.rejects(tracker.checkBudget('conversation-a'), error => {
+            assert.strictEqual(error.code, 'BUDGET_EXCEEDED');
+            assert.ok(error.message.includes('Daily budget of $0.50'), error.message);
+            assert.ok(error.message.includes('BUDGET_DAILY_HARD_USD'), error.message);
+            return true;
+        });
+    });
+
+    it('counts only the current session against the session budget', async () => {
+        budget = { sessionHardUsd: 0.5 };
+        await record('conversation-b');
+        await record('conversation-b');
+        assert.deepStrictEqual(await tracker.checkBudget('conversation-a'), []);
+        await assert.rejects(tracker.checkBudget('conversation-b'), /Session budget of \$0.50/);
+    });
+});
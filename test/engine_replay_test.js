@@ -0,0 +1,112 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AntigravityEngine } = require('../src/core/engine');
+const { PERMISSION_MODES } = require('../src/core/permissions');
+const { configManager } = require('../src/core/config');
+const { secureStorage } = require('../src/utils/crypto');
+const { logger } = require('../src/utils/logger');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+// Model turns recorded with the replay provider's record mode for the scenarios below, and the
+// project they were recorded against. To change a scenario, record it again against a copy of
+// fixtures/engine/project with REPLAY_MODE=record (see docs/configuration.md).
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'engine');
+
+/**
+ * Initialize a real engine in projectDir that answers only from the replay fixtures
+ */
+async function createEngine(projectDir, dataDir) {
+    configManager.load();
+    Object.assign(configManager.config, {
+        providers: { primary: 'replay', secondary: null, tertiary: null },
+        replay: { mode: 'replay', provider: 'replay', fixtureDir: path.join(FIXTURES_DIR, 'responses') },
+        storage: { ...configManager.config.storage, dataDir, dbPath: path.join(dataDir, 'engine.db') },
+        modelDiscovery: { ...configManager.config.modelDiscovery, cacheFile: path.join(dataDir, 'model-lists.json') },
+    });
+
+    const cwd = process.cwd();
+    process.chdir(projectDir);
+    const engine = new AntigravityEngine();
+    try {
+        await engine.initialize();
+    } finally {
+        process.chdir(cwd);
+    }
+
+    // Keep the embedding model download out of the test; relevant code only feeds the system prompt
+    engine.contextManager.retriever = { initialize: async () => {}, findRelevant: async () => [] };
+    configManager.config.lint = { ...configManager.config.lint, enabled: false };
+    return engine;
+}
+
+describe('AntigravityEngine with replayed responses', () => {
+    let rootDir;
+    let projectDir;
+    let engine;
+    let saved;
+
+    before(async () => {
+        configManager.load();
+        saved = { ...configManager.config };
+        sinon.stub(secureStorage, 'getApiKey').resolves(null);
+
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-engine-'));
+        projectDir = path.join(rootDir, 'project');
+        fs.cpSync(path.join(FIXTURES_DIR, 'project'), projectDir, { recursive: true });
+        engine = await createEngine(projectDir, path.join(rootDir, 'data'));
+    });
+
+    beforeEach(async () => {
+        await engine.contextManager.createConversation('replay test');
+    });
+
+    after(async () => {
+        sinon.restore();
+        await engine.database.close();
+        Object.assign(configManager.config, saved);
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('reads a file before answering', async () => {
+        const result = await engine.processRequest('What does src/greet.js export?');
+
+        assert.strictEqual(result.stopReason, 'completed');
+        assert.strictEqual(result.iterations, 2);
+        assert.deepStrictEqual(result.transcript[0].toolCalls.map(call => call.name), ['read_file']);
+        assert.ok(result.content.includes('greet(name)'), result.content);
+    });
+
+    it('searches, then reads what it found', async () => {
+        const result = await engine.processRequest('Where is greet called?');
+
+        assert.strictEqual(result.stopReason, 'completed');
+        assert.deepStrictEqual(result.transcript.map(step => step.toolCalls.map(call => call.name)), [['grep_files'], ['read_file']]);
+        assert.ok(result.content.includes('src/index.js'), result.content);
+    });
+
+    it('writes a file when edits are auto-approved', async () => {
+        engine.permissionManager.mode = PERMISSION_MODES.AUTO_EDIT;
+        const result = await engine.processRequest('Add a farewell function in src/farewell.js');
+
+        assert.strictEqual(result.stopReason, 'completed');
+        const written = fs.readFileSync(path.join(projectDir, 'src', 'farewell.js'), 'utf8');
+        assert.ok(written.includes('function farewell(name)'), written);
+    });
+
+    it('refuses to write in plan-only mode and tells the model', async () => {
+        engine.permissionManager.mode = PERMISSION_MODES.PLAN_ONLY;
+        const result = await engine.processRequest('Delete the greeting in src/greet.js');
+
+        assert.strictEqual(result.stopReason, 'completed');
+        assert.ok(fs.readFileSync(path.join(projectDir, 'src', 'greet.js'), 'utf8').includes('Hello'));
+        assert.ok(result.content.includes('plan-only'), result.content);
+    });
+
+    it('fails on a request that has no fixture instead of calling a live API', async () => {
+        await assert.rejects(engine.processRequest('A question nobody recorded'), /Re-record with REPLAY_MODE=record/);
+    });
+});
@@ -0,0 +1,8 @@
+/**
+ * Greeting for a name
+ */
+function greet(name) {
+    return `Hello, ${name}!`;
+}
+
+module.exports = { greet };
@@ -0,0 +1,3 @@
+const { greet } = require('./greet');
+
+console.log(greet(process.argv[2] || 'world'));
@@ -0,0 +1,124 @@
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GitTool } = require('../src/core/tools/git');
+const { ToolRegistry } = require('../src/tools/registry');
+const { PermissionManager, PERMISSION_MODES } = require('../src/core/permissions');
+const { AntigravityEngine } = require('../src/core/engine');
+const { configManager } = require('../src/core/config');
+const { logger } = require('../src/utils/logger');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+/**
+ * Repository with one commit of index.js and secrets/key.txt, both changed since
+ */
+function createRepository(dir) {
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: dir });
+    fs.mkdirSync(path.join(dir, 'secrets'));
+    fs.writeFileSync(path.join(dir, 'index.js'), 'console.log(1);\n');
+    fs.writeFileSync(path.join(dir, 'secrets', 'key.txt'), 'API_KEY=one\n');
+    git('init', '-q');
+    git('add', '.');
+    git('commit', '-q', '-m', 'Initial commit');
+    fs.writeFileSync(path.join(dir, 'index.js'), 'console.log(2);\n');
+    fs.writeFileSync(path.join(dir, 'secrets', 'key.txt'), 'API_KEY=two\n');
+}
+
+/**
+ * Engine with only the git tools and a read deny rule for secrets/, without a database
+ */
+function createEngine(projectDir) {
+    configManager.load();
+    fs.mkdirSync(path.join(projectDir, '.agent'));
+    fs.writeFileSync(path.join(projectDir, '.agent', 'permissions.json'), JSON.stringify({
+        rules: [{ action: 'read', pattern: 'secrets/', decision: 'deny' }],
+    }));
+
+    const engine = new AntigravityEngine();
+    engine.fileSystemTools = { baseDir: projectDir };
+    engine.toolRegistry = new ToolRegistry();
+    engine.toolRegistry.registerAll(new GitTool(projectDir).getToolDefinitions());
+    engine.permissionManager = new PermissionManager(configManager);
+    engine.permissionManager.mode = PERMISSION_MODES.DEFAULT;
+    engine.permissionManager.loadRules(projectDir);
+    return engine;
+}
+
+describe('git tools', () => {
+    let projectDir;
+
+    before(() => {
+        projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-git-'));
+        createRepository(projectDir);
+    });
+
+    after(() => {
+        fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    describe('argument checks', () => {
+        let git;
+
+        before(() => {
+            git = new GitTool(projectDir);
+        });
+
+        it('accepts revisions and ranges', async () => {
+            for (const revision of ['HEAD', 'HEAD~1', 'HEAD^', 'main..HEAD', 'HEAD@{0}', 'v1.0.0-rc+1']) {
+                assert.strictEqual(git._checkRevision(` ${revision} `), revision);
+            }
+            const log = await git.logFor({ range: 'HEAD', path: 'index.js' });
+            assert.ok(log.includes('Initial commit'), log);
+        });
+
+        it('rejects revisions that could be options or carry a path', async () => {
+            for (const revision of ['', '--output=/tmp/x', '-p', 'HEAD:index.js', 'HEAD;rm', 'a b', '$(id)']) {
+                assert.throws(() => git._checkRevision(revision), /Invalid revision/, revision);
+            }
+            await assert.rejects(git.diffFor({ range: '--output=/tmp/x' }), /Invalid revision/);
+        });
+
+        it('keeps paths inside the repository', async () => {
+            assert.strictEqual(git._checkPath('./secrets/../index.js'), 'index.js');
+            assert.strictEqual(git._checkPath(projectDir), '.');
+            for (const filePath of ['..', '../outside.txt', `${projectDir}-other/file`, '/etc/passwd']) {
+                assert.throws(() => git._checkPath(filePath), /outside base directory/, filePath);
+            }
+            await assert.rejects(git.blame('../outside.txt'), /outside base directory/);
+            await assert.rejects(git.showFile('HEAD', '/etc/passwd'), /outside base directory/);
+        });
+    });
+
+    describe('with read rules', () => {
+        let engine;
+
+        before(() => {
+            engine = createEngine(projectDir);
+        });
+
+        it('leaves denied files out of a diff', async () => {
+            const diff = await engine._executeTool('git_diff', {});
+            assert.ok(diff.includes('+console.log(2);'), diff);
+            assert.ok(!diff.includes('API_KEY'), diff);
+        });
+
+        it('refuses to show or blame a denied file', async () => {
+            let result = await engine._executeTool('git_show', { revision: 'HEAD', path: 'secrets/key.txt' });
+            assert.strictEqual(result.denied, true);
+            result = await engine._executeTool('git_blame', { path: './secrets/../secrets/key.txt' });
+            assert.strictEqual(result.denied, true);
+
+            const canRead = file => !file.startsWith('secrets');
+            await assert.rejects(new GitTool(projectDir).showFile('HEAD', 'secrets/key.txt', { canRead }), /read permission rule/);
+        });
+
+        it('does not accept a file inside the revision', async () => {
+            const result = await engine._executeTool('git_show', { revision: 'HEAD:secrets/key.txt', path: 'index.js' });
+            assert.ok(String(result).startsWith('Error: Invalid revision'), result);
+        });
+    });
+});
@@ -0,0 +1,42 @@
+const { BaseAPIProvider } = require('../../src/api/base');
+
+/**
+ * Stand-in for a live provider: answers from a queue and keeps each request
+ * A reply is the response text, { content, toolCalls } for a tool call turn, or an Error to fail with.
+ */
+class ScriptedProvider extends BaseAPIProvider {
+    constructor(replies, name = 'scripted') {
+        super({}, name);
+        this.model = `${name}-1`;
+        this.availableModels = [this.model];
+        this.replies = replies;
+        this.requests = [];
+    }
+
+    async initialize() {
+        this.initialized = true;
+    }
+
+    async sendMessage(message, context = {}, options = {}) {
+        this.requests.push({ message, messages: context.messages, options });
+        const reply = this.replies.shift();
+        if (reply instanceof Error) {
+            return this.formatError(reply, reply.status);
+        }
+        const { content, toolCalls } = typeof reply === 'string' ? { content: reply } : reply;
+        return this.formatResponse(content, { model: this.model, toolCalls });
+    }
+
+    validateApiKey() {
+        return true;
+    }
+
+    /**
+     * Number of requests answered so far
+     */
+    get calls() {
+        return this.requests.length;
+    }
+}
+
+module.exports = { ScriptedProvider };
@@ -0,0 +1,74 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LintingTool } = require('../src/core/tools/linter');
+const { logger } = require('../src/utils/logger');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+describe('LintingTool.checkFile', () => {
+    let projectDir;
+    let linter;
+
+    function write(name, content) {
+        const fullPath = path.join(projectDir, name);
+        fs.writeFileSync(fullPath, content);
+        return fullPath;
+    }
+
+    before(() => {
+        projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-lint-'));
+        fs.writeFileSync(path.join(projectDir, '.eslintrc.json'), JSON.stringify({
+            root: true,
+            parserOptions: { ecmaVersion: 2022 },
+            rules: { 'no-unused-vars': 'error', semi: 'warn' },
+        }));
+        fs.writeFileSync(path.join(projectDir, '.prettierrc'), JSON.stringify({ singleQuote: true }));
+        linter = new LintingTool(projectDir);
+    });
+
+    after(() => {
+        fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    it('reports errors and warnings with line numbers', async () => {
+        const feedback = await linter.checkFile(write('bad.js', 'const unused = 1\n'));
+        assert.strictEqual(feedback.language, 'javascript');
+        assert.strictEqual(feedback.errorCount, 1);
+        assert.strictEqual(feedback.warningCount, 1);
+        assert.ok(feedback.diagnostics.some(line => line.startsWith('Line 1:7 error') && line.includes('(no-unused-vars)')), feedback.diagnostics);
+    });
+
+    it('reports a clean file without diagnostics', async () => {
+        const feedback = await linter.checkFile(write('good.js', 'module.exports = 1;\n'));
+        assert.deepStrictEqual(feedback, { language: 'javascript', errorCount: 0, warningCount: 0 });
+    });
+
+    it('caps the diagnostics', async () => {
+        const source = Array.from({ length: 5 }, (_, i) => `const unused${i} = ${i};`).join('\n');
+        const feedback = await linter.checkFile(write('many.js', `${source}\n`), { maxDiagnostics: 2 });
+        assert.strictEqual(feedback.errorCount, 5);
+        assert.deepStrictEqual(feedback.diagnostics.slice(2), ['... and 3 more']);
+    });
+
+    it('formats only the languages autoFormat enables', async () => {
+        const jsonPath = write('data.json', '{"a":1}');
+        assert.strictEqual(await linter.checkFile(jsonPath), null);
+        assert.strictEqual(fs.readFileSync(jsonPath, 'utf8'), '{"a":1}');
+
+        const feedback = await linter.checkFile(jsonPath, { autoFormat: { json: true } });
+        assert.strictEqual(feedback.formatted, true);
+        assert.ok(feedback.note.includes('re-read'));
+        assert.strictEqual(fs.readFileSync(jsonPath, 'utf8'), '{ "a": 1 }\n');
+
+        const jsPath = write('quotes.js', 'module.exports = "x";\n');
+        await linter.checkFile(jsPath, { autoFormat: { javascript: true } });
+        assert.strictEqual(fs.readFileSync(jsPath, 'utf8'), "module.exports = 'x';\n");
+    });
+
+    it('skips files of unknown languages', async () => {
+        assert.strictEqual(await linter.checkFile(write('notes.txt', 'hello')), null);
+    });
+});
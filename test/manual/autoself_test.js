@@ -1,8 +1,8 @@
-const { CoderAgent } = require('../src/core/agents/coder');
-const { AntigravityEngine } = require('../src/core/engine');
+const { CoderAgent } = require('../../src/core/agents/coder');
+const { AntigravityEngine } = require('../../src/core/engine');
 const fs = require('fs').promises;
 const path = require('path');
-const { logger } = require('../src/utils/logger');
+const { logger } = require('../../src/utils/logger');
 
 // Disable logging for cleaner output
 logger.level = 'warn';
@@ -1,4 +1,4 @@
-const ui = require('../src/cli/ui');
+const ui = require('../../src/cli/ui');
 
 // Mock process.argv
 process.argv.push('--json');
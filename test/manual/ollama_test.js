@@ -1,4 +1,4 @@
-const { OllamaProvider } = require('../src/api/ollama');
+const { OllamaProvider } = require('../../src/api/ollama');
 
 
 async function testOllama() {
@@ -1,6 +1,6 @@
 const path = require('path');
-const { CodeIndexer } = require('../src/core/rag/indexer');
-const { CodeRetriever } = require('../src/core/rag/retriever');
+const { CodeIndexer } = require('../../src/core/rag/indexer');
+const { CodeRetriever } = require('../../src/core/rag/retriever');
 
 
 async function testRAG() {
@@ -1,6 +1,6 @@
-const { CoderAgent } = require('../src/core/agents/coder');
-const { AntigravityEngine } = require('../src/core/engine');
-const { logger } = require('../src/utils/logger');
+const { CoderAgent } = require('../../src/core/agents/coder');
+const { AntigravityEngine } = require('../../src/core/engine');
+const { logger } = require('../../src/utils/logger');
 
 // Disable logging for cleaner output
 logger.level = 'warn';
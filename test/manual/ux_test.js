@@ -1,5 +1,5 @@
-const ui = require('../src/cli/ui');
-const { FileSystemTools } = require('../src/tools/filesystem');
+const ui = require('../../src/cli/ui');
+const { FileSystemTools } = require('../../src/tools/filesystem');
 const path = require('path');
 const fs = require('fs').promises;
 
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AntigravityMCPServer } = require('../src/mcp/server');
+const { configManager } = require('../src/core/config');
+const { FileSystemTools } = require('../src/tools/filesystem');
+const { ToolRegistry } = require('../src/tools/registry');
+const { PermissionManager } = require('../src/core/permissions');
+const { logger } = require('../src/utils/logger');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+/**
+ * MCP server over an engine with file tools and permission rules for projectDir, without a database
+ */
+function createServer(projectDir) {
+    configManager.load();
+    const server = new AntigravityMCPServer();
+    const { engine } = server;
+
+    engine.fileSystemTools = new FileSystemTools(projectDir, null);
+    engine.toolRegistry = new ToolRegistry();
+    engine.toolRegistry.registerAll(engine.fileSystemTools.getToolDefinitions());
+    engine.permissionManager = new PermissionManager(configManager);
+    engine.permissionManager.loadRules(projectDir);
+    return server;
+}
+
+describe('MCP server tool calls', () => {
+    let projectDir;
+    let server;
+
+    before(() => {
+        projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-mcp-'));
+        fs.writeFileSync(path.join(projectDir, 'index.js'), 'console.log(1);\n');
+        fs.writeFileSync(path.join(projectDir, '.env'), 'API_KEY=secret\n');
+        fs.mkdirSync(path.join(projectDir, 'secrets'));
+        fs.writeFileSync(path.join(projectDir, 'secrets', 'key.txt'), 'API_KEY=secret\n');
+        fs.mkdirSync(path.join(projectDir, '.agent'));
+        fs.writeFileSync(path.join(projectDir, '.agent', 'permissions.json'), JSON.stringify({
+            rules: [
+                { action: 'read', pattern: '.env*', decision: 'deny' },
+                { action: 'read', pattern: 'notes/', decision: 'ask' },
+                { action: 'read', pattern: 'secrets/', decision: 'deny' },
+            ],
+        }));
+        server = createServer(projectDir);
+    });
+
+    after(() => {
+        fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    it('reads an allowed file', async () => {
+        const result = await server.callTool({ params: { name: 'read_file', arguments: { path: 'index.js' } } });
+        assert.ok(!result.isError, result.content[0].text);
+        assert.ok(result.content[0].text.includes('console.log(1);'));
+    });
+
+    it('refuses a path a deny rule covers', async () => {
+        const result = await server.callTool({ params: { name: 'read_file', arguments: { path: '.env' } } });
+        assert.strictEqual(result.isError, true);
+        assert.ok(result.content[0].text.startsWith('Permission denied:'), result.content[0].text);
+        assert.ok(!result.content[0].text.includes('secret'));
+    });
+
+    it('leaves denied files out of search results', async () => {
+        let result = await server.callTool({ params: { name: 'grep_files', arguments: { pattern: 'API_KEY|console', path: '.' } } });
+        assert.ok(!result.isError, result.content[0].text);
+        assert.deepStrictEqual(JSON.parse(result.content[0].text).matches.map(match => match.file), ['index.js']);
+
+        result = await server.callTool({ params: { name: 'glob_files', arguments: { pattern: '**/*' } } });
+        assert.deepStrictEqual(JSON.parse(result.content[0].text).files, ['index.js']);
+    });
+
+    it('refuses a call that would need a prompt', async () => {
+        const result = await server.callTool({ params: { name: 'read_file', arguments: { path: 'notes/todo.md' } } });
+        assert.strictEqual(result.isError, true);
+        assert.ok(result.content[0].text.includes('approval'), result.content[0].text);
+    });
+});
@@ -0,0 +1,120 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ModelDiscovery } = require('../src/api/discovery');
+const { modelRegistry } = require('../src/api/models');
+const { configManager } = require('../src/core/config');
+const { logger } = require('../src/utils/logger');
+const { ScriptedProvider } = require('./helpers/scripted_provider');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+/**
+ * Provider whose model-listing endpoint answers from a queue (an Error fails the call)
+ */
+class ListingProvider extends ScriptedProvider {
+    constructor(name, listings, staticModels = []) {
+        super([], name);
+        this.availableModels = staticModels;
+        this.listings = listings;
+        this.fetches = 0;
+    }
+
+    async fetchModels() {
+        this.fetches += 1;
+        const listing = this.listings.shift();
+        if (listing instanceof Error) throw listing;
+        return listing;
+    }
+}
+
+describe('Model discovery', () => {
+    let dir;
+    let cacheFile;
+    let savedDiscovery;
+    let discovery;
+
+    before(() => {
+        configManager.load();
+        savedDiscovery = configManager.config.modelDiscovery;
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-discovery-'));
+    });
+
+    beforeEach(() => {
+        cacheFile = path.join(dir, `model-lists-${Date.now()}.json`);
+        configManager.config.modelDiscovery = { enabled: true, ttlSeconds: 60, cacheFile };
+        discovery = new ModelDiscovery();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    after(() => {
+        // Leave the shared registry as the other suites expect it
+        for (const [id, info] of modelRegistry.models) {
+            if (info.discovered) modelRegistry.models.delete(id);
+        }
+        configManager.config.modelDiscovery = savedDiscovery;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('serves the cached list until it expires', async () => {
+        const provider = new ListingProvider('disco-a', [[{ id: 'disco-a-1' }], [{ id: 'disco-a-1' }, { id: 'disco-a-2' }]]);
+        assert.deepStrictEqual(await discovery.list(provider), ['disco-a-1']);
+        assert.deepStrictEqual(await discovery.list(provider), ['disco-a-1']);
+        assert.strictEqual(provider.fetches, 1);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(cacheFile, 'utf8'))['disco-a'].models, [{ id: 'disco-a-1' }]);
+
+        const now = Date.now();
+        sinon.stub(Date, 'now').returns(now + 61 * 1000);
+        assert.deepStrictEqual(await discovery.list(provider), ['disco-a-1', 'disco-a-2']);
+        assert.strictEqual(provider.fetches, 2);
+    });
+
+    it('refetches a fresh list on refresh', async () => {
+        const provider = new ListingProvider('disco-b', [[{ id: 'disco-b-1' }], [{ id: 'disco-b-2' }]]);
+        await discovery.list(provider);
+        assert.deepStrictEqual(await discovery.list(provider, { refresh: true }), ['disco-b-2']);
+    });
+
+    it('falls back to the last known list, then the static one', async () => {
+        const provider = new ListingProvider('disco-c', [[{ id: 'disco-c-1' }], new Error('offline')], ['static-c']);
+        await discovery.list(provider);
+        assert.deepStrictEqual(await discovery.list(provider, { refresh: true }), ['disco-c-1']);
+
+        const uncached = new ListingProvider('disco-d', [new Error('offline')], ['static-d']);
+        assert.deepStrictEqual(await discovery.list(uncached), ['static-d']);
+
+        const empty = new ListingProvider('disco-e', [new Error('connect ECONNREFUSED')]);
+        await assert.rejects(discovery.list(empty), /ECONNREFUSED/);
+    });
+
+    it('uses the static list when discovery is off', async () => {
+        configManager.config.modelDiscovery.enabled = false;
+        const provider = new ListingProvider('disco-f', [[{ id: 'disco-f-1' }]], ['static-f']);
+        assert.deepStrictEqual(await discovery.list(provider), ['static-f']);
+        assert.strictEqual(provider.fetches, 0);
+    });
+
+    it('registers unknown models with reported, family or configured limits', async () => {
+        const claude = new ListingProvider('claude', [[
+            { id: 'claude-sonnet-4-5-20990101' },
+            { id: 'claude-reported-x', contextWindow: 1000, maxOutputTokens: 100, vision: undefined },
+        ]]);
+        await discovery.list(claude);
+
+        const snapshot = modelRegistry.get('claude-sonnet-4-5-20990101');
+        assert.strictEqual(snapshot.maxOutputTokens, modelRegistry.get('claude-sonnet-4.5').maxOutputTokens);
+        assert.strictEqual(snapshot.discovered, true);
+        assert.strictEqual(modelRegistry.get('claude-reported-x').contextWindow, 1000);
+
+        const local = new ListingProvider('disco-g', [[{ id: 'disco-g-1' }]]);
+        local.maxTokens = 2048;
+        await discovery.list(local);
+        assert.strictEqual(modelRegistry.get('disco-g-1').maxOutputTokens, 2048);
+        assert.strictEqual(modelRegistry.get('disco-g-1').provider, 'disco-g');
+    });
+});
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const { ModelRegistry, DEFAULT_MODEL } = require('../src/api/models');
+const { CostTracker } = require('../src/core/cost');
+const { ClaudeProvider } = require('../src/api/claude');
+const { OllamaProvider } = require('../src/api/ollama');
+const { logger } = require('../src/utils/logger');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+describe('ModelRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new ModelRegistry();
+    });
+
+    it('resolves built-in models with their limits and capabilities', () => {
+        const model = registry.resolve('claude-sonnet-4.5');
+        assert.strictEqual(model.provider, 'claude');
+        assert.strictEqual(model.contextWindow, 200000);
+        assert.strictEqual(model.maxOutputTokens, 64000);
+        assert.strictEqual(registry.supports('claude-sonnet-4.5', 'vision'), true);
+        assert.strictEqual(registry.supports('text-embedding-3-small', 'chat'), false);
+    });
+
+    it('falls back to conservative defaults for unknown models', () => {
+        assert.strictEqual(registry.get('qwen2.5-coder:7b'), null);
+        assert.deepStrictEqual(registry.resolve('qwen2.5-coder:7b'), { id: 'qwen2.5-coder:7b', ...DEFAULT_MODEL });
+        assert.strictEqual(registry.getContextWindow('qwen2.5-coder:7b'), DEFAULT_MODEL.contextWindow);
+    });
+
+    it('lists chat models per provider in registration order', () => {
+        const openai = registry.list('openai', 'chat');
+        assert.ok(openai.includes('gpt-5') && openai.includes('gpt-5-mini'));
+        assert.ok(!openai.includes('text-embedding-3-large'));
+        assert.ok(registry.list('openai').includes('text-embedding-3-large'));
+        assert.ok(openai.indexOf('gpt-5') < openai.indexOf('gpt-5-mini'));
+    });
+
+    it('merges user entries over built-in ones', () => {
+        registry.registerAll({
+            'claude-sonnet-4.5': { pricing: { input: 2, output: 10 } },
+            'qwen2.5-coder:32b': { provider: 'ollama', contextWindow: 32768, tools: false },
+            broken: 'not an object',
+        });
+
+        const sonnet = registry.get('claude-sonnet-4.5');
+        assert.deepStrictEqual(sonnet.pricing, { input: 2, output: 10 });
+        assert.strictEqual(sonnet.contextWindow, 200000);
+
+        const qwen = registry.get('qwen2.5-coder:32b');
+        assert.strictEqual(qwen.contextWindow, 32768);
+        assert.strictEqual(qwen.maxOutputTokens, DEFAULT_MODEL.maxOutputTokens);
+        assert.strictEqual(registry.supports('qwen2.5-coder:32b', 'tools'), false);
+        assert.strictEqual(registry.has('broken'), false);
+    });
+
+    it('caps the output budget at the model limit', () => {
+        assert.strictEqual(registry.getMaxOutputTokens('claude-sonnet-3.5', 16000), 8192);
+        assert.strictEqual(registry.getMaxOutputTokens('claude-sonnet-3.5', 4000), 4000);
+        assert.strictEqual(registry.getMaxOutputTokens('claude-sonnet-3.5'), 8192);
+        assert.strictEqual(registry.getMaxOutputTokens('unknown-model', 16000), 16000);
+        assert.strictEqual(registry.getMaxOutputTokens('unknown-model'), DEFAULT_MODEL.maxOutputTokens);
+    });
+
+    it('maps dated snapshots and aliases to their family', () => {
+        assert.strictEqual(registry.findFamily('claude-sonnet-4-5-20250929', 'claude').id, 'claude-sonnet-4.5');
+        assert.strictEqual(registry.findFamily('claude-3-5-sonnet-latest', 'claude').id, 'claude-sonnet-3.5');
+        assert.strictEqual(registry.findFamily('gpt-5-mini-2025-08-07', 'openai').id, 'gpt-5-mini');
+        assert.strictEqual(registry.findFamily('gpt-5-mini', 'claude'), null);
+        assert.strictEqual(registry.findFamily('llama3', 'ollama'), null);
+    });
+
+    it('gives providers the limits of their current model', () => {
+        const claude = new ClaudeProvider('key', { model: 'claude-haiku-3', maxTokens: 8192 });
+        assert.strictEqual(claude.getMaxOutputTokens(), 4096);
+        assert.strictEqual(claude.getModelInfo().contextWindow, 200000);
+
+        const ollama = new OllamaProvider({ ollama: { model: 'llama3', maxTokens: 2048 } });
+        assert.strictEqual(ollama.getMaxOutputTokens(), 2048);
+    });
+});
+
+describe('Model pricing', () => {
+    const tracker = new CostTracker(null, null);
+
+    it('prices input and output tokens per million', () => {
+        const cost = tracker.calculateCost('claude-sonnet-4.5', { promptTokens: 1000000, completionTokens: 100000 });
+        assert.strictEqual(cost, 3 + 1.5);
+        assert.strictEqual(tracker.calculateCost('gpt-5-mini', { promptTokens: 2000 }), 0.0005);
+    });
+
+    it('leaves models without pricing unpriced', () => {
+        assert.strictEqual(tracker.calculateCost('llama3', { promptTokens: 1000, completionTokens: 1000 }), null);
+        assert.strictEqual(tracker.calculateCost('whisper', { promptTokens: 1000 }), null);
+    });
+});
@@ -0,0 +1,21 @@
+const assert = require('assert');
+const path = require('path');
+const { isInside } = require('../src/utils/paths');
+
+describe('isInside', () => {
+    const root = path.resolve('/srv/proj');
+
+    it('accepts the root and paths below it', () => {
+        assert.strictEqual(isInside(root, '.'), true);
+        assert.strictEqual(isInside(root, 'src/index.js'), true);
+        assert.strictEqual(isInside(root, path.join(root, 'a', '..', 'b')), true);
+        assert.strictEqual(isInside(root, '..foo'), true);
+    });
+
+    it('rejects parents and sibling directories with the same prefix', () => {
+        assert.strictEqual(isInside(root, '..'), false);
+        assert.strictEqual(isInside(root, '../proj-secrets/key'), false);
+        assert.strictEqual(isInside(root, path.resolve('/srv/proj-secrets')), false);
+        assert.strictEqual(isInside(root, path.resolve('/etc/passwd')), false);
+    });
+});
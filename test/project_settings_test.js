@@ -0,0 +1,62 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { configManager } = require('../src/core/config');
+const { logger } = require('../src/utils/logger');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+function writeSettings(projectDir, settings) {
+    fs.mkdirSync(path.join(projectDir, '.agent'), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, '.agent', 'settings.json'), JSON.stringify(settings));
+}
+
+describe('project settings', () => {
+    let rootDir;
+    let saved;
+
+    before(() => {
+        configManager.load();
+        saved = {
+            lint: configManager.config.lint,
+            agent: configManager.config.agent,
+            execution: configManager.config.execution,
+            projectDefaults: configManager.projectDefaults,
+        };
+        configManager.projectDefaults = null;
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-settings-'));
+    });
+
+    after(() => {
+        Object.assign(configManager.config, { lint: saved.lint, agent: saved.agent, execution: saved.execution });
+        configManager.projectDefaults = saved.projectDefaults;
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('applies lint and agent overrides but not other sections', () => {
+        const projectDir = path.join(rootDir, 'a');
+        writeSettings(projectDir, { lint: { enabled: false }, agent: { maxToolIterations: 5 }, execution: { mode: 'docker' } });
+
+        const applied = configManager.loadProjectSettings(projectDir);
+        assert.deepStrictEqual(Object.keys(applied), ['lint', 'agent']);
+        assert.strictEqual(configManager.get('lint.enabled'), false);
+        assert.strictEqual(configManager.get('agent.maxToolIterations'), 5);
+        assert.strictEqual(configManager.get('execution.mode'), saved.execution.mode);
+    });
+
+    it('drops the previous project overrides when switching projects', () => {
+        const projectDir = path.join(rootDir, 'b');
+        writeSettings(projectDir, { agent: { maxRepeatedToolCalls: 4 } });
+
+        configManager.loadProjectSettings(projectDir);
+        assert.strictEqual(configManager.get('lint.enabled'), saved.lint.enabled);
+        assert.strictEqual(configManager.get('agent.maxToolIterations'), saved.agent.maxToolIterations);
+        assert.strictEqual(configManager.get('agent.maxRepeatedToolCalls'), 4);
+
+        configManager.loadProjectSettings(path.join(rootDir, 'none'));
+        assert.deepStrictEqual(configManager.config.agent, saved.agent);
+        assert.deepStrictEqual(configManager.config.lint, saved.lint);
+    });
+});
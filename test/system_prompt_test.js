@@ -0,0 +1,101 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SystemPromptBuilder, BASE_INSTRUCTIONS } = require('../src/core/prompt');
+const { ClaudeProvider } = require('../src/api/claude');
+const { OpenAIProvider } = require('../src/api/openai');
+const { OpenAICompatibleProvider } = require('../src/api/openai-compatible');
+const { GeminiProvider } = require('../src/api/gemini');
+const { OllamaProvider } = require('../src/api/ollama');
+const { logger } = require('../src/utils/logger');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+describe('System prompts', () => {
+    describe('SystemPromptBuilder', () => {
+        let projectDir;
+
+        before(() => {
+            projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-prompt-'));
+            const rulesDir = path.join(projectDir, '.agent', 'rules');
+            fs.mkdirSync(rulesDir, { recursive: true });
+            fs.writeFileSync(path.join(rulesDir, 'b-style.md'), 'Use 4 spaces.\n');
+            fs.writeFileSync(path.join(rulesDir, 'a-tests.md'), 'Add a mocha test.\n');
+            fs.writeFileSync(path.join(rulesDir, 'empty.md'), '  \n');
+            fs.writeFileSync(path.join(rulesDir, 'notes.txt'), 'Not a rule');
+        });
+
+        after(() => {
+            fs.rmSync(projectDir, { recursive: true, force: true });
+        });
+
+        it('sends only the base instructions without other layers', () => {
+            assert.strictEqual(new SystemPromptBuilder().build(), BASE_INSTRUCTIONS);
+        });
+
+        it('layers project context, rules, persona and relevant code in order', () => {
+            const builder = new SystemPromptBuilder();
+            assert.deepStrictEqual(builder.loadRules(projectDir).map(rule => rule.file), ['a-tests.md', 'b-style.md']);
+
+            const prompt = builder.build({
+                projectContext: 'A CLI agent',
+                persona: 'You review code.',
+                relevantCode: [{ filePath: 'src/a.js', startLine: 1, endLine: 2, content: 'const a = 1;' }],
+            });
+            const headings = prompt.split('\n').filter(line => line.startsWith('## '));
+            assert.deepStrictEqual(headings, ['## Project', '## Project Rules', '## Your Role', '## Relevant Code']);
+            assert.ok(prompt.startsWith(BASE_INSTRUCTIONS));
+            assert.ok(prompt.includes('### a-tests.md\nAdd a mocha test.\n\n### b-style.md\nUse 4 spaces.'), prompt);
+            assert.ok(prompt.includes('src/a.js:1-2\n```\nconst a = 1;\n```'), prompt);
+        });
+
+        it('truncates long rules', () => {
+            const builder = new SystemPromptBuilder();
+            builder.rules = [{ file: 'long.md', content: 'x'.repeat(30000) }];
+            const prompt = builder.build();
+            assert.ok(prompt.endsWith('[Rules truncated]'));
+            assert.ok(prompt.length < 21000 + BASE_INSTRUCTIONS.length);
+        });
+    });
+
+    describe('providers', () => {
+        const options = { systemPrompt: 'Be brief' };
+        const context = { messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }] };
+
+        it('Claude sends it in the system field, ahead of system notes from the history', () => {
+            const provider = new ClaudeProvider('key', { model: 'claude-sonnet-4.5' });
+            const request = provider.buildRequest('Go', {
+                messages: [...context.messages, { role: 'system', content: 'Summary of earlier turns' }],
+            }, options);
+            assert.strictEqual(request.system, 'Be brief\n\nSummary of earlier turns');
+            assert.ok(request.messages.every(message => message.role !== 'system'));
+        });
+
+        it('OpenAI sends it as the first message, as developer for reasoning models', () => {
+            const chat = new OpenAIProvider('key', { model: 'gpt-4o' }).buildRequest('Go', context, options);
+            assert.deepStrictEqual(chat.messages[0], { role: 'system', content: 'Be brief' });
+
+            const reasoning = new OpenAIProvider('key', { model: 'gpt-5.2' }).buildRequest('Go', context, options);
+            assert.deepStrictEqual(reasoning.messages[0], { role: 'developer', content: 'Be brief' });
+
+            const compatible = new OpenAICompatibleProvider('vllm', { model: 'gpt-5-local', baseUrl: 'http://localhost/v1' });
+            assert.deepStrictEqual(compatible.buildRequest('Go', context, options).messages[0], { role: 'system', content: 'Be brief' });
+        });
+
+        it('Gemini sends it as the chat systemInstruction', () => {
+            const provider = new GeminiProvider('key', { model: 'gemini-2.5-flash' });
+            provider.generativeModel = { startChat: chat => chat };
+            const chat = provider.startChat(context, options);
+            assert.deepStrictEqual(chat.systemInstruction, { role: 'system', parts: [{ text: 'Be brief' }] });
+            assert.strictEqual(provider.startChat(context, {}).systemInstruction, undefined);
+        });
+
+        it('Ollama sends it as the first message', () => {
+            const request = new OllamaProvider({ ollama: {} }).buildRequest('Go', context, options, false);
+            assert.deepStrictEqual(request.messages[0], { role: 'system', content: 'Be brief' });
+            assert.strictEqual(request.messages.length, 4);
+        });
+    });
+});
@@ -0,0 +1,95 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WorkspaceTrust } = require('../src/core/trust');
+const { ToolRegistry } = require('../src/tools/registry');
+const { PermissionManager, PERMISSION_MODES } = require('../src/core/permissions');
+const { AntigravityEngine } = require('../src/core/engine');
+const { configManager } = require('../src/core/config');
+const { logger } = require('../src/utils/logger');
+const ui = require('../src/cli/ui');
+
+// Disable logging for cleaner output
+logger.level = 'error';
+
+const SKILL = `module.exports = {
+    name: 'lookup_ticket',
+    description: 'Fetch a ticket',
+    parameters: { type: 'object', properties: { command: { type: 'string' } } },
+    permission: 'file_read',
+    readOnly: true,
+    handler: async () => 'ticket',
+};
+`;
+
+describe('project skills', () => {
+    let rootDir;
+    let projectDir;
+    let trust;
+    let engine;
+
+    before(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-trust-'));
+        projectDir = path.join(rootDir, 'project');
+        fs.mkdirSync(path.join(projectDir, '.agent', 'skills'), { recursive: true });
+        fs.writeFileSync(path.join(projectDir, '.agent', 'skills', 'ticket.js'), SKILL);
+    });
+
+    beforeEach(() => {
+        trust = new WorkspaceTrust(path.join(rootDir, `trusted-${Date.now()}.json`));
+        engine = new AntigravityEngine();
+        engine.toolRegistry = new ToolRegistry();
+        engine.workspaceTrust = trust;
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    after(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('does not load skills from an untrusted workspace', async () => {
+        sinon.stub(ui, 'confirmTrust').resolves(false);
+        await engine._loadProjectTools(projectDir);
+        assert.strictEqual(engine.toolRegistry.get('lookup_ticket'), null);
+    });
+
+    it('loads skills for this session when the user agrees', async () => {
+        sinon.stub(ui, 'confirmTrust').resolves(true);
+        await engine._loadProjectTools(projectDir);
+        assert.ok(engine.toolRegistry.get('lookup_ticket'));
+        assert.strictEqual(trust.isTrusted(projectDir), false);
+    });
+
+    it('remembers an always-trusted workspace', async () => {
+        const confirm = sinon.stub(ui, 'confirmTrust').resolves('always');
+        await engine._loadProjectTools(projectDir);
+        await engine._loadProjectTools(projectDir);
+        assert.strictEqual(confirm.callCount, 1);
+        assert.strictEqual(trust.isTrusted(projectDir), true);
+        assert.ok(engine.toolRegistry.get('lookup_ticket'));
+    });
+
+    it('runs project tools as tool_execute whatever they declare', async () => {
+        trust.trust(projectDir);
+        await engine._loadProjectTools(projectDir);
+        const tool = engine.toolRegistry.get('lookup_ticket');
+        assert.strictEqual(tool.permission, 'tool_execute');
+        assert.strictEqual(tool.readOnly, false);
+    });
+
+    it('matches execute rules against the tool name, not its arguments', () => {
+        const manager = new PermissionManager(configManager);
+        manager.mode = PERMISSION_MODES.DEFAULT;
+        manager.rules = [
+            { action: 'execute', pattern: 'ls *', decision: 'allow', source: 'project' },
+            { action: 'execute', pattern: 'lookup_*', decision: 'deny', source: 'project' },
+        ];
+        assert.strictEqual(manager.checkPermission('tool_execute', { command: 'ls -la', tool: 'lookup_ticket' }), 'deny');
+        manager.rules = manager.rules.slice(0, 1);
+        assert.notStrictEqual(manager.checkPermission('tool_execute', { command: 'ls -la', tool: 'lookup_ticket' }), 'allow');
+    });
+});